@@ -2,7 +2,6 @@
 
 require('dotenv').config();
 const { Pool } = require('pg');
-const { getAllPackages } = require('../src/utils/config');
 
 // 颜色输出函数
 function log(color, message) {
@@ -37,20 +36,30 @@ async function createTestCards() {
   try {
     log('blue', '🎫 开始创建测试卡密...\n');
 
-    const packages = getAllPackages();
+    // 从套餐目录读取启用的套餐
+    const packagesResult = await pool.query(
+      'SELECT code, name, tier, days, chars, price FROM packages WHERE is_active = true ORDER BY sort_order ASC, code ASC'
+    );
     const testCards = [];
 
     // 为每种套餐类型创建测试卡密
-    for (const [packageType, packageConfig] of Object.entries(packages)) {
+    for (const row of packagesResult.rows) {
+      const packageType = row.code;
+      const days = parseFloat(row.days);
+      const chars = parseInt(row.chars);
+      const price = parseFloat(row.price);
       const cardCode = generateCardCode();
       
-      // 构建package_info，与参考代码的PACKAGES配置完全一致
+      // 构建package_info（套餐快照），与管理后台生成卡密的格式一致
       const packageInfo = {
         type: packageType,
-        duration: packageConfig.days * 86400000, // 转换为毫秒
-        quotaChars: packageConfig.chars,
-        price: packageConfig.price,
-        description: getPackageDescription(packageType, packageConfig)
+        duration: days * 86400000, // 转换为毫秒
+        quotaChars: chars,
+        price: price,
+        description: row.name,
+        tier: row.tier,
+        days: days,
+        snapshotAt: Date.now()
       };
 
       testCards.push({
@@ -59,11 +68,11 @@ async function createTestCards() {
         packageInfo: packageInfo
       });
 
-      log('cyan', `📋 ${getPackageDescription(packageType, packageConfig)}`);
+      log('cyan', `📋 ${row.name}`);
       log('green', `   🎫 卡密: ${cardCode}`);
-      log('yellow', `   ⏰ 时长: ${packageConfig.days} 天`);
-      log('magenta', `   📊 配额: ${packageConfig.chars.toLocaleString()} 字符`);
-      log('blue', `   💰 价格: ¥${packageConfig.price}\n`);
+      log('yellow', `   ⏰ 时长: ${days} 天`);
+      log('magenta', `   📊 配额: ${chars.toLocaleString()} 字符`);
+      log('blue', `   💰 价格: ¥${price}\n`);
     }
 
     // 批量插入数据库
@@ -106,21 +115,6 @@ async function createTestCards() {
   }
 }
 
-// 获取套餐描述
-function getPackageDescription(packageType, packageConfig) {
-  const descriptions = {
-    'M': '标准月套餐',
-    'Q': '标准季度套餐', 
-    'H': '标准半年套餐',
-    'PM': 'PRO月套餐',
-    'PQ': 'PRO季度套餐',
-    'PH': 'PRO半年套餐',
-    'PT': '测试套餐'
-  };
-  
-  return descriptions[packageType] || `${packageType}套餐`;
-}
-
 // 主函数
 async function main() {
   try {
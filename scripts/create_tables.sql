@@ -17,28 +17,112 @@ CREATE TABLE IF NOT EXISTS users (
     usage_stats JSONB DEFAULT '{"totalChars": 0, "monthlyChars": 0, "monthlyResetAt": 0}'
 );
 
+-- 是否接收配额/到期提醒邮件（用户可在个人资料中关闭）
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_notifications BOOLEAN DEFAULT true;
+
 -- 创建用户表索引
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 
+-- 提醒邮件发送记录（同一套餐周期内每种提醒只发送一次）
+CREATE TABLE IF NOT EXISTS notification_log (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    notice_type VARCHAR(20) NOT NULL, -- quota, expiry
+    notice_key VARCHAR(100) NOT NULL, -- 如 quota:80:<expireAt>、expiry:3:<expireAt>
+    email VARCHAR(255) NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (username, notice_key)
+);
+
+-- 创建提醒邮件记录索引
+CREATE INDEX IF NOT EXISTS idx_notification_log_sent_at ON notification_log(sent_at);
+
 -- 卡密表
 CREATE TABLE IF NOT EXISTS cards (
     id SERIAL PRIMARY KEY,
     code VARCHAR(32) UNIQUE NOT NULL,
     package_type VARCHAR(10) NOT NULL, -- M, Q, H, PM, PQ, PH, PT
-    status VARCHAR(20) DEFAULT 'unused', -- unused, used, expired
+    status VARCHAR(20) DEFAULT 'unused', -- unused, using, used, expired, revoked
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     used_at TIMESTAMP NULL,
     used_by VARCHAR(50) NULL,
     
     -- 套餐信息 (JSON格式)
-    package_info JSONB NOT NULL
+    package_info JSONB NOT NULL,
+
+    -- 批次与生命周期
+    batch_id VARCHAR(36) NULL, -- 对应card_batches.batch_id
+    redeem_by TIMESTAMP NULL, -- 兑换截止时间，过期后由定时任务标记为expired
+    expired_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(50) NULL,
+    revoke_reason VARCHAR(255) NULL
 );
 
+-- 已部署的数据库补充批次与生命周期字段
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS batch_id VARCHAR(36) NULL;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS redeem_by TIMESTAMP NULL;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP NULL;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP NULL;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS revoked_by VARCHAR(50) NULL;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS revoke_reason VARCHAR(255) NULL;
+
 -- 创建卡密表索引
 CREATE INDEX IF NOT EXISTS idx_cards_code ON cards(code);
 CREATE INDEX IF NOT EXISTS idx_cards_status ON cards(status);
 CREATE INDEX IF NOT EXISTS idx_cards_used_by ON cards(used_by);
+CREATE INDEX IF NOT EXISTS idx_cards_batch_id ON cards(batch_id);
+CREATE INDEX IF NOT EXISTS idx_cards_status_redeem_by ON cards(status, redeem_by);
+
+-- 卡密批次表（按渠道/分销商分组，整批作废）
+CREATE TABLE IF NOT EXISTS card_batches (
+    id SERIAL PRIMARY KEY,
+    batch_id VARCHAR(36) UNIQUE NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    channel VARCHAR(100) NULL, -- 销售渠道/分销商
+    package_type VARCHAR(10) NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 0,
+    redeem_by TIMESTAMP NULL,
+    created_by VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(50) NULL,
+    revoke_reason VARCHAR(255) NULL
+);
+
+-- 创建卡密批次表索引
+CREATE INDEX IF NOT EXISTS idx_card_batches_channel ON card_batches(channel);
+CREATE INDEX IF NOT EXISTS idx_card_batches_created_at ON card_batches(created_at);
+
+-- 套餐目录表（替代代码中的PACKAGES常量，卡密生成时把套餐快照写入cards.package_info）
+CREATE TABLE IF NOT EXISTS packages (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(10) UNIQUE NOT NULL, -- 对应cards.package_type和vip_info.type
+    name VARCHAR(100) NOT NULL,
+    tier VARCHAR(20) NOT NULL DEFAULT 'STANDARD', -- STANDARD, PRO
+    days NUMERIC(10, 4) NOT NULL, -- 有效天数（测试套餐为小数）
+    chars INTEGER NOT NULL, -- 字符配额
+    price NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT true, -- 停用后不能再生成卡密，已发放的卡密不受影响
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 创建套餐目录表索引
+CREATE INDEX IF NOT EXISTS idx_packages_active_sort ON packages(is_active, sort_order);
+
+-- 初始化默认套餐（与原PACKAGES常量一致，已存在的套餐不覆盖）
+INSERT INTO packages (code, name, tier, days, chars, price, sort_order) VALUES
+('M', '标准月套餐', 'STANDARD', 30, 80000, 25, 10),
+('Q', '标准季度套餐', 'STANDARD', 90, 250000, 55, 20),
+('H', '标准半年套餐', 'STANDARD', 180, 550000, 99, 30),
+('PM', 'PRO月套餐', 'PRO', 30, 250000, 45, 40),
+('PQ', 'PRO季度套餐', 'PRO', 90, 800000, 120, 50),
+('PH', 'PRO半年套餐', 'PRO', 180, 2000000, 220, 60),
+('PT', '测试套餐', 'PRO', 0.0208, 2000, 0, 70)
+ON CONFLICT (code) DO NOTHING;
 
 -- 任务状态表
 CREATE TABLE IF NOT EXISTS task_status (
@@ -64,6 +148,113 @@ CREATE INDEX IF NOT EXISTS idx_task_status_username ON task_status(username);
 CREATE INDEX IF NOT EXISTS idx_task_status_status ON task_status(status);
 CREATE INDEX IF NOT EXISTS idx_task_status_created_at ON task_status(created_at);
 
+-- 配额预占表（任务开始时预占字符，成功后提交，失败/取消时释放）
+CREATE TABLE IF NOT EXISTS quota_reservations (
+    id SERIAL PRIMARY KEY,
+    reservation_id VARCHAR(64) UNIQUE NOT NULL, -- 对应task_id
+    username VARCHAR(50) NOT NULL,
+    chars INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'held', -- held, committed, released
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    settled_at TIMESTAMP NULL
+);
+
+-- 创建配额预占表索引
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_user_status ON quota_reservations(username, status);
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_expires ON quota_reservations(expires_at);
+
+-- 字符使用流水表（只追加，users表中的vip_info/usage_stats汇总是它的缓存）
+CREATE TABLE IF NOT EXISTS usage_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    entry_type VARCHAR(30) NOT NULL, -- opening_balance, task_usage, card_redemption, admin_adjustment, refund
+    source VARCHAR(30) NOT NULL, -- websocket, http, b-backend, auto-tag, card, admin, system
+    task_id VARCHAR(64) NULL,
+    chars_delta INTEGER NOT NULL DEFAULT 0, -- 已用字符变化（计费字符，正数扣减，负数退还）
+    raw_chars INTEGER NULL, -- 原始字符数（按模型倍率计费前）
+    quota_delta BIGINT NOT NULL DEFAULT 0, -- 配额变化
+    used_after BIGINT NULL, -- 变更后的vip.usedChars（老用户为NULL）
+    quota_after BIGINT NULL, -- 变更后的vip.quotaChars（老用户为NULL）
+    total_after BIGINT NOT NULL DEFAULT 0, -- 变更后的usage.totalChars
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 已部署的数据库补充原始字符数字段
+ALTER TABLE usage_ledger ADD COLUMN IF NOT EXISTS raw_chars INTEGER NULL;
+
+-- 创建字符使用流水表索引
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_user_id ON usage_ledger(username, id);
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_task_id ON usage_ledger(task_id);
+
+-- 团队表（团队共享字符池，vip_info/usage_stats 结构与 users 表相同）
+CREATE TABLE IF NOT EXISTS teams (
+    id SERIAL PRIMARY KEY,
+    team_id VARCHAR(64) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    owner VARCHAR(50) NOT NULL,
+    vip_info JSONB DEFAULT '{}',
+    usage_stats JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 团队成员表（每个用户最多加入一个团队）
+CREATE TABLE IF NOT EXISTS team_members (
+    id SERIAL PRIMARY KEY,
+    team_id VARCHAR(64) NOT NULL REFERENCES teams(team_id) ON DELETE CASCADE,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'member', -- owner, admin, member
+    monthly_cap INTEGER NULL, -- 每月字符上限（NULL为不限制）
+    monthly_used BIGINT NOT NULL DEFAULT 0, -- 本月已用计费字符
+    monthly_reset_at BIGINT NOT NULL DEFAULT 0, -- 下次月度重置时间戳
+    total_used BIGINT NOT NULL DEFAULT 0, -- 累计已用计费字符
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 创建团队成员表索引
+CREATE INDEX IF NOT EXISTS idx_team_members_team ON team_members(team_id);
+
+-- 团队邀请表
+CREATE TABLE IF NOT EXISTS team_invitations (
+    id SERIAL PRIMARY KEY,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    team_id VARCHAR(64) NOT NULL REFERENCES teams(team_id) ON DELETE CASCADE,
+    invitee VARCHAR(255) NULL, -- 被邀请的用户名或邮箱（NULL为任何人可用的邀请链接）
+    role VARCHAR(20) NOT NULL DEFAULT 'member', -- admin, member
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, accepted, revoked
+    invited_by VARCHAR(50) NOT NULL,
+    accepted_by VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP NULL
+);
+
+-- 创建团队邀请表索引
+CREATE INDEX IF NOT EXISTS idx_team_invitations_team_status ON team_invitations(team_id, status);
+
+-- 团队成员的预占计入团队字符池
+ALTER TABLE quota_reservations ADD COLUMN IF NOT EXISTS team_id VARCHAR(64) NULL;
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_team_status ON quota_reservations(team_id, status);
+
+-- 个人API密钥表（只保存密钥的SHA-256哈希，明文只在创建时返回一次）
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    key_id VARCHAR(32) UNIQUE NOT NULL, -- 密钥中的公开前缀部分，用于查找和展示
+    username VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL,
+    scopes JSONB NOT NULL DEFAULT '[]', -- tts, quota-read, history
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(64) NULL,
+    revoked_at TIMESTAMP NULL
+);
+
+-- 创建API密钥表索引
+CREATE INDEX IF NOT EXISTS idx_api_keys_username ON api_keys(username);
+
 -- 语音映射表
 CREATE TABLE IF NOT EXISTS voice_mappings (
     id SERIAL PRIMARY KEY,
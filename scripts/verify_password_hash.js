@@ -3,16 +3,21 @@
 /**
  * 密码哈希验证工具
  * 用于验证密码哈希值和测试密码加密算法
+ * 支持两种格式（迁移期间并存）：
+ * - 新格式：$scrypt$v1$N=16384,r=8,p=1$<salt>$<hash>（每用户随机盐，不依赖JWT_SECRET）
+ * - 旧格式：base64(sha256(password + JWT_SECRET))
  * 
  * 使用方法:
  * node scripts/verify_password_hash.js <hash> [test_passwords...]
  * 
  * 示例:
  * node scripts/verify_password_hash.js "lRXeSeXTgpXQ2tMM2B1PxleXirwaJwd8PYPPYOslCuU=" "123456" "password" "555"
+ * node scripts/verify_password_hash.js '$scrypt$v1$N=16384,r=8,p=1$...$...' "123456"
  */
 
 require('dotenv').config();
 const crypto = require('crypto');
+const { verifyPassword, legacyHash, isLegacyHash, parseScryptHash } = require('../src/utils/passwordHash');
 
 // 颜色输出函数
 function log(color, message) {
@@ -28,11 +33,16 @@ function log(color, message) {
   console.log(`${colors[color] || ''}${message}${colors.reset}`);
 }
 
-// 密码加密函数（与authService.js中的bcrypt函数相同）
-async function bcrypt(password) {
-  const data = password + process.env.JWT_SECRET;
-  const hash = crypto.createHash('sha256').update(data).digest();
-  return Buffer.from(hash).toString('base64');
+// 哈希格式说明
+function describeHashFormat(hash) {
+  if (isLegacyHash(hash)) {
+    return '旧格式 sha256(password + JWT_SECRET)';
+  }
+  const parsed = parseScryptHash(hash);
+  if (parsed) {
+    return `scrypt v1 (N=${parsed.params.N}, r=${parsed.params.r}, p=${parsed.params.p})`;
+  }
+  return null;
 }
 
 // 常见密码列表
@@ -68,18 +78,22 @@ const COMMON_PASSWORDS = [
 class PasswordHashVerifier {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET;
-    if (!this.jwtSecret) {
+  }
+
+  // 旧格式哈希依赖JWT_SECRET，scrypt格式不需要
+  ensureJwtSecret(targetHash) {
+    if (isLegacyHash(targetHash) && !this.jwtSecret) {
       log('red', '❌ 错误: 未找到JWT_SECRET环境变量');
-      log('yellow', '请确保.env文件中配置了JWT_SECRET');
+      log('yellow', '旧格式哈希需要.env文件中配置的JWT_SECRET');
       process.exit(1);
     }
   }
 
-  // 验证单个密码
+  // 验证单个密码（scrypt格式带随机盐，无法重新计算出相同的哈希，computedHash为null）
   async verifyPassword(targetHash, password) {
     try {
-      const computedHash = await bcrypt(password);
-      const isMatch = computedHash === targetHash;
+      const { valid: isMatch } = await verifyPassword(password, targetHash);
+      const computedHash = isLegacyHash(targetHash) ? legacyHash(password) : null;
       
       return {
         password,
@@ -100,7 +114,10 @@ class PasswordHashVerifier {
     log('cyan', '\n🔍 开始密码验证...');
     log('blue', '=' .repeat(60));
     log('yellow', `目标哈希: ${targetHash}`);
-    log('yellow', `JWT_SECRET: ${this.jwtSecret.substring(0, 10)}...`);
+    log('yellow', `哈希格式: ${describeHashFormat(targetHash)}`);
+    if (isLegacyHash(targetHash)) {
+      log('yellow', `JWT_SECRET: ${this.jwtSecret.substring(0, 10)}...`);
+    }
     log('blue', '=' .repeat(60));
     
     const results = [];
@@ -118,7 +135,7 @@ class PasswordHashVerifier {
         console.log(); // 换行
         log('green', `\n🎉 找到匹配密码!`);
         log('green', `密码: "${password}"`);
-        log('green', `哈希: ${result.computedHash}`);
+        log('green', `哈希: ${result.computedHash || targetHash}`);
         break;
       }
       
@@ -132,14 +149,27 @@ class PasswordHashVerifier {
       log('red', '\n❌ 未找到匹配的密码');
       log('yellow', '可能的原因:');
       log('yellow', '1. 密码不在测试列表中');
-      log('yellow', '2. JWT_SECRET不正确');
-      log('yellow', '3. 哈希算法不匹配');
+      if (isLegacyHash(targetHash)) {
+        log('yellow', '2. JWT_SECRET不正确');
+        log('yellow', '3. 哈希算法不匹配');
+      }
     }
     
     return { results, foundMatch };
   }
 
-  // 显示加密算法详情
+  // 显示scrypt格式哈希的参数
+  showScryptDetails(targetHash) {
+    const parsed = parseScryptHash(targetHash);
+    log('cyan', '\n🔧 加密算法详情');
+    log('blue', '=' .repeat(60));
+    log('yellow', `算法: scrypt v1`);
+    log('yellow', `参数: N=${parsed.params.N}, r=${parsed.params.r}, p=${parsed.params.p}`);
+    log('yellow', `盐 (hex): ${parsed.salt.toString('hex')}`);
+    log('green', `哈希 (hex): ${parsed.hash.toString('hex')}`);
+  }
+
+  // 显示加密算法详情（旧格式）
   async showEncryptionDetails(password) {
     log('cyan', '\n🔧 加密算法详情');
     log('blue', '=' .repeat(60));
@@ -166,6 +196,13 @@ class PasswordHashVerifier {
     log('cyan', `\n🔍 分析密码: "${password}"`);
     log('blue', '=' .repeat(60));
 
+    if (!isLegacyHash(targetHash)) {
+      this.showScryptDetails(targetHash);
+      const { isMatch } = await this.verifyPassword(targetHash, password);
+      log(isMatch ? 'green' : 'red', isMatch ? '✅ 匹配成功！' : '❌ 不匹配');
+      return isMatch;
+    }
+
     const computedHash = await this.showEncryptionDetails(password);
 
     log('blue', '\n📊 比较结果:');
@@ -196,6 +233,12 @@ class PasswordHashVerifier {
     try {
       log('blue', '🔐 密码哈希验证工具');
       log('blue', '=' .repeat(60));
+
+      if (!describeHashFormat(targetHash)) {
+        log('red', '❌ 无法识别的哈希格式（应为 $scrypt$v1$... 或44个字符的旧格式base64）');
+        process.exit(1);
+      }
+      this.ensureJwtSecret(targetHash);
       
       // 合并测试密码和常见密码
       const allPasswords = [...new Set([...testPasswords, ...COMMON_PASSWORDS])];
@@ -208,8 +251,12 @@ class PasswordHashVerifier {
       // 如果找到匹配，显示详细信息
       if (foundMatch) {
         const matchedResult = results.find(r => r.isMatch);
-        await this.showEncryptionDetails(matchedResult.password);
-      } else {
+        if (isLegacyHash(targetHash)) {
+          await this.showEncryptionDetails(matchedResult.password);
+        } else {
+          this.showScryptDetails(targetHash);
+        }
+      } else if (isLegacyHash(targetHash)) {
         // 显示一些测试结果
         log('yellow', '\n📋 部分测试结果:');
         results.slice(0, 5).forEach(result => {
@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../services/authService');
+const { verifyToken, adjustUserVip, refundUserUsage, updateUserUsage } = require('../services/authService');
+const usageLedgerService = require('../services/usageLedgerService');
 const dbClient = require('../services/dbClient');
+const audioCacheService = require('../services/audioCacheService');
 const { checkAdminPermission } = require('../utils/helpers');
-const { validatePaginationParams, isValidCardCode } = require('../utils/validators');
-const { getAllPackages, getPackageConfig } = require('../utils/config');
+const packageService = require('../services/packageService');
+const cardLifecycleService = require('../services/cardLifecycleService');
+const bruteForceService = require('../services/bruteForceService');
+const { getCardConfig } = require('../utils/config');
+const { validatePaginationParams, validatePackageParams, isValidCardCode } = require('../utils/validators');
 
 // KV同步配置（用于卡密同步）
 const KV_CONFIG = {
@@ -81,21 +86,6 @@ function generateValidCardCode() {
   return result;
 }
 
-// 获取套餐描述
-function getPackageDescription(packageType, packageConfig) {
-  const descriptions = {
-    'M': '标准月套餐',
-    'Q': '标准季度套餐',
-    'H': '标准半年套餐',
-    'PM': 'PRO月套餐',
-    'PQ': 'PRO季度套餐',
-    'PH': 'PRO半年套餐',
-    'PT': '测试套餐'
-  };
-
-  return descriptions[packageType] || `${packageType}套餐`;
-}
-
 // 管理员中间件
 async function adminMiddleware(req, res, next) {
   try {
@@ -241,10 +231,14 @@ router.get('/stats', adminMiddleware, async (req, res) => {
       ORDER BY date
     `);
 
+    // chunk音频缓存统计
+    const audioCacheStats = await audioCacheService.getStats();
+
     res.json({
       users: userStatsResult.rows[0],
       tasks: taskStatsResult.rows[0],
       cards: cardStatsResult.rows[0],
+      audioCache: audioCacheStats,
       taskTrend: taskTrendResult.rows.map(row => ({
         date: row.date,
         tasks: parseInt(row.tasks),
@@ -480,9 +474,14 @@ router.put('/users/:username/vip', adminMiddleware, async (req, res) => {
     const { username } = req.params;
     const { type, expireAt, quotaChars, usedChars } = req.body;
 
-    // 验证参数
-    if (type && !['M', 'Q', 'H', 'PM', 'PQ', 'PH', 'PT', 'T'].includes(type)) {
-      return res.status(400).json({ error: 'Invalid VIP type' });
+    // 验证参数（VIP类型必须是套餐目录中的套餐，包括已停用的套餐；T为历史遗留类型）
+    let tier;
+    if (type && type !== 'T') {
+      const pkg = await packageService.getPackageConfig(type, { includeInactive: true });
+      if (!pkg) {
+        return res.status(400).json({ error: 'Invalid VIP type' });
+      }
+      tier = pkg.tier;
     }
 
     if (expireAt && (typeof expireAt !== 'number' || expireAt < 0)) {
@@ -497,32 +496,20 @@ router.put('/users/:username/vip', adminMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Invalid usedChars' });
     }
 
-    // 获取当前用户信息
-    const userResult = await dbClient.query(
-      'SELECT vip_info FROM users WHERE username = $1',
-      [username]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    // 【修改】在事务中更新VIP信息并写入调整流水
+    let updatedVip;
+    try {
+      updatedVip = await adjustUserVip(username, { type, tier, expireAt, quotaChars, usedChars }, {
+        admin: req.adminUser,
+        reason: req.body.reason
+      });
+    } catch (error) {
+      if (error.message === '用户不存在') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      throw error;
     }
 
-    const currentVip = userResult.rows[0].vip_info || {};
-
-    // 更新VIP信息
-    const updatedVip = {
-      ...currentVip,
-      ...(type !== undefined && { type }),
-      ...(expireAt !== undefined && { expireAt }),
-      ...(quotaChars !== undefined && { quotaChars }),
-      ...(usedChars !== undefined && { usedChars })
-    };
-
-    await dbClient.query(
-      'UPDATE users SET vip_info = $1, updated_at = CURRENT_TIMESTAMP WHERE username = $2',
-      [JSON.stringify(updatedVip), username]
-    );
-
     console.log(`[ADMIN] ${req.adminUser} updated VIP info for user ${username}`);
 
     res.json({
@@ -536,27 +523,144 @@ router.put('/users/:username/vip', adminMiddleware, async (req, res) => {
   }
 });
 
+// 【新增】手动记账：退还字符（refund）或补扣字符（admin_adjustment）
+router.post('/users/:username/usage-adjustments', adminMiddleware, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { type, chars, reason, taskId } = req.body;
+
+    if (!['refund', 'admin_adjustment'].includes(type)) {
+      return res.status(400).json({ error: 'type must be refund or admin_adjustment' });
+    }
+
+    if (!Number.isInteger(chars) || chars <= 0) {
+      return res.status(400).json({ error: 'chars must be a positive integer' });
+    }
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    if (taskId !== undefined && (typeof taskId !== 'string' || taskId.length > 64)) {
+      return res.status(400).json({ error: 'Invalid taskId' });
+    }
+
+    const context = { source: usageLedgerService.SOURCES.ADMIN, taskId, admin: req.adminUser, reason };
+
+    try {
+      if (type === 'refund') {
+        const result = await refundUserUsage(username, chars, context);
+        console.log(`[ADMIN] ${req.adminUser} refunded ${result.refundedChars} chars to user ${username}`);
+        return res.json({ success: true, type, chars: result.refundedChars, vip: result.vip, usage: result.usage });
+      }
+
+      await updateUserUsage(username, chars, {
+        ...context,
+        entryType: usageLedgerService.ENTRY_TYPES.ADMIN_ADJUSTMENT,
+        applyMultiplier: false,
+        metadata: { admin: req.adminUser, reason }
+      });
+      console.log(`[ADMIN] ${req.adminUser} charged ${chars} chars to user ${username}`);
+      res.json({ success: true, type, chars });
+    } catch (error) {
+      if (error.message === '用户不存在') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Admin usage adjustment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】查询用户的使用流水
+router.get('/users/:username/ledger', adminMiddleware, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const validation = validatePaginationParams(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: 'Invalid parameters', details: validation.errors });
+    }
+
+    const { limit, offset } = validation.params;
+    const { entries, total } = await usageLedgerService.getEntries(username, { limit, offset });
+
+    res.json({
+      username,
+      entries,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    });
+  } catch (error) {
+    console.error('Admin get usage ledger error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】对账：找出JSON汇总与流水余额不一致的用户
+router.get('/usage/reconcile', adminMiddleware, async (req, res) => {
+  try {
+    const validation = validatePaginationParams({ limit: 500, ...req.query });
+    if (!validation.isValid) {
+      return res.status(400).json({ error: 'Invalid parameters', details: validation.errors });
+    }
+
+    const { limit, offset } = validation.params;
+    const username = typeof req.query.username === 'string' ? req.query.username : null;
+
+    const [result, unledgered] = await Promise.all([
+      usageLedgerService.reconcile({ username, limit, offset }),
+      dbClient.query(
+        `SELECT COUNT(*) FROM users u
+         WHERE NOT EXISTS (SELECT 1 FROM usage_ledger l WHERE l.username = u.username)`
+      )
+    ]);
+
+    res.json({
+      checkedUsers: result.checked,
+      driftCount: result.drifted.length,
+      drifted: result.drifted,
+      // 还没有任何流水的用户（尚未发生过使用或充值），首次记账时会写入期初余额
+      usersWithoutLedger: parseInt(unledgered.rows[0].count),
+      pagination: { limit, offset },
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Admin usage reconcile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 生成卡密
 router.post('/cards/generate', adminMiddleware, async (req, res) => {
   try {
-    const { packageType, quantity = 1, customCode } = req.body;
+    const { packageType, quantity = 1, customCode, label, channel, redeemBy } = req.body;
 
     // 验证套餐类型
     if (!packageType) {
       return res.status(400).json({ error: '套餐类型不能为空' });
     }
 
-    const packageConfig = getPackageConfig(packageType);
+    // 【修改】从套餐目录读取，已停用的套餐不能再生成卡密
+    const packageConfig = await packageService.getPackageConfig(packageType);
     if (!packageConfig) {
+      const activePackages = await packageService.getAllPackages();
       return res.status(400).json({
-        error: '无效的套餐类型',
-        availableTypes: Object.keys(getAllPackages())
+        error: '无效或已停用的套餐类型',
+        availableTypes: activePackages.map(pkg => pkg.code)
       });
     }
 
     // 验证数量
-    if (quantity < 1 || quantity > 100) {
-      return res.status(400).json({ error: '生成数量必须在1-100之间' });
+    const { MAX_BATCH_SIZE } = getCardConfig();
+    if (quantity < 1 || quantity > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `生成数量必须在1-${MAX_BATCH_SIZE}之间` });
     }
 
     // 如果提供了自定义卡密，验证格式
@@ -564,6 +668,31 @@ router.post('/cards/generate', adminMiddleware, async (req, res) => {
       return res.status(400).json({ error: '自定义卡密格式不正确（需要32位字母数字组合）' });
     }
 
+    // 【新增】批次信息：标签、销售渠道、兑换截止时间
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+      return res.status(400).json({ error: '批次标签必须是不超过100个字符的字符串' });
+    }
+
+    if (channel !== undefined && (typeof channel !== 'string' || channel.length > 100)) {
+      return res.status(400).json({ error: '销售渠道必须是不超过100个字符的字符串' });
+    }
+
+    let redeemByDate = null;
+    if (redeemBy !== undefined && redeemBy !== null) {
+      redeemByDate = new Date(redeemBy);
+      if (isNaN(redeemByDate.getTime()) || redeemByDate.getTime() <= Date.now()) {
+        return res.status(400).json({ error: '兑换截止时间必须是将来的时间（ISO日期或毫秒时间戳）' });
+      }
+    }
+
+    const batch = await cardLifecycleService.createBatch({
+      label: label || `${packageConfig.name} ${new Date().toISOString().slice(0, 10)}`,
+      channel: channel || null,
+      packageType,
+      redeemBy: redeemByDate,
+      createdBy: req.adminUser
+    });
+
     const generatedCards = [];
     const errors = [];
 
@@ -601,24 +730,20 @@ router.post('/cards/generate', adminMiddleware, async (req, res) => {
           }
         }
 
-        // 构建package_info
-        const packageInfo = {
-          type: packageType,
-          duration: packageConfig.days * 86400000, // 转换为毫秒
-          quotaChars: packageConfig.chars,
-          price: packageConfig.price,
-          description: getPackageDescription(packageType, packageConfig)
-        };
+        // 构建package_info（发放时的套餐快照，之后修改套餐不影响此卡密）
+        const packageInfo = packageService.buildCardSnapshot(packageConfig);
 
         // 插入数据库
         await dbClient.query(`
-          INSERT INTO cards (code, package_type, status, package_info, created_at)
-          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+          INSERT INTO cards (code, package_type, status, package_info, batch_id, redeem_by, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
         `, [
           cardCode,
           packageType,
           'unused',
-          JSON.stringify(packageInfo)
+          JSON.stringify(packageInfo),
+          batch.batch_id,
+          redeemByDate
         ]);
 
         // 同步卡密到Cloudflare KV
@@ -641,11 +766,19 @@ router.post('/cards/generate', adminMiddleware, async (req, res) => {
       }
     }
 
+    await cardLifecycleService.updateBatchQuantity(batch.batch_id, generatedCards.length);
+
     // 返回结果
     const response = {
       success: generatedCards.length > 0,
       generated: generatedCards.length,
       requested: quantity,
+      batch: {
+        batchId: batch.batch_id,
+        label: batch.label,
+        channel: batch.channel,
+        redeemBy: batch.redeem_by
+      },
       cards: generatedCards
     };
 
@@ -670,7 +803,7 @@ router.post('/cards/generate', adminMiddleware, async (req, res) => {
 // 获取卡密列表
 router.get('/cards', adminMiddleware, async (req, res) => {
   try {
-    const { status, packageType } = req.query;
+    const { status, packageType, batchId } = req.query;
 
     // 验证分页参数
     const validation = validatePaginationParams(req.query);
@@ -697,6 +830,12 @@ router.get('/cards', adminMiddleware, async (req, res) => {
       paramIndex++;
     }
 
+    if (batchId) {
+      whereConditions.push(`c.batch_id = $${paramIndex}`);
+      queryParams.push(batchId);
+      paramIndex++;
+    }
+
     const whereClause = whereConditions.length > 0
       ? `WHERE ${whereConditions.join(' AND ')}`
       : '';
@@ -706,6 +845,7 @@ router.get('/cards', adminMiddleware, async (req, res) => {
       SELECT
         c.id, c.code, c.package_type, c.status, c.package_info,
         c.created_at, c.used_at, c.used_by,
+        c.batch_id, c.redeem_by, c.expired_at, c.revoked_at, c.revoke_reason,
         u.usage_stats
       FROM cards c
       LEFT JOIN users u ON c.used_by = u.username
@@ -732,6 +872,11 @@ router.get('/cards', adminMiddleware, async (req, res) => {
       created_at: card.created_at,
       used_at: card.used_at,
       used_by: card.used_by,
+      batch_id: card.batch_id,
+      redeem_by: card.redeem_by,
+      expired_at: card.expired_at,
+      revoked_at: card.revoked_at,
+      revoke_reason: card.revoke_reason,
       // 如果卡密已使用且有用户数据，则包含使用量信息
       userUsage: card.used_by && card.usage_stats ? card.usage_stats : null
     }));
@@ -755,16 +900,146 @@ router.get('/cards', adminMiddleware, async (req, res) => {
   }
 });
 
+// 【新增】卡密批次列表（附带各状态数量）
+router.get('/cards/batches', adminMiddleware, async (req, res) => {
+  try {
+    const validation = validatePaginationParams(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { limit, offset } = validation.params;
+    const channel = typeof req.query.channel === 'string' ? req.query.channel : null;
+    const { batches, total } = await cardLifecycleService.listBatches({ channel, limit, offset });
+
+    res.json({
+      batches,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    });
+  } catch (error) {
+    console.error('Get card batches error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】导出批次CSV（包含每张卡密的兑换状态）
+router.get('/cards/batches/:batchId/export', adminMiddleware, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const batch = await cardLifecycleService.getBatch(batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const csv = await cardLifecycleService.exportBatchCsv(batchId);
+
+    console.log(`[ADMIN] ${req.adminUser} exported card batch ${batchId}`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="cards-${batchId}.csv"`);
+    // 带BOM，Excel打开中文表头不乱码
+    res.send('\uFEFF' + csv);
+  } catch (error) {
+    console.error('Export card batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】作废整个批次中尚未兑换的卡密
+router.post('/cards/batches/:batchId/revoke', adminMiddleware, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { reason } = req.body;
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+      return res.status(400).json({ error: '作废原因必须是不超过255个字符的字符串' });
+    }
+
+    const revokedCards = await cardLifecycleService.revokeBatch(batchId, { admin: req.adminUser, reason });
+    if (!revokedCards) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    // 同步作废状态到Cloudflare KV
+    for (const card of revokedCards) {
+      await syncCardToKV(card.code, {
+        ...convertCardDataToKVFormat(card.code, card.package_type, card.package_info),
+        s: 'revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      batchId,
+      revoked: revokedCards.length
+    });
+  } catch (error) {
+    console.error('Revoke card batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】作废单张卡密
+router.post('/cards/:code/revoke', adminMiddleware, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { reason } = req.body;
+
+    if (!isValidCardCode(code)) {
+      return res.status(400).json({ error: '卡密格式不正确' });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+      return res.status(400).json({ error: '作废原因必须是不超过255个字符的字符串' });
+    }
+
+    let card;
+    try {
+      card = await cardLifecycleService.revokeCard(code, { admin: req.adminUser, reason });
+    } catch (error) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    await syncCardToKV(code, {
+      ...convertCardDataToKVFormat(code, card.package_type, card.package_info),
+      s: 'revoked'
+    });
+
+    res.json({
+      success: true,
+      card: {
+        code: card.code,
+        status: card.status,
+        revoked_at: card.revoked_at,
+        revoke_reason: card.revoke_reason
+      }
+    });
+  } catch (error) {
+    console.error('Revoke card error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 获取可用套餐类型
 router.get('/cards/packages', adminMiddleware, async (req, res) => {
   try {
-    const packages = getAllPackages();
-    const packageList = Object.entries(packages).map(([type, config]) => ({
-      type: type,
-      description: getPackageDescription(type, config),
-      days: config.days,
-      price: config.price,
-      chars: config.chars
+    const packages = await packageService.getAllPackages();
+    const packageList = packages.map(pkg => ({
+      type: pkg.code,
+      name: pkg.name,
+      description: pkg.name,
+      tier: pkg.tier,
+      days: pkg.days,
+      price: pkg.price,
+      chars: pkg.chars
     }));
 
     res.json({
@@ -776,4 +1051,135 @@ router.get('/cards/packages', adminMiddleware, async (req, res) => {
   }
 });
 
+// 【新增】套餐目录管理：列表（包含已停用的套餐）
+router.get('/packages', adminMiddleware, async (req, res) => {
+  try {
+    const packages = await packageService.getAllPackages({ includeInactive: true });
+    res.json({ packages });
+  } catch (error) {
+    console.error('Admin list packages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】创建套餐
+router.post('/packages', adminMiddleware, async (req, res) => {
+  try {
+    const validation = validatePackageParams(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: 'Invalid parameters', details: validation.errors });
+    }
+
+    const { code, name, tier, days, chars, price, isActive, sortOrder } = req.body;
+    const pkg = await packageService.createPackage({ code, name: name.trim(), tier, days, chars, price, isActive, sortOrder });
+
+    console.log(`[ADMIN] ${req.adminUser} created package ${code}`);
+    res.status(201).json({ success: true, package: pkg });
+  } catch (error) {
+    if (error.code === '23505') { // PostgreSQL唯一约束违反
+      return res.status(409).json({ error: 'Package code already exists' });
+    }
+    console.error('Admin create package error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】修改套餐（只影响之后生成的卡密，已发放的卡密按快照兑换）
+router.put('/packages/:code', adminMiddleware, async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    if (req.body.code !== undefined && req.body.code !== code) {
+      return res.status(400).json({ error: 'Package code cannot be changed' });
+    }
+
+    const validation = validatePackageParams(req.body, { partial: true });
+    if (!validation.isValid) {
+      return res.status(400).json({ error: 'Invalid parameters', details: validation.errors });
+    }
+
+    const { name, tier, days, chars, price, isActive, sortOrder } = req.body;
+    const pkg = await packageService.updatePackage(code, {
+      name: name !== undefined ? name.trim() : undefined,
+      tier,
+      days,
+      chars,
+      price,
+      isActive,
+      sortOrder
+    });
+
+    if (!pkg) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+
+    console.log(`[ADMIN] ${req.adminUser} updated package ${code}`);
+    res.json({ success: true, package: pkg });
+  } catch (error) {
+    console.error('Admin update package error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】停用套餐（卡密和用户数据引用套餐代码，因此不做物理删除）
+router.delete('/packages/:code', adminMiddleware, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const pkg = await packageService.updatePackage(code, { isActive: false });
+
+    if (!pkg) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+
+    console.log(`[ADMIN] ${req.adminUser} deactivated package ${code}`);
+    res.json({ success: true, package: pkg });
+  } catch (error) {
+    console.error('Admin deactivate package error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】防暴力破解：当前锁定和最近的锁定/解锁事件
+router.get('/security/lockouts', adminMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const [locks, events] = await Promise.all([
+      bruteForceService.listLocks(),
+      bruteForceService.listEvents(limit)
+    ]);
+
+    res.json({ locks, events });
+  } catch (error) {
+    console.error('Admin get lockouts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 【新增】手动解锁（action/type/value 与锁定列表中的字段相同）
+router.post('/security/unlock', adminMiddleware, async (req, res) => {
+  try {
+    const { action, type, value } = req.body;
+
+    if (!Object.values(bruteForceService.ACTIONS).includes(action)) {
+      return res.status(400).json({ error: `action 必须是 ${Object.values(bruteForceService.ACTIONS).join(', ')} 之一` });
+    }
+    if (!['account', 'ip', 'card-prefix'].includes(type)) {
+      return res.status(400).json({ error: 'type 必须是 account, ip, card-prefix 之一' });
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return res.status(400).json({ error: 'value 不能为空' });
+    }
+
+    const unlocked = await bruteForceService.unlock(action, type, value, req.adminUser);
+    if (!unlocked) {
+      return res.status(404).json({ error: 'Lock not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin unlock error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
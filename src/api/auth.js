@@ -2,8 +2,12 @@ const express = require('express');
 const router = express.Router();
 const {
   verifyToken,
-  generateToken,
-  bcrypt,
+  verifyTokenClaims,
+  issueTokens,
+  rotateRefreshToken,
+  hashPassword,
+  verifyPassword,
+  getDummyPasswordHash,
   generateVerificationCode,
   sendEmailViaTencentSES,
   storeVerificationCode,
@@ -16,8 +20,36 @@ const {
   isValidPassword,
   isValidVerificationCode
 } = require('../utils/validators');
-const { corsHeaders } = require('../utils/helpers');
+const { corsHeaders, sendTooManyAttempts } = require('../utils/helpers');
 const { createSafeErrorResponse } = require('../utils/errorSecurity');
+const sessionService = require('../services/sessionService');
+const bruteForceService = require('../services/bruteForceService');
+
+// 【新增】会话信息（显示在会话列表中，便于用户识别设备）
+function getSessionMeta(req) {
+  return {
+    userAgent: req.headers['user-agent'] || null,
+    ip: req.ip
+  };
+}
+
+// 【新增】校验邮箱验证码并按邮箱和IP统计错误次数（锁定或等待期间抛出 cause 为 rate_limited 的错误）
+async function verifyEmailCodeWithThrottle(req, email, code) {
+  const attemptSubjects = { account: email, ip: req.ip };
+  await bruteForceService.reserveAttempt(bruteForceService.ACTIONS.VERIFY_CODE, attemptSubjects, { ip: req.ip });
+
+  try {
+    await verifyEmailCode(email, code);
+  } catch (error) {
+    // 只有验证码错误计为失败
+    if (error.message !== '验证码错误') {
+      await bruteForceService.releaseAttempt(bruteForceService.ACTIONS.VERIFY_CODE, attemptSubjects);
+    }
+    throw error;
+  }
+
+  await bruteForceService.recordSuccess(bruteForceService.ACTIONS.VERIFY_CODE, attemptSubjects);
+}
 
 // 用户登录
 router.post('/login', async (req, res) => {
@@ -28,6 +60,19 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: '用户名和密码不能为空' });
     }
 
+    // 【新增】防暴力破解：按提交的登录名（不管账号是否存在）和IP统计失败次数
+    // 校验密码前预占本次尝试，登录失败时不需要再记录
+    const attemptSubjects = { account: username, ip: req.ip };
+    await bruteForceService.reserveAttempt(bruteForceService.ACTIONS.LOGIN, attemptSubjects, { ip: req.ip });
+
+    const rejectLogin = () => res.status(400).json({ error: '用户名或密码错误' });
+
+    // 【新增】账号不存在时也用占位哈希执行一次密码校验，响应时间与密码错误时相同
+    const rejectUnknownAccount = async () => {
+      await verifyPassword(password, await getDummyPasswordHash());
+      return rejectLogin();
+    };
+
     // 支持邮箱登录
     let actualUsername = username;
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -39,7 +84,7 @@ router.post('/login', async (req, res) => {
       );
 
       if (result.rows.length === 0) {
-        return res.status(400).json({ error: '用户名或密码错误' });
+        return rejectUnknownAccount();
       }
 
       actualUsername = result.rows[0].username;
@@ -52,19 +97,34 @@ router.post('/login', async (req, res) => {
     );
 
     if (result.rows.length === 0) {
-      return res.status(400).json({ error: '用户名或密码错误' });
+      return rejectUnknownAccount();
     }
 
     const user = result.rows[0];
-    const hashedPassword = await bcrypt(password);
+    const { valid, needsRehash } = await verifyPassword(password, user.password_hash);
 
-    if (hashedPassword !== user.password_hash) {
-      return res.status(400).json({ error: '用户名或密码错误' });
+    if (!valid) {
+      return rejectLogin();
     }
 
-    // 生成JWT token
-    const accessToken = await generateToken(actualUsername, 'access');
-    const refreshToken = await generateToken(actualUsername, 'refresh');
+    await bruteForceService.recordSuccess(bruteForceService.ACTIONS.LOGIN, attemptSubjects);
+
+    // 【新增】旧格式（或旧参数）的密码哈希在登录成功后用新格式重新保存
+    // 条件更新：期间密码被修改过则不覆盖；失败不影响本次登录
+    if (needsRehash) {
+      try {
+        await dbClient.query(
+          'UPDATE users SET password_hash = $1 WHERE username = $2 AND password_hash = $3',
+          [await hashPassword(password), actualUsername, user.password_hash]
+        );
+        console.log(`[PASSWORD-HASH] Rehashed password for user ${actualUsername}`);
+      } catch (rehashError) {
+        console.error(`[PASSWORD-HASH] Failed to rehash password for user ${actualUsername}:`, rehashError.message);
+      }
+    }
+
+    // 生成JWT token（【修改】每次登录创建一个新会话）
+    const { accessToken, refreshToken } = await issueTokens(actualUsername, getSessionMeta(req));
 
     res.json({
       access_token: accessToken,
@@ -73,6 +133,10 @@ router.post('/login', async (req, res) => {
       username: actualUsername
     });
   } catch (error) {
+    if (error.cause === 'rate_limited') {
+      return sendTooManyAttempts(res, error);
+    }
+
     console.error('Login error:', error);
 
     // 使用安全错误处理
@@ -113,7 +177,7 @@ router.post('/register', async (req, res) => {
     }
 
     // 验证邮箱验证码
-    await verifyEmailCode(email, verificationCode);
+    await verifyEmailCodeWithThrottle(req, email, verificationCode);
 
     // 检查用户名是否已存在
     const existingUser = await dbClient.query(
@@ -126,15 +190,14 @@ router.post('/register', async (req, res) => {
     }
 
     // 创建新用户
-    const hashedPassword = await bcrypt(password);
+    const hashedPassword = await hashPassword(password);
     await dbClient.query(
       'INSERT INTO users (username, password_hash, email, created_at) VALUES ($1, $2, $3, CURRENT_TIMESTAMP)',
       [username, hashedPassword, email]
     );
 
-    // 生成JWT token
-    const accessToken = await generateToken(username, 'access');
-    const refreshToken = await generateToken(username, 'refresh');
+    // 生成JWT token（【修改】每次登录创建一个新会话）
+    const { accessToken, refreshToken } = await issueTokens(username, getSessionMeta(req));
 
     res.status(201).json({
       message: '注册成功',
@@ -144,6 +207,10 @@ router.post('/register', async (req, res) => {
       username: username
     });
   } catch (error) {
+    if (error.cause === 'rate_limited') {
+      return sendTooManyAttempts(res, error);
+    }
+
     console.error('Register error:', error);
 
     // 使用安全错误处理
@@ -212,7 +279,7 @@ router.post('/send-verification', async (req, res) => {
     await storeVerificationCode(email, code);
 
     // 临时存储用户注册信息（10分钟过期）
-    const hashedPassword = await bcrypt(password);
+    const hashedPassword = await hashPassword(password);
     const tempUserData = {
       username,
       passwordHash: hashedPassword,
@@ -271,7 +338,7 @@ router.post('/verify-email', async (req, res) => {
     }
 
     // 验证验证码
-    await verifyEmailCode(email, code);
+    await verifyEmailCodeWithThrottle(req, email, code);
 
     // 获取临时存储的用户数据
     const redisClient = require('../services/redisClient');
@@ -307,9 +374,8 @@ router.post('/verify-email', async (req, res) => {
     // 清理临时数据
     await redisClient.del(`pending:user:${username}`);
 
-    // 生成JWT token
-    const accessToken = await generateToken(username, 'access');
-    const refreshToken = await generateToken(username, 'refresh');
+    // 生成JWT token（【修改】每次登录创建一个新会话）
+    const { accessToken, refreshToken } = await issueTokens(username, getSessionMeta(req));
 
     res.status(201).json({
       message: '注册成功',
@@ -319,6 +385,10 @@ router.post('/verify-email', async (req, res) => {
       username: username
     });
   } catch (error) {
+    if (error.cause === 'rate_limited') {
+      return sendTooManyAttempts(res, error);
+    }
+
     console.error('Verify email error:', error);
 
     // 使用安全错误处理
@@ -357,14 +427,12 @@ router.post('/refresh', async (req, res) => {
       return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    // 验证refresh token
-    const username = await verifyToken(refresh_token, true);
-
-    // 生成新的access token
-    const newAccessToken = await generateToken(username, 'access');
+    // 【修改】验证并轮换refresh token：旧的refresh token立即失效，重复使用会作废整个会话
+    const { accessToken, refreshToken } = await rotateRefreshToken(refresh_token, getSessionMeta(req));
 
     res.json({
-      access_token: newAccessToken,
+      access_token: accessToken,
+      refresh_token: refreshToken,
       expires_in: parseInt(process.env.ACCESS_TOKEN_EXPIRE) || 7200
     });
   } catch (error) {
@@ -377,6 +445,8 @@ router.post('/refresh', async (req, res) => {
       error.code = 'TOKEN_INVALID';
     } else if (error.message === 'Invalid token type') {
       error.code = 'TOKEN_TYPE_INVALID';
+    } else if (error.message === 'Token revoked') {
+      error.code = 'TOKEN_REVOKED';
     } else {
       error.code = 'AUTH_ERROR';
     }
@@ -447,7 +517,8 @@ router.post('/change-password', async (req, res) => {
       return res.status(401).json({ error: 'Token required' });
     }
 
-    const username = await verifyToken(token);
+    const claims = await verifyTokenClaims(token);
+    const username = claims.sub;
 
     // 获取用户信息
     const result = await dbClient.query(
@@ -462,13 +533,13 @@ router.post('/change-password', async (req, res) => {
     const user = result.rows[0];
 
     // 验证当前密码
-    const currentPasswordHash = await bcrypt(currentPassword);
-    if (currentPasswordHash !== user.password_hash) {
+    const { valid } = await verifyPassword(currentPassword, user.password_hash);
+    if (!valid) {
       return res.status(400).json({ error: '当前密码错误' });
     }
 
     // 生成新密码哈希
-    const newPasswordHash = await bcrypt(newPassword);
+    const newPasswordHash = await hashPassword(newPassword);
 
     // 更新密码
     await dbClient.query(
@@ -476,8 +547,15 @@ router.post('/change-password', async (req, res) => {
       [newPasswordHash, username]
     );
 
+    // 【新增】作废所有会话（包括当前会话），并为当前设备签发新的token
+    await sessionService.revokeAllSessions(username);
+    const { accessToken, refreshToken } = await issueTokens(username, getSessionMeta(req));
+
     res.json({
-      message: '密码修改成功'
+      message: '密码修改成功',
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expires_in: parseInt(process.env.ACCESS_TOKEN_EXPIRE) || 7200
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -602,12 +680,22 @@ router.post('/reset-password', async (req, res) => {
       return res.status(400).json({ error: '新密码至少需要6个字符' });
     }
 
+    // 【新增】防暴力破解：按邮箱和IP统计验证码错误次数
+    const attemptSubjects = { account: email, ip: req.ip };
+    await bruteForceService.reserveAttempt(bruteForceService.ACTIONS.VERIFY_CODE, attemptSubjects, { ip: req.ip });
+
+    // 只有验证码错误计为失败，其他结果归还预占的次数
+    const rejectReset = async (error) => {
+      await bruteForceService.releaseAttempt(bruteForceService.ACTIONS.VERIFY_CODE, attemptSubjects);
+      return res.status(400).json({ error });
+    };
+
     // 获取重置验证码数据
     const redisClient = require('../services/redisClient');
     const resetDataString = await redisClient.get(`reset:${email}`);
 
     if (!resetDataString) {
-      return res.status(400).json({ error: '验证码不存在或已过期' });
+      return rejectReset('验证码不存在或已过期');
     }
 
     const resetData = JSON.parse(resetDataString);
@@ -615,13 +703,13 @@ router.post('/reset-password', async (req, res) => {
     // 检查是否过期
     if (Date.now() > resetData.expireTime) {
       await redisClient.del(`reset:${email}`);
-      return res.status(400).json({ error: '验证码已过期' });
+      return rejectReset('验证码已过期');
     }
 
     // 检查尝试次数
     if (resetData.attempts >= resetData.maxAttempts) {
       await redisClient.del(`reset:${email}`);
-      return res.status(400).json({ error: '验证码尝试次数过多，请重新获取' });
+      return rejectReset('验证码尝试次数过多，请重新获取');
     }
 
     // 验证码错误，增加尝试次数
@@ -631,14 +719,19 @@ router.post('/reset-password', async (req, res) => {
       return res.status(400).json({ error: '验证码错误' });
     }
 
+    await bruteForceService.recordSuccess(bruteForceService.ACTIONS.VERIFY_CODE, attemptSubjects);
+
     // 验证成功，更新密码
-    const newPasswordHash = await bcrypt(newPassword);
+    const newPasswordHash = await hashPassword(newPassword);
 
     await dbClient.query(
       'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE username = $2',
       [newPasswordHash, resetData.username]
     );
 
+    // 【新增】重置密码后作废该用户的所有会话
+    await sessionService.revokeAllSessions(resetData.username);
+
     // 删除重置验证码
     await redisClient.del(`reset:${email}`);
 
@@ -646,6 +739,10 @@ router.post('/reset-password', async (req, res) => {
       message: '密码重置成功，请使用新密码登录'
     });
   } catch (error) {
+    if (error.cause === 'rate_limited') {
+      return sendTooManyAttempts(res, error);
+    }
+
     console.error('Reset password error:', error);
 
     // 使用安全错误处理
@@ -662,4 +759,121 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// 【新增】会话接口的错误处理：token相关错误返回401，其他返回500
+function sendSessionError(res, error, label) {
+  console.error(`${label} error:`, error);
+
+  const isDevelopment = process.env.NODE_ENV === 'development';
+  const safeResponse = createSafeErrorResponse(error, {
+    includeCode: false,
+    isDevelopment: isDevelopment
+  });
+
+  if (error.message.includes('Token') || error.message.includes('Invalid')) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      code: error.message === 'Token revoked' ? 'TOKEN_REVOKED' : 'AUTH_ERROR',
+      timestamp: safeResponse.timestamp
+    });
+  }
+
+  res.status(500).json({
+    error: safeResponse.error,
+    timestamp: safeResponse.timestamp
+  });
+}
+
+// 【新增】退出登录：作废当前会话（可以用access token，也可以在请求体中传refresh_token）
+router.post('/logout', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const refreshToken = req.body && req.body.refresh_token;
+
+    if (!token && !refreshToken) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const claims = token ? await verifyTokenClaims(token) : await verifyTokenClaims(refreshToken, true);
+
+    // 没有会话ID的旧token无法单独作废，会在过期后自然失效
+    if (claims.fam) {
+      await sessionService.revokeSession(claims.sub, claims.fam);
+    }
+
+    res.json({
+      success: true,
+      message: '已退出登录'
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Logout');
+  }
+});
+
+// 【新增】会话列表
+router.get('/sessions', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const claims = await verifyTokenClaims(token);
+    const sessions = await sessionService.listSessions(claims.sub);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === claims.fam
+      }))
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'List sessions');
+  }
+});
+
+// 【新增】作废指定会话
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const username = await verifyToken(token);
+    const revoked = await sessionService.revokeSession(username, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: '会话不存在或已失效' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    sendSessionError(res, error, 'Revoke session');
+  }
+});
+
+// 【新增】作废除当前会话以外的所有会话（?includeCurrent=true 时连同当前会话一起作废）
+router.delete('/sessions', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const claims = await verifyTokenClaims(token);
+    const includeCurrent = req.query.includeCurrent === 'true';
+    // 当前token没有会话ID（旧token）时无法保留当前会话，全部作废
+    const revokedCount = await sessionService.revokeAllSessions(claims.sub, {
+      exceptFamilyId: includeCurrent ? null : (claims.fam || null)
+    });
+
+    res.json({
+      success: true,
+      revokedCount
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Revoke sessions');
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, createAuthMiddleware } = require('../middleware/auth');
+
+// 【新增】自动标注接口也接受带 tts 权限的个人API密钥（管理员统计接口只接受登录token）
+const ttsAuthMiddleware = createAuthMiddleware({ apiKeyScope: 'tts' });
 const { checkVip } = require('../services/authService');
 const autoTagAudit = require('../utils/autoTagAudit');
 
@@ -103,7 +106,7 @@ async function callAutoTagAPI(text, language = 'auto') {
  * POST /api/auto-tag/process
  * 自动标注文本处理端点
  */
-router.post('/process', authMiddleware, async (req, res) => {
+router.post('/process', ttsAuthMiddleware, async (req, res) => {
   const startTime = Date.now();
   let auditData = {
     username: req.user?.username || 'unknown',
@@ -223,7 +226,7 @@ router.post('/process', authMiddleware, async (req, res) => {
  * GET /api/auto-tag/status
  * 获取用户的使用状态
  */
-router.get('/status', authMiddleware, async (req, res) => {
+router.get('/status', ttsAuthMiddleware, async (req, res) => {
   try {
     const username = req.user.username;
     const userUsage = usageTracker.get(username) || { count: 0, resetTime: Date.now() + RATE_LIMIT_WINDOW };
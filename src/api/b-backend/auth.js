@@ -20,6 +20,7 @@ router.use(bBackendAuthMiddleware);
 /**
  * POST /api/b-backend/auth/verify
  * 验证JWT Token并返回用户名
+ * 同时接受RFC 7519格式（header带kid）和过渡期内的旧格式token，两种格式的响应完全相同
  * 
  * 请求体:
  * {
@@ -91,6 +92,7 @@ router.post('/verify', async (req, res, next) => {
     // 根据错误类型返回适当的状态码
     if (error.message.includes('Invalid token') || 
         error.message.includes('Token expired') ||
+        error.message.includes('Token revoked') ||
         error.message.includes('Invalid signature')) {
       return res.status(401).json({
         error: 'Token验证失败',
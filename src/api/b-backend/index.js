@@ -58,7 +58,7 @@ router.get('/info', (req, res) => {
       {
         path: '/api/b-backend/auth/verify',
         method: 'POST',
-        description: '验证JWT Token并返回用户名',
+        description: '验证JWT Token并返回用户名（支持RFC 7519格式和过渡期内的旧格式）',
         parameters: {
           token: 'string (required) - JWT token'
         }
@@ -69,7 +69,7 @@ router.get('/info', (req, res) => {
         description: '用户注册完成 - A后端验证成功后调用',
         parameters: {
           username: 'string (required) - 用户名',
-          passwordHash: 'string (required) - 密码哈希',
+          passwordHash: 'string (required) - 密码哈希（scrypt新格式 $scrypt$v1$... 或迁移期间的旧格式）',
           email: 'string (optional) - 邮箱地址',
           createdAt: 'number (optional) - 创建时间戳'
         }
@@ -77,10 +77,10 @@ router.get('/info', (req, res) => {
       {
         path: '/api/b-backend/users/reset-password',
         method: 'POST',
-        description: '密码重置 - A后端验证成功后调用',
+        description: '密码重置 - A后端验证成功后调用（同时作废该用户的所有登录会话）',
         parameters: {
           username: 'string (required) - 用户名',
-          newPasswordHash: 'string (required) - 新密码哈希',
+          newPasswordHash: 'string (required) - 新密码哈希（scrypt新格式 $scrypt$v1$... 或迁移期间的旧格式）',
           passwordUpdatedAt: 'number (optional) - 密码更新时间戳'
         }
       },
@@ -91,7 +91,8 @@ router.get('/info', (req, res) => {
         parameters: {
           username: 'string (required) - 用户名',
           requiredTier: 'string (optional) - 要求的VIP等级 (STANDARD/PRO)',
-          requestedChars: 'number (optional) - 请求的字符数'
+          requestedChars: 'number (optional) - 请求的字符数',
+          model: 'string (optional) - 模型ID，按模型倍率计算计费字符数'
         }
       },
       {
@@ -100,10 +101,23 @@ router.get('/info', (req, res) => {
         description: '更新用户使用量',
         parameters: {
           username: 'string (required) - 用户名',
-          charCount: 'number (required) - 使用的字符数'
+          charCount: 'number (required) - 使用的字符数',
+          taskId: 'string (optional) - 任务ID，记录到使用流水',
+          model: 'string (optional) - 模型ID，按模型倍率计费'
         }
       }
     ],
+    idempotency: {
+      header: 'Idempotency-Key: {key}',
+      bodyField: 'requestId',
+      endpoints: [
+        '/api/b-backend/users/register',
+        '/api/b-backend/users/reset-password',
+        '/api/b-backend/users/update-usage'
+      ],
+      ttl: parseInt(process.env.B_BACKEND_IDEMPOTENCY_TTL || '86400'),
+      description: '窗口期内使用相同幂等键的重试直接返回首次的响应（带 Idempotent-Replayed: true 头），不会重复执行'
+    },
     authentication: {
       type: 'Bearer Token',
       header: 'Authorization: Bearer {API_SECRET_TOKEN}',
@@ -3,7 +3,13 @@
  * 用于Cloudflare Workers调用PostgreSQL API的认证和安全控制
  */
 
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
+const redisClient = require('../../services/redisClient');
+const { getIdempotencyConfig } = require('../../utils/config');
+
+// 幂等键格式：1-128个可见ASCII字符
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7E]{1,128}$/;
 
 /**
  * B后端API认证中间件
@@ -142,6 +148,111 @@ function bBackendLoggingMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * 【新增】B后端API幂等中间件
+ * Cloudflare Worker在超时后会重试写操作，同一个幂等键（Idempotency-Key 请求头或请求体中的 requestId）
+ * 只会被执行一次：首次请求在Redis中占位，完成后保存响应，窗口期内的重试直接返回保存的响应。
+ * - 同一幂等键仍在处理中：返回409，客户端稍后重试即可拿到结果
+ * - 同一幂等键但请求体不同：返回422，避免误用
+ * - 5xx响应不保存，允许客户端重试
+ * Redis不可用时不阻断请求（退化为非幂等）。
+ */
+async function bBackendIdempotencyMiddleware(req, res, next) {
+  const headerKey = req.get('Idempotency-Key');
+  const bodyKey = req.body && req.body.requestId;
+  const idempotencyKey = headerKey !== undefined ? headerKey : bodyKey;
+
+  if (idempotencyKey === undefined || idempotencyKey === null) {
+    return next();
+  }
+
+  if (typeof idempotencyKey !== 'string' || !IDEMPOTENCY_KEY_REGEX.test(idempotencyKey)) {
+    return res.status(400).json({
+      error: 'Idempotency-Key/requestId必须是1-128个可见字符',
+      code: 4000,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { TTL, LOCK_TTL } = getIdempotencyConfig();
+  const redisKey = `idempotency:b-backend:${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`;
+
+  // 请求指纹：不含requestId本身的请求体
+  const { requestId, ...payload } = req.body || {};
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+  let acquired;
+  try {
+    acquired = await redisClient.client.set(
+      redisKey,
+      JSON.stringify({ state: 'processing', fingerprint, startedAt: Date.now() }),
+      'EX', LOCK_TTL, 'NX'
+    );
+  } catch (error) {
+    console.error('[B-BACKEND-IDEMPOTENCY] Redis不可用，跳过幂等检查:', error.message);
+    return next();
+  }
+
+  if (acquired !== 'OK') {
+    let stored;
+    try {
+      stored = JSON.parse(await redisClient.get(redisKey));
+    } catch (error) {
+      console.error('[B-BACKEND-IDEMPOTENCY] 读取幂等记录失败，跳过幂等检查:', error.message);
+      return next();
+    }
+
+    // 记录恰好过期，按新请求处理
+    if (!stored) {
+      return bBackendIdempotencyMiddleware(req, res, next);
+    }
+
+    if (stored.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        error: '幂等键已被用于不同的请求内容',
+        code: 4022,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (stored.state === 'processing') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        error: '相同幂等键的请求正在处理中，请稍后重试',
+        code: 4009,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`[B-BACKEND-IDEMPOTENCY] 重放已完成的请求 ${req.method} ${req.baseUrl}${req.path} (${idempotencyKey})`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(stored.statusCode).json(stored.body);
+  }
+
+  // 拦截响应，保存结果供重试时返回
+  const originalJson = res.json;
+  res.json = function(body) {
+    const statusCode = res.statusCode;
+    const persist = statusCode >= 500
+      ? redisClient.del(redisKey)
+      : redisClient.setex(redisKey, TTL, JSON.stringify({
+        state: 'completed',
+        fingerprint,
+        statusCode,
+        body,
+        completedAt: Date.now()
+      }));
+
+    persist.catch(error => {
+      console.error('[B-BACKEND-IDEMPOTENCY] 保存幂等结果失败:', error.message);
+    });
+
+    return originalJson.call(this, body);
+  };
+
+  next();
+}
+
 /**
  * B后端API错误处理中间件
  */
@@ -192,5 +303,6 @@ module.exports = {
   bBackendAuthMiddleware,
   bBackendRateLimitMiddleware,
   bBackendLoggingMiddleware,
+  bBackendIdempotencyMiddleware,
   bBackendErrorMiddleware
 };
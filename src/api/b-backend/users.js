@@ -4,12 +4,16 @@
  */
 
 const express = require('express');
-const { checkVip, updateUserUsage, bcrypt, calculateQuotaDetails, getNextMonthResetTimestamp } = require('../../services/authService');
+const { checkVip, updateUserUsage, calculateQuotaDetails, getNextMonthResetTimestamp } = require('../../services/authService');
+const { isSupportedPasswordHash } = require('../../utils/passwordHash');
 const { isValidUsername, isValidEmail } = require('../../utils/validators');
 const dbClient = require('../../services/dbClient');
+const usageLedgerService = require('../../services/usageLedgerService');
+const sessionService = require('../../services/sessionService');
 const {
   bBackendAuthMiddleware,
   bBackendLoggingMiddleware,
+  bBackendIdempotencyMiddleware,
   bBackendErrorMiddleware
 } = require('./middleware');
 
@@ -88,11 +92,12 @@ router.use(bBackendAuthMiddleware);
 /**
  * POST /api/b-backend/users/register
  * 用户注册完成接口 - A后端验证成功后调用
+ * 支持幂等：可通过 Idempotency-Key 请求头或请求体 requestId 字段传入幂等键，重试时返回首次的响应
  *
  * 请求体:
  * {
  *   "username": "user123",
- *   "passwordHash": "hashed_password",
+ *   "passwordHash": "hashed_password",   // scrypt新格式（$scrypt$v1$...）或迁移期间的旧格式
  *   "email": "user@example.com",
  *   "createdAt": 1640995200000
  * }
@@ -118,7 +123,7 @@ router.use(bBackendAuthMiddleware);
  *   "timestamp": "2024-07-27T10:30:00.000Z"
  * }
  */
-router.post('/register', async (req, res, next) => {
+router.post('/register', bBackendIdempotencyMiddleware, async (req, res, next) => {
   try {
     const { username, passwordHash, email, createdAt } = req.body;
 
@@ -148,6 +153,15 @@ router.post('/register', async (req, res, next) => {
       });
     }
 
+    // 【新增】只接受可识别的密码哈希格式，避免写入无法登录的哈希
+    if (!isSupportedPasswordHash(passwordHash)) {
+      return res.status(400).json({
+        error: 'passwordHash格式不正确',
+        code: 4000,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // 验证邮箱格式（如果提供）
     if (email && !isValidEmail(email)) {
       return res.status(400).json({
@@ -265,12 +279,13 @@ router.post('/register', async (req, res, next) => {
 
 /**
  * POST /api/b-backend/users/reset-password
- * 密码重置接口 - A后端验证成功后调用
+ * 密码重置接口 - A后端验证成功后调用，重置后该用户的所有登录会话失效
+ * 支持幂等：可通过 Idempotency-Key 请求头或请求体 requestId 字段传入幂等键，重试时返回首次的响应
  *
  * 请求体:
  * {
  *   "username": "user123",
- *   "newPasswordHash": "new_hashed_password",
+ *   "newPasswordHash": "new_hashed_password",   // scrypt新格式（$scrypt$v1$...）或迁移期间的旧格式
  *   "passwordUpdatedAt": 1640995200000
  * }
  *
@@ -289,7 +304,7 @@ router.post('/register', async (req, res, next) => {
  *   "timestamp": "2024-07-27T10:30:00.000Z"
  * }
  */
-router.post('/reset-password', async (req, res, next) => {
+router.post('/reset-password', bBackendIdempotencyMiddleware, async (req, res, next) => {
   try {
     const { username, newPasswordHash, passwordUpdatedAt } = req.body;
 
@@ -319,6 +334,15 @@ router.post('/reset-password', async (req, res, next) => {
       });
     }
 
+    // 【新增】只接受可识别的密码哈希格式
+    if (!isSupportedPasswordHash(newPasswordHash)) {
+      return res.status(400).json({
+        error: 'newPasswordHash格式不正确',
+        code: 4000,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // 检查用户是否存在
     const userResult = await dbClient.query(
       'SELECT id, username, email, vip_info, usage_stats FROM users WHERE username = $1',
@@ -345,6 +369,9 @@ router.post('/reset-password', async (req, res, next) => {
       ]
     );
 
+    // 【新增】重置密码后作废该用户的所有会话
+    await sessionService.revokeAllSessions(username);
+
     // 记录成功的密码重置
     console.log('[B-BACKEND-USERS] 密码重置成功', {
       username,
@@ -379,7 +406,8 @@ router.post('/reset-password', async (req, res, next) => {
  * {
  *   "username": "user123",
  *   "requiredTier": "STANDARD", // 可选，默认"STANDARD"
- *   "requestedChars": 1000      // 可选，默认0（不检查配额）
+ *   "requestedChars": 1000,     // 可选，默认0（不检查配额），原始字符数
+ *   "model": "eleven_v3"        // 可选，按模型倍率计算计费字符数
  * }
  * 
  * 响应:
@@ -387,6 +415,7 @@ router.post('/reset-password', async (req, res, next) => {
  * {
  *   "success": true,
  *   "message": "配额检查通过",
+ *   "billing": { "model": "eleven_v3", "rawChars": 1000, "billedChars": 2000, "multiplier": 2 },
  *   "timestamp": "2024-07-27T10:30:00.000Z"
  * }
  * 
@@ -399,7 +428,7 @@ router.post('/reset-password', async (req, res, next) => {
  */
 router.post('/check-quota', async (req, res, next) => {
   try {
-    const { username, requiredTier = 'STANDARD', requestedChars = 0 } = req.body;
+    const { username, requiredTier = 'STANDARD', requestedChars = 0, model } = req.body;
 
     // 参数验证
     if (!username) {
@@ -434,8 +463,16 @@ router.post('/check-quota', async (req, res, next) => {
       });
     }
 
-    // 调用现有的checkVip服务
-    await checkVip(username, requiredTier, requestedChars);
+    if (model !== undefined && typeof model !== 'string') {
+      return res.status(400).json({
+        error: 'model必须是字符串类型',
+        code: 4000,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // 调用现有的checkVip服务（按模型倍率计算计费字符数）
+    const billing = await checkVip(username, requiredTier, requestedChars, model);
 
     // 记录成功的配额检查
     if (process.env.B_BACKEND_API_LOG_LEVEL === 'debug') {
@@ -451,6 +488,12 @@ router.post('/check-quota', async (req, res, next) => {
     res.json({
       success: true,
       message: '配额检查通过',
+      billing: {
+        model: billing.model,
+        rawChars: billing.rawChars,
+        billedChars: billing.billedChars,
+        multiplier: billing.multiplier
+      },
       timestamp: new Date().toISOString()
     });
 
@@ -481,11 +524,14 @@ router.post('/check-quota', async (req, res, next) => {
 /**
  * POST /api/b-backend/users/update-usage
  * 更新用户使用量
+ * 支持幂等：可通过 Idempotency-Key 请求头或请求体 requestId 字段传入幂等键，重试时返回首次的响应
  * 
  * 请求体:
  * {
  *   "username": "user123",
- *   "charCount": 1000
+ *   "charCount": 1000,
+ *   "taskId": "可选，B后端的任务ID，记录到使用流水中",
+ *   "model": "可选，按模型倍率计费（charCount为原始字符数）"
  * }
  * 
  * 响应:
@@ -493,6 +539,8 @@ router.post('/check-quota', async (req, res, next) => {
  * {
  *   "success": true,
  *   "message": "使用量更新成功",
+ *   "rawChars": 1000,
+ *   "billedChars": 2000,
  *   "timestamp": "2024-07-27T10:30:00.000Z"
  * }
  * 
@@ -503,9 +551,9 @@ router.post('/check-quota', async (req, res, next) => {
  *   "timestamp": "2024-07-27T10:30:00.000Z"
  * }
  */
-router.post('/update-usage', async (req, res, next) => {
+router.post('/update-usage', bBackendIdempotencyMiddleware, async (req, res, next) => {
   try {
-    const { username, charCount } = req.body;
+    const { username, charCount, taskId, model } = req.body;
 
     // 参数验证
     if (!username) {
@@ -540,8 +588,24 @@ router.post('/update-usage', async (req, res, next) => {
       });
     }
 
-    // 调用现有的updateUserUsage服务
-    await updateUserUsage(username, charCount);
+    if (taskId !== undefined && (typeof taskId !== 'string' || taskId.length > 64)) {
+      return res.status(400).json({
+        error: 'taskId必须是不超过64个字符的字符串',
+        code: 4000,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (model !== undefined && typeof model !== 'string') {
+      return res.status(400).json({
+        error: 'model必须是字符串类型',
+        code: 4000,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // 调用现有的updateUserUsage服务（流水来源记为b-backend，按模型倍率计费）
+    const usage = await updateUserUsage(username, charCount, { source: usageLedgerService.SOURCES.B_BACKEND, taskId: taskId || null, model });
 
     // 记录成功的使用量更新
     if (process.env.B_BACKEND_API_LOG_LEVEL === 'debug') {
@@ -556,6 +620,8 @@ router.post('/update-usage', async (req, res, next) => {
     res.json({
       success: true,
       message: '使用量更新成功',
+      rawChars: usage.rawChars,
+      billedChars: usage.billedChars,
       timestamp: new Date().toISOString()
     });
 
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, verifyCard, useCard } = require('../services/authService');
-const { isValidCardCode } = require('../utils/validators');
+const { verifyToken, verifyCard, useCard, previewCard } = require('../services/authService');
+const cardLifecycleService = require('../services/cardLifecycleService');
+const bruteForceService = require('../services/bruteForceService');
+const { sendTooManyAttempts } = require('../utils/helpers');
+const { isValidCardCode, validatePaginationParams } = require('../utils/validators');
 
 // 使用卡密
 router.post('/use', async (req, res) => {
@@ -26,14 +29,24 @@ router.post('/use', async (req, res) => {
 
     const username = await verifyToken(token);
 
-    // 验证卡密
-    const card = await verifyCard(code);
-    if (!card) {
-      return res.status(400).json({ error: '卡密无效或已被使用' });
-    }
+    // 【新增】防暴力破解：按用户、IP和卡密前缀统计无效卡密次数
+    const attemptSubjects = bruteForceService.getCardSubjects(username, code, req.ip);
+    await bruteForceService.reserveAttempt(bruteForceService.ACTIONS.CARD, attemptSubjects, { ip: req.ip });
 
-    // 使用卡密
-    const updatedVip = await useCard(code, username);
+    // 验证并使用卡密（已使用、作废、过期的卡密会抛出带原因的异常，由下方统一返回400）
+    // 只有不存在的卡密计为失败，其他异常归还预占的次数
+    let updatedVip;
+    try {
+      const card = await verifyCard(code);
+      if (!card) {
+        return res.status(400).json({ error: '无效的卡密' });
+      }
+      updatedVip = await useCard(code, username);
+    } catch (error) {
+      await bruteForceService.releaseAttempt(bruteForceService.ACTIONS.CARD, attemptSubjects);
+      throw error;
+    }
+    await bruteForceService.recordSuccess(bruteForceService.ACTIONS.CARD, attemptSubjects);
 
     res.json({
       quota: {
@@ -45,6 +58,10 @@ router.post('/use', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.cause === 'rate_limited') {
+      return sendTooManyAttempts(res, error);
+    }
+
     console.error('Use card error:', error);
     
     // 区分认证错误和业务错误
@@ -60,4 +77,110 @@ router.post('/use', async (req, res) => {
   }
 });
 
+// 【新增】兑换预览：返回兑换后的套餐类型、到期时间和字符配额，不实际兑换
+router.post('/preview', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ 
+        error: 'Unauthorized',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({ error: 'Card code required' });
+    }
+
+    if (!isValidCardCode(code)) {
+      return res.status(400).json({ error: '卡密格式不正确' });
+    }
+
+    const username = await verifyToken(token);
+
+    // 【新增】预览同样可以用来猜测卡密，与兑换共用失败统计
+    const attemptSubjects = bruteForceService.getCardSubjects(username, code, req.ip);
+    await bruteForceService.reserveAttempt(bruteForceService.ACTIONS.CARD, attemptSubjects, { ip: req.ip });
+
+    let preview;
+    try {
+      preview = await previewCard(code, username);
+    } catch (error) {
+      if (error.message !== '无效的卡密') {
+        await bruteForceService.releaseAttempt(bruteForceService.ACTIONS.CARD, attemptSubjects);
+      }
+      throw error;
+    }
+    // 预览成功不清除失败次数，只归还本次预占
+    await bruteForceService.releaseAttempt(bruteForceService.ACTIONS.CARD, attemptSubjects);
+
+    res.json({
+      preview: true,
+      ...preview
+    });
+  } catch (error) {
+    if (error.cause === 'rate_limited') {
+      return sendTooManyAttempts(res, error);
+    }
+
+    console.error('Preview card error:', error);
+
+    if (error.message.includes('Token') || error.message.includes('Invalid token')) {
+      res.status(401).json({ 
+        error: 'Authentication failed',
+        code: 'TOKEN_INVALID'
+      });
+    } else {
+      res.status(400).json({ error: error.message });
+    }
+  }
+});
+
+// 【新增】当前用户的卡密兑换记录
+router.get('/history', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ 
+        error: 'Unauthorized',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    const username = await verifyToken(token);
+
+    const validation = validatePaginationParams(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({ errors: validation.errors });
+    }
+
+    const { limit, offset } = validation.params;
+    const { history, total } = await cardLifecycleService.getRedemptionHistory(username, { limit, offset });
+
+    res.json({
+      history,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    });
+  } catch (error) {
+    console.error('Get card history error:', error);
+
+    if (error.message.includes('Token') || error.message.includes('Invalid token')) {
+      res.status(401).json({ 
+        error: 'Authentication failed',
+        code: 'TOKEN_INVALID'
+      });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
 module.exports = router;
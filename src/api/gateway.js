@@ -70,6 +70,10 @@ router.get('/stats', async (req, res) => {
       ? (stats.manager.successfulRequests / stats.manager.totalRequests * 100).toFixed(2)
       : 0;
     
+    // chunk音频缓存统计（命中的片段不会产生上游请求）
+    const audioCacheService = require('../services/audioCacheService');
+    const audioCacheStats = await audioCacheService.getStats();
+
     const response = {
       timestamp: new Date().toISOString(),
       summary: {
@@ -78,8 +82,10 @@ router.get('/stats', async (req, res) => {
         failedRequests: stats.manager.failedRequests,
         successRate: `${successRate}%`,
         currentMode: stats.mode,
-        initialized: stats.initialized
+        initialized: stats.initialized,
+        audioCacheHitRate: `${(audioCacheStats.hitRate * 100 || 0).toFixed(2)}%`
       },
+      audioCache: audioCacheStats,
       details: stats
     };
     
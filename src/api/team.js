@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, useCardForTeam, calculateQuotaDetails } = require('../services/authService');
+const teamService = require('../services/teamService');
+const { isValidCardCode } = require('../utils/validators');
+const bruteForceService = require('../services/bruteForceService');
+const { sendTooManyAttempts } = require('../utils/helpers');
+
+// 从请求头中验证用户，未携带token时返回null
+async function authenticate(req) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return null;
+  }
+  return verifyToken(token);
+}
+
+function handleTeamError(res, error, label) {
+  if (error.cause === 'rate_limited') {
+    return sendTooManyAttempts(res, error);
+  }
+
+  console.error(`${label} error:`, error);
+
+  if (error.message.includes('Token') || error.message.includes('Invalid')) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      code: 'TOKEN_INVALID'
+    });
+  }
+  if (error.cause === 'forbidden') {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.cause === 'not_found') {
+    return res.status(404).json({ error: error.message });
+  }
+  // 业务逻辑错误（如已加入其他团队、邀请失效等）
+  return res.status(400).json({ error: error.message });
+}
+
+function sendNoToken(res) {
+  return res.status(401).json({
+    error: 'Unauthorized',
+    code: 'NO_TOKEN'
+  });
+}
+
+// 创建团队
+router.post('/', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: '团队名称不能为空且不能超过100个字符' });
+    }
+
+    const team = await teamService.createTeam(username, name);
+    res.json({ success: true, team });
+  } catch (error) {
+    handleTeamError(res, error, 'Create team');
+  }
+});
+
+// 当前用户所在团队（字符池、成员及各成员消耗）
+router.get('/', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const team = await teamService.getTeamForUser(username);
+    if (!team) {
+      return res.json({ team: null });
+    }
+
+    const quotaDetails = calculateQuotaDetails({ vip_info: team.vip });
+    res.json({
+      team: {
+        teamId: team.teamId,
+        name: team.name,
+        owner: team.owner,
+        role: team.role,
+        pool: {
+          type: team.vip.type || null,
+          expireAt: team.vip.expireAt || 0,
+          quotaChars: quotaDetails.quotaChars,
+          usedChars: quotaDetails.usedChars,
+          remainingChars: quotaDetails.remainingChars,
+          usagePercentage: quotaDetails.usagePercentage,
+          monthlyChars: team.usage.monthlyChars || 0,
+          totalChars: team.usage.totalChars || 0
+        },
+        members: team.members
+      }
+    });
+  } catch (error) {
+    handleTeamError(res, error, 'Get team');
+  }
+});
+
+// 为团队字符池兑换卡密（所有者或管理员）
+router.post('/cards/use', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Card code required' });
+    }
+    if (!isValidCardCode(code)) {
+      return res.status(400).json({ error: '卡密格式不正确' });
+    }
+
+    // 【新增】防暴力破解：与个人兑换共用无效卡密的失败统计
+    const attemptSubjects = bruteForceService.getCardSubjects(username, code, req.ip);
+    await bruteForceService.reserveAttempt(bruteForceService.ACTIONS.CARD, attemptSubjects, { ip: req.ip });
+
+    let result;
+    try {
+      result = await useCardForTeam(code, username);
+    } catch (error) {
+      if (error.message !== '无效的卡密') {
+        await bruteForceService.releaseAttempt(bruteForceService.ACTIONS.CARD, attemptSubjects);
+      }
+      throw error;
+    }
+    await bruteForceService.recordSuccess(bruteForceService.ACTIONS.CARD, attemptSubjects);
+
+    const { teamId, vip } = result;
+    res.json({
+      teamId,
+      quota: {
+        type: vip.type,
+        expireAt: vip.expireAt,
+        quotaChars: vip.quotaChars,
+        usedChars: vip.usedChars,
+        remainingChars: Math.max(0, vip.quotaChars - vip.usedChars)
+      }
+    });
+  } catch (error) {
+    handleTeamError(res, error, 'Team card use');
+  }
+});
+
+// 创建邀请（所有者或管理员），返回的token由邀请人分享给被邀请人
+router.post('/invitations', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const { invitee, role = 'member' } = req.body;
+    if (invitee !== undefined && invitee !== null && (typeof invitee !== 'string' || !invitee.trim())) {
+      return res.status(400).json({ error: 'invitee 必须是用户名或邮箱' });
+    }
+
+    const invitation = await teamService.createInvitation(username, {
+      invitee: invitee ? invitee.trim() : null,
+      role
+    });
+    res.json({ success: true, invitation });
+  } catch (error) {
+    handleTeamError(res, error, 'Create team invitation');
+  }
+});
+
+// 待接受的邀请列表（所有者或管理员）
+router.get('/invitations', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const invitations = await teamService.listInvitations(username);
+    res.json({ invitations });
+  } catch (error) {
+    handleTeamError(res, error, 'List team invitations');
+  }
+});
+
+// 撤销邀请（所有者或管理员）
+router.delete('/invitations/:id', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const invitationId = parseInt(req.params.id);
+    if (!Number.isInteger(invitationId) || invitationId <= 0) {
+      return res.status(400).json({ error: '邀请ID不正确' });
+    }
+
+    const revoked = await teamService.revokeInvitation(username, invitationId);
+    if (!revoked) {
+      return res.status(404).json({ error: '邀请不存在或已处理' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    handleTeamError(res, error, 'Revoke team invitation');
+  }
+});
+
+// 接受邀请加入团队
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Invitation token required' });
+    }
+
+    const team = await teamService.acceptInvitation(token, username);
+    res.json({ success: true, team });
+  } catch (error) {
+    handleTeamError(res, error, 'Accept team invitation');
+  }
+});
+
+// 修改成员角色（所有者）或每月字符上限（所有者、管理员），monthlyCap 为 null 表示不限制
+router.put('/members/:username', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    const { role, monthlyCap } = req.body;
+    if (role === undefined && monthlyCap === undefined) {
+      return res.status(400).json({ error: '没有需要更新的字段' });
+    }
+    if (monthlyCap !== undefined && monthlyCap !== null && (!Number.isInteger(monthlyCap) || monthlyCap < 0)) {
+      return res.status(400).json({ error: 'monthlyCap 必须是非负整数或null' });
+    }
+
+    const member = await teamService.updateMember(username, req.params.username, { role, monthlyCap });
+    res.json({ success: true, member });
+  } catch (error) {
+    handleTeamError(res, error, 'Update team member');
+  }
+});
+
+// 移除成员；成员移除自己即退出团队
+router.delete('/members/:username', async (req, res) => {
+  try {
+    const username = await authenticate(req);
+    if (!username) {
+      return sendNoToken(res);
+    }
+
+    await teamService.removeMember(username, req.params.username);
+    res.json({ success: true });
+  } catch (error) {
+    handleTeamError(res, error, 'Remove team member');
+  }
+});
+
+module.exports = router;
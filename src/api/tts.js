@@ -1,11 +1,109 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../services/authService');
+const { v4: uuidv4 } = require('uuid');
+const { verifyTokenOrApiKey, estimateBilledChars } = require('../services/authService');
 const redisClient = require('../services/redisClient');
+const ttsProcessor = require('../services/ttsProcessor');
+const usageLedgerService = require('../services/usageLedgerService');
 const { validateTTSParams, validateDialogueTTSParams } = require('../utils/validators');
+const { getOutputFormatInfo, getAudioExtensions, getContentTypeByExtension } = require('../utils/audioFormats');
+const { buildWordTimings, buildCues, toSrt, toVtt } = require('../utils/subtitleUtils');
+const { signShareLink, verifyShareLink } = require('../utils/shareLink');
+const { getShareLinkConfig } = require('../utils/config');
 const path = require('path');
 const fs = require('fs');
 
+// 根据任务的输出格式定位音频文件；任务信息过期（Redis 24小时）后按扩展名查找
+async function resolveAudioFile(taskId) {
+  const taskData = await redisClient.getTaskStatus(taskId);
+
+  if (taskData && taskData.outputFormat) {
+    const format = getOutputFormatInfo(taskData.outputFormat);
+    return {
+      filePath: path.join(process.env.AUDIO_STORAGE_PATH, `${taskId}.${format.extension}`),
+      extension: format.extension,
+      contentType: format.contentType
+    };
+  }
+
+  for (const extension of getAudioExtensions()) {
+    const filePath = path.join(process.env.AUDIO_STORAGE_PATH, `${taskId}.${extension}`);
+    if (fs.existsSync(filePath)) {
+      return { filePath, extension, contentType: getContentTypeByExtension(extension) };
+    }
+  }
+
+  return {
+    filePath: path.join(process.env.AUDIO_STORAGE_PATH, `${taskId}.mp3`),
+    extension: 'mp3',
+    contentType: getContentTypeByExtension('mp3')
+  };
+}
+
+// 【新增】任务所属用户：优先读取Redis中的任务信息，过期（24小时）后查询 task_status，都没有时返回null
+async function getTaskOwner(taskId) {
+  const taskData = await redisClient.getTaskStatus(taskId);
+  if (taskData && taskData.username) {
+    return taskData.username;
+  }
+
+  const dbClient = require('../services/dbClient');
+  const result = await dbClient.query('SELECT username FROM task_status WHERE task_id = $1', [taskId]);
+  return result.rows.length > 0 ? result.rows[0].username : null;
+}
+
+// 【新增】检查任务是否属于当前用户，不通过时直接发送404/403响应并返回false
+async function ensureTaskOwner(res, taskId, username) {
+  const owner = await getTaskOwner(taskId);
+  if (!owner) {
+    res.status(404).json({ error: 'Task not found' });
+    return false;
+  }
+  if (owner !== username) {
+    res.status(403).json({ error: 'Access denied' });
+    return false;
+  }
+  return true;
+}
+
+// 【新增】以播放方式返回音频文件（支持Range请求），/stream 和分享链接共用
+function sendInlineAudio(req, res, { filePath, extension, contentType }) {
+  const stat = fs.statSync(filePath);
+  console.log(`[STREAM] File found, size: ${stat.size} bytes`);
+
+  // 设置CORS头，允许跨域访问
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  // 播放专用响应头
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `inline; filename="audio.${extension}"`);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'public, max-age=3600'); // 1小时缓存
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  // 支持Range请求（断点续传）- 播放优化
+  const range = req.headers.range;
+  if (range) {
+    const parts = range.replace(/bytes=/, "").split("-");
+    const start = parseInt(parts[0], 10);
+    const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1;
+    const chunksize = (end - start) + 1;
+
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    res.setHeader('Content-Length', chunksize);
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.pipe(res);
+  } else {
+    res.setHeader('Content-Length', stat.size);
+    const stream = fs.createReadStream(filePath);
+    stream.pipe(res);
+  }
+}
+
 // 获取任务状态
 router.get('/status/:taskId', async (req, res) => {
   try {
@@ -16,7 +114,7 @@ router.get('/status/:taskId', async (req, res) => {
       return res.status(401).json({ error: 'Token required' });
     }
 
-    await verifyToken(token); // 验证token
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip }); // 验证token或API密钥
 
     const taskData = await redisClient.getTaskStatus(taskId);
 
@@ -24,11 +122,20 @@ router.get('/status/:taskId', async (req, res) => {
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    // 【新增】只能查询自己的任务
+    if (taskData.username !== username) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     res.json({
       taskId,
       status: taskData.status,
       progress: taskData.progress || '',
+      percentage: taskData.percentage ? parseInt(taskData.percentage) : null,
+      streamUrl: taskData.streamUrl || null,
       downloadUrl: taskData.downloadUrl || null,
+      outputFormat: taskData.outputFormat || null,
+      subtitlesUrl: taskData.subtitlesUrl || null,
       error: taskData.error || null,
       createdAt: taskData.createdAt ? parseInt(taskData.createdAt) : null,
       completedAt: taskData.completedAt ? parseInt(taskData.completedAt) : null
@@ -37,6 +144,134 @@ router.get('/status/:taskId', async (req, res) => {
     console.error('Get status error:', error);
     if (error.message.includes('Token') || error.message.includes('Invalid')) {
       res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// 提交TTS任务（HTTP方式，无需WebSocket）
+// 任务在后台执行，调用方通过 /status/:taskId 轮询，完成后从 /stream 或 /download 获取音频
+router.post('/jobs', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const { username, apiKeyId } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip });
+
+    const { taskType = 'single', ...params } = req.body || {};
+    // apiKeyId、source、username 决定流水的来源、密钥和任务归属，只能由服务端设置，客户端传入的值直接丢弃
+    delete params.apiKeyId;
+    delete params.source;
+    delete params.username;
+
+    if (!['single', 'dialogue'].includes(taskType)) {
+      return res.status(400).json({
+        valid: false,
+        errors: ['taskType must be "single" or "dialogue"']
+      });
+    }
+
+    const validation = taskType === 'dialogue'
+      ? validateDialogueTTSParams(params)
+      : validateTTSParams(params);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        valid: false,
+        errors: validation.errors
+      });
+    }
+
+    const taskId = uuidv4();
+    const taskData = { ...params, taskType, source: usageLedgerService.SOURCES.HTTP, ...(apiKeyId && { apiKeyId }) };
+
+    await redisClient.setTaskData(taskId, {
+      ...taskData,
+      status: 'processing',
+      taskId,
+      username,
+      taskType,
+      createdAt: Date.now(),
+      startedAt: Date.now()
+    });
+
+    console.log(`[TTS-JOBS] Starting ${taskType} TTS task ${taskId} for user ${username}`);
+
+    // 后台执行，错误已在 ttsProcessor.start() 内部写入Redis和task_status
+    ttsProcessor.start(taskId, taskData, username, token).catch((error) => {
+      console.error(`[TTS-JOBS] ${taskType} TTS processing failed for task ${taskId}:`, error.message);
+    });
+
+    const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
+
+    res.status(202).json({
+      taskId,
+      status: 'processing',
+      taskType,
+      statusUrl: `${baseUrl}/api/tts/status/${taskId}`,
+      streamUrl: `${baseUrl}/api/tts/stream/${taskId}`,
+      downloadUrl: `${baseUrl}/api/tts/download/${taskId}`
+    });
+  } catch (error) {
+    console.error('Submit TTS job error:', error);
+    if (error.message.includes('Token') || error.message.includes('Invalid')) {
+      res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// 取消任务 - 中止尚未完成的生成，已取消的任务不计费
+router.delete('/tasks/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip });
+
+    const taskData = await redisClient.getTaskStatus(taskId);
+
+    if (!taskData || Object.keys(taskData).length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (taskData.username !== username) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (ttsProcessor.isTerminalStatus(taskData.status)) {
+      return res.status(409).json({
+        error: 'Task already finished',
+        taskId,
+        status: taskData.status
+      });
+    }
+
+    await ttsProcessor.requestCancel(taskId);
+
+    res.status(202).json({
+      taskId,
+      status: 'cancelling'
+    });
+  } catch (error) {
+    console.error('Cancel task error:', error);
+    if (error.message.includes('Token') || error.message.includes('Invalid')) {
+      res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -57,56 +292,29 @@ router.get('/stream/:taskId', async (req, res) => {
       return res.status(401).json({ error: 'Token required' });
     }
 
-    const username = await verifyToken(token); // 验证token并获取用户名
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip }); // 验证token或API密钥并获取用户名
     console.log(`[STREAM] Token verified for user: ${username}, taskId: ${taskId}`);
 
-    const filePath = path.join(process.env.AUDIO_STORAGE_PATH, `${taskId}.mp3`);
-    console.log(`[STREAM] Checking file path: ${filePath}`);
-
-    if (!fs.existsSync(filePath)) {
-      console.log(`[STREAM] File not found: ${filePath}`);
-      return res.status(404).json({ error: 'Audio file not found' });
+    // 【新增】只能播放自己的任务
+    if (!(await ensureTaskOwner(res, taskId, username))) {
+      return;
     }
 
-    const stat = fs.statSync(filePath);
-    console.log(`[STREAM] File found, size: ${stat.size} bytes`);
+    const audioFile = await resolveAudioFile(taskId);
+    console.log(`[STREAM] Checking file path: ${audioFile.filePath}`);
 
-    // 设置CORS头，允许跨域访问
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
-
-    // 播放专用响应头
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Content-Disposition', 'inline; filename="audio.mp3"');
-    res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Cache-Control', 'public, max-age=3600'); // 1小时缓存
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-
-    // 支持Range请求（断点续传）- 播放优化
-    const range = req.headers.range;
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1;
-      const chunksize = (end - start) + 1;
-
-      res.status(206);
-      res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
-      res.setHeader('Content-Length', chunksize);
-
-      const stream = fs.createReadStream(filePath, { start, end });
-      stream.pipe(res);
-    } else {
-      res.setHeader('Content-Length', stat.size);
-      const stream = fs.createReadStream(filePath);
-      stream.pipe(res);
+    if (!fs.existsSync(audioFile.filePath)) {
+      console.log(`[STREAM] File not found: ${audioFile.filePath}`);
+      return res.status(404).json({ error: 'Audio file not found' });
     }
 
+    sendInlineAudio(req, res, audioFile);
   } catch (error) {
     console.error('Stream error:', error);
     if (error.message.includes('Token') || error.message.includes('Invalid')) {
       res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -127,10 +335,15 @@ router.get('/download/:taskId', async (req, res) => {
       return res.status(401).json({ error: 'Token required' });
     }
 
-    const username = await verifyToken(token); // 验证token并获取用户名
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip }); // 验证token或API密钥并获取用户名
     console.log(`[DOWNLOAD] Token verified for user: ${username}, taskId: ${taskId}`);
 
-    const filePath = path.join(process.env.AUDIO_STORAGE_PATH, `${taskId}.mp3`);
+    // 【新增】只能下载自己的任务
+    if (!(await ensureTaskOwner(res, taskId, username))) {
+      return;
+    }
+
+    const { filePath, extension } = await resolveAudioFile(taskId);
     console.log(`[DOWNLOAD] Checking file path: ${filePath}`);
 
     if (!fs.existsSync(filePath)) {
@@ -149,7 +362,7 @@ router.get('/download/:taskId', async (req, res) => {
     const hours = String(now.getHours()).padStart(2, '0');
     const minutes = String(now.getMinutes()).padStart(2, '0');
     const seconds = String(now.getSeconds()).padStart(2, '0');
-    const fileName = `tts_${year}${month}${day}_${hours}${minutes}${seconds}.mp3`;
+    const fileName = `tts_${year}${month}${day}_${hours}${minutes}${seconds}.${extension}`;
 
     // 设置CORS头，允许跨域访问
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -171,12 +384,151 @@ router.get('/download/:taskId', async (req, res) => {
     console.error('Download error:', error);
     if (error.message.includes('Token') || error.message.includes('Invalid')) {
       res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// 【新增】字幕导出端点 - 根据任务的字符级时间戳生成 SRT / WebVTT / JSON
+router.get('/subtitles/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
+    const format = (req.query.format || 'srt').toLowerCase();
+
+    if (!token) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip });
+
+    // 【新增】只能导出自己任务的字幕
+    if (!(await ensureTaskOwner(res, taskId, username))) {
+      return;
+    }
+
+    if (!['srt', 'vtt', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: srt, vtt, json' });
+    }
+
+    let maxLineLength;
+    if (req.query.maxLineLength !== undefined) {
+      maxLineLength = parseInt(req.query.maxLineLength, 10);
+      if (!Number.isInteger(maxLineLength) || maxLineLength < 10 || maxLineLength > 200) {
+        return res.status(400).json({ error: 'maxLineLength must be an integer between 10 and 200' });
+      }
+    }
+
+    const alignmentPath = path.join(process.env.AUDIO_STORAGE_PATH, `${taskId}.alignment.json`);
+    if (!fs.existsSync(alignmentPath)) {
+      return res.status(404).json({ error: 'Timestamps not found. Create the task with withTimestamps enabled.' });
+    }
+
+    const alignment = JSON.parse(await fs.promises.readFile(alignmentPath, 'utf8'));
+    const words = buildWordTimings(alignment);
+    const cues = buildCues(words, { maxLineLength });
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+    if (format === 'json') {
+      return res.json({ taskId, words, cues });
+    }
+
+    const body = format === 'vtt' ? toVtt(cues) : toSrt(cues);
+    res.setHeader('Content-Type', format === 'vtt' ? 'text/vtt; charset=utf-8' : 'application/x-subrip; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="subtitles.${format}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Subtitles error:', error);
+    if (error.message.includes('Token') || error.message.includes('Invalid')) {
+      res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 });
 
+// 【新增】为自己的任务创建有时效的分享链接，持有链接的人不需要token即可播放该音频
+router.post('/share/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'Token required' });
+    }
+
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip });
+
+    const { DEFAULT_TTL, MAX_TTL } = getShareLinkConfig();
+    const { expiresIn = DEFAULT_TTL } = req.body || {};
+    if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > MAX_TTL) {
+      return res.status(400).json({ error: `expiresIn must be an integer between 60 and ${MAX_TTL} seconds` });
+    }
+
+    if (!(await ensureTaskOwner(res, taskId, username))) {
+      return;
+    }
+
+    const { filePath } = await resolveAudioFile(taskId);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Audio file not found' });
+    }
+
+    const { exp, sig } = signShareLink(taskId, expiresIn);
+    const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
+
+    console.log(`[SHARE] User ${username} shared task ${taskId} until ${new Date(exp * 1000).toISOString()}`);
+    res.json({
+      taskId,
+      url: `${baseUrl}/api/tts/shared/${taskId}?exp=${exp}&sig=${sig}`,
+      expiresAt: exp * 1000
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    if (error.message.includes('Token') || error.message.includes('Invalid')) {
+      res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// 【新增】通过分享链接播放音频（只验证签名和有效期，不需要token）
+router.get('/shared/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { exp, sig } = req.query;
+
+    const result = verifyShareLink(taskId, exp, sig);
+    if (result === 'invalid') {
+      return res.status(403).json({ error: 'Invalid share link' });
+    }
+    if (result === 'expired') {
+      return res.status(410).json({ error: 'Share link expired' });
+    }
+
+    const audioFile = await resolveAudioFile(taskId);
+    if (!fs.existsSync(audioFile.filePath)) {
+      return res.status(404).json({ error: 'Audio file not found' });
+    }
+
+    sendInlineAudio(req, res, audioFile);
+  } catch (error) {
+    console.error('Shared audio error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 处理OPTIONS预检请求
 router.options('/stream/:taskId', (_req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -192,6 +544,20 @@ router.options('/download/:taskId', (_req, res) => {
   res.status(200).end();
 });
 
+router.options('/shared/:taskId', (_req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.status(200).end();
+});
+
+router.options('/subtitles/:taskId', (_req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.status(200).end();
+});
+
 // 获取语音列表（从数据库获取）
 router.get('/voices', async (req, res) => {
   try {
@@ -201,7 +567,7 @@ router.get('/voices', async (req, res) => {
       return res.status(401).json({ error: 'Token required' });
     }
 
-    await verifyToken(token); // 验证token
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip }); // 验证token或API密钥
 
     const dbClient = require('../services/dbClient');
     const result = await dbClient.query(
@@ -222,6 +588,8 @@ router.get('/voices', async (req, res) => {
     console.error('Get voices error:', error);
     if (error.message.includes('Token') || error.message.includes('Invalid')) {
       res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -237,7 +605,7 @@ router.post('/validate', async (req, res) => {
       return res.status(401).json({ error: 'Token required' });
     }
 
-    await verifyToken(token); // 验证token
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'tts', ip: req.ip }); // 验证token或API密钥
 
     const { taskType, ...params } = req.body;
 
@@ -263,15 +631,23 @@ router.post('/validate', async (req, res) => {
       estimatedChars = params.input.length;
     }
 
+    // 【新增】按模型（和会员等级）倍率计算计费字符数
+    const billing = await estimateBilledChars(username, estimatedChars, params.model);
+
     res.json({
       valid: true,
-      estimatedChars: estimatedChars,
+      estimatedChars: billing.billedChars,
+      rawChars: estimatedChars,
+      multiplier: billing.multiplier,
+      model: billing.model,
       message: 'Parameters are valid'
     });
   } catch (error) {
     console.error('Validate TTS params error:', error);
     if (error.message.includes('Token') || error.message.includes('Invalid')) {
       res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -287,7 +663,7 @@ router.get('/history', async (req, res) => {
       return res.status(401).json({ error: 'Token required' });
     }
 
-    const username = await verifyToken(token);
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'history', ip: req.ip });
 
     const { limit = 20, offset = 0 } = req.query;
     const limitNum = Math.min(parseInt(limit), 100); // 最大100条
@@ -328,6 +704,8 @@ router.get('/history', async (req, res) => {
     console.error('Get TTS history error:', error);
     if (error.message.includes('Token') || error.message.includes('Invalid')) {
       res.status(401).json({ error: 'Authentication failed' });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, calculateQuotaDetails } = require('../services/authService');
+const { verifyToken, verifyTokenOrApiKey, calculateQuotaDetails, getReservedChars } = require('../services/authService');
 const dbClient = require('../services/dbClient');
+const teamService = require('../services/teamService');
+const apiKeyService = require('../services/apiKeyService');
 
 // 获取用户配额信息
 router.get('/quota', async (req, res) => {
@@ -14,7 +16,8 @@ router.get('/quota', async (req, res) => {
       });
     }
 
-    const username = await verifyToken(token);
+    // 【修改】也接受带 quota-read 权限的API密钥
+    const { username } = await verifyTokenOrApiKey(token, { scope: 'quota-read', ip: req.ip });
     const result = await dbClient.query(
       'SELECT vip_info, usage_stats FROM users WHERE username = $1',
       [username]
@@ -30,6 +33,8 @@ router.get('/quota', async (req, res) => {
 
     // 【新增】计算配额详细信息 - 与参考代码完全一致
     const quotaDetails = calculateQuotaDetails(userData);
+    // 【新增】进行中任务预占的字符（老用户没有配额限制，不需要查询）
+    const reservedChars = quotaDetails.isLegacyUser ? 0 : await getReservedChars(username);
 
     const response = {
       // 原有字段（保持向后兼容）
@@ -46,6 +51,10 @@ router.get('/quota', async (req, res) => {
       remainingChars: quotaDetails.remainingChars,   // 剩余配额（老用户为undefined）
       usagePercentage: quotaDetails.usagePercentage, // 使用百分比
       isLegacyUser: quotaDetails.isLegacyUser,       // 是否为老用户
+      reservedChars,                                 // 【新增】进行中任务预占的字符
+      availableChars: quotaDetails.isLegacyUser      // 【新增】可用于新任务的字符（剩余配额减去预占）
+        ? undefined
+        : Math.max(0, quotaDetails.remainingChars - reservedChars),
 
       // 使用统计
       monthlyChars: usage.monthlyChars || 0,
@@ -53,6 +62,41 @@ router.get('/quota', async (req, res) => {
       isExpired: vip.expireAt ? Date.now() > vip.expireAt : true
     };
 
+    // 【新增】团队成员：任务使用团队字符池，同时返回成员自己的消耗和每月上限
+    const membership = await teamService.getMembership(username);
+    if (membership) {
+      const poolDetails = calculateQuotaDetails({ vip_info: membership.vip });
+      const teamReservedChars = poolDetails.isLegacyUser ? 0 : await teamService.getTeamReservedChars(membership.teamId);
+      const monthlyCap = membership.member.monthly_cap;
+      const memberMonthlyUsed = teamService.getMemberMonthlyUsed(membership.member);
+      const memberReservedChars = await getReservedChars(username);
+
+      response.team = {
+        teamId: membership.teamId,
+        name: membership.name,
+        role: membership.role,
+        pool: {
+          type: membership.vip.type || null,
+          expireAt: membership.vip.expireAt || 0,
+          isExpired: membership.vip.expireAt ? Date.now() > membership.vip.expireAt : true,
+          quotaChars: poolDetails.quotaChars,
+          usedChars: poolDetails.usedChars,
+          remainingChars: poolDetails.remainingChars,
+          usagePercentage: poolDetails.usagePercentage,
+          reservedChars: teamReservedChars,
+          availableChars: poolDetails.isLegacyUser
+            ? undefined
+            : Math.max(0, poolDetails.remainingChars - teamReservedChars)
+        },
+        member: {
+          monthlyCap,
+          monthlyUsed: memberMonthlyUsed,
+          monthlyRemaining: monthlyCap === null ? null : Math.max(0, monthlyCap - memberMonthlyUsed - memberReservedChars),
+          totalUsed: parseInt(membership.member.total_used) || 0
+        }
+      };
+    }
+
     res.json(response);
   } catch (error) {
     console.error('Get quota error:', error);
@@ -65,12 +109,19 @@ router.get('/quota', async (req, res) => {
         errorCode = 'TOKEN_INVALID';
       } else if (error.message === 'Invalid token type') {
         errorCode = 'TOKEN_TYPE_INVALID';
+      } else if (error.message === 'Invalid API key') {
+        errorCode = 'API_KEY_INVALID';
       }
 
       res.status(401).json({
         error: 'Authentication failed',
         code: errorCode
       });
+    } else if (error.cause === 'forbidden') {
+      res.status(403).json({
+        error: error.message,
+        code: 'API_KEY_SCOPE_REQUIRED'
+      });
     } else {
       res.status(500).json({
         error: 'Internal server error',
@@ -95,7 +146,7 @@ router.get('/profile', async (req, res) => {
 
     const username = await verifyToken(token);
     const result = await dbClient.query(
-      'SELECT username, email, created_at, vip_info, usage_stats FROM users WHERE username = $1',
+      'SELECT username, email, created_at, vip_info, usage_stats, email_notifications FROM users WHERE username = $1',
       [username]
     );
 
@@ -113,6 +164,8 @@ router.get('/profile', async (req, res) => {
     res.json({
       username: user.username,
       email: user.email,
+      // 【新增】是否接收配额/到期提醒邮件
+      emailNotifications: user.email_notifications !== false,
       createdAt: user.created_at,
       vip: {
         type: vip.type || null,
@@ -168,13 +221,18 @@ router.put('/profile', async (req, res) => {
     }
 
     const username = await verifyToken(token);
-    const { email } = req.body;
+    const { email, emailNotifications } = req.body;
 
     // 验证邮箱格式
     if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
       return res.status(400).json({ error: '邮箱格式不正确' });
     }
 
+    // 【新增】提醒邮件开关
+    if (emailNotifications !== undefined && typeof emailNotifications !== 'boolean') {
+      return res.status(400).json({ error: 'emailNotifications 必须是布尔值' });
+    }
+
     // 检查邮箱是否已被其他用户使用
     if (email) {
       const existingUser = await dbClient.query(
@@ -197,6 +255,11 @@ router.put('/profile', async (req, res) => {
       updateValues.push(email);
     }
 
+    if (emailNotifications !== undefined) {
+      updateFields.push(`email_notifications = $${paramIndex++}`);
+      updateValues.push(emailNotifications);
+    }
+
     if (updateFields.length === 0) {
       return res.status(400).json({ error: '没有需要更新的字段' });
     }
@@ -325,4 +388,88 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// 【新增】API密钥管理只接受登录token，不能用API密钥创建或撤销密钥
+function handleApiKeyError(res, error, label) {
+  console.error(`${label} error:`, error);
+
+  if (error.message.includes('Token') || error.message.includes('Invalid')) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      code: 'TOKEN_INVALID'
+    });
+  }
+  // 业务逻辑错误（如权限范围无效、密钥数量已达上限）
+  return res.status(400).json({ error: error.message });
+}
+
+// 【新增】API密钥列表（不包含密钥明文）
+router.get('/api-keys', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({
+        error: 'Token required',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    const username = await verifyToken(token);
+    const apiKeys = await apiKeyService.listKeys(username);
+    res.json({ apiKeys, availableScopes: apiKeyService.SCOPES });
+  } catch (error) {
+    handleApiKeyError(res, error, 'List API keys');
+  }
+});
+
+// 【新增】创建API密钥，密钥明文只在这里返回一次
+router.post('/api-keys', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({
+        error: 'Token required',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    const username = await verifyToken(token);
+    const { scopes } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: '密钥名称不能为空且不能超过100个字符' });
+    }
+    if (!Array.isArray(scopes) || !scopes.every(scope => typeof scope === 'string')) {
+      return res.status(400).json({ error: `scopes 必须是数组，可选值：${apiKeyService.SCOPES.join(', ')}` });
+    }
+
+    const { key, apiKey } = await apiKeyService.createKey(username, { name, scopes });
+    res.json({ success: true, key, apiKey });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Create API key');
+  }
+});
+
+// 【新增】撤销API密钥，撤销后立即失效
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({
+        error: 'Token required',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    const username = await verifyToken(token);
+    const revoked = await apiKeyService.revokeKey(username, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API密钥不存在或已撤销' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Revoke API key');
+  }
+});
+
 module.exports = router;
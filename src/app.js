@@ -10,6 +10,7 @@ const ttsRoutes = require('./api/tts');
 const userRoutes = require('./api/user');
 const adminRoutes = require('./api/admin');
 const cardRoutes = require('./api/card');
+const teamRoutes = require('./api/team');
 const autoTagRoutes = require('./api/autoTag');
 const gatewayRoutes = require('./api/gateway');
 const bBackendRoutes = require('./api/b-backend');
@@ -17,9 +18,14 @@ const corsMiddleware = require('./middleware/cors');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { requestSizeMiddleware, jsonErrorHandler, contentTypeMiddleware } = require('./middleware/validation');
 const { logger } = require('./utils/logger');
+const { getServerConfig } = require('./utils/config');
 
 const app = express();
 
+// 【新增】部署在 nginx 等反向代理之后时，按 TRUST_PROXY 信任代理的 X-Forwarded-For，req.ip 才是真实客户端IP
+// （不信任代理时所有请求的 req.ip 都是代理地址，按IP的防暴力破解和限流会把所有用户算作同一个IP），见 getServerConfig
+app.set('trust proxy', getServerConfig().TRUST_PROXY);
+
 // 启用WebSocket支持
 enableWs(app);
 
@@ -84,6 +90,7 @@ app.use('/api/tts', ttsRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/card', cardRoutes);
+app.use('/api/team', teamRoutes); // 【新增】团队账户
 app.use('/api/auto-tag', autoTagRoutes);
 app.use('/api/gateway', gatewayRoutes);
 
@@ -114,6 +121,7 @@ app.get('/api', (req, res) => {
       user: '/api/user',
       admin: '/api/admin',
       card: '/api/card',
+      team: '/api/team',
       websocket: {
         single: '/api/tts/ws/generate',
         dialogue: '/api/tts/ws/dialogue/generate'
@@ -141,6 +149,12 @@ async function gracefulShutdown(signal) {
     const websocketManager = require('./services/websocketManager');
     websocketManager.stopCleanupTimer();
 
+    // 【新增】停止卡密过期检查
+    require('./services/cardLifecycleService').stopExpiryTimer();
+
+    // 【新增】停止配额/到期提醒邮件扫描
+    require('./services/notificationService').stopNotifyTimer();
+
     // 关闭所有活跃的WebSocket连接
     const stats = websocketManager.getConnectionStats();
     if (stats.active > 0) {
@@ -182,6 +196,12 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // 启动服务器
 if (require.main === module) {
+  // 【新增】定期将超过兑换截止时间的卡密标记为过期
+  require('./services/cardLifecycleService').startExpiryTimer();
+
+  // 【新增】定期发送配额/到期提醒邮件（NOTIFY_ENABLED=true 时生效）
+  require('./services/notificationService').startNotifyTimer();
+
   app.listen(PORT, () => {
     logger.info('TTS Application started successfully', {
       port: PORT,
@@ -203,6 +203,11 @@ class NetworkAdapter extends INetworkClient {
       } catch (error) {
         lastError = error;
 
+        // 调用方主动取消（非超时）：节点本身没有问题，不标记失败也不重试
+        if (options.signal?.aborted && options.signal.reason?.name !== 'TimeoutError') {
+          throw error;
+        }
+
         // 记录工作池错误
         contextLogger.logError(error, 'worker-pool-request', {
           method: options.method || 'GET',
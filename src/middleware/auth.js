@@ -1,46 +1,75 @@
-const { verifyToken } = require('../services/authService');
+const { verifyToken, verifyTokenOrApiKey } = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
 const { checkAdminPermission } = require('../utils/helpers');
 
-// 基础认证中间件
-async function authMiddleware(req, res, next) {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ 
-        error: 'Access token required',
-        code: 'TOKEN_REQUIRED'
-      });
-    }
+// 【修改】基础认证中间件工厂
+// apiKeyScope 为空时只接受登录token（API密钥直接拒绝，管理类路由使用）；
+// 指定时也接受带该权限的个人API密钥，req.user.apiKeyId 为使用的密钥ID
+function createAuthMiddleware({ apiKeyScope = null } = {}) {
+  return async function authMiddleware(req, res, next) {
+    try {
+      const token = req.headers.authorization?.replace('Bearer ', '');
 
-    const username = await verifyToken(token);
-    req.user = { username };
-    
-    next();
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    
-    let errorCode = 'AUTH_ERROR';
-    let errorMessage = 'Authentication failed';
-
-    if (error.message === 'Token expired') {
-      errorCode = 'TOKEN_EXPIRED';
-      errorMessage = 'Access token has expired';
-    } else if (error.message === 'Invalid token' || error.message === 'Invalid signature') {
-      errorCode = 'TOKEN_INVALID';
-      errorMessage = 'Invalid access token';
-    } else if (error.message === 'Invalid token type') {
-      errorCode = 'TOKEN_TYPE_INVALID';
-      errorMessage = 'Invalid token type';
-    }
+      if (!token) {
+        return res.status(401).json({
+          error: 'Access token required',
+          code: 'TOKEN_REQUIRED'
+        });
+      }
 
-    res.status(401).json({
-      error: errorMessage,
-      code: errorCode
-    });
-  }
+      if (!apiKeyScope && apiKeyService.isApiKey(token)) {
+        return res.status(403).json({
+          error: 'API keys are not accepted on this endpoint',
+          code: 'API_KEY_NOT_ALLOWED'
+        });
+      }
+
+      const { username, apiKeyId } = await verifyTokenOrApiKey(token, { scope: apiKeyScope, ip: req.ip });
+      req.user = { username, apiKeyId };
+
+      next();
+    } catch (error) {
+      console.error('Auth middleware error:', error);
+
+      // 【新增】API密钥缺少所需权限
+      if (error.cause === 'forbidden') {
+        return res.status(403).json({
+          error: error.message,
+          code: 'API_KEY_SCOPE_REQUIRED'
+        });
+      }
+
+      let errorCode = 'AUTH_ERROR';
+      let errorMessage = 'Authentication failed';
+
+      if (error.message === 'Token expired') {
+        errorCode = 'TOKEN_EXPIRED';
+        errorMessage = 'Access token has expired';
+      } else if (error.message === 'Invalid token' || error.message === 'Invalid signature') {
+        errorCode = 'TOKEN_INVALID';
+        errorMessage = 'Invalid access token';
+      } else if (error.message === 'Invalid token type') {
+        errorCode = 'TOKEN_TYPE_INVALID';
+        errorMessage = 'Invalid token type';
+      } else if (error.message === 'Token revoked') {
+        errorCode = 'TOKEN_REVOKED';
+        errorMessage = 'Session has been revoked';
+      } else if (error.message === 'Invalid API key') {
+        errorCode = 'API_KEY_INVALID';
+        errorMessage = 'Invalid API key';
+      }
+
+      res.status(401).json({
+        error: errorMessage,
+        code: errorCode
+      });
+    }
+  };
 }
 
+// 只接受登录token的认证中间件
+const authMiddleware = createAuthMiddleware();
+
 // 可选认证中间件（token可选）
 async function optionalAuthMiddleware(req, res, next) {
   try {
@@ -168,6 +197,7 @@ function rateLimitMiddleware(maxRequests = 100, windowMs = 15 * 60 * 1000) {
 }
 
 module.exports = {
+  createAuthMiddleware,
   authMiddleware,
   optionalAuthMiddleware,
   adminAuthMiddleware,
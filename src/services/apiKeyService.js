@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const dbClient = require('./dbClient');
+const { getApiKeyConfig } = require('../utils/config');
+
+// 密钥可授予的权限：tts（提交任务、查询状态、获取音频等）、quota-read（查询配额）、history（查询历史记录）
+const SCOPES = ['tts', 'quota-read', 'history'];
+const KEY_PREFIX = 'tts_';
+// 密钥格式：tts_<keyId>_<secret>，keyId 为公开部分，用于查找记录和在列表中展示
+const KEY_PATTERN = /^tts_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function mapKeyRow(row) {
+  return {
+    id: row.key_id,
+    name: row.name,
+    scopes: row.scopes || [],
+    prefix: `${KEY_PREFIX}${row.key_id}_`,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at
+  };
+}
+
+function forbidden(message) {
+  return new Error(message, { cause: 'forbidden' });
+}
+
+/**
+ * 个人API密钥服务
+ * 用户可以创建多个带名称和权限范围的密钥，在脚本等场景中代替登录token调用接口。
+ * 数据库只保存密钥的SHA-256哈希，明文只在创建时返回一次。
+ * 使用密钥发起的任务归属于密钥所有者，配额检查、预占和扣减与普通任务相同。
+ */
+class ApiKeyService {
+  constructor() {
+    this.SCOPES = SCOPES;
+    // keyId -> 最近一次写入最后使用信息的时间（进程内节流）
+    this.lastTouched = new Map();
+  }
+
+  // 是否为API密钥（而不是JWT）
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * 创建密钥
+   * @param {string} username - 所有者
+   * @param {object} options - { name, scopes }
+   * @returns {Promise<{key: string, apiKey: object}>} key 为明文密钥，只返回这一次
+   */
+  async createKey(username, { name, scopes }) {
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (scopes.length === 0 || invalidScopes.length > 0) {
+      throw new Error(`权限范围必须是 ${SCOPES.join(', ')} 中的一个或多个`);
+    }
+
+    const { MAX_KEYS_PER_USER } = getApiKeyConfig();
+    const countResult = await dbClient.query(
+      'SELECT COUNT(*) FROM api_keys WHERE username = $1 AND revoked_at IS NULL',
+      [username]
+    );
+    if (parseInt(countResult.rows[0].count) >= MAX_KEYS_PER_USER) {
+      throw new Error(`每个用户最多只能有 ${MAX_KEYS_PER_USER} 个有效的API密钥`);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const key = `${KEY_PREFIX}${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+    const result = await dbClient.query(
+      `INSERT INTO api_keys (key_id, username, name, key_hash, scopes)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [keyId, username, name, hashKey(key), JSON.stringify([...new Set(scopes)])]
+    );
+
+    console.log(`[API-KEY] User ${username} created API key ${keyId} (${scopes.join(', ')})`);
+    return { key, apiKey: mapKeyRow(result.rows[0]) };
+  }
+
+  // 用户的密钥列表（不含已撤销的密钥）
+  async listKeys(username) {
+    const result = await dbClient.query(
+      `SELECT * FROM api_keys
+       WHERE username = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [username]
+    );
+    return result.rows.map(mapKeyRow);
+  }
+
+  // 撤销密钥（只能撤销自己的密钥），密钥不存在或已撤销时返回false
+  async revokeKey(username, keyId) {
+    const result = await dbClient.query(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+       WHERE key_id = $1 AND username = $2 AND revoked_at IS NULL`,
+      [keyId, username]
+    );
+
+    if (result.rowCount > 0) {
+      this.lastTouched.delete(keyId);
+      console.log(`[API-KEY] User ${username} revoked API key ${keyId}`);
+    }
+    return result.rowCount > 0;
+  }
+
+  /**
+   * 验证密钥并检查权限范围
+   * 密钥无效或已撤销时抛出 'Invalid API key'，缺少所需权限时抛出 cause 为 forbidden 的错误。
+   * @param {string} key - 明文密钥
+   * @param {object} options - { scope: 所需权限, ip: 调用方IP }
+   * @returns {Promise<{username: string, keyId: string, scopes: string[]}>}
+   */
+  async authenticate(key, { scope = null, ip = null } = {}) {
+    const match = typeof key === 'string' ? key.match(KEY_PATTERN) : null;
+    if (!match) {
+      throw new Error('Invalid API key');
+    }
+
+    const keyId = match[1];
+    const result = await dbClient.query(
+      'SELECT username, key_hash, scopes FROM api_keys WHERE key_id = $1 AND revoked_at IS NULL',
+      [keyId]
+    );
+    const row = result.rows[0];
+    const expected = Buffer.from(row ? row.key_hash : '');
+    const actual = Buffer.from(hashKey(key));
+    if (!row || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid API key');
+    }
+
+    const scopes = row.scopes || [];
+    if (scope && !scopes.includes(scope)) {
+      throw forbidden(`API密钥没有 ${scope} 权限`);
+    }
+
+    this.touch(keyId, ip);
+    return { username: row.username, keyId, scopes };
+  }
+
+  // 记录最后使用时间和IP（节流、不等待结果，写入失败不影响请求）
+  touch(keyId, ip) {
+    const { TOUCH_INTERVAL } = getApiKeyConfig();
+    const now = Date.now();
+    if (now - (this.lastTouched.get(keyId) || 0) < TOUCH_INTERVAL) {
+      return;
+    }
+    this.lastTouched.set(keyId, now);
+
+    dbClient.query(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE key_id = $1',
+      [keyId, ip ? String(ip).slice(0, 64) : null]
+    ).catch((error) => {
+      console.error(`[API-KEY] Failed to record usage of API key ${keyId}:`, error.message);
+    });
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const redisClient = require('./redisClient');
+const { getAudioCacheConfig } = require('../utils/config');
+
+// Redis键
+const ENTRY_PREFIX = 'tts:audio-cache:entry:';  // 音频数据（二进制）
+const LRU_KEY = 'tts:audio-cache:lru';           // 有序集合：key -> 最近访问时间
+const SIZES_KEY = 'tts:audio-cache:sizes';       // 哈希：key -> 字节数
+const BYTES_KEY = 'tts:audio-cache:bytes';       // 缓存总字节数
+const STATS_KEY = 'tts:audio-cache:stats';       // 全局命中统计（所有进程共享）
+
+// 每轮淘汰的条目数
+const EVICTION_BATCH_SIZE = 20;
+
+/**
+ * chunk级音频缓存服务
+ * 以 文本 + voiceId + modelId + 声音参数 + 输出格式 的哈希作为键，缓存ElevenLabs生成的音频片段。
+ * 数据存放在Redis中（PM2集群下所有进程共享），条目在最后一次访问后 CACHE_TTL 秒过期，超出容量上限时按最近访问时间淘汰。
+ * 缓存读写失败只记录日志并视为未命中，不影响TTS主流程。
+ */
+class AudioCacheService {
+  constructor() {
+    // 本进程统计
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0,
+      errors: 0
+    };
+    this.evicting = false;
+  }
+
+  isEnabledForModel(modelId) {
+    const config = getAudioCacheConfig();
+    return config.ENABLE_AUDIO_CACHE && !config.DISABLED_MODELS.includes(modelId);
+  }
+
+  buildKey(text, voiceId, modelId, { stability, similarity_boost, style, speed, outputFormat } = {}) {
+    const normalize = (value) => (value === undefined || value === null ? null : Number(value));
+    const material = JSON.stringify([
+      text,
+      voiceId,
+      modelId,
+      normalize(stability),
+      normalize(similarity_boost),
+      normalize(style),
+      normalize(speed),
+      outputFormat || null
+    ]);
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  recordStat(field, count = 1) {
+    this.stats[field] += count;
+    redisClient.client.hincrby(STATS_KEY, field, count).catch(() => {});
+  }
+
+  // 读取缓存，命中时返回ArrayBuffer，未命中或出错返回null
+  async get(key) {
+    try {
+      const data = await redisClient.client.getBuffer(`${ENTRY_PREFIX}${key}`);
+      if (!data) {
+        this.recordStat('misses');
+        await this.reconcileMissingEntry(key);
+        return null;
+      }
+
+      // 命中时同时刷新访问时间和过期时间，保证索引中的访问时间与条目的过期时间一致，
+      // 过期清理（按访问时间）能够清掉所有已过期的条目
+      const config = getAudioCacheConfig();
+      await redisClient.client.multi()
+        .zadd(LRU_KEY, Date.now(), key)
+        .expire(`${ENTRY_PREFIX}${key}`, config.CACHE_TTL)
+        .exec();
+      this.recordStat('hits');
+      return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    } catch (error) {
+      this.recordStat('errors');
+      console.error(`[AUDIO-CACHE] Failed to read cache entry ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, audioBuffer) {
+    const config = getAudioCacheConfig();
+    const size = audioBuffer ? audioBuffer.byteLength : 0;
+
+    if (size === 0 || size > config.MAX_ENTRY_BYTES) {
+      return;
+    }
+
+    try {
+      const previousSize = parseInt(await redisClient.client.hget(SIZES_KEY, key)) || 0;
+
+      await redisClient.client.multi()
+        .set(`${ENTRY_PREFIX}${key}`, Buffer.from(audioBuffer), 'EX', config.CACHE_TTL)
+        .zadd(LRU_KEY, Date.now(), key)
+        .hset(SIZES_KEY, key, size)
+        .incrby(BYTES_KEY, size - previousSize)
+        .exec();
+
+      this.recordStat('writes');
+      await this.evictIfNeeded();
+    } catch (error) {
+      this.recordStat('errors');
+      console.error(`[AUDIO-CACHE] Failed to write cache entry ${key}:`, error.message);
+    }
+  }
+
+  // 条目已不存在（过期、被Redis内存淘汰或手动删除）但仍在索引中时，移除索引并扣减总字节数
+  async reconcileMissingEntry(key) {
+    const size = await redisClient.client.hget(SIZES_KEY, key);
+    if (size !== null) {
+      await this.removeEntries([key]);
+    }
+  }
+
+  // 清理已过期条目的索引，并按LRU淘汰直到总大小低于上限
+  async evictIfNeeded() {
+    if (this.evicting) {
+      return;
+    }
+    this.evicting = true;
+
+    try {
+      const config = getAudioCacheConfig();
+
+      const expiredKeys = await redisClient.client.zrangebyscore(
+        LRU_KEY, '-inf', Date.now() - config.CACHE_TTL * 1000
+      );
+      await this.removeEntries(expiredKeys);
+
+      let totalBytes = parseInt(await redisClient.client.get(BYTES_KEY)) || 0;
+      while (totalBytes > config.MAX_CACHE_BYTES) {
+        const oldestKeys = await redisClient.client.zrange(LRU_KEY, 0, EVICTION_BATCH_SIZE - 1);
+        if (oldestKeys.length === 0) {
+          // 索引已空但计数仍有残留，直接校正
+          await redisClient.client.set(BYTES_KEY, 0);
+          break;
+        }
+
+        totalBytes -= await this.removeEntries(oldestKeys);
+        this.recordStat('evictions', oldestKeys.length);
+      }
+    } catch (error) {
+      this.recordStat('errors');
+      console.error('[AUDIO-CACHE] Eviction failed:', error.message);
+    } finally {
+      this.evicting = false;
+    }
+  }
+
+  // 删除条目并返回释放的字节数
+  async removeEntries(keys) {
+    if (!keys || keys.length === 0) {
+      return 0;
+    }
+
+    const sizes = await redisClient.client.hmget(SIZES_KEY, ...keys);
+    const freedBytes = sizes.reduce((sum, size) => sum + (parseInt(size) || 0), 0);
+
+    await redisClient.client.multi()
+      .del(...keys.map(key => `${ENTRY_PREFIX}${key}`))
+      .zrem(LRU_KEY, ...keys)
+      .hdel(SIZES_KEY, ...keys)
+      .decrby(BYTES_KEY, freedBytes)
+      .exec();
+
+    return freedBytes;
+  }
+
+  async getStats() {
+    const config = getAudioCacheConfig();
+    const hitRate = (hits, misses) => (hits + misses > 0 ? hits / (hits + misses) : 0);
+    const processStats = {
+      ...this.stats,
+      hitRate: hitRate(this.stats.hits, this.stats.misses)
+    };
+
+    try {
+      const [globalStats, totalBytes, entries] = await Promise.all([
+        redisClient.client.hgetall(STATS_KEY),
+        redisClient.client.get(BYTES_KEY),
+        redisClient.client.zcard(LRU_KEY)
+      ]);
+
+      const hits = parseInt(globalStats.hits) || 0;
+      const misses = parseInt(globalStats.misses) || 0;
+
+      return {
+        enabled: config.ENABLE_AUDIO_CACHE,
+        disabledModels: config.DISABLED_MODELS,
+        maxBytes: config.MAX_CACHE_BYTES,
+        totalBytes: parseInt(totalBytes) || 0,
+        entries,
+        hits,
+        misses,
+        writes: parseInt(globalStats.writes) || 0,
+        evictions: parseInt(globalStats.evictions) || 0,
+        errors: parseInt(globalStats.errors) || 0,
+        hitRate: hitRate(hits, misses),
+        process: processStats
+      };
+    } catch (error) {
+      console.error('[AUDIO-CACHE] Failed to read cache stats:', error.message);
+      return {
+        enabled: config.ENABLE_AUDIO_CACHE,
+        disabledModels: config.DISABLED_MODELS,
+        maxBytes: config.MAX_CACHE_BYTES,
+        process: processStats
+      };
+    }
+  }
+}
+
+module.exports = new AudioCacheService();
@@ -1,6 +1,15 @@
 const crypto = require('crypto');
 const dbClient = require('./dbClient');
-const { getPackageConfig } = require('../utils/config');
+const usageLedgerService = require('./usageLedgerService');
+const packageService = require('./packageService');
+const cardLifecycleService = require('./cardLifecycleService');
+const teamService = require('./teamService');
+const sessionService = require('./sessionService');
+const apiKeyService = require('./apiKeyService');
+const { getQuotaConfig } = require('../utils/config');
+const { calculateBilledChars } = require('../utils/billing');
+const { hashPassword, verifyPassword, getDummyPasswordHash } = require('../utils/passwordHash');
+const { signToken, verifySignedToken } = require('../utils/jwt');
 
 // JWT相关函数 (从worker.js迁移)
 async function hmacSha256(data, key) {
@@ -16,19 +25,15 @@ function atob(str) {
 }
 
 async function verifyToken(token, allowRefresh = false) {
-  const JWT_SECRET = process.env.JWT_SECRET;
+  const claims = await verifyTokenClaims(token, allowRefresh);
+  return claims.sub;
+}
 
+// 【新增】验证token并返回完整载荷（sub, type, iat, exp, jti, fam），已作废的会话抛出 'Token revoked'
+// 【修改】签名验证移到 utils/jwt.js：支持RFC 7519格式（带kid的密钥环）和过渡期内的旧格式，iat/exp统一为毫秒
+async function verifyTokenClaims(token, allowRefresh = false) {
   try {
-    const [header, payload, signature] = token.split('.');
-    const expectedSignature = btoa(
-      await hmacSha256(`${header}.${payload}`, JWT_SECRET)
-    );
-
-    if (signature !== expectedSignature) {
-      throw new Error('Invalid signature');
-    }
-
-    const decoded = JSON.parse(atob(payload));
+    const decoded = verifySignedToken(token);
 
     // 检查 token 类型
     if (!allowRefresh && decoded.type === 'refresh') {
@@ -39,13 +44,19 @@ async function verifyToken(token, allowRefresh = false) {
       throw new Error('Token expired');
     }
 
-    return decoded.sub;
+    // 【新增】检查会话是否已登出或被作废
+    if (await sessionService.isRevoked(decoded)) {
+      throw new Error('Token revoked');
+    }
+
+    return decoded;
   } catch (error) {
     // 【修复】保留原始错误信息，不要统一转换为 'Invalid token'
     // 这样认证中间件就能正确区分不同类型的错误
     if (error.message === 'Token expired' ||
         error.message === 'Invalid signature' ||
-        error.message === 'Invalid token type') {
+        error.message === 'Invalid token type' ||
+        error.message === 'Token revoked') {
       throw error; // 保留原始错误
     }
 
@@ -54,28 +65,121 @@ async function verifyToken(token, allowRefresh = false) {
   }
 }
 
-async function generateToken(username, type = 'access') {
-  const JWT_SECRET = process.env.JWT_SECRET;
-  const now = Date.now();
-  
-  const expireTime = type === 'access' 
-    ? now + (parseInt(process.env.ACCESS_TOKEN_EXPIRE) || 7200) * 1000
-    : now + (parseInt(process.env.REFRESH_TOKEN_EXPIRE) || 604800) * 1000;
+/**
+ * 【新增】验证登录token或个人API密钥
+ * 以 tts_ 开头的凭证按API密钥验证并检查权限范围，其余按access token验证（不检查权限范围）。
+ * @param {string} token - access token 或API密钥
+ * @param {object} options - { scope: API密钥所需权限, ip: 调用方IP（记录密钥最后使用IP） }
+ * @returns {Promise<{username: string, apiKeyId: string|null}>} apiKeyId 为使用的API密钥ID，登录token为null
+ */
+async function verifyTokenOrApiKey(token, { scope = null, ip = null } = {}) {
+  if (apiKeyService.isApiKey(token)) {
+    const { username, keyId } = await apiKeyService.authenticate(token, { scope, ip });
+    return { username, apiKeyId: keyId };
+  }
+  return { username: await verifyToken(token), apiKeyId: null };
+}
+
+// claims: { jti, fam }，fam 为登录会话ID（token family）
+// 【修改】签发RFC 7519格式的token（base64url、header带kid、iat/exp为秒），使用密钥环中的当前密钥签名
+async function generateToken(username, type = 'access', claims = {}) {
+  const expiresIn = type === 'access'
+    ? (parseInt(process.env.ACCESS_TOKEN_EXPIRE) || 7200)
+    : (parseInt(process.env.REFRESH_TOKEN_EXPIRE) || 604800);
 
-  const header = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
-  const payload = btoa(JSON.stringify({
+  return signToken({
     sub: username,
     type: type,
-    iat: now,
-    exp: expireTime
-  }));
+    jti: claims.jti || crypto.randomUUID(),
+    ...(claims.fam && { fam: claims.fam })
+  }, expiresIn);
+}
 
-  const signature = btoa(await hmacSha256(`${header}.${payload}`, JWT_SECRET));
-  
-  return `${header}.${payload}.${signature}`;
+/**
+ * 【新增】登录时创建会话并签发access/refresh token
+ * @param {string} username - 用户名
+ * @param {object} meta - 会话信息 { userAgent, ip }
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: string}>}
+ */
+async function issueTokens(username, meta = {}) {
+  const refreshJti = crypto.randomUUID();
+  const sessionId = await sessionService.createSession(username, refreshJti, meta);
+
+  return {
+    accessToken: await generateToken(username, 'access', { fam: sessionId }),
+    refreshToken: await generateToken(username, 'refresh', { jti: refreshJti, fam: sessionId }),
+    sessionId
+  };
+}
+
+/**
+ * 【新增】使用refresh token换取新的access/refresh token（refresh token每次使用后轮换）
+ * 已轮换掉的refresh token再次使用时整个会话作废，抛出 'Token revoked'。
+ * 没有会话ID的旧refresh token（会话功能上线前签发）换取时创建新会话，之后按新规则轮换；
+ * 【修改】旧refresh token只能换取一次，再次使用抛出 'Token revoked'，不会重复创建会话。
+ * @param {string} refreshToken - refresh token
+ * @param {object} meta - 会话信息 { userAgent, ip }（只在创建新会话时使用）
+ * @returns {Promise<{username: string, accessToken: string, refreshToken: string, sessionId: string}>}
+ */
+async function rotateRefreshToken(refreshToken, meta = {}) {
+  const claims = await verifyTokenClaims(refreshToken, true);
+  if (claims.type !== 'refresh') {
+    throw new Error('Invalid token type');
+  }
+
+  const username = claims.sub;
+  if (!claims.fam) {
+    const tokenId = claims.jti || crypto.createHash('sha256').update(refreshToken).digest('hex');
+    if (!(await sessionService.claimLegacyRefreshToken(tokenId, claims.exp))) {
+      console.warn(`[SESSION] Legacy refresh token reuse detected for user ${username}`);
+      throw new Error('Token revoked');
+    }
+    return { username, ...(await issueTokens(username, meta)) };
+  }
+
+  const newJti = crypto.randomUUID();
+  const result = await sessionService.rotate(username, claims.fam, claims.jti, newJti);
+  if (result !== 'rotated') {
+    throw new Error('Token revoked');
+  }
+
+  return {
+    username,
+    accessToken: await generateToken(username, 'access', { fam: claims.fam }),
+    refreshToken: await generateToken(username, 'refresh', { jti: newJti, fam: claims.fam }),
+    sessionId: claims.fam
+  };
+}
+
+// 【新增】用户的会员等级：优先使用兑换时写入的套餐等级，旧数据按套餐代码判断
+function getUserTier(vip) {
+  if (!vip) {
+    return null;
+  }
+  return vip.tier || (vip.type ? packageService.getTierFromCode(vip.type) : null);
+}
+
+// 【新增】预估计费字符数（不检查配额，用于参数校验接口）
+async function estimateBilledChars(username, rawChars, model = null) {
+  const result = await dbClient.query(
+    'SELECT vip_info FROM users WHERE username = $1',
+    [username]
+  );
+  // 团队成员按团队套餐的等级计费
+  const membership = await teamService.getMembership(username);
+  const vip = membership ? membership.vip : (result.rows.length > 0 ? result.rows[0].vip_info : null);
+  return calculateBilledChars(rawChars, model, getUserTier(vip));
 }
 
-async function checkVip(username, requiredTier = 'STANDARD', requestedChars = 0) {
+/**
+ * 检查VIP权限和字符配额
+ * @param {string} username - 用户名
+ * @param {string} requiredTier - 要求的会员等级 STANDARD/PRO
+ * @param {number} requestedChars - 本次请求的原始字符数
+ * @param {string} model - 使用的模型，用于按模型倍率计算计费字符数（可选）
+ * @returns {Promise<{model: string, rawChars: number, billedChars: number, multiplier: number}>} 本次的计费信息
+ */
+async function checkVip(username, requiredTier = 'STANDARD', requestedChars = 0, model = null) {
   const result = await dbClient.query(
     'SELECT vip_info, usage_stats FROM users WHERE username = $1',
     [username]
@@ -85,11 +189,13 @@ async function checkVip(username, requiredTier = 'STANDARD', requestedChars = 0)
     throw new Error('用户不存在', { cause: 'quota' });
   }
 
-  const { vip_info: vip, usage_stats: usage } = result.rows[0];
+  // 【新增】团队成员使用团队共享字符池的会员资格和配额
+  const membership = await teamService.getMembership(username);
+  const vip = membership ? membership.vip : result.rows[0].vip_info;
 
   // 基础检查：是否有会员资格
   if (!vip || Object.keys(vip).length === 0) {
-    throw new Error('请先开通会员', { cause: 'quota' });
+    throw new Error(membership ? '团队尚未开通会员，请联系团队管理员' : '请先开通会员', { cause: 'quota' });
   }
 
   // 时间检查：会员是否已过期
@@ -97,18 +203,24 @@ async function checkVip(username, requiredTier = 'STANDARD', requestedChars = 0)
     throw new Error('会员已过期，请续费', { cause: 'quota' });
   }
 
+  // 【新增】按模型（和会员等级）倍率计算计费字符数
+  const userTier = getUserTier(vip);
+  const billing = calculateBilledChars(requestedChars, model, userTier);
+
   // 字符数配额检查 (新规则用户)
   const isNewRuleUser = vip.quotaChars !== undefined;
 
   if (isNewRuleUser && requestedChars > 0) {
-    console.log(`[QUOTA-CHECK] User ${username} is under new quota rule. Checking quota...`);
-
-    const currentUsed = vip.usedChars || 0;
-    const totalQuota = vip.quotaChars || 0;
-
-    if (currentUsed + requestedChars > totalQuota) {
-      const remaining = Math.max(0, totalQuota - currentUsed);
-      throw new Error(`字符数配额不足。剩余 ${remaining} 字符，本次需要 ${requestedChars} 字符。请升级或续费套餐。`, { cause: 'quota' });
+    console.log(`[QUOTA-CHECK] User ${username} is under new quota rule. Checking quota (${requestedChars} chars x${billing.multiplier} = ${billing.billedChars})...`);
+
+    // 【新增】进行中任务预占的字符同样不可用
+    const reservedChars = await getReservedChars(username);
+    if (membership) {
+      // 团队字符池计入所有成员的预占，另外检查成员自己的每月上限
+      assertQuotaAvailable(vip, await teamService.getTeamReservedChars(membership.teamId), billing.billedChars);
+      teamService.assertMemberCapAvailable(membership.member, reservedChars, billing.billedChars);
+    } else {
+      assertQuotaAvailable(vip, reservedChars, billing.billedChars);
     }
   } else if (requestedChars > 0) {
     console.log(`[QUOTA-CHECK] User ${username} is a legacy user. Skipping quota check.`);
@@ -116,8 +228,7 @@ async function checkVip(username, requiredTier = 'STANDARD', requestedChars = 0)
 
   // 等级检查：如果要求PRO权限
   if (requiredTier === 'PRO') {
-    const userTier = vip.type;
-    if (!userTier || !userTier.startsWith('P')) {
+    if (userTier !== 'PRO') {
       throw new Error('此功能需要PRO会员权限', { cause: 'quota' });
     }
   }
@@ -130,51 +241,356 @@ async function checkVip(username, requiredTier = 'STANDARD', requestedChars = 0)
     }
     console.log(`测试套餐剩余时间: ${remainingTime.toFixed(1)}秒`);
   }
+
+  return billing;
+}
+
+async function updateUserUsage(username, charCount, context = {}) {
+  const client = await dbClient.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const usage = await applyUserUsage(client, username, charCount, context);
+    await client.query('COMMIT');
+    console.log(`Updated usage for user ${username}: +${usage.billedChars} chars (raw ${charCount})`);
+    return usage;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// 在事务中累加用户使用量并写入流水（调用方负责BEGIN/COMMIT）
+// context: { source, taskId, entryType, model, applyMultiplier, metadata }
+async function applyUserUsage(client, username, charCount, context = {}) {
+  // 获取当前用户数据
+  const { vip, usage } = await lockUserTotals(client, username);
+  const before = { vip: { ...vip }, usage: { ...usage } };
+  // 【新增】团队成员从团队字符池扣减，个人VIP不变
+  const pool = await teamService.lockMemberPool(client, username);
+
+  // 【新增】按模型倍率计算计费字符数（管理员手动扣减等场景传 applyMultiplier: false 按原值扣减）
+  const billing = context.applyMultiplier === false
+    ? { billedChars: charCount, multiplier: 1 }
+    : calculateBilledChars(charCount, context.model, getUserTier(pool ? pool.vip : vip));
+  const billedChars = billing.billedChars;
+
+  let teamTotals = null;
+  if (pool) {
+    teamTotals = await teamService.applyPoolUsage(client, pool, billedChars, charCount);
+  } else if (vip.quotaChars !== undefined) {
+    // 更新VIP使用量 (如果是新规则用户)
+    vip.usedChars = (vip.usedChars || 0) + billedChars;
+  }
+
+  // 更新使用统计（totalChars/monthlyChars为计费字符，raw*为原始字符）
+  usage.totalChars = (usage.totalChars || 0) + billedChars;
+  usage.monthlyChars = (usage.monthlyChars || 0) + billedChars;
+  usage.rawTotalChars = (usage.rawTotalChars || 0) + charCount;
+  usage.rawMonthlyChars = (usage.rawMonthlyChars || 0) + charCount;
+
+  // 检查月度重置
+  const now = Date.now();
+  if (now >= (usage.monthlyResetAt || 0)) {
+    usage.monthlyChars = billedChars;
+    usage.rawMonthlyChars = charCount;
+    usage.monthlyResetAt = getNextMonthResetTimestamp();
+  }
+
+  // 更新数据库
+  await client.query(
+    'UPDATE users SET vip_info = $1, usage_stats = $2, updated_at = CURRENT_TIMESTAMP WHERE username = $3',
+    [JSON.stringify(vip), JSON.stringify(usage), username]
+  );
+
+  // 【新增】写入使用流水（与汇总更新在同一事务中）
+  await usageLedgerService.record(client, {
+    username,
+    entryType: context.entryType || usageLedgerService.ENTRY_TYPES.TASK_USAGE,
+    source: context.source || usageLedgerService.SOURCES.WEBSOCKET,
+    taskId: context.taskId || null,
+    charsDelta: billedChars,
+    rawChars: charCount,
+    before,
+    after: { vip, usage },
+    metadata: {
+      ...(context.model && { model: context.model }),
+      ...(billing.multiplier !== 1 && { multiplier: billing.multiplier }),
+      ...(pool && { teamId: pool.teamId, teamUsedAfter: teamTotals.vip.usedChars }),
+      ...context.metadata
+    }
+  });
+
+  return { rawChars: charCount, billedChars, teamId: pool ? pool.teamId : null };
+}
+
+// 【新增】配额不足时抛出异常（已用 + 预占 + 本次需要 > 总配额）
+function assertQuotaAvailable(vip, reservedChars, requestedChars) {
+  const currentUsed = vip.usedChars || 0;
+  const totalQuota = vip.quotaChars || 0;
+
+  if (currentUsed + reservedChars + requestedChars > totalQuota) {
+    const remaining = Math.max(0, totalQuota - currentUsed - reservedChars);
+    const reservedHint = reservedChars > 0 ? `（另有 ${reservedChars} 字符被进行中的任务占用）` : '';
+    throw new Error(`字符数配额不足。剩余 ${remaining} 字符${reservedHint}，本次需要 ${requestedChars} 字符。请升级或续费套餐。`, { cause: 'quota' });
+  }
 }
 
-async function updateUserUsage(username, charCount) {
+// 【新增】用户当前有效的预占字符数（已过期的预占不计入）
+async function getReservedChars(username, client = dbClient) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(chars), 0) AS reserved FROM quota_reservations
+     WHERE username = $1 AND status = 'held' AND expires_at > CURRENT_TIMESTAMP`,
+    [username]
+  );
+  return parseInt(result.rows[0].reserved) || 0;
+}
+
+/**
+ * 【新增】任务开始时预占配额
+ * 锁定用户行后检查 已用 + 其他任务预占 + 本次字符 是否超出配额，通过后写入预占记录，
+ * 多个并发任务针对同一用户的预占会串行执行，不会超额。老用户（无字符配额）不需要预占。
+ * @param {string} username - 用户名
+ * @param {string} reservationId - 预占ID（使用taskId）
+ * @param {number} chars - 预占字符数
+ * @returns {Promise<boolean>} 是否写入了预占记录
+ */
+async function reserveQuota(username, reservationId, chars) {
   const client = await dbClient.getClient();
 
   try {
     await client.query('BEGIN');
 
-    // 获取当前用户数据
     const result = await client.query(
-      'SELECT vip_info, usage_stats FROM users WHERE username = $1 FOR UPDATE',
+      'SELECT vip_info FROM users WHERE username = $1 FOR UPDATE',
       [username]
     );
 
     if (result.rows.length === 0) {
-      throw new Error('用户不存在');
+      throw new Error('用户不存在', { cause: 'quota' });
+    }
+
+    // 【新增】团队成员锁定团队行，同一团队的并发预占串行执行
+    const pool = await teamService.lockMemberPool(client, username);
+    const vip = pool ? pool.vip : (result.rows[0].vip_info || {});
+    if (vip.quotaChars === undefined || chars <= 0) {
+      await client.query('COMMIT');
+      return false;
     }
 
-    const { vip_info: vip, usage_stats: usage } = result.rows[0];
+    const reservedChars = await getReservedChars(username, client);
+    if (pool) {
+      assertQuotaAvailable(vip, await teamService.getTeamReservedChars(pool.teamId, client), chars);
+      teamService.assertMemberCapAvailable(pool.member, reservedChars, chars);
+    } else {
+      assertQuotaAvailable(vip, reservedChars, chars);
+    }
 
-    // 更新VIP使用量 (如果是新规则用户)
-    if (vip.quotaChars !== undefined) {
-      vip.usedChars = (vip.usedChars || 0) + charCount;
+    const { RESERVATION_TTL } = getQuotaConfig();
+    await client.query(
+      `INSERT INTO quota_reservations (reservation_id, username, chars, status, expires_at, team_id)
+       VALUES ($1, $2, $3, 'held', CURRENT_TIMESTAMP + $4 * INTERVAL '1 second', $5)`,
+      [reservationId, username, chars, RESERVATION_TTL, pool ? pool.teamId : null]
+    );
+
+    await client.query('COMMIT');
+    console.log(`[QUOTA-RESERVE] Reserved ${chars} chars for user ${username} (${reservationId})`);
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * 【新增】任务成功后提交预占：在同一事务中累加使用量并将预占标记为已提交
+ * 没有预占记录（老用户）时直接累加使用量；重复提交不会重复计费。
+ * @param {string} reservationId - 预占ID（使用taskId）
+ * @param {string} username - 用户名
+ * @param {number} charCount - 实际使用的原始字符数（按 context.model 的倍率计费）
+ * @param {object} context - 流水上下文（source、model等），taskId默认使用reservationId
+ */
+async function commitQuotaReservation(reservationId, username, charCount, context = {}) {
+  const client = await dbClient.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT status FROM quota_reservations WHERE reservation_id = $1 FOR UPDATE',
+      [reservationId]
+    );
+    const reservation = result.rows[0];
+
+    if (reservation && reservation.status === 'committed') {
+      await client.query('COMMIT');
+      console.warn(`[QUOTA-RESERVE] Reservation ${reservationId} already committed, skipping`);
+      return;
+    }
+
+    const usage = await applyUserUsage(client, username, charCount, { taskId: reservationId, ...context });
+
+    if (reservation) {
+      await client.query(
+        `UPDATE quota_reservations SET status = 'committed', settled_at = CURRENT_TIMESTAMP
+         WHERE reservation_id = $1`,
+        [reservationId]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log(`Updated usage for user ${username}: +${usage.billedChars} chars (raw ${charCount}, reservation ${reservationId})`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// 【新增】任务失败、违规或取消时释放预占（没有预占或已结算时不做任何处理）
+async function releaseQuotaReservation(reservationId) {
+  const result = await dbClient.query(
+    `UPDATE quota_reservations SET status = 'released', settled_at = CURRENT_TIMESTAMP
+     WHERE reservation_id = $1 AND status = 'held'`,
+    [reservationId]
+  );
+
+  if (result.rowCount > 0) {
+    console.log(`[QUOTA-RESERVE] Released reservation ${reservationId}`);
+  }
+}
+
+// 【新增】在事务中锁定并读取用户汇总（不存在时抛出异常）
+async function lockUserTotals(client, username) {
+  const result = await client.query(
+    'SELECT vip_info, usage_stats FROM users WHERE username = $1 FOR UPDATE',
+    [username]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('用户不存在');
+  }
+
+  return {
+    vip: result.rows[0].vip_info || {},
+    usage: result.rows[0].usage_stats || {}
+  };
+}
+
+/**
+ * 【新增】管理员修改VIP信息（类型、到期时间、配额、已用字符），同时写入调整流水
+ * @param {string} username - 用户名
+ * @param {object} changes - 需要修改的字段 { type, tier, expireAt, quotaChars, usedChars }
+ * @param {object} context - { admin, reason }
+ * @returns {Promise<object>} 更新后的VIP信息
+ */
+async function adjustUserVip(username, changes, context = {}) {
+  const client = await dbClient.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { vip: currentVip, usage } = await lockUserTotals(client, username);
+    const { type, expireAt, quotaChars, usedChars } = changes;
+
+    const updatedVip = {
+      ...currentVip,
+      ...(type !== undefined && { type, tier: changes.tier || packageService.getTierFromCode(type) }),
+      ...(expireAt !== undefined && { expireAt }),
+      ...(quotaChars !== undefined && { quotaChars }),
+      ...(usedChars !== undefined && { usedChars })
+    };
+
+    await client.query(
+      'UPDATE users SET vip_info = $1, updated_at = CURRENT_TIMESTAMP WHERE username = $2',
+      [JSON.stringify(updatedVip), username]
+    );
+
+    // 只影响配额或已用字符的修改才需要记账（类型、到期时间不影响字符余额）
+    if (quotaChars !== undefined || usedChars !== undefined) {
+      await usageLedgerService.record(client, {
+        username,
+        entryType: usageLedgerService.ENTRY_TYPES.ADMIN_ADJUSTMENT,
+        source: usageLedgerService.SOURCES.ADMIN,
+        quotaDelta: (updatedVip.quotaChars || 0) - (currentVip.quotaChars || 0),
+        before: { vip: currentVip, usage },
+        after: { vip: updatedVip, usage },
+        metadata: {
+          admin: context.admin || null,
+          reason: context.reason || null,
+          usedCharsDelta: (updatedVip.usedChars || 0) - (currentVip.usedChars || 0)
+        }
+      });
     }
 
-    // 更新使用统计
-    usage.totalChars = (usage.totalChars || 0) + charCount;
-    usage.monthlyChars = (usage.monthlyChars || 0) + charCount;
+    await client.query('COMMIT');
+    return updatedVip;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * 【新增】退还字符：减少已用字符和使用统计（不会减到负数），并写入退款流水
+ * @param {string} username - 用户名
+ * @param {number} chars - 退还的字符数
+ * @param {object} context - { source, taskId, admin, reason }
+ * @returns {Promise<{refundedChars: number, vip: object, usage: object}>}
+ */
+async function refundUserUsage(username, chars, context = {}) {
+  const client = await dbClient.getClient();
 
-    // 检查月度重置
-    const now = Date.now();
-    if (now >= (usage.monthlyResetAt || 0)) {
-      usage.monthlyChars = charCount;
-      usage.monthlyResetAt = getNextMonthResetTimestamp();
+  try {
+    await client.query('BEGIN');
+
+    const { vip, usage } = await lockUserTotals(client, username);
+    const before = { vip: { ...vip }, usage: { ...usage } };
+    // 【新增】团队成员的字符退还到团队字符池
+    const pool = await teamService.lockMemberPool(client, username);
+
+    if (pool) {
+      await teamService.refundPoolUsage(client, pool, Math.min(chars, usage.totalChars || 0));
+    } else if (vip.quotaChars !== undefined) {
+      vip.usedChars = Math.max(0, (vip.usedChars || 0) - chars);
     }
+    usage.totalChars = Math.max(0, (usage.totalChars || 0) - chars);
+    usage.monthlyChars = Math.max(0, (usage.monthlyChars || 0) - chars);
 
-    // 更新数据库
     await client.query(
       'UPDATE users SET vip_info = $1, usage_stats = $2, updated_at = CURRENT_TIMESTAMP WHERE username = $3',
       [JSON.stringify(vip), JSON.stringify(usage), username]
     );
 
-    await client.query('COMMIT');
-    console.log(`Updated usage for user ${username}: +${charCount} chars`);
+    // 实际退还量以总使用量的变化为准，保证流水链路可以累加核对
+    const refundedChars = (before.usage.totalChars || 0) - usage.totalChars;
+    await usageLedgerService.record(client, {
+      username,
+      entryType: usageLedgerService.ENTRY_TYPES.REFUND,
+      source: context.source || usageLedgerService.SOURCES.ADMIN,
+      taskId: context.taskId || null,
+      charsDelta: -refundedChars,
+      before,
+      after: { vip, usage },
+      metadata: {
+        admin: context.admin || null,
+        reason: context.reason || null,
+        requestedChars: chars,
+        ...(pool && { teamId: pool.teamId })
+      }
+    });
 
+    await client.query('COMMIT');
+    console.log(`[USAGE-LEDGER] Refunded ${refundedChars} chars to user ${username}`);
+    return { refundedChars, vip, usage };
   } catch (error) {
     await client.query('ROLLBACK');
     throw error;
@@ -222,7 +638,7 @@ function calculateQuotaDetails(userData) {
   };
 }
 
-// 卡密验证函数
+// 卡密验证函数（卡密不存在返回null；已使用、作废或过期时抛出带原因的异常）
 async function verifyCard(code) {
   const result = await dbClient.query(
     'SELECT * FROM cards WHERE code = $1',
@@ -235,9 +651,10 @@ async function verifyCard(code) {
 
   const card = result.rows[0];
 
-  // 检查卡密状态
-  if (card.status !== 'unused') {
-    return null;
+  // 【修改】检查卡密状态：已使用、已作废、已过期分别给出不同的提示
+  const unavailableReason = cardLifecycleService.getCardUnavailableReason(card);
+  if (unavailableReason) {
+    throw new Error(unavailableReason);
   }
 
   return {
@@ -247,6 +664,163 @@ async function verifyCard(code) {
   };
 }
 
+// 【新增】测试套餐只能在没有有效正式会员时使用
+function assertTrialCardAllowed(card, vip) {
+  if (card.package_type !== 'PT' || !vip) {
+    return;
+  }
+  if (Date.now() < (vip.expireAt || 0) && vip.type !== 'PT') {
+    throw new Error('已有正式会员，无需使用测试套餐');
+  }
+}
+
+/**
+ * 【新增】计算兑换卡密后的VIP信息（不修改传入对象，不写数据库）
+ * 规则：
+ * - 会员未过期时保留剩余字符，新配额 = 剩余字符 + 套餐字符，已用字符清零；已过期则剩余字符作废
+ * - 到期时间在 max(原到期时间, 当前时间) 的基础上顺延套餐天数
+ * - 套餐类型和等级替换为新卡密的套餐
+ * @param {object} currentVip - 当前的vip_info
+ * @param {object} card - cards表中的记录
+ * @param {{days: number, chars: number, tier: string}} newPackage - 卡密对应的套餐
+ * @param {number} now - 当前时间戳
+ * @returns {{vip: object, changes: object}} 兑换后的VIP信息和变化说明
+ */
+function mergeCardIntoVip(currentVip, card, newPackage, now = Date.now()) {
+  // 【关键】初始化VIP对象（如果不存在）
+  let vip;
+  if (!currentVip || Object.keys(currentVip).length === 0) {
+    vip = {
+      expireAt: 0,
+      type: null,
+      quotaChars: 0, // 新增：总配额
+      usedChars: 0   // 新增：已用配额
+    };
+  } else {
+    vip = { ...currentVip };
+    // 【核心修改】统一迁移逻辑 - 与参考代码完全一致
+    // 如果用户的配额系统还未初始化 (无论是新用户还是老用户)，这是"单向阀门"
+    if (vip.quotaChars === undefined) {
+      vip.quotaChars = 0;
+      vip.usedChars = 0;
+    }
+  }
+
+  const previousType = vip.type || null;
+  const previousTier = vip.tier || (previousType ? packageService.getTierFromCode(previousType) : null);
+  const previousQuotaChars = vip.quotaChars;
+  const previousUsedChars = vip.usedChars || 0;
+
+  // 1. 【修复】先判断是否过期（使用旧的到期时间）
+  const oldExpireAt = vip.expireAt || 0;
+  const isExpired = now > oldExpireAt;
+
+  // 2. 【核心修改】叠加字符数配额：会员已过期则不保留剩余字符
+  const oldRemainingChars = isExpired ? 0 : Math.max(0, vip.quotaChars - previousUsedChars);
+  vip.quotaChars = oldRemainingChars + newPackage.chars;
+  vip.usedChars = 0;
+
+  // 3. 计算新的到期时间（在配额计算之后）
+  const baseTime = Math.max(oldExpireAt, now);
+  vip.expireAt = baseTime + (newPackage.days * 86400000);
+
+  // 4. 更新套餐类型和等级
+  vip.type = card.package_type;
+  vip.tier = newPackage.tier;
+
+  return {
+    vip,
+    changes: {
+      wasExpired: isExpired,
+      daysStacked: !isExpired,
+      addedDays: newPackage.days,
+      previousExpireAt: oldExpireAt,
+      newExpireAt: vip.expireAt,
+      charsCarriedOver: oldRemainingChars,
+      charsForfeited: isExpired ? Math.max(0, previousQuotaChars - previousUsedChars) : 0,
+      addedChars: newPackage.chars,
+      previousQuotaChars,
+      newQuotaChars: vip.quotaChars,
+      previousType,
+      newType: vip.type,
+      previousTier,
+      newTier: vip.tier
+    }
+  };
+}
+
+/**
+ * 【新增】兑换预览：按 useCard 相同的规则计算兑换结果，但不写入任何数据
+ * @param {string} code - 卡密
+ * @param {string} username - 用户名
+ * @returns {Promise<object>} 当前状态、兑换后的状态、变化说明和提示
+ */
+async function previewCard(code, username) {
+  const cardResult = await dbClient.query('SELECT * FROM cards WHERE code = $1', [code]);
+  if (cardResult.rows.length === 0) {
+    throw new Error('无效的卡密');
+  }
+
+  const card = cardResult.rows[0];
+  const unavailableReason = cardLifecycleService.getCardUnavailableReason(card);
+  if (unavailableReason) {
+    throw new Error(unavailableReason);
+  }
+
+  const userResult = await dbClient.query('SELECT vip_info FROM users WHERE username = $1', [username]);
+  if (userResult.rows.length === 0) {
+    throw new Error('用户不存在');
+  }
+
+  const currentVip = userResult.rows[0].vip_info || {};
+  assertTrialCardAllowed(card, currentVip);
+
+  const newPackage = await packageService.resolveCardPackage(card);
+  if (!newPackage) {
+    throw new Error('未知的套餐类型');
+  }
+
+  const { vip, changes } = mergeCardIntoVip(currentVip, card, newPackage);
+
+  const warnings = [];
+  if (changes.charsForfeited > 0) {
+    warnings.push(`会员已过期，剩余的 ${changes.charsForfeited} 字符不会保留`);
+  }
+  if (!changes.wasExpired && changes.previousTier === 'PRO' && changes.newTier !== 'PRO') {
+    warnings.push('兑换后会员等级将由PRO变为标准会员，PRO功能将不可用');
+  }
+  // 【新增】团队成员的任务使用团队字符池
+  if (await teamService.getMembership(username)) {
+    warnings.push('你已加入团队，任务将使用团队字符池，个人套餐在退出团队前不会被使用');
+  }
+
+  return {
+    package: {
+      type: card.package_type,
+      description: (card.package_info && card.package_info.description) || card.package_type,
+      days: newPackage.days,
+      chars: newPackage.chars,
+      tier: newPackage.tier
+    },
+    current: {
+      type: currentVip.type || null,
+      expireAt: currentVip.expireAt || 0,
+      quotaChars: currentVip.quotaChars,
+      usedChars: currentVip.usedChars
+    },
+    result: {
+      type: vip.type,
+      tier: vip.tier,
+      expireAt: vip.expireAt,
+      quotaChars: vip.quotaChars,
+      usedChars: vip.usedChars,
+      remainingChars: Math.max(0, vip.quotaChars - vip.usedChars)
+    },
+    changes,
+    warnings
+  };
+}
+
 // 【完全重写】卡密使用函数 - 与参考代码逻辑完全一致
 async function useCard(code, username) {
   const client = await dbClient.getClient();
@@ -266,24 +840,10 @@ async function useCard(code, username) {
 
     const card = cardResult.rows[0];
 
-    if (card.status !== 'unused') {
-      throw new Error('该卡密已被使用');
-    }
-
-    // 【新增】如果是测试套餐，检查是否已有其他有效套餐
-    if (card.package_type === 'PT') {
-      const userResult = await client.query(
-        'SELECT vip_info FROM users WHERE username = $1',
-        [username]
-      );
-
-      if (userResult.rows.length > 0) {
-        const userData = userResult.rows[0];
-        const vip = userData.vip_info || {};
-        if (vip && Date.now() < (vip.expireAt || 0) && vip.type !== 'PT') {
-          throw new Error('已有正式会员，无需使用测试套餐');
-        }
-      }
+    // 【修改】已使用、已作废、已过期的卡密给出不同的提示
+    const unavailableReason = cardLifecycleService.getCardUnavailableReason(card);
+    if (unavailableReason) {
+      throw new Error(unavailableReason);
     }
 
     // 先标记卡密为使用中
@@ -303,59 +863,26 @@ async function useCard(code, username) {
     }
 
     const userData = userResult.rows[0];
-    let vip = userData.vip_info || {};
+    const usage = userData.usage_stats || {};
+    const before = { vip: { ...(userData.vip_info || {}) }, usage };
+
+    // 【新增】如果是测试套餐，检查是否已有其他有效套餐
+    assertTrialCardAllowed(card, userData.vip_info);
 
-    // 【关键】获取新套餐的配置 - 使用统一的套餐配置
-    const newPackage = getPackageConfig(card.package_type);
+    // 【关键】获取新套餐的配置 - 使用卡密发放时的套餐快照
+    const newPackage = await packageService.resolveCardPackage(card);
     if (!newPackage) {
       throw new Error('未知的套餐类型');
     }
 
-    // 【关键】初始化VIP对象（如果不存在）
-    if (!vip || Object.keys(vip).length === 0) {
-      vip = {
-        expireAt: 0,
-        type: null,
-        quotaChars: 0, // 新增：总配额
-        usedChars: 0   // 新增：已用配额
-      };
-    } else {
-      // 【核心修改】统一迁移逻辑 - 与参考代码完全一致
-      // 如果用户的配额系统还未初始化 (无论是新用户还是老用户)
-      if (vip.quotaChars === undefined) {
-        // 打印一条迁移日志，方便追踪
-        console.log(`[MIGRATION] Migrating user ${username} to new quota system upon renewal.`);
-
-        // 强制为该用户初始化配额系统，这是"单向阀门"
-        vip.quotaChars = 0;
-        vip.usedChars = 0;
-      }
-    }
-
-    // 1. 【修复】先判断是否过期（使用旧的到期时间）
-    const oldExpireAt = vip.expireAt || 0;
-    const isExpired = Date.now() > oldExpireAt;
-
-    // 2. 【核心修改】叠加字符数配额（现在对所有用户生效）
-    if (vip.quotaChars !== undefined) {
-      // 如果会员已过期，则不保留剩余字符；否则，保留剩余字符
-      const oldRemainingChars = isExpired ? 0 : Math.max(0, vip.quotaChars - vip.usedChars);
-
-      // 新的总配额 = 剩余配额 + 新套餐配额
-      vip.quotaChars = oldRemainingChars + newPackage.chars;
-
-      // 已用配额清零
-      vip.usedChars = 0;
-
-      console.log(`[CARD-USE] Updated quota for user ${username}: ${vip.quotaChars} chars (expired: ${isExpired}, old remaining: ${oldRemainingChars})`);
+    if (userData.vip_info && Object.keys(userData.vip_info).length > 0 && userData.vip_info.quotaChars === undefined) {
+      // 打印一条迁移日志，方便追踪
+      console.log(`[MIGRATION] Migrating user ${username} to new quota system upon renewal.`);
     }
 
-    // 3. 计算新的到期时间（在配额计算之后）
-    const baseTime = Math.max(oldExpireAt, Date.now());
-    vip.expireAt = baseTime + (newPackage.days * 86400000);
-
-    // 3. 更新套餐类型
-    vip.type = card.package_type;
+    // 【修改】合并逻辑抽取到 mergeCardIntoVip，与兑换预览共用
+    const { vip, changes } = mergeCardIntoVip(userData.vip_info, card, newPackage);
+    console.log(`[CARD-USE] Updated quota for user ${username}: ${vip.quotaChars} chars (expired: ${changes.wasExpired}, old remaining: ${changes.charsCarriedOver})`);
 
     // 更新用户数据
     await client.query(
@@ -369,6 +896,22 @@ async function useCard(code, username) {
       ['used', username, code]
     );
 
+    // 【新增】写入充值流水：已用字符清零、配额变为 剩余 + 新套餐
+    await usageLedgerService.record(client, {
+      username,
+      entryType: usageLedgerService.ENTRY_TYPES.CARD_REDEMPTION,
+      source: usageLedgerService.SOURCES.CARD,
+      quotaDelta: vip.quotaChars - (before.vip.quotaChars || 0),
+      before,
+      after: { vip, usage },
+      metadata: {
+        code,
+        packageType: card.package_type,
+        usedCharsBefore: before.vip.usedChars || 0,
+        changes
+      }
+    });
+
     await client.query('COMMIT');
 
     console.log(`Card ${code} used successfully by ${username}`);
@@ -392,14 +935,91 @@ async function useCard(code, username) {
   }
 }
 
-// 密码加密函数（从worker.js迁移）
-async function bcrypt(password) {
-  const crypto = require('crypto');
-  const data = password + process.env.JWT_SECRET;
-  const hash = crypto.createHash('sha256').update(data).digest();
-  return Buffer.from(hash).toString('base64');
+/**
+ * 【新增】为团队字符池兑换卡密（只有团队所有者或管理员可以兑换）
+ * 合并规则与个人兑换相同；兑换流水记在兑换人名下（字符余额不变），兑换记录中可以查到。
+ * @param {string} code - 卡密
+ * @param {string} username - 兑换人
+ * @returns {Promise<{teamId: string, vip: object}>} 团队兑换后的VIP信息
+ */
+async function useCardForTeam(code, username) {
+  const client = await dbClient.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const cardResult = await client.query(
+      'SELECT * FROM cards WHERE code = $1 FOR UPDATE',
+      [code]
+    );
+
+    if (cardResult.rows.length === 0) {
+      throw new Error('无效的卡密');
+    }
+
+    const card = cardResult.rows[0];
+    const unavailableReason = cardLifecycleService.getCardUnavailableReason(card);
+    if (unavailableReason) {
+      throw new Error(unavailableReason);
+    }
+
+    const { vip: userVip, usage } = await lockUserTotals(client, username);
+    const pool = await teamService.lockMemberPool(client, username);
+    if (!pool) {
+      throw new Error('你还没有加入团队', { cause: 'not_found' });
+    }
+    if (pool.role !== 'owner' && pool.role !== 'admin') {
+      throw new Error('只有团队所有者或管理员可以为团队兑换卡密', { cause: 'forbidden' });
+    }
+
+    assertTrialCardAllowed(card, pool.vip);
+
+    const newPackage = await packageService.resolveCardPackage(card);
+    if (!newPackage) {
+      throw new Error('未知的套餐类型');
+    }
+
+    const { vip, changes } = mergeCardIntoVip(pool.vip, card, newPackage);
+
+    await client.query(
+      'UPDATE teams SET vip_info = $1, updated_at = CURRENT_TIMESTAMP WHERE team_id = $2',
+      [JSON.stringify(vip), pool.teamId]
+    );
+
+    await client.query(
+      'UPDATE cards SET status = $1, used_at = CURRENT_TIMESTAMP, used_by = $2 WHERE code = $3',
+      ['used', username, code]
+    );
+
+    await usageLedgerService.record(client, {
+      username,
+      entryType: usageLedgerService.ENTRY_TYPES.CARD_REDEMPTION,
+      source: usageLedgerService.SOURCES.CARD,
+      before: { vip: userVip, usage },
+      after: { vip: userVip, usage },
+      metadata: {
+        code,
+        packageType: card.package_type,
+        teamId: pool.teamId,
+        changes
+      }
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`Card ${code} redeemed for team ${pool.teamId} by ${username}`);
+    return { teamId: pool.teamId, vip };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
+// 【修改】密码哈希改为 scrypt + 每用户随机盐（见 utils/passwordHash.js），
+// 原 bcrypt()（实际是 sha256(password + JWT_SECRET)）改为 passwordHash.legacyHash，只用于校验迁移前的哈希
+
 // 生成验证码
 function generateVerificationCode() {
   return Math.floor(100000 + Math.random() * 900000).toString(); // 6位数字验证码
@@ -440,8 +1060,25 @@ async function generateTencentCloudSignature(secretId, secretKey, service, regio
   };
 }
 
+// 【新增】本地邮件桩：每封邮件追加一行JSON到 EMAIL_STUB_DIR/emails.jsonl
+async function writeStubEmail(email) {
+  const fs = require('fs').promises;
+  const path = require('path');
+  const messageId = `stub-${crypto.randomUUID()}`;
+
+  await fs.mkdir(process.env.EMAIL_STUB_DIR, { recursive: true });
+  await fs.appendFile(
+    path.join(process.env.EMAIL_STUB_DIR, 'emails.jsonl'),
+    JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...email }) + '\n'
+  );
+
+  console.log(`[EMAIL-STUB] Email to ${email.to} written to ${process.env.EMAIL_STUB_DIR} (${email.subject})`);
+  return messageId;
+}
+
 // 调用腾讯云 SES API 发送邮件
-async function sendEmailViaTencentSES(toEmail, templateData) {
+// options: { templateId, subject }，默认发送验证码邮件
+async function sendEmailViaTencentSES(toEmail, templateData, options = {}) {
   const service = 'ses';
   const action = 'SendEmail';
   const version = '2020-10-02';
@@ -453,7 +1090,13 @@ async function sendEmailViaTencentSES(toEmail, templateData) {
   const region = process.env.SES_REGION || 'ap-guangzhou';
   const fromEmail = process.env.FROM_EMAIL;
   const fromEmailName = process.env.FROM_EMAIL_NAME || '验证服务';
-  const templateId = process.env.VERIFICATION_TEMPLATE_ID;
+  const templateId = options.templateId || process.env.VERIFICATION_TEMPLATE_ID;
+  const subject = options.subject || '邮箱验证码';
+
+  // 【新增】本地邮件桩：配置 EMAIL_STUB_DIR 后邮件写入本地文件而不调用SES（开发和测试环境使用）
+  if (process.env.EMAIL_STUB_DIR) {
+    return writeStubEmail({ to: toEmail, subject, templateId: templateId || null, templateData });
+  }
 
   // 调试日志
   console.log('SES Config check:', {
@@ -472,7 +1115,7 @@ async function sendEmailViaTencentSES(toEmail, templateData) {
   const payload = JSON.stringify({
     FromEmailAddress: `${fromEmailName} <${fromEmail}>`,
     Destination: [toEmail],
-    Subject: '邮箱验证码',
+    Subject: subject,
     Template: {
       TemplateID: parseInt(templateId),
       TemplateData: JSON.stringify(templateData)
@@ -605,12 +1248,27 @@ async function verifyEmailCode(email, inputCode) {
 
 module.exports = {
   verifyToken,
+  verifyTokenClaims,
+  verifyTokenOrApiKey,
   generateToken,
+  issueTokens,
+  rotateRefreshToken,
   checkVip,
+  estimateBilledChars,
   updateUserUsage,
+  reserveQuota,
+  commitQuotaReservation,
+  releaseQuotaReservation,
+  getReservedChars,
+  adjustUserVip,
+  refundUserUsage,
   verifyCard,
   useCard,
-  bcrypt,
+  useCardForTeam,
+  previewCard,
+  hashPassword,
+  verifyPassword,
+  getDummyPasswordHash,
   generateVerificationCode,
   sendEmailViaTencentSES,
   storeVerificationCode,
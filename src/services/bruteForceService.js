@@ -0,0 +1,229 @@
+const redisClient = require('./redisClient');
+const { getBruteForceConfig } = require('../utils/config');
+
+const ACTIONS = {
+  LOGIN: 'login',
+  CARD: 'card',
+  VERIFY_CODE: 'verify-code'
+};
+
+const FAIL_PREFIX = 'auth:bf:fail:';
+const LOCK_PREFIX = 'auth:bf:lock:';
+// 有效锁定的索引（score 为解锁时间），管理员查看锁定列表时使用
+const LOCK_INDEX_KEY = 'auth:bf:locks';
+const EVENTS_KEY = 'auth:bf:events';
+// 卡密前缀长度（按前缀统计，限制针对同一批卡密的猜测）
+const CARD_PREFIX_LENGTH = 8;
+
+// 原子预占一次尝试：任一维度处于锁定或等待期间时不计数，返回 {需要等待的毫秒数}；
+// 否则所有维度的尝试次数加1，达到阈值的维度立即锁定，达到 DELAY_AFTER 的维度设置下次允许尝试的时间，
+// 返回 {0, 被锁定的维度序号...}
+// KEYS: 锁定索引, 事件列表, 然后每个维度依次为 失败计数key, 锁定key
+// ARGV: now, WINDOW, DELAY_AFTER, DELAY_BASE, DELAY_MAX, LOCK_DURATION, EVENT_LIMIT, 然后每个维度依次为 阈值, id, 锁定记录, 锁定事件
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local subjects = (#KEYS - 2) / 2
+local waitMs = 0
+for i = 1, subjects do
+  local lockTtl = redis.call('PTTL', KEYS[i * 2 + 2])
+  local nextAttemptAt = tonumber(redis.call('HGET', KEYS[i * 2 + 1], 'nextAttemptAt')) or 0
+  waitMs = math.max(waitMs, lockTtl, nextAttemptAt - now)
+end
+if waitMs > 0 then
+  return {waitMs}
+end
+
+local result = {0}
+for i = 1, subjects do
+  local failKey = KEYS[i * 2 + 1]
+  local arg = 7 + (i - 1) * 4
+  local failures = redis.call('HINCRBY', failKey, 'count', 1)
+  redis.call('EXPIRE', failKey, ARGV[2])
+  if failures >= tonumber(ARGV[arg + 1]) then
+    redis.call('SET', KEYS[i * 2 + 2], ARGV[arg + 3], 'EX', ARGV[6])
+    redis.call('DEL', failKey)
+    redis.call('ZADD', KEYS[1], now + tonumber(ARGV[6]) * 1000, ARGV[arg + 2])
+    redis.call('LPUSH', KEYS[2], ARGV[arg + 4])
+    redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[7]) - 1)
+    table.insert(result, i)
+  elseif failures >= tonumber(ARGV[3]) then
+    local delay = math.min(tonumber(ARGV[4]) * 2 ^ (failures - tonumber(ARGV[3])), tonumber(ARGV[5]))
+    redis.call('HSET', failKey, 'nextAttemptAt', now + delay * 1000)
+  end
+end
+return result
+`;
+
+// 归还预占的尝试次数（计数已被锁定清除或已过期的维度跳过）
+const RELEASE_SCRIPT = `
+for i = 1, #KEYS do
+  if tonumber(redis.call('HGET', KEYS[i], 'count') or 0) > 0 then
+    redis.call('HINCRBY', KEYS[i], 'count', -1)
+  end
+end
+return 1
+`;
+
+function subjectId(action, type, value) {
+  return `${action}:${type}:${value}`;
+}
+
+// 统一大小写和长度，避免通过改变大小写绕过统计
+function normalizeValue(value) {
+  return String(value).trim().toLowerCase().slice(0, 255);
+}
+
+function tooManyAttempts(retryAfter) {
+  const error = new Error('Too many attempts', { cause: 'rate_limited' });
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * 防暴力破解服务（Redis）
+ * 按操作（登录、兑换卡密、邮箱验证码）分别统计各维度的失败次数：account、ip、card-prefix。
+ * 连续失败达到 DELAY_AFTER 次后，每次失败都要求等待更长时间才能再次尝试（渐进延迟）；
+ * 达到该维度的锁定阈值后临时锁定，锁定期间的尝试直接拒绝。
+ * 每次尝试在校验密码/卡密之前用 reserveAttempt 原子地检查并计数（按失败计），并发请求不能在第一次失败写入前绕过等待和锁定；
+ * 调用方在成功时调用 recordSuccess，不属于猜测失败的结果（如验证码已过期、卡密已使用）调用 releaseAttempt 归还计数。
+ * 统计只依据调用方提交的标识，不区分账号是否存在，因此锁定和等待的响应不会泄露账号是否存在。
+ * ip 维度使用 req.ip，部署在反向代理之后时需要正确配置 TRUST_PROXY（见 getServerConfig），否则所有请求共用代理的IP。
+ */
+class BruteForceService {
+  constructor() {
+    this.ACTIONS = ACTIONS;
+  }
+
+  // 兑换卡密时的统计维度
+  getCardSubjects(username, code, ip) {
+    return { account: username, ip, 'card-prefix': String(code).slice(0, CARD_PREFIX_LENGTH) };
+  }
+
+  // 只统计该操作配置了阈值的维度，忽略空值
+  getSubjects(action, subjects) {
+    const { THRESHOLDS } = getBruteForceConfig();
+    const thresholds = THRESHOLDS[action] || {};
+
+    return Object.entries(subjects)
+      .filter(([type, value]) => thresholds[type] && value !== undefined && value !== null && value !== '')
+      .map(([type, value]) => {
+        const normalized = normalizeValue(value);
+        return { type, value: normalized, id: subjectId(action, type, normalized), threshold: thresholds[type] };
+      });
+  }
+
+  /**
+   * 【修改】尝试前原子地检查并预占一次尝试（原 check + recordFailure）：
+   * 任一维度处于锁定或等待期间时抛出 cause 为 rate_limited 的错误（retryAfter 为需要等待的秒数），不计数；
+   * 否则各维度计一次失败，达到阈值时立即锁定
+   * @param {string} action - 操作（ACTIONS）
+   * @param {object} subjects - { account, ip, 'card-prefix' }
+   * @param {object} context - 记录到锁定事件中的信息 { ip }
+   */
+  async reserveAttempt(action, subjects, context = {}) {
+    const entries = this.getSubjects(action, subjects);
+    if (entries.length === 0) {
+      return;
+    }
+
+    const { WINDOW, DELAY_AFTER, DELAY_BASE, DELAY_MAX, LOCK_DURATION, EVENT_LIMIT } = getBruteForceConfig();
+    const now = Date.now();
+    const keys = [LOCK_INDEX_KEY, EVENTS_KEY];
+    const args = [now, WINDOW, DELAY_AFTER, DELAY_BASE, DELAY_MAX, LOCK_DURATION, EVENT_LIMIT];
+    entries.forEach(({ type, value, id, threshold }) => {
+      // 锁定发生在计数达到阈值的那次尝试，失败次数即阈值
+      const lock = {
+        action,
+        type,
+        value,
+        failures: threshold,
+        ip: context.ip || null,
+        lockedAt: now,
+        until: now + LOCK_DURATION * 1000
+      };
+      keys.push(`${FAIL_PREFIX}${id}`, `${LOCK_PREFIX}${id}`);
+      args.push(threshold, id, JSON.stringify(lock), JSON.stringify({ event: 'locked', ...lock, at: now }));
+    });
+
+    const [waitMs, ...lockedIndexes] = await redisClient.client.eval(RESERVE_SCRIPT, keys.length, ...keys, ...args);
+    if (waitMs > 0) {
+      throw tooManyAttempts(Math.ceil(waitMs / 1000));
+    }
+
+    lockedIndexes.forEach((index) => {
+      const { type, value, threshold } = entries[index - 1];
+      console.warn(`[BRUTE-FORCE] Locked ${action} ${type} ${value} for ${LOCK_DURATION}s after ${threshold} failures`);
+    });
+  }
+
+  // 【新增】归还 reserveAttempt 预占的次数（结果不属于猜测失败时调用；已设置的等待时间和锁定保持不变）
+  async releaseAttempt(action, subjects) {
+    const entries = this.getSubjects(action, subjects);
+    if (entries.length > 0) {
+      await redisClient.client.eval(RELEASE_SCRIPT, entries.length, ...entries.map(({ id }) => `${FAIL_PREFIX}${id}`));
+    }
+  }
+
+  // 【修改】成功后清除账号维度的失败次数，其他维度归还本次预占的次数（IP等维度继续统计之前的失败，避免用自己的账号重置计数）
+  async recordSuccess(action, subjects) {
+    const { account, ...others } = subjects;
+    const entries = this.getSubjects(action, { account });
+    if (entries.length > 0) {
+      await redisClient.client.del(`${FAIL_PREFIX}${entries[0].id}`);
+    }
+    await this.releaseAttempt(action, others);
+  }
+
+  // 当前有效的锁定（顺便清理索引中已过期的记录）
+  async listLocks() {
+    await redisClient.client.zremrangebyscore(LOCK_INDEX_KEY, '-inf', Date.now());
+    const ids = await redisClient.client.zrange(LOCK_INDEX_KEY, 0, -1);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const values = await redisClient.client.mget(ids.map(id => `${LOCK_PREFIX}${id}`));
+    return values
+      .filter(Boolean)
+      .map(value => JSON.parse(value))
+      .sort((a, b) => b.lockedAt - a.lockedAt);
+  }
+
+  // 最近的锁定/解锁事件（新的在前）
+  async listEvents(limit = 100) {
+    const values = await redisClient.client.lrange(EVENTS_KEY, 0, limit - 1);
+    return values.map(value => JSON.parse(value));
+  }
+
+  /**
+   * 管理员手动解锁（同时清除失败次数和等待时间）
+   * @returns {Promise<boolean>} 没有对应的锁定时返回false
+   */
+  async unlock(action, type, value, admin) {
+    const { EVENT_LIMIT } = getBruteForceConfig();
+    const normalized = normalizeValue(value);
+    const id = subjectId(action, type, normalized);
+
+    const [[, deleted]] = await redisClient.client.multi()
+      .del(`${LOCK_PREFIX}${id}`)
+      .del(`${FAIL_PREFIX}${id}`)
+      .zrem(LOCK_INDEX_KEY, id)
+      .exec();
+
+    if (deleted === 0) {
+      return false;
+    }
+
+    await redisClient.client.multi()
+      .lpush(EVENTS_KEY, JSON.stringify({ event: 'unlocked', action, type, value: normalized, admin, at: Date.now() }))
+      .ltrim(EVENTS_KEY, 0, EVENT_LIMIT - 1)
+      .exec();
+
+    console.log(`[BRUTE-FORCE] ${admin} unlocked ${action} ${type} ${normalized}`);
+    return true;
+  }
+}
+
+const bruteForceService = new BruteForceService();
+
+module.exports = bruteForceService;
@@ -0,0 +1,305 @@
+const { v4: uuidv4 } = require('uuid');
+const dbClient = require('./dbClient');
+const { getCardConfig } = require('../utils/config');
+
+// 导出CSV的列（顺序即CSV列顺序）
+const EXPORT_COLUMNS = [
+  ['code', '卡密'],
+  ['package_type', '套餐'],
+  ['status', '状态'],
+  ['redeem_by', '兑换截止'],
+  ['created_at', '生成时间'],
+  ['used_at', '兑换时间'],
+  ['used_by', '兑换用户'],
+  ['expired_at', '过期时间'],
+  ['revoked_at', '作废时间'],
+  ['revoke_reason', '作废原因']
+];
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // 以 = + - @（或制表符、回车）开头的值会被表格软件当作公式执行（如用户名、作废原因），加 ' 前缀按文本显示
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  // 含逗号、引号或换行的值需要加引号，内部引号转义为两个引号
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 判断卡密当前是否可以兑换，不可兑换时返回原因
+ * 兑换截止时间已过但定时任务尚未标记的卡密同样视为已过期。
+ * @param {object} card - cards表中的记录
+ * @returns {string|null} 不可兑换的原因，可兑换时返回null
+ */
+function getCardUnavailableReason(card) {
+  if (card.status === 'revoked') {
+    return '该卡密已被作废，请联系售卡渠道';
+  }
+
+  if (card.status === 'expired' || (card.status === 'unused' && card.redeem_by && new Date(card.redeem_by).getTime() < Date.now())) {
+    return '该卡密已过期，超过兑换截止时间';
+  }
+
+  if (card.status !== 'unused') {
+    return '该卡密已被使用';
+  }
+
+  return null;
+}
+
+/**
+ * 卡密生命周期服务
+ * 负责卡密批次（按标签和销售渠道分组）、兑换截止时间、作废和导出。
+ * 过期检查由定时任务执行：把超过 redeem_by 仍未兑换的卡密标记为 expired，
+ * PM2集群下每个进程都会执行，UPDATE 本身是幂等的。
+ */
+class CardLifecycleService {
+  constructor() {
+    this.expiryTimer = null;
+  }
+
+  async createBatch({ label, channel = null, packageType, redeemBy = null, createdBy = null }) {
+    const batchId = uuidv4();
+    const result = await dbClient.query(
+      `INSERT INTO card_batches (batch_id, label, channel, package_type, redeem_by, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [batchId, label, channel, packageType, redeemBy, createdBy]
+    );
+    return result.rows[0];
+  }
+
+  async updateBatchQuantity(batchId, quantity) {
+    await dbClient.query(
+      'UPDATE card_batches SET quantity = $1 WHERE batch_id = $2',
+      [quantity, batchId]
+    );
+  }
+
+  async getBatch(batchId) {
+    const result = await dbClient.query(
+      'SELECT * FROM card_batches WHERE batch_id = $1',
+      [batchId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // 批次列表，附带各状态的卡密数量
+  async listBatches({ channel = null, limit = 20, offset = 0 } = {}) {
+    const params = channel ? [limit, offset, channel] : [limit, offset];
+    const whereClause = channel ? 'WHERE b.channel = $3' : '';
+
+    const [batches, count] = await Promise.all([
+      dbClient.query(
+        `SELECT b.*,
+                COUNT(c.id) FILTER (WHERE c.status = 'unused') AS unused_count,
+                COUNT(c.id) FILTER (WHERE c.status = 'used') AS used_count,
+                COUNT(c.id) FILTER (WHERE c.status = 'expired') AS expired_count,
+                COUNT(c.id) FILTER (WHERE c.status = 'revoked') AS revoked_count
+         FROM card_batches b
+         LEFT JOIN cards c ON c.batch_id = b.batch_id
+         ${whereClause}
+         GROUP BY b.id
+         ORDER BY b.created_at DESC
+         LIMIT $1 OFFSET $2`,
+        params
+      ),
+      channel
+        ? dbClient.query('SELECT COUNT(*) FROM card_batches WHERE channel = $1', [channel])
+        : dbClient.query('SELECT COUNT(*) FROM card_batches')
+    ]);
+
+    return {
+      batches: batches.rows.map(row => ({
+        batchId: row.batch_id,
+        label: row.label,
+        channel: row.channel,
+        packageType: row.package_type,
+        quantity: row.quantity,
+        redeemBy: row.redeem_by,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at,
+        revokedBy: row.revoked_by,
+        revokeReason: row.revoke_reason,
+        statusCounts: {
+          unused: parseInt(row.unused_count),
+          used: parseInt(row.used_count),
+          expired: parseInt(row.expired_count),
+          revoked: parseInt(row.revoked_count)
+        }
+      })),
+      total: parseInt(count.rows[0].count)
+    };
+  }
+
+  /**
+   * 作废单张卡密（只能作废尚未兑换的卡密）
+   * @returns {Promise<object|null>} 作废后的卡密，卡密不存在时返回null
+   */
+  async revokeCard(code, { admin = null, reason = null } = {}) {
+    const result = await dbClient.query(
+      `UPDATE cards SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revoke_reason = $3
+       WHERE code = $1 AND status IN ('unused', 'expired')
+       RETURNING *`,
+      [code, admin, reason]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`[CARD-LIFECYCLE] Card ${code} revoked by ${admin}`);
+      return result.rows[0];
+    }
+
+    const existing = await dbClient.query('SELECT status FROM cards WHERE code = $1', [code]);
+    if (existing.rows.length === 0) {
+      return null;
+    }
+
+    const status = existing.rows[0].status;
+    throw new Error(status === 'revoked' ? '该卡密已被作废' : '该卡密已被使用，无法作废');
+  }
+
+  /**
+   * 作废整个批次中尚未兑换的卡密（已兑换的卡密不受影响）
+   * @returns {Promise<object[]|null>} 本次作废的卡密（code/package_type/package_info），批次不存在时返回null
+   */
+  async revokeBatch(batchId, { admin = null, reason = null } = {}) {
+    const client = await dbClient.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const batch = await client.query(
+        `UPDATE card_batches SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revoke_reason = $3
+         WHERE batch_id = $1
+         RETURNING batch_id`,
+        [batchId, admin, reason]
+      );
+
+      if (batch.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const cards = await client.query(
+        `UPDATE cards SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revoke_reason = $3
+         WHERE batch_id = $1 AND status IN ('unused', 'expired')
+         RETURNING code, package_type, package_info`,
+        [batchId, admin, reason]
+      );
+
+      await client.query('COMMIT');
+      console.log(`[CARD-LIFECYCLE] Batch ${batchId} revoked by ${admin}: ${cards.rows.length} cards`);
+      return cards.rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // 将超过兑换截止时间仍未兑换的卡密标记为过期
+  async expireOverdueCards() {
+    const result = await dbClient.query(
+      `UPDATE cards SET status = 'expired', expired_at = CURRENT_TIMESTAMP
+       WHERE status = 'unused' AND redeem_by IS NOT NULL AND redeem_by < CURRENT_TIMESTAMP`
+    );
+
+    if (result.rowCount > 0) {
+      console.log(`[CARD-LIFECYCLE] Marked ${result.rowCount} cards as expired`);
+    }
+    return result.rowCount;
+  }
+
+  // 导出批次的CSV（包含每张卡密的兑换状态）
+  async exportBatchCsv(batchId) {
+    const result = await dbClient.query(
+      `SELECT ${EXPORT_COLUMNS.map(([column]) => column).join(', ')}
+       FROM cards WHERE batch_id = $1
+       ORDER BY id ASC`,
+      [batchId]
+    );
+
+    const header = EXPORT_COLUMNS.map(([, title]) => title).join(',');
+    const lines = result.rows.map(row =>
+      EXPORT_COLUMNS.map(([column]) => formatCsvValue(row[column])).join(',')
+    );
+
+    return [header, ...lines].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 用户的卡密兑换记录
+   * 变化信息来自兑换时写入使用流水的 changes（早期兑换的记录没有流水，changes为null）
+   */
+  async getRedemptionHistory(username, { limit = 20, offset = 0 } = {}) {
+    const [cards, count] = await Promise.all([
+      dbClient.query(
+        `SELECT c.code, c.package_type, c.package_info, c.used_at, l.metadata
+         FROM cards c
+         LEFT JOIN usage_ledger l
+           ON l.entry_type = 'card_redemption' AND l.username = c.used_by AND l.metadata->>'code' = c.code
+         WHERE c.used_by = $1 AND c.status = 'used'
+         ORDER BY c.used_at DESC
+         LIMIT $2 OFFSET $3`,
+        [username, limit, offset]
+      ),
+      dbClient.query(
+        `SELECT COUNT(*) FROM cards WHERE used_by = $1 AND status = 'used'`,
+        [username]
+      )
+    ]);
+
+    return {
+      history: cards.rows.map(row => {
+        const packageInfo = row.package_info || {};
+        const metadata = row.metadata || {};
+        return {
+          // 只返回卡密首尾，避免在前端完整展示
+          code: `${row.code.slice(0, 4)}****${row.code.slice(-4)}`,
+          packageType: row.package_type,
+          description: packageInfo.description || row.package_type,
+          days: typeof packageInfo.duration === 'number' ? packageInfo.duration / 86400000 : null,
+          chars: typeof packageInfo.quotaChars === 'number' ? packageInfo.quotaChars : null,
+          redeemedAt: row.used_at,
+          changes: metadata.changes || null
+        };
+      }),
+      total: parseInt(count.rows[0].count)
+    };
+  }
+
+  // 启动过期检查定时任务
+  startExpiryTimer() {
+    if (this.expiryTimer) {
+      return;
+    }
+
+    const { EXPIRY_CHECK_INTERVAL } = getCardConfig();
+    this.expiryTimer = setInterval(() => {
+      this.expireOverdueCards().catch(error => {
+        console.error('[CARD-LIFECYCLE] Error during expiry check:', error);
+      });
+    }, EXPIRY_CHECK_INTERVAL * 1000);
+
+    console.log('[CARD-LIFECYCLE] Expiry timer started');
+  }
+
+  stopExpiryTimer() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+      console.log('[CARD-LIFECYCLE] Expiry timer stopped');
+    }
+  }
+}
+
+const cardLifecycleService = new CardLifecycleService();
+cardLifecycleService.getCardUnavailableReason = getCardUnavailableReason;
+
+module.exports = cardLifecycleService;
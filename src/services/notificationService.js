@@ -0,0 +1,199 @@
+const dbClient = require('./dbClient');
+const { sendEmailViaTencentSES } = require('./authService');
+const { getNotificationConfig } = require('../utils/config');
+
+const NOTICE_TYPES = {
+  QUOTA: 'quota',
+  EXPIRY: 'expiry'
+};
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * 配额/到期提醒邮件服务
+ * 定时扫描有效会员：字符使用超过阈值（默认80%、95%）或距离到期不足N天时发送提醒邮件。
+ * 每条提醒以 <类型>:<阈值>:<expireAt> 作为键写入 notification_log，同一套餐周期只发送一次；
+ * 兑换卡密会改变 expireAt，新周期重新计算。先写记录再发送（抢占），PM2多进程不会重复发送，
+ * 发送失败时删除记录，下次扫描重试。
+ */
+class NotificationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * 执行一次扫描
+   * @returns {Promise<{scanned: number, sent: number, failed: number}>}
+   */
+  async runOnce(now = Date.now()) {
+    if (this.running) {
+      return { scanned: 0, sent: 0, failed: 0 };
+    }
+
+    this.running = true;
+    const stats = { scanned: 0, sent: 0, failed: 0 };
+
+    try {
+      const config = getNotificationConfig();
+      let lastId = 0;
+
+      while (true) {
+        const result = await dbClient.query(
+          `SELECT id, username, email, vip_info FROM users
+           WHERE id > $1
+             AND email IS NOT NULL AND email <> ''
+             AND email_notifications IS NOT FALSE
+             AND (vip_info->>'expireAt')::numeric > $2
+           ORDER BY id ASC
+           LIMIT $3`,
+          [lastId, now, config.BATCH_SIZE]
+        );
+
+        for (const user of result.rows) {
+          stats.scanned++;
+          for (const notice of this.getDueNotices(user.vip_info, config, now)) {
+            const sent = await this.deliver(user, notice, config);
+            if (sent === true) stats.sent++;
+            if (sent === false) stats.failed++;
+          }
+        }
+
+        if (result.rows.length < config.BATCH_SIZE) {
+          break;
+        }
+        lastId = result.rows[result.rows.length - 1].id;
+      }
+
+      if (stats.sent > 0 || stats.failed > 0) {
+        console.log(`[NOTIFY] Scanned ${stats.scanned} users, sent ${stats.sent} notices, ${stats.failed} failed`);
+      }
+      return stats;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 计算用户当前应发送的提醒（每种类型最多一条：只发送已越过的最高配额阈值、最近的到期天数）
+   * 同时返回需要一并标记为已发送的较低阈值，避免之后补发过时的提醒。
+   */
+  getDueNotices(vip, config, now) {
+    const notices = [];
+    // 测试套餐有效期只有30分钟，不发送提醒
+    if (!vip || vip.type === 'PT' || !vip.expireAt) {
+      return notices;
+    }
+
+    const period = vip.expireAt;
+
+    if (vip.quotaChars > 0) {
+      const usedChars = vip.usedChars || 0;
+      const percentage = (usedChars / vip.quotaChars) * 100;
+      const crossed = config.QUOTA_THRESHOLDS.filter(threshold => percentage >= threshold).sort((a, b) => b - a);
+
+      if (crossed.length > 0) {
+        notices.push({
+          type: NOTICE_TYPES.QUOTA,
+          key: `quota:${crossed[0]}:${period}`,
+          supersededKeys: crossed.slice(1).map(threshold => `quota:${threshold}:${period}`),
+          templateData: {
+            percentage: Math.floor(percentage),
+            usedChars,
+            quotaChars: vip.quotaChars,
+            remainingChars: Math.max(0, vip.quotaChars - usedChars),
+            expireDate: formatDate(vip.expireAt)
+          }
+        });
+      }
+    }
+
+    const daysLeft = (vip.expireAt - now) / 86400000;
+    const matched = config.EXPIRY_DAYS.filter(days => daysLeft <= days).sort((a, b) => a - b);
+    if (matched.length > 0) {
+      notices.push({
+        type: NOTICE_TYPES.EXPIRY,
+        key: `expiry:${matched[0]}:${period}`,
+        supersededKeys: matched.slice(1).map(days => `expiry:${days}:${period}`),
+        templateData: {
+          daysLeft: Math.max(1, Math.ceil(daysLeft)),
+          expireDate: formatDate(vip.expireAt)
+        }
+      });
+    }
+
+    return notices;
+  }
+
+  // 抢占并发送一条提醒；已发送过返回null，发送成功返回true，失败返回false
+  async deliver(user, notice, config) {
+    const templateId = notice.type === NOTICE_TYPES.QUOTA ? config.QUOTA_TEMPLATE_ID : config.EXPIRY_TEMPLATE_ID;
+    // 未配置模板时不能发送（否则会回退到验证码模板），使用本地邮件桩时不需要模板
+    if (!templateId && !process.env.EMAIL_STUB_DIR) {
+      return null;
+    }
+
+    const claim = await dbClient.query(
+      `INSERT INTO notification_log (username, notice_type, notice_key, email)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (username, notice_key) DO NOTHING
+       RETURNING id`,
+      [user.username, notice.type, notice.key, user.email]
+    );
+
+    if (claim.rows.length === 0) {
+      return null;
+    }
+
+    try {
+      await sendEmailViaTencentSES(user.email, { username: user.username, ...notice.templateData }, {
+        templateId,
+        subject: notice.type === NOTICE_TYPES.QUOTA ? '字符配额即将用完' : '会员即将到期'
+      });
+
+      for (const key of notice.supersededKeys) {
+        await dbClient.query(
+          `INSERT INTO notification_log (username, notice_type, notice_key, email)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (username, notice_key) DO NOTHING`,
+          [user.username, notice.type, key, user.email]
+        );
+      }
+      return true;
+    } catch (error) {
+      console.error(`[NOTIFY] Failed to send ${notice.key} to ${user.username}:`, error.message);
+      await dbClient.query('DELETE FROM notification_log WHERE id = $1', [claim.rows[0].id]);
+      return false;
+    }
+  }
+
+  // 启动定时扫描（NOTIFY_ENABLED=true 时生效）
+  startNotifyTimer() {
+    const config = getNotificationConfig();
+    if (!config.ENABLED || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        console.error('[NOTIFY] Error during notification scan:', error);
+      });
+    }, config.CHECK_INTERVAL * 1000);
+
+    console.log('[NOTIFY] Notification timer started');
+  }
+
+  stopNotifyTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[NOTIFY] Notification timer stopped');
+    }
+  }
+}
+
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
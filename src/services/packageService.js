@@ -0,0 +1,172 @@
+const dbClient = require('./dbClient');
+
+// 进程内缓存时长（毫秒）。PM2集群下其他进程最多延迟这么久看到套餐修改
+const CACHE_TTL_MS = 30 * 1000;
+
+const PACKAGE_TIERS = ['STANDARD', 'PRO'];
+
+function mapPackageRow(row) {
+  return {
+    code: row.code,
+    name: row.name,
+    tier: row.tier,
+    days: parseFloat(row.days),
+    chars: parseInt(row.chars),
+    price: parseFloat(row.price),
+    isActive: row.is_active,
+    sortOrder: row.sort_order,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 套餐目录服务
+ * 套餐定义保存在 packages 表中，管理员可以在线修改价格和配额而无需发版。
+ * 卡密生成时会把当时的套餐写入 cards.package_info 作为快照，
+ * 之后修改或停用套餐不会影响已发放卡密的兑换结果。
+ */
+class PackageService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  // 读取全部套餐（含停用），按排序字段排列
+  async loadPackages() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    const result = await dbClient.query(
+      'SELECT * FROM packages ORDER BY sort_order ASC, code ASC'
+    );
+
+    this.cache = result.rows.map(mapPackageRow);
+    this.cacheExpiresAt = Date.now() + CACHE_TTL_MS;
+    return this.cache;
+  }
+
+  /**
+   * 获取套餐配置
+   * @param {string} code - 套餐代码
+   * @param {object} options - { includeInactive: 是否返回已停用的套餐 }
+   * @returns {Promise<object|null>}
+   */
+  async getPackageConfig(code, { includeInactive = false } = {}) {
+    const packages = await this.loadPackages();
+    const pkg = packages.find(item => item.code === code);
+    if (!pkg || (!pkg.isActive && !includeInactive)) {
+      return null;
+    }
+    return pkg;
+  }
+
+  // 获取套餐列表（默认只返回启用的套餐）
+  async getAllPackages({ includeInactive = false } = {}) {
+    const packages = await this.loadPackages();
+    return includeInactive ? packages : packages.filter(pkg => pkg.isActive);
+  }
+
+  async createPackage({ code, name, tier = 'STANDARD', days, chars, price = 0, isActive = true, sortOrder = 0 }) {
+    const result = await dbClient.query(
+      `INSERT INTO packages (code, name, tier, days, chars, price, is_active, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [code, name, tier, days, chars, price, isActive, sortOrder]
+    );
+
+    this.invalidateCache();
+    return mapPackageRow(result.rows[0]);
+  }
+
+  // 部分更新：只修改传入的字段（套餐代码不可修改）
+  async updatePackage(code, changes) {
+    const columns = {
+      name: 'name',
+      tier: 'tier',
+      days: 'days',
+      chars: 'chars',
+      price: 'price',
+      isActive: 'is_active',
+      sortOrder: 'sort_order'
+    };
+
+    const sets = [];
+    const values = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] !== undefined) {
+        values.push(changes[field]);
+        sets.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getPackageConfig(code, { includeInactive: true });
+    }
+
+    values.push(code);
+    const result = await dbClient.query(
+      `UPDATE packages SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE code = $${values.length}
+       RETURNING *`,
+      values
+    );
+
+    this.invalidateCache();
+    return result.rows.length > 0 ? mapPackageRow(result.rows[0]) : null;
+  }
+
+  /**
+   * 构建卡密的套餐快照（写入 cards.package_info）
+   * 保留原有的 type/duration/quotaChars/price/description 字段，KV同步和旧客户端依赖这些字段。
+   */
+  buildCardSnapshot(pkg) {
+    return {
+      type: pkg.code,
+      duration: pkg.days * 86400000, // 转换为毫秒
+      quotaChars: pkg.chars,
+      price: pkg.price,
+      description: pkg.name,
+      tier: pkg.tier,
+      days: pkg.days,
+      snapshotAt: Date.now()
+    };
+  }
+
+  /**
+   * 解析卡密兑换时使用的套餐：优先使用卡密上的快照，
+   * 快照不完整（早期生成的卡密）时回退到当前套餐目录。
+   * @returns {Promise<{code: string, days: number, chars: number, tier: string}|null>}
+   */
+  async resolveCardPackage(card) {
+    const snapshot = card.package_info || {};
+    if (typeof snapshot.duration === 'number' && typeof snapshot.quotaChars === 'number') {
+      return {
+        code: card.package_type,
+        days: snapshot.duration / 86400000,
+        chars: snapshot.quotaChars,
+        tier: snapshot.tier || getTierFromCode(card.package_type)
+      };
+    }
+
+    const pkg = await this.getPackageConfig(card.package_type, { includeInactive: true });
+    return pkg ? { code: pkg.code, days: pkg.days, chars: pkg.chars, tier: pkg.tier } : null;
+  }
+}
+
+// 旧规则：以P开头的套餐为PRO（没有tier字段的旧数据使用）
+function getTierFromCode(code) {
+  return code && code.startsWith('P') ? 'PRO' : 'STANDARD';
+}
+
+const packageService = new PackageService();
+packageService.PACKAGE_TIERS = PACKAGE_TIERS;
+packageService.getTierFromCode = getTierFromCode;
+
+module.exports = packageService;
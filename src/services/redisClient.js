@@ -77,6 +77,22 @@ class RedisClient {
     return subscriber;
   }
 
+  // 任务取消广播（集群模式下任务可能运行在其他进程中）
+  async publishCancel(taskId) {
+    await this.client.publish('tts:cancel', taskId);
+  }
+
+  async subscribeCancel(callback) {
+    const subscriber = this.client.duplicate();
+    await subscriber.subscribe('tts:cancel');
+    subscriber.on('message', (channel, message) => {
+      if (channel === 'tts:cancel') {
+        callback(message);
+      }
+    });
+    return subscriber;
+  }
+
   async disconnect() {
     await this.client.disconnect();
   }
@@ -0,0 +1,213 @@
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('./redisClient');
+const { getAuthConfig } = require('../utils/config');
+
+const SESSION_PREFIX = 'auth:session:';
+const USER_SESSIONS_PREFIX = 'auth:sessions:';
+const REVOKED_BEFORE_PREFIX = 'auth:revoked-before:';
+// 已换取过的旧refresh token（没有会话ID），保留到token过期
+const LEGACY_REFRESH_USED_PREFIX = 'auth:legacy-refresh-used:';
+
+// 原子轮换：当前jti匹配时替换为新jti；会话不存在返回0，jti不匹配（旧token被重放）时删除整个会话并返回-1
+const ROTATE_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'currentJti')
+if not current then
+  return 0
+end
+if current ~= ARGV[1] then
+  redis.call('DEL', KEYS[1])
+  redis.call('SREM', KEYS[2], ARGV[4])
+  return -1
+end
+redis.call('HSET', KEYS[1], 'currentJti', ARGV[2], 'lastUsedAt', ARGV[3])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+return 1
+`;
+
+function sessionKey(familyId) {
+  return `${SESSION_PREFIX}${familyId}`;
+}
+
+function userSessionsKey(username) {
+  return `${USER_SESSIONS_PREFIX}${username}`;
+}
+
+/**
+ * 登录会话服务（Redis）
+ * 每次登录创建一个会话（token family），会话中记录当前有效的refresh token jti。
+ * 刷新时轮换refresh token；已被轮换掉的refresh token再次使用视为被盗用，整个会话立即作废。
+ * access token 同样携带会话ID（fam），会话删除后该会话签发的所有token都无法通过 verifyToken。
+ * 修改/重置密码时还会写入用户级的 revoked-before 时间戳，此前签发的所有token（无论有没有会话ID）都会失效。
+ */
+class SessionService {
+  /**
+   * 创建会话
+   * @param {string} username - 用户名
+   * @param {string} jti - 首个refresh token的jti
+   * @param {object} meta - { userAgent, ip }
+   * @returns {Promise<string>} 会话ID（familyId）
+   */
+  async createSession(username, jti, { userAgent = null, ip = null } = {}) {
+    const { REFRESH_TOKEN_EXPIRE } = getAuthConfig();
+    const familyId = uuidv4();
+    const now = Date.now();
+
+    await redisClient.client.multi()
+      .hset(sessionKey(familyId), {
+        username,
+        currentJti: jti,
+        createdAt: now,
+        lastUsedAt: now,
+        userAgent: (userAgent || '').slice(0, 255),
+        ip: ip || ''
+      })
+      .expire(sessionKey(familyId), REFRESH_TOKEN_EXPIRE)
+      .sadd(userSessionsKey(username), familyId)
+      .expire(userSessionsKey(username), REFRESH_TOKEN_EXPIRE)
+      .exec();
+
+    return familyId;
+  }
+
+  /**
+   * 轮换refresh token
+   * @returns {Promise<'rotated'|'revoked'|'reused'>}
+   */
+  async rotate(username, familyId, presentedJti, newJti) {
+    const { REFRESH_TOKEN_EXPIRE } = getAuthConfig();
+    const result = await redisClient.client.eval(
+      ROTATE_SCRIPT,
+      2,
+      sessionKey(familyId),
+      userSessionsKey(username),
+      presentedJti,
+      newJti,
+      Date.now(),
+      familyId,
+      REFRESH_TOKEN_EXPIRE
+    );
+
+    if (result === -1) {
+      console.warn(`[SESSION] Refresh token reuse detected for user ${username}, session ${familyId} revoked`);
+      return 'reused';
+    }
+    return result === 1 ? 'rotated' : 'revoked';
+  }
+
+  /**
+   * 【新增】标记没有会话ID的旧refresh token已换取（每个旧token只能换取一次，重放时返回false）
+   * @param {string} tokenId - token的jti（旧token没有jti时由调用方传入token的哈希）
+   * @param {number} expiresAt - token过期时间（毫秒），标记保留到此时
+   * @returns {Promise<boolean>} 首次换取返回true
+   */
+  async claimLegacyRefreshToken(tokenId, expiresAt) {
+    const ttl = Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+    const result = await redisClient.client.set(`${LEGACY_REFRESH_USED_PREFIX}${tokenId}`, Date.now(), 'EX', ttl, 'NX');
+    return result === 'OK';
+  }
+
+  /**
+   * 检查token是否已被作废
+   * 所有token都要检查签发时间是否早于用户的全部作废时间（会话索引有自己的过期时间，
+   * 不在索引中的会话不会被 revokeAllSessions 删除，只能靠作废时间拦截）；带会话ID的token还要求会话仍然存在。
+   * 比较精确到秒：新格式token的iat只精确到秒，作废后同一秒内签发的新token不能被误判为已作废。
+   * @param {object} claims - token载荷（sub, iat毫秒, fam）
+   */
+  async isRevoked(claims) {
+    const pipeline = redisClient.client.pipeline();
+    pipeline.get(`${REVOKED_BEFORE_PREFIX}${claims.sub}`);
+    if (claims.fam) {
+      pipeline.exists(sessionKey(claims.fam));
+    }
+    const [[, revokedBefore], sessionResult] = await pipeline.exec();
+
+    if (revokedBefore && Math.floor(claims.iat / 1000) < Math.floor(parseInt(revokedBefore) / 1000)) {
+      return true;
+    }
+    return Boolean(claims.fam) && sessionResult[1] === 0;
+  }
+
+  // 用户的会话列表（顺便清理索引中已过期的会话）
+  async listSessions(username) {
+    const familyIds = await redisClient.client.smembers(userSessionsKey(username));
+    if (familyIds.length === 0) {
+      return [];
+    }
+
+    const pipeline = redisClient.client.pipeline();
+    familyIds.forEach(familyId => pipeline.hgetall(sessionKey(familyId)));
+    const results = await pipeline.exec();
+
+    const sessions = [];
+    const stale = [];
+    results.forEach(([error, session], index) => {
+      if (error || !session || !session.username) {
+        stale.push(familyIds[index]);
+        return;
+      }
+      sessions.push({
+        id: familyIds[index],
+        createdAt: parseInt(session.createdAt),
+        lastUsedAt: parseInt(session.lastUsedAt),
+        userAgent: session.userAgent || null,
+        ip: session.ip || null
+      });
+    });
+
+    if (stale.length > 0) {
+      await redisClient.client.srem(userSessionsKey(username), ...stale);
+    }
+
+    return sessions.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  /**
+   * 作废单个会话（只能作废自己的会话）
+   * @returns {Promise<boolean>} 会话不存在或不属于该用户时返回false
+   */
+  async revokeSession(username, familyId) {
+    const owner = await redisClient.client.hget(sessionKey(familyId), 'username');
+    if (owner !== username) {
+      return false;
+    }
+
+    await redisClient.client.multi()
+      .del(sessionKey(familyId))
+      .srem(userSessionsKey(username), familyId)
+      .exec();
+
+    console.log(`[SESSION] Session ${familyId} of user ${username} revoked`);
+    return true;
+  }
+
+  /**
+   * 作废用户的所有会话，并使此前签发的所有token（包括没有会话ID的旧token）失效
+   * @param {string} username - 用户名
+   * @param {object} options - { exceptFamilyId: 保留的会话 }
+   * @returns {Promise<number>} 作废的会话数
+   */
+  async revokeAllSessions(username, { exceptFamilyId = null } = {}) {
+    const { REFRESH_TOKEN_EXPIRE } = getAuthConfig();
+    const familyIds = (await redisClient.client.smembers(userSessionsKey(username)))
+      .filter(familyId => familyId !== exceptFamilyId);
+
+    const transaction = redisClient.client.multi();
+    familyIds.forEach(familyId => transaction.del(sessionKey(familyId)));
+    if (familyIds.length > 0) {
+      transaction.srem(userSessionsKey(username), ...familyIds);
+    }
+    // 保留会话时不写入全部作废时间，否则保留的会话签发的token也会失效
+    if (!exceptFamilyId) {
+      transaction.setex(`${REVOKED_BEFORE_PREFIX}${username}`, REFRESH_TOKEN_EXPIRE, Date.now());
+    }
+    await transaction.exec();
+
+    console.log(`[SESSION] Revoked ${familyIds.length} sessions of user ${username}`);
+    return familyIds.length;
+  }
+}
+
+const sessionService = new SessionService();
+
+module.exports = sessionService;
@@ -0,0 +1,134 @@
+const dbClient = require('./dbClient');
+const { getOutputFormatInfo } = require('../utils/audioFormats');
+
+// 输入预览的最大长度（只保存前N个字符，避免task_status膨胀）
+const INPUT_PREVIEW_LENGTH = 100;
+
+/**
+ * TTS任务持久化服务
+ * 将任务生命周期写入 task_status 表，供历史记录和统计接口使用。
+ * Redis中的任务哈希只保留24小时，这里是长期记录。
+ * 所有写入都是尽力而为：数据库异常只记录日志，不影响TTS主流程。
+ */
+class TaskStatusService {
+  // 从任务请求中提取需要持久化的摘要信息
+  buildTaskSummary(taskData = {}) {
+    const taskType = taskData.taskType === 'dialogue' ? 'dialogue' : 'single';
+    const model = taskData.model || 'eleven_turbo_v2';
+    const outputFormat = getOutputFormatInfo(taskData.outputFormat).id;
+
+    if (taskType === 'dialogue') {
+      const dialogue = Array.isArray(taskData.dialogue) ? taskData.dialogue : [];
+      const voices = [...new Set(dialogue.map(item => item.voice).filter(Boolean))];
+      const charCount = dialogue.reduce((sum, item) => sum + (item.text ? item.text.length : 0), 0);
+      const fullText = dialogue.map(item => item.text || '').join('\n');
+
+      return {
+        taskType,
+        voices,
+        model,
+        outputFormat,
+        charCount,
+        lineCount: dialogue.length,
+        inputPreview: this.truncatePreview(fullText)
+      };
+    }
+
+    const input = typeof taskData.input === 'string' ? taskData.input : '';
+    return {
+      taskType,
+      voices: taskData.voice ? [taskData.voice] : [],
+      model,
+      outputFormat,
+      charCount: input.length,
+      inputPreview: this.truncatePreview(input)
+    };
+  }
+
+  truncatePreview(text) {
+    if (!text) {
+      return '';
+    }
+    return text.length > INPUT_PREVIEW_LENGTH
+      ? `${text.substring(0, INPUT_PREVIEW_LENGTH)}...`
+      : text;
+  }
+
+  // 任务开始：创建记录（重复start时覆盖为processing）
+  async createTask(taskId, username, taskData) {
+    const summary = this.buildTaskSummary(taskData);
+
+    try {
+      await dbClient.query(
+        `INSERT INTO task_status (task_id, username, status, task_data, result_data, created_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+         ON CONFLICT (task_id) DO UPDATE SET status = EXCLUDED.status, task_data = EXCLUDED.task_data`,
+        [taskId, username, 'processing', JSON.stringify(summary), JSON.stringify({ percentage: 0 })]
+      );
+    } catch (error) {
+      console.error(`[TASK-STATUS] Failed to create task record ${taskId}:`, error.message);
+    }
+
+    return summary;
+  }
+
+  // 任务进度：只合并进度字段，不改变状态
+  async updateProgress(taskId, progress = {}) {
+    const progressData = {};
+    if (progress.message) {
+      progressData.progress = progress.message;
+    }
+    if (progress.percentage !== undefined && progress.percentage !== null) {
+      progressData.percentage = progress.percentage;
+    }
+
+    if (Object.keys(progressData).length === 0) {
+      return;
+    }
+
+    try {
+      await dbClient.query(
+        `UPDATE task_status SET result_data = COALESCE(result_data, '{}'::jsonb) || $2::jsonb
+         WHERE task_id = $1 AND status = 'processing'`,
+        [taskId, JSON.stringify(progressData)]
+      );
+    } catch (error) {
+      console.error(`[TASK-STATUS] Failed to update progress for task ${taskId}:`, error.message);
+    }
+  }
+
+  // 任务结束：写入最终状态和结果
+  async finalizeTask(taskId, status, resultData = {}) {
+    try {
+      await dbClient.query(
+        `UPDATE task_status
+         SET status = $2,
+             result_data = COALESCE(result_data, '{}'::jsonb) || $3::jsonb,
+             completed_at = CURRENT_TIMESTAMP
+         WHERE task_id = $1`,
+        [taskId, status, JSON.stringify(resultData)]
+      );
+    } catch (error) {
+      console.error(`[TASK-STATUS] Failed to finalize task ${taskId}:`, error.message);
+    }
+  }
+
+  async completeTask(taskId, { audioSize, streamUrl, downloadUrl } = {}) {
+    await this.finalizeTask(taskId, 'complete', {
+      percentage: 100,
+      audioSize: audioSize || 0,
+      streamUrl: streamUrl || null,
+      downloadUrl: downloadUrl || null
+    });
+  }
+
+  // task_status.status 为 VARCHAR(20)，内容违规等细分类型记录在 errorType 中
+  async failTask(taskId, { error, errorType } = {}) {
+    await this.finalizeTask(taskId, 'failed', {
+      error: error || null,
+      errorType: errorType || 'unknown_error'
+    });
+  }
+}
+
+module.exports = new TaskStatusService();
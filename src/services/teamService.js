@@ -0,0 +1,519 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const dbClient = require('./dbClient');
+const { getTeamConfig } = require('../utils/config');
+
+const TEAM_ROLES = ['owner', 'admin', 'member'];
+// 可以通过邀请或修改角色授予的角色（所有者只能是创建者）
+const ASSIGNABLE_ROLES = ['admin', 'member'];
+
+function getNextMonthResetTimestamp() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() + 1, 1).getTime();
+}
+
+// 成员本月已用字符（已过月度重置时间视为0）
+function getMemberMonthlyUsed(member, now = Date.now()) {
+  return now >= parseInt(member.monthly_reset_at || 0) ? 0 : parseInt(member.monthly_used) || 0;
+}
+
+function mapMemberRow(row) {
+  return {
+    username: row.username,
+    role: row.role,
+    monthlyCap: row.monthly_cap,
+    monthlyUsed: getMemberMonthlyUsed(row),
+    totalUsed: parseInt(row.total_used) || 0,
+    joinedAt: row.joined_at
+  };
+}
+
+function mapInvitationRow(row) {
+  return {
+    id: row.id,
+    token: row.token,
+    invitee: row.invitee,
+    role: row.role,
+    status: row.status,
+    invitedBy: row.invited_by,
+    acceptedBy: row.accepted_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    acceptedAt: row.accepted_at
+  };
+}
+
+function forbidden(message) {
+  return new Error(message, { cause: 'forbidden' });
+}
+
+/**
+ * 团队服务
+ * 团队拥有与用户相同结构的 vip_info/usage_stats 作为共享字符池，由所有者或管理员兑换卡密充值。
+ * 用户加入团队后，任务的配额检查、预占和扣减都针对团队字符池（个人套餐在退出团队前不会被使用），
+ * 成员自己的 usage_stats 和流水仍然照常记录，便于查看各成员的消耗。
+ * 可以为成员设置每月字符上限（monthly_cap），达到上限后该成员不能再使用团队字符池。
+ */
+class TeamService {
+  /**
+   * 查询用户所在团队及其成员信息
+   * @returns {Promise<object|null>} { teamId, name, owner, role, member, vip, usage }，不在团队中返回null
+   */
+  async getMembership(username, client = dbClient) {
+    const result = await client.query(
+      `SELECT m.*, t.name, t.owner, t.vip_info, t.usage_stats
+       FROM team_members m
+       JOIN teams t ON t.team_id = m.team_id
+       WHERE m.username = $1`,
+      [username]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      teamId: row.team_id,
+      name: row.name,
+      owner: row.owner,
+      role: row.role,
+      member: row,
+      vip: row.vip_info || {},
+      usage: row.usage_stats || {}
+    };
+  }
+
+  /**
+   * 在事务中锁定成员和团队行（调用方负责BEGIN/COMMIT，加锁顺序：用户 → 成员 → 团队）
+   * @returns {Promise<object|null>} 与 getMembership 相同结构，不在团队中返回null
+   */
+  async lockMemberPool(client, username) {
+    const member = await client.query(
+      'SELECT * FROM team_members WHERE username = $1 FOR UPDATE',
+      [username]
+    );
+
+    if (member.rows.length === 0) {
+      return null;
+    }
+
+    const team = await client.query(
+      'SELECT * FROM teams WHERE team_id = $1 FOR UPDATE',
+      [member.rows[0].team_id]
+    );
+
+    return {
+      teamId: team.rows[0].team_id,
+      name: team.rows[0].name,
+      owner: team.rows[0].owner,
+      role: member.rows[0].role,
+      member: member.rows[0],
+      vip: team.rows[0].vip_info || {},
+      usage: team.rows[0].usage_stats || {}
+    };
+  }
+
+  // 团队中所有成员当前有效的预占字符数
+  async getTeamReservedChars(teamId, client = dbClient) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(chars), 0) AS reserved FROM quota_reservations
+       WHERE team_id = $1 AND status = 'held' AND expires_at > CURRENT_TIMESTAMP`,
+      [teamId]
+    );
+    return parseInt(result.rows[0].reserved) || 0;
+  }
+
+  /**
+   * 成员每月上限检查：本月已用 + 进行中的预占 + 本次需要 > 上限时抛出异常
+   * @param {object} member - team_members表中的记录
+   * @param {number} reservedChars - 该成员进行中任务预占的字符
+   * @param {number} requestedChars - 本次需要的计费字符
+   */
+  assertMemberCapAvailable(member, reservedChars, requestedChars) {
+    if (member.monthly_cap === null || member.monthly_cap === undefined) {
+      return;
+    }
+
+    const monthlyUsed = getMemberMonthlyUsed(member);
+    if (monthlyUsed + reservedChars + requestedChars > member.monthly_cap) {
+      const remaining = Math.max(0, member.monthly_cap - monthlyUsed - reservedChars);
+      throw new Error(`已达到团队为你设置的每月字符上限。本月剩余 ${remaining} 字符，本次需要 ${requestedChars} 字符。请联系团队管理员。`, { cause: 'quota' });
+    }
+  }
+
+  /**
+   * 在事务中从团队字符池扣减使用量，并累加成员的月度和累计使用量
+   * @param {object} client - 事务中的数据库连接
+   * @param {object} pool - lockMemberPool 的返回值
+   * @param {number} billedChars - 计费字符数
+   * @param {number} rawChars - 原始字符数
+   * @returns {Promise<{vip: object, usage: object}>} 扣减后的团队汇总
+   */
+  async applyPoolUsage(client, pool, billedChars, rawChars) {
+    const vip = { ...pool.vip };
+    const usage = { ...pool.usage };
+    const now = Date.now();
+
+    if (vip.quotaChars !== undefined) {
+      vip.usedChars = (vip.usedChars || 0) + billedChars;
+    }
+
+    usage.totalChars = (usage.totalChars || 0) + billedChars;
+    usage.rawTotalChars = (usage.rawTotalChars || 0) + rawChars;
+    if (now >= (usage.monthlyResetAt || 0)) {
+      usage.monthlyChars = billedChars;
+      usage.monthlyResetAt = getNextMonthResetTimestamp();
+    } else {
+      usage.monthlyChars = (usage.monthlyChars || 0) + billedChars;
+    }
+
+    await client.query(
+      'UPDATE teams SET vip_info = $1, usage_stats = $2, updated_at = CURRENT_TIMESTAMP WHERE team_id = $3',
+      [JSON.stringify(vip), JSON.stringify(usage), pool.teamId]
+    );
+
+    const monthlyUsed = getMemberMonthlyUsed(pool.member, now) + billedChars;
+    await client.query(
+      `UPDATE team_members SET monthly_used = $1, monthly_reset_at = $2, total_used = total_used + $3
+       WHERE username = $4`,
+      [
+        monthlyUsed,
+        now >= parseInt(pool.member.monthly_reset_at || 0) ? getNextMonthResetTimestamp() : pool.member.monthly_reset_at,
+        billedChars,
+        pool.member.username
+      ]
+    );
+
+    return { vip, usage };
+  }
+
+  /**
+   * 在事务中退还团队字符池的使用量（不会减到负数）
+   * @returns {Promise<{vip: object, usage: object}>} 退还后的团队汇总
+   */
+  async refundPoolUsage(client, pool, chars) {
+    const vip = { ...pool.vip };
+    const usage = { ...pool.usage };
+
+    if (vip.quotaChars !== undefined) {
+      vip.usedChars = Math.max(0, (vip.usedChars || 0) - chars);
+    }
+    usage.totalChars = Math.max(0, (usage.totalChars || 0) - chars);
+    usage.monthlyChars = Math.max(0, (usage.monthlyChars || 0) - chars);
+
+    await client.query(
+      'UPDATE teams SET vip_info = $1, usage_stats = $2, updated_at = CURRENT_TIMESTAMP WHERE team_id = $3',
+      [JSON.stringify(vip), JSON.stringify(usage), pool.teamId]
+    );
+
+    await client.query(
+      `UPDATE team_members SET monthly_used = GREATEST(0, monthly_used - $1), total_used = GREATEST(0, total_used - $1)
+       WHERE username = $2`,
+      [chars, pool.member.username]
+    );
+
+    return { vip, usage };
+  }
+
+  // 创建团队，创建者成为所有者
+  async createTeam(username, name) {
+    const client = await dbClient.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT team_id FROM team_members WHERE username = $1',
+        [username]
+      );
+      if (existing.rows.length > 0) {
+        throw new Error('你已经加入了一个团队，请先退出当前团队');
+      }
+
+      const teamId = uuidv4();
+      await client.query(
+        'INSERT INTO teams (team_id, name, owner) VALUES ($1, $2, $3)',
+        [teamId, name, username]
+      );
+      await client.query(
+        `INSERT INTO team_members (team_id, username, role) VALUES ($1, $2, 'owner')`,
+        [teamId, username]
+      );
+
+      await client.query('COMMIT');
+      console.log(`[TEAM] Team ${teamId} (${name}) created by ${username}`);
+      return { teamId, name, owner: username };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // 并发创建或加入时成员表的唯一约束冲突
+      if (error.code === '23505') {
+        throw new Error('你已经加入了一个团队，请先退出当前团队');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listMembers(teamId) {
+    const result = await dbClient.query(
+      `SELECT * FROM team_members WHERE team_id = $1
+       ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, joined_at ASC`,
+      [teamId]
+    );
+    return result.rows.map(mapMemberRow);
+  }
+
+  // 获取当前用户所在团队的详情（含成员列表），不在团队中返回null
+  async getTeamForUser(username) {
+    const membership = await this.getMembership(username);
+    if (!membership) {
+      return null;
+    }
+
+    return {
+      teamId: membership.teamId,
+      name: membership.name,
+      owner: membership.owner,
+      role: membership.role,
+      vip: membership.vip,
+      usage: membership.usage,
+      members: await this.listMembers(membership.teamId)
+    };
+  }
+
+  // 要求操作者是团队的所有者或管理员，返回操作者的成员信息
+  async requireManager(username) {
+    const membership = await this.getMembership(username);
+    if (!membership) {
+      throw new Error('你还没有加入团队', { cause: 'not_found' });
+    }
+    if (membership.role !== 'owner' && membership.role !== 'admin') {
+      throw forbidden('只有团队所有者或管理员可以执行此操作');
+    }
+    return membership;
+  }
+
+  /**
+   * 创建邀请
+   * @param {string} inviter - 邀请人（所有者或管理员，管理员只能邀请普通成员）
+   * @param {object} options - { invitee: 用户名或邮箱（可选，不指定则任何人可用）, role }
+   * @returns {Promise<object>} 邀请信息（含token，由邀请人分享给被邀请人）
+   */
+  async createInvitation(inviter, { invitee = null, role = 'member' } = {}) {
+    const membership = await this.requireManager(inviter);
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw new Error(`角色必须是 ${ASSIGNABLE_ROLES.join(', ')} 之一`);
+    }
+    if (role === 'admin' && membership.role !== 'owner') {
+      throw forbidden('只有团队所有者可以邀请管理员');
+    }
+
+    const { INVITE_TTL } = getTeamConfig();
+    const token = crypto.randomBytes(24).toString('hex');
+    const result = await dbClient.query(
+      `INSERT INTO team_invitations (token, team_id, invitee, role, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + $6 * INTERVAL '1 second')
+       RETURNING *`,
+      [token, membership.teamId, invitee, role, inviter, INVITE_TTL]
+    );
+
+    console.log(`[TEAM] ${inviter} invited ${invitee || 'anyone'} to team ${membership.teamId} as ${role}`);
+    return mapInvitationRow(result.rows[0]);
+  }
+
+  async listInvitations(username) {
+    const membership = await this.requireManager(username);
+    const result = await dbClient.query(
+      `SELECT * FROM team_invitations
+       WHERE team_id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY created_at DESC`,
+      [membership.teamId]
+    );
+    return result.rows.map(mapInvitationRow);
+  }
+
+  // 撤销邀请，邀请不存在或已处理时返回false
+  async revokeInvitation(username, invitationId) {
+    const membership = await this.requireManager(username);
+    const result = await dbClient.query(
+      `UPDATE team_invitations SET status = 'revoked'
+       WHERE id = $1 AND team_id = $2 AND status = 'pending'`,
+      [invitationId, membership.teamId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * 接受邀请加入团队
+   * 指定了被邀请人的邀请只能由该用户名或邮箱对应的用户接受。
+   * @returns {Promise<{teamId: string, name: string, role: string}>}
+   */
+  async acceptInvitation(token, username) {
+    const client = await dbClient.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const invitationResult = await client.query(
+        'SELECT * FROM team_invitations WHERE token = $1 FOR UPDATE',
+        [token]
+      );
+      const invitation = invitationResult.rows[0];
+
+      if (!invitation || invitation.status !== 'pending') {
+        throw new Error('邀请不存在或已失效');
+      }
+      if (new Date(invitation.expires_at).getTime() < Date.now()) {
+        throw new Error('邀请已过期，请联系团队管理员重新邀请');
+      }
+
+      if (invitation.invitee) {
+        const userResult = await client.query(
+          'SELECT email FROM users WHERE username = $1',
+          [username]
+        );
+        const email = userResult.rows[0] && userResult.rows[0].email;
+        if (invitation.invitee !== username && invitation.invitee !== email) {
+          throw forbidden('该邀请不是发给你的');
+        }
+      }
+
+      const existing = await client.query(
+        'SELECT team_id FROM team_members WHERE username = $1',
+        [username]
+      );
+      if (existing.rows.length > 0) {
+        throw new Error('你已经加入了一个团队，请先退出当前团队');
+      }
+
+      // 锁定团队行，保证并发接受邀请时成员数不会超过上限
+      const teamResult = await client.query(
+        'SELECT team_id, name FROM teams WHERE team_id = $1 FOR UPDATE',
+        [invitation.team_id]
+      );
+      const memberCount = await client.query(
+        'SELECT COUNT(*) FROM team_members WHERE team_id = $1',
+        [invitation.team_id]
+      );
+      const { MAX_MEMBERS } = getTeamConfig();
+      if (parseInt(memberCount.rows[0].count) >= MAX_MEMBERS) {
+        throw new Error(`团队成员已达上限（${MAX_MEMBERS}人）`);
+      }
+
+      await client.query(
+        'INSERT INTO team_members (team_id, username, role) VALUES ($1, $2, $3)',
+        [invitation.team_id, username, invitation.role]
+      );
+      await client.query(
+        `UPDATE team_invitations SET status = 'accepted', accepted_by = $1, accepted_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [username, invitation.id]
+      );
+
+      await client.query('COMMIT');
+      console.log(`[TEAM] ${username} joined team ${invitation.team_id} as ${invitation.role}`);
+      return { teamId: invitation.team_id, name: teamResult.rows[0].name, role: invitation.role };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw new Error('你已经加入了一个团队，请先退出当前团队');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * 修改成员的角色或每月上限
+   * 只有所有者可以修改角色；管理员可以修改普通成员的上限；所有者的角色不能修改。
+   * @param {string} actor - 操作者
+   * @param {string} username - 被修改的成员
+   * @param {object} changes - { role, monthlyCap }（monthlyCap为null表示取消上限）
+   */
+  async updateMember(actor, username, { role, monthlyCap } = {}) {
+    const membership = await this.requireManager(actor);
+    const targetResult = await dbClient.query(
+      'SELECT * FROM team_members WHERE team_id = $1 AND username = $2',
+      [membership.teamId, username]
+    );
+    const target = targetResult.rows[0];
+
+    if (!target) {
+      throw new Error('该用户不是团队成员', { cause: 'not_found' });
+    }
+
+    if (role !== undefined) {
+      if (membership.role !== 'owner') {
+        throw forbidden('只有团队所有者可以修改成员角色');
+      }
+      if (target.role === 'owner') {
+        throw forbidden('不能修改团队所有者的角色');
+      }
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        throw new Error(`角色必须是 ${ASSIGNABLE_ROLES.join(', ')} 之一`);
+      }
+    }
+
+    if (monthlyCap !== undefined && membership.role === 'admin' && target.role !== 'member') {
+      throw forbidden('管理员只能设置普通成员的每月上限');
+    }
+
+    const result = await dbClient.query(
+      `UPDATE team_members SET
+         role = COALESCE($1, role),
+         monthly_cap = CASE WHEN $2 THEN $3::INTEGER ELSE monthly_cap END
+       WHERE team_id = $4 AND username = $5
+       RETURNING *`,
+      [role || null, monthlyCap !== undefined, monthlyCap === undefined ? null : monthlyCap, membership.teamId, username]
+    );
+
+    console.log(`[TEAM] ${actor} updated member ${username} in team ${membership.teamId}`);
+    return mapMemberRow(result.rows[0]);
+  }
+
+  /**
+   * 移除成员或退出团队
+   * 成员可以自行退出；所有者可以移除任何成员；管理员只能移除普通成员。所有者不能退出自己的团队。
+   */
+  async removeMember(actor, username) {
+    const membership = await this.getMembership(actor);
+    if (!membership) {
+      throw new Error('你还没有加入团队', { cause: 'not_found' });
+    }
+
+    const targetResult = await dbClient.query(
+      'SELECT role FROM team_members WHERE team_id = $1 AND username = $2',
+      [membership.teamId, username]
+    );
+    const target = targetResult.rows[0];
+
+    if (!target) {
+      throw new Error('该用户不是团队成员', { cause: 'not_found' });
+    }
+    if (target.role === 'owner') {
+      throw forbidden('团队所有者不能退出或被移除');
+    }
+    if (actor !== username) {
+      if (membership.role === 'member' || (membership.role === 'admin' && target.role !== 'member')) {
+        throw forbidden('没有权限移除该成员');
+      }
+    }
+
+    await dbClient.query(
+      'DELETE FROM team_members WHERE team_id = $1 AND username = $2',
+      [membership.teamId, username]
+    );
+
+    console.log(`[TEAM] ${username} removed from team ${membership.teamId} by ${actor}`);
+  }
+}
+
+const teamService = new TeamService();
+teamService.TEAM_ROLES = TEAM_ROLES;
+teamService.getMemberMonthlyUsed = getMemberMonthlyUsed;
+
+module.exports = teamService;
@@ -1,15 +1,180 @@
 const redisClient = require('./redisClient');
-const { splitText, processChunks, storeAudioFile, combineAudio, getVoiceId } = require('../utils/ttsUtils');
-const { checkVip, updateUserUsage } = require('./authService');
+const { splitText, processChunks, storeAudioFile, combineAudio, combineAlignments, getVoiceId, throwIfCancelled } = require('../utils/ttsUtils');
+const { checkVip, reserveQuota, commitQuotaReservation, releaseQuotaReservation } = require('./authService');
 const { generateDateBasedFilename } = require('../utils/helpers');
 const { createSafeWebSocketError } = require('../utils/websocketErrorSecurity');
+const taskStatusService = require('./taskStatusService');
+const usageLedgerService = require('./usageLedgerService');
+const { getOutputFormatInfo } = require('../utils/audioFormats');
+const { BITS_PER_SAMPLE, CHANNELS, extractPcmData } = require('../utils/wavUtils');
 const path = require('path');
 const fs = require('fs').promises;
 
+// 已处于终态的任务不能再取消
+const TERMINAL_STATUSES = ['complete', 'failed', 'content_violation_failed', 'cancelled'];
+
+// 停顿时长上限（毫秒），与 validators 保持一致
+const MAX_PAUSE_MS = 10000;
+
+// 规范化停顿时长（WebSocket入口未经过参数校验，非法值按0处理）
+function resolvePauseMs(value) {
+  const pauseMs = Number(value);
+  if (!Number.isFinite(pauseMs) || pauseMs <= 0) {
+    return 0;
+  }
+  return Math.min(Math.round(pauseMs), MAX_PAUSE_MS);
+}
+
+// 【新增】使用流水的来源：HTTP任务接口提交的任务带有 source: 'http'，其余来自WebSocket
+function getUsageSource(taskData) {
+  return taskData.source === usageLedgerService.SOURCES.HTTP ? usageLedgerService.SOURCES.HTTP : usageLedgerService.SOURCES.WEBSOCKET;
+}
+
+// 【新增】使用API密钥发起的任务在流水中记录密钥ID
+function getUsageMetadata(taskData) {
+  return taskData.apiKeyId ? { apiKeyId: taskData.apiKeyId } : undefined;
+}
+
+/**
+ * 【新增】推送的音频片段的解码信息
+ * MP3、Opus 片段是上游返回的完整文件，可以单独解码；
+ * PCM 片段是裸采样数据（没有WAV头），客户端需要按采样率、声道数和位深（小端）解码，或自行加上WAV头。
+ */
+function getChunkAudioFormat(outputFormat) {
+  const format = getOutputFormatInfo(outputFormat);
+  if (format.container === 'wav') {
+    return { container: 'pcm', sampleRate: format.sampleRate, channels: CHANNELS, bitsPerSample: BITS_PER_SAMPLE };
+  }
+  return { container: format.container, contentType: format.contentType, sampleRate: format.sampleRate };
+}
+
+/**
+ * 【新增】边生成边推送音频
+ * 片段并发生成、完成顺序不固定，这里按原始顺序推送：只有前面的片段全部推送后才推送后续片段。
+ * 音频通过任务的进度频道发布（type: 'audio_chunk'，base64编码），
+ * 与进度消息共用同一频道可以保证所有片段都在 'complete' 之前送达；WebSocket层再转成二进制帧。
+ * 每个片段都带有解码信息（audioFormat，见 getChunkAudioFormat）和其后的停顿时长，
+ * 最终保存的文件仍由 combineAudio 生成。
+ */
+class ProgressiveAudioPublisher {
+  constructor(taskId, { total, pausesMs = [], outputFormat, signal }) {
+    this.taskId = taskId;
+    this.total = total;
+    this.pausesMs = pausesMs;
+    this.outputFormat = outputFormat;
+    this.audioFormat = getChunkAudioFormat(outputFormat);
+    this.signal = signal;
+    this.pending = new Map();
+    this.nextIndex = 0;
+    this.queue = Promise.resolve();
+  }
+
+  push(index, audioData) {
+    if (index < this.nextIndex || this.pending.has(index) || !audioData) {
+      return;
+    }
+    this.pending.set(index, audioData);
+
+    while (this.pending.has(this.nextIndex)) {
+      const currentIndex = this.nextIndex;
+      const currentAudio = this.pending.get(currentIndex);
+      this.pending.delete(currentIndex);
+      this.nextIndex++;
+      this.queue = this.queue.then(() => this.publish(currentIndex, currentAudio));
+    }
+  }
+
+  async publish(index, audioData) {
+    if (this.signal?.aborted) {
+      return;
+    }
+
+    try {
+      // PCM 片段统一推送裸采样数据（上游或缓存返回的如果是WAV文件则去掉文件头）
+      const audio = this.audioFormat.container === 'pcm' ? extractPcmData(audioData) : new Uint8Array(audioData);
+      await redisClient.publishProgress(this.taskId, {
+        type: 'audio_chunk',
+        index,
+        total: this.total,
+        pauseAfterMs: index < this.total - 1 ? (this.pausesMs[index] || 0) : 0,
+        outputFormat: this.outputFormat,
+        audioFormat: this.audioFormat,
+        audio: Buffer.from(audio.buffer, audio.byteOffset, audio.byteLength).toString('base64')
+      });
+    } catch (error) {
+      console.error(`[PROGRESSIVE-AUDIO] Failed to publish chunk ${index + 1}/${this.total} for task ${this.taskId}:`, error.message);
+    }
+  }
+
+  // 等待已排队的片段全部发布完成
+  async flush() {
+    await this.queue;
+  }
+}
+
 class TtsProcessor {
+  constructor() {
+    // 本进程中正在运行的任务：taskId -> AbortController
+    this.activeTasks = new Map();
+    this.cancelSubscriber = null;
+  }
+
+  // 订阅跨进程取消广播（PM2集群下取消请求可能落在其他进程）
+  async ensureCancelSubscription() {
+    if (this.cancelSubscriber) {
+      return;
+    }
+
+    try {
+      this.cancelSubscriber = await redisClient.subscribeCancel((taskId) => {
+        this.abortLocalTask(taskId);
+      });
+    } catch (error) {
+      console.error('[TTS-CANCEL] Failed to subscribe cancel channel:', error.message);
+    }
+  }
+
+  isTerminalStatus(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  // 中止本进程内的任务（不在本进程则忽略）
+  abortLocalTask(taskId) {
+    const controller = this.activeTasks.get(taskId);
+    if (controller && !controller.signal.aborted) {
+      console.log(`[TTS-CANCEL] Aborting task ${taskId}`);
+      controller.abort();
+      return true;
+    }
+    return false;
+  }
+
+  // 请求取消任务：标记Redis并广播给所有进程
+  async requestCancel(taskId) {
+    await redisClient.setTaskData(taskId, { cancelRequested: true, cancelRequestedAt: Date.now() });
+
+    if (!this.abortLocalTask(taskId)) {
+      await redisClient.publishCancel(taskId);
+    }
+  }
+
   // 根据任务类型分发处理逻辑
   async start(taskId, taskData, username, token = null) {
+    // 持久化任务记录（供历史记录和统计使用）
+    await taskStatusService.createTask(taskId, username, taskData);
+
+    await this.ensureCancelSubscription();
+    const controller = new AbortController();
+    this.activeTasks.set(taskId, controller);
+
     try {
+      // 任务在真正开始前就已被请求取消
+      const existingTask = await redisClient.getTaskStatus(taskId);
+      if (existingTask && existingTask.cancelRequested === 'true') {
+        controller.abort();
+      }
+      throwIfCancelled(controller.signal);
+
       // 根据taskType分发到不同的处理方法
       if (taskData.taskType === 'dialogue') {
         return await this.startDialogue(taskId, taskData, username, token);
@@ -17,6 +182,29 @@ class TtsProcessor {
         return await this.startSingle(taskId, taskData, username, token);
       }
     } catch (error) {
+      // 【新增】失败、违规或取消都不计费，释放预占的配额
+      await this.releaseReservation(taskId);
+
+      // 用户主动取消：不计费，记录为cancelled
+      if (error.isCancelled || controller.signal.aborted) {
+        console.log(`[TTS-CANCEL] Task ${taskId} cancelled by user`);
+
+        await redisClient.setTaskData(taskId, {
+          status: 'cancelled',
+          username: username,
+          cancelledAt: Date.now()
+        });
+        await taskStatusService.finalizeTask(taskId, 'cancelled', {});
+        await this.publishProgress(taskId, {
+          type: 'cancelled',
+          message: '任务已取消'
+        });
+
+        const cancelledError = new Error('任务已取消');
+        cancelledError.isCancelled = true;
+        throw cancelledError;
+      }
+
       console.error(`TTS processing failed for task ${taskId}:`, error);
 
       // 【新增】优先检查是否为内容违规错误
@@ -33,6 +221,10 @@ class TtsProcessor {
         };
 
         await redisClient.setTaskData(taskId, violationStatus);
+        await taskStatusService.failTask(taskId, {
+          error: error.message,
+          errorType: 'content_violation'
+        });
 
         // 内容违规错误保留原始消息（用户需要知道具体违规原因）
         await this.publishProgress(taskId, {
@@ -60,6 +252,10 @@ class TtsProcessor {
       };
 
       await redisClient.setTaskData(taskId, errorStatus);
+      await taskStatusService.failTask(taskId, {
+        error: safeError.message,
+        errorType: safeError.errorType
+      });
       await this.publishProgress(taskId, safeError);
 
       // 创建安全的错误对象抛出
@@ -67,11 +263,28 @@ class TtsProcessor {
       safeErrorToThrow.name = error.name;
       safeErrorToThrow.code = safeError.errorType;
       throw safeErrorToThrow;
+    } finally {
+      this.activeTasks.delete(taskId);
+    }
+  }
+
+  async releaseReservation(taskId) {
+    try {
+      await releaseQuotaReservation(taskId);
+    } catch (error) {
+      // 释放失败时预占会在过期后自动失效
+      console.error(`[QUOTA-RESERVE] Failed to release reservation for task ${taskId}:`, error.message);
     }
   }
 
+  getTaskSignal(taskId) {
+    return this.activeTasks.get(taskId)?.signal;
+  }
+
   // 普通TTS处理逻辑
   async startSingle(taskId, taskData, username, token = null) {
+    const signal = this.getTaskSignal(taskId);
+
     // 用户进度：开始处理
     await this.publishProgress(taskId, '正在处理...', { userMessage: '正在处理...', percentage: 10 });
 
@@ -80,15 +293,20 @@ class TtsProcessor {
 
     // 检查VIP权限和配额 - 普通TTS需要STANDARD权限
     const charCount = taskData.input.length;
-    await checkVip(username, 'STANDARD', charCount);
+    const model = taskData.model || 'eleven_turbo_v2';
+    const billing = await checkVip(username, 'STANDARD', charCount, model);
+    // 【新增】原子预占配额（按模型倍率计费后的字符数），防止并发任务共用同一份剩余配额
+    await reserveQuota(username, taskId, billing.billedChars);
 
     // 获取语音ID
     const voiceId = await getVoiceId(taskData.voice);
+    const format = getOutputFormatInfo(taskData.outputFormat);
 
     // 内部进度：文本分割
     await this.publishProgress(taskId, '文本分割中...', { internal: true });
-    const chunks = await splitText(taskData.input);
+    const { chunks, pausesMs } = await this.splitInputWithPauses(taskData.input, resolvePauseMs(taskData.paragraphPauseMs));
     await this.publishProgress(taskId, `文本已分割为 ${chunks.length} 个片段`, { internal: true });
+    const audioPublisher = this.createAudioPublisher(taskId, taskData, { total: chunks.length, pausesMs, outputFormat: format.id, signal });
 
     // 用户进度：开始生成音频
     await this.publishProgress(taskId, '生成中...', { userMessage: '生成中...', percentage: 50 });
@@ -98,12 +316,19 @@ class TtsProcessor {
     const audioDataList = await processChunks(
       chunks,
       voiceId,
-      taskData.model || 'eleven_turbo_v2',
+      model,
       taskData.stability,
       taskData.similarity_boost,
       taskData.style,
       taskData.speed,
-      { taskId, username }
+      {
+        taskId,
+        username,
+        signal,
+        outputFormat: taskData.outputFormat,
+        withTimestamps: taskData.withTimestamps === true,
+        onChunkReady: audioPublisher ? (index, audioData) => audioPublisher.push(index, audioData) : undefined
+      }
     );
 
     // 用户进度：即将完成
@@ -111,14 +336,28 @@ class TtsProcessor {
 
     // 内部进度：音频合并
     await this.publishProgress(taskId, '正在合并音频...', { internal: true });
-    const combinedAudioData = combineAudio(audioDataList);
+    const combinedAudioData = combineAudio(audioDataList, { pausesMs, outputFormat: format.id });
+    const alignment = taskData.withTimestamps === true
+      ? combineAlignments(this.toAlignmentSegments(audioDataList), { pausesMs, outputFormat: format.id })
+      : null;
+
+    // 取消发生在生成完成之后：不保存、不计费
+    throwIfCancelled(signal);
+
+    // 确保推送的音频片段全部在完成消息之前发出
+    if (audioPublisher) {
+      await audioPublisher.flush();
+    }
 
     // 内部进度：存储文件
     await this.publishProgress(taskId, '正在保存音频文件...', { internal: true });
-    const filePath = await this.storeAudioFile(taskId, combinedAudioData);
+    const filePath = await this.storeAudioFile(taskId, combinedAudioData, format.extension);
+    if (alignment) {
+      await this.storeAlignmentFile(taskId, alignment);
+    }
 
-    // 更新用户使用量
-    await updateUserUsage(username, charCount);
+    // 更新用户使用量（提交预占，同时写入使用流水）
+    await commitQuotaReservation(taskId, username, charCount, { source: getUsageSource(taskData), model, metadata: getUsageMetadata(taskData) });
 
     // 任务完成 - 生成安全的播放和下载URL（不包含token）
     const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
@@ -131,6 +370,7 @@ class TtsProcessor {
     // 生成不包含token的安全URL
     const streamUrl = `${baseUrl}/api/tts/stream/${taskId}`;
     const downloadUrl = `${baseUrl}/api/tts/download/${taskId}`;
+    const subtitlesUrl = alignment ? `${baseUrl}/api/tts/subtitles/${taskId}` : null;
 
     console.log(`[TTS-PROCESSOR] Generated secure streamUrl: ${streamUrl}`);
     console.log(`[TTS-PROCESSOR] Generated secure downloadUrl: ${downloadUrl}`);
@@ -141,6 +381,8 @@ class TtsProcessor {
       streamUrl: streamUrl,      // 安全的播放URL
       downloadUrl: downloadUrl,  // 安全的下载URL
       audioSize: combinedAudioData.byteLength,
+      outputFormat: format.id,
+      ...(alignment && { hasTimestamps: true, subtitlesUrl }),
       username: username,
       completedAt: Date.now(),
       taskId: taskId,
@@ -148,6 +390,7 @@ class TtsProcessor {
     };
 
     await redisClient.setTaskData(taskId, finalStatus);
+    await taskStatusService.completeTask(taskId, finalStatus);
 
     // 用户进度：任务完成
     await this.publishProgress(taskId, {
@@ -162,13 +405,17 @@ class TtsProcessor {
 
   // 对话式TTS处理逻辑（声音分组并发优化版本）
   async startDialogue(taskId, taskData, username, token = null) {
+    const signal = this.getTaskSignal(taskId);
+
     // 用户进度：开始处理
     await this.publishProgress(taskId, '正在处理...', { userMessage: '正在处理...', percentage: 10 });
 
     // 内部进度：初始化多人对话任务
     await this.publishProgress(taskId, '初始化多人对话任务...', { internal: true });
 
-    const { dialogue, model, stability, similarity_boost, style, speed } = taskData;
+    const { dialogue, model, stability, similarity_boost, style, speed, outputFormat } = taskData;
+    const format = getOutputFormatInfo(outputFormat);
+    const withTimestamps = taskData.withTimestamps === true;
 
     if (!Array.isArray(dialogue) || dialogue.length === 0) {
       throw new Error('请求中的 "dialogue" 必须是一个非空数组。');
@@ -178,7 +425,16 @@ class TtsProcessor {
     const charCount = dialogue.reduce((sum, speaker) => sum + (speaker.text ? speaker.text.length : 0), 0);
 
     // 检查VIP权限和配额 - 对话式TTS需要PRO权限
-    await checkVip(username, 'PRO', charCount);
+    const billing = await checkVip(username, 'PRO', charCount, model || 'eleven_turbo_v2');
+    // 【新增】原子预占配额（按模型倍率计费后的字符数），防止并发任务共用同一份剩余配额
+    await reserveQuota(username, taskId, billing.billedChars);
+
+    // 句子之间的停顿：每句的pauseAfterMs优先，否则使用全局lineGapMs
+    const linePausesMs = dialogue.map(speaker => resolvePauseMs(
+      speaker.pauseAfterMs !== undefined ? speaker.pauseAfterMs : taskData.lineGapMs
+    ));
+    // 对话模式按句推送：每句合并完成且之前的句子都已推送后再推送
+    const audioPublisher = this.createAudioPublisher(taskId, taskData, { total: dialogue.length, pausesMs: linePausesMs, outputFormat: format.id, signal });
 
     // 🚀 新优化：完全并发处理（方案一）
     await this.publishProgress(taskId, '分析对话结构并启动完全并发处理...', { internal: true });
@@ -212,6 +468,8 @@ class TtsProcessor {
 
       const allSpeakerPromises = dialogue.map((speaker, index) =>
         limiter(async () => {
+          throwIfCancelled(signal);
+
           await this.publishProgress(taskId, `处理句子 ${index + 1}: ${speaker.voice} - "${speaker.text.substring(0, 20)}..."`, { internal: true });
 
           try {
@@ -230,7 +488,7 @@ class TtsProcessor {
               similarity_boost,
               style,
               speed,
-              { taskId, username }
+              { taskId, username, signal, outputFormat, withTimestamps }
             );
 
             if (speakerAudioList.length === 0) {
@@ -238,16 +496,23 @@ class TtsProcessor {
             }
 
             // 合并该说话者的音频
-            const combinedAudio = combineAudio(speakerAudioList);
+            const combinedAudio = combineAudio(speakerAudioList, { outputFormat: format.id });
+            if (audioPublisher) {
+              audioPublisher.push(index, combinedAudio);
+            }
 
             await this.publishProgress(taskId, `句子 ${index + 1} (${speaker.voice}) 处理完成`, { internal: true });
 
             return {
               originalIndex: index,
               voice: speaker.voice,
-              audio: combinedAudio
+              audio: combinedAudio,
+              alignment: withTimestamps ? combineAlignments(this.toAlignmentSegments(speakerAudioList), { outputFormat: format.id }) : null
             };
           } catch (error) {
+            if (error.isCancelled) {
+              throw error;
+            }
             console.error(`句子 ${index + 1} (${speaker.voice}) 处理失败:`, error);
             throw new Error(`句子 ${index + 1} 处理失败: ${error.message}`);
           }
@@ -261,11 +526,16 @@ class TtsProcessor {
       await this.publishProgress(taskId, '完全并发处理成功完成', { internal: true });
 
     } catch (concurrentError) {
+      // 任务已取消，不进入兜底模式
+      if (concurrentError.isCancelled || signal?.aborted) {
+        throw concurrentError;
+      }
+
       // 【兜底机制】如果并发处理失败，降级到原有的声音分组串行模式
       console.warn(`[FALLBACK] 完全并发处理失败，降级到声音分组串行模式:`, concurrentError.message);
       await this.publishProgress(taskId, '并发处理遇到问题，切换到兜底模式...', { internal: true });
 
-      allResults = await this.fallbackToGroupedProcessing(dialogue, model, stability, similarity_boost, style, speed, taskId, username);
+      allResults = await this.fallbackToGroupedProcessing(dialogue, model, stability, similarity_boost, style, speed, taskId, username, outputFormat, withTimestamps);
     }
 
     // 用户进度：音频生成完成
@@ -274,10 +544,16 @@ class TtsProcessor {
     // 【新逻辑】按原始顺序重新组装（完全并发结果）
     await this.publishProgress(taskId, '按原始顺序重新组装音频...', { internal: true });
     const finalAudioArray = new Array(dialogue.length);
+    const lineAlignments = new Array(dialogue.length);
 
     // 将所有结果按原始索引排序
     allResults.forEach(result => {
       finalAudioArray[result.originalIndex] = result.audio;
+      lineAlignments[result.originalIndex] = result.alignment;
+      // 兜底模式下的句子在这里补推（已推送过的句子会被忽略）
+      if (audioPublisher) {
+        audioPublisher.push(result.originalIndex, result.audio);
+      }
     });
 
     // 验证音频完整性
@@ -292,16 +568,34 @@ class TtsProcessor {
     // 用户进度：即将完成
     await this.publishProgress(taskId, '即将完成...', { userMessage: '即将完成...', percentage: 90 });
 
-    // 内部进度：合并所有说话者的音频
+    // 内部进度：合并所有说话者的音频（句子之间插入停顿）
     await this.publishProgress(taskId, '正在合并所有对话音频...', { internal: true });
-    const finalAudio = combineAudio(finalAudioArray);
+    const finalAudio = combineAudio(finalAudioArray, { pausesMs: linePausesMs, outputFormat: format.id });
+    // 句子之间用换行分隔，生成字幕时不同句子不会合并到同一条
+    const alignment = withTimestamps
+      ? combineAlignments(
+        finalAudioArray.map((audio, index) => ({ audio, alignment: lineAlignments[index] })),
+        { pausesMs: linePausesMs, outputFormat: format.id, separator: '\n' }
+      )
+      : null;
+
+    // 取消发生在生成完成之后：不保存、不计费
+    throwIfCancelled(signal);
+
+    // 确保推送的音频片段全部在完成消息之前发出
+    if (audioPublisher) {
+      await audioPublisher.flush();
+    }
 
     // 内部进度：存储音频文件
     await this.publishProgress(taskId, '正在保存音频文件...', { internal: true });
-    const filePath = await this.storeAudioFile(taskId, finalAudio);
+    const filePath = await this.storeAudioFile(taskId, finalAudio, format.extension);
+    if (alignment) {
+      await this.storeAlignmentFile(taskId, alignment);
+    }
 
-    // 更新用户使用量
-    await updateUserUsage(username, charCount);
+    // 更新用户使用量（提交预占，同时写入使用流水）
+    await commitQuotaReservation(taskId, username, charCount, { source: getUsageSource(taskData), model: model || 'eleven_turbo_v2', metadata: getUsageMetadata(taskData) });
 
     // 任务完成 - 生成安全的播放和下载URL（对话模式，不包含token）
     const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
@@ -314,6 +608,7 @@ class TtsProcessor {
     // 生成不包含token的安全URL
     const streamUrl = `${baseUrl}/api/tts/stream/${taskId}`;
     const downloadUrl = `${baseUrl}/api/tts/download/${taskId}`;
+    const subtitlesUrl = alignment ? `${baseUrl}/api/tts/subtitles/${taskId}` : null;
 
     console.log(`[TTS-PROCESSOR-DIALOGUE] Generated secure streamUrl: ${streamUrl}`);
     console.log(`[TTS-PROCESSOR-DIALOGUE] Generated secure downloadUrl: ${downloadUrl}`);
@@ -324,6 +619,8 @@ class TtsProcessor {
       streamUrl: streamUrl,      // 安全的播放URL
       downloadUrl: downloadUrl,  // 安全的下载URL
       audioSize: finalAudio.byteLength,
+      outputFormat: format.id,
+      ...(alignment && { hasTimestamps: true, subtitlesUrl }),
       username: username,
       completedAt: Date.now(),
       taskId: taskId,
@@ -331,6 +628,7 @@ class TtsProcessor {
     };
 
     await redisClient.setTaskData(taskId, finalStatus);
+    await taskStatusService.completeTask(taskId, finalStatus);
 
     // 用户进度：任务完成
     await this.publishProgress(taskId, {
@@ -343,8 +641,29 @@ class TtsProcessor {
     return finalStatus;
   }
 
+  // 【新增】按段落分割文本：设置了段落停顿时，片段不跨段落，并在每段最后一个片段之后插入停顿
+  async splitInputWithPauses(input, paragraphPauseMs) {
+    if (!paragraphPauseMs) {
+      return { chunks: await splitText(input), pausesMs: [] };
+    }
+
+    const paragraphs = input.split(/\s*\n\s*/).filter(paragraph => paragraph.trim());
+    const chunks = [];
+    const pausesMs = [];
+
+    for (const paragraph of paragraphs) {
+      const paragraphChunks = await splitText(paragraph);
+      paragraphChunks.forEach((chunk, index) => {
+        chunks.push(chunk);
+        pausesMs.push(index === paragraphChunks.length - 1 ? paragraphPauseMs : 0);
+      });
+    }
+
+    return { chunks, pausesMs };
+  }
+
   // 【新增】兜底处理方法：声音分组串行模式（原有逻辑）
-  async fallbackToGroupedProcessing(dialogue, model, stability, similarity_boost, style, speed, taskId, username) {
+  async fallbackToGroupedProcessing(dialogue, model, stability, similarity_boost, style, speed, taskId, username, outputFormat, withTimestamps = false) {
     await this.publishProgress(taskId, '使用兜底模式：声音分组串行处理...', { internal: true });
 
     // 按声音分组，保持原始位置信息
@@ -374,6 +693,8 @@ class TtsProcessor {
 
         // 同一声音内部仍按顺序处理（保持对话逻辑）
         for (const speaker of speakers) {
+          throwIfCancelled(this.getTaskSignal(taskId));
+
           await this.publishProgress(taskId, `兜底模式：处理 ${voice}[${speaker.originalIndex}]: "${speaker.text.substring(0, 20)}..."`, { internal: true });
 
           const chunks = await splitText(speaker.text);
@@ -385,17 +706,19 @@ class TtsProcessor {
             similarity_boost,
             style,
             speed,
-            { taskId, username }
+            { taskId, username, signal: this.getTaskSignal(taskId), outputFormat, withTimestamps }
           );
 
           if (speakerAudioList.length === 0) {
             throw new Error(`未能为位置 ${speaker.originalIndex} 的说话者 (${voice}) 生成任何音频。`);
           }
 
-          const combinedAudio = combineAudio(speakerAudioList);
+          const formatId = getOutputFormatInfo(outputFormat).id;
+          const combinedAudio = combineAudio(speakerAudioList, { outputFormat: formatId });
           audioResults.push({
             originalIndex: speaker.originalIndex,
-            audio: combinedAudio
+            audio: combinedAudio,
+            alignment: withTimestamps ? combineAlignments(this.toAlignmentSegments(speakerAudioList), { outputFormat: formatId }) : null
           });
         }
 
@@ -439,10 +762,20 @@ class TtsProcessor {
 
     // 推送到WebSocket
     await redisClient.publishProgress(taskId, userProgress);
+
+    // 同步进度到Redis任务哈希和task_status（完成、错误和取消由start流程统一落库）
+    // 便于HTTP轮询 /api/tts/status/:taskId 获取进度
+    if (!['complete', 'error', 'cancelled'].includes(userProgress.type)) {
+      await redisClient.setTaskData(taskId, {
+        progress: userProgress.message || '',
+        ...(userProgress.percentage !== undefined && { percentage: userProgress.percentage })
+      });
+      await taskStatusService.updateProgress(taskId, userProgress);
+    }
   }
 
-  async storeAudioFile(taskId, audioBuffer) {
-    const fileName = `${taskId}.mp3`;
+  async storeAudioFile(taskId, audioBuffer, extension = 'mp3') {
+    const fileName = `${taskId}.${extension}`;
     const filePath = path.join(process.env.AUDIO_STORAGE_PATH, fileName);
 
     await fs.writeFile(filePath, Buffer.from(audioBuffer));
@@ -450,6 +783,26 @@ class TtsProcessor {
     console.log(`Audio file stored: ${filePath}, size: ${audioBuffer.byteLength} bytes`);
     return filePath;
   }
+
+  // 【新增】客户端在任务参数中设置 progressiveAudio: true 时才推送音频片段，其余任务不增加Redis流量
+  createAudioPublisher(taskId, taskData, options) {
+    if (taskData.progressiveAudio !== true) {
+      return null;
+    }
+    return new ProgressiveAudioPublisher(taskId, options);
+  }
+
+  // 【新增】processChunks返回的音频片段上挂有alignment（with-timestamps模式），转换为combineAlignments的输入
+  toAlignmentSegments(audioDataList) {
+    return audioDataList.map(audio => ({ audio, alignment: audio?.alignment || null }));
+  }
+
+  // 【新增】字符级时间戳与音频文件一起保存，供 /api/tts/subtitles/:taskId 生成字幕
+  async storeAlignmentFile(taskId, alignment) {
+    const filePath = path.join(process.env.AUDIO_STORAGE_PATH, `${taskId}.alignment.json`);
+    await fs.writeFile(filePath, JSON.stringify(alignment));
+    return filePath;
+  }
 }
 
 module.exports = new TtsProcessor();
@@ -0,0 +1,220 @@
+const dbClient = require('./dbClient');
+
+// 流水类型
+const ENTRY_TYPES = {
+  OPENING_BALANCE: 'opening_balance',   // 首次记账时按当时的JSON汇总写入的期初余额
+  TASK_USAGE: 'task_usage',             // 任务消耗字符
+  CARD_REDEMPTION: 'card_redemption',   // 卡密充值（重置已用字符、叠加配额）
+  ADMIN_ADJUSTMENT: 'admin_adjustment', // 管理员调整配额或已用字符
+  REFUND: 'refund'                      // 退还字符
+};
+
+// 流水来源
+const SOURCES = {
+  WEBSOCKET: 'websocket',
+  HTTP: 'http',
+  B_BACKEND: 'b-backend',
+  AUTO_TAG: 'auto-tag',
+  CARD: 'card',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// 从用户JSON中提取需要对账的汇总值（老用户没有字符配额，quotaChars/usedChars为null）
+function extractTotals(vip = {}, usage = {}) {
+  const isLegacyUser = !vip || vip.quotaChars === undefined;
+  return {
+    usedChars: isLegacyUser ? null : (vip.usedChars || 0),
+    quotaChars: isLegacyUser ? null : (vip.quotaChars || 0),
+    totalChars: (usage && usage.totalChars) || 0
+  };
+}
+
+/**
+ * 字符使用流水服务
+ * usage_ledger 只追加不修改，每一次扣减或增加字符都对应一条流水，
+ * 流水中同时记录变更后的余额（used_after/quota_after/total_after），
+ * users 表中的 vip_info/usage_stats 汇总是最后一条流水余额的缓存，对账时两者应当一致。
+ * 记账必须与汇总更新在同一个事务中执行（调用方持有用户行锁）。
+ */
+class UsageLedgerService {
+  /**
+   * 在事务中写入一条流水
+   * 用户还没有任何流水时，先按变更前的汇总写入期初余额，后续流水都在此基础上累计。
+   * @param {object} client - 事务中的数据库连接
+   * @param {object} entry - 流水信息
+   * @param {string} entry.username - 用户名
+   * @param {string} entry.entryType - 流水类型（ENTRY_TYPES）
+   * @param {string} entry.source - 来源（SOURCES）
+   * @param {string} entry.taskId - 关联的任务ID（可选）
+   * @param {number} entry.charsDelta - 字符消耗变化（计费字符，正数为扣减，负数为退还）
+   * @param {number} entry.rawChars - 原始字符数（按模型倍率计费前，默认与charsDelta相同）
+   * @param {number} entry.quotaDelta - 配额变化
+   * @param {{vip: object, usage: object}} entry.before - 变更前的用户汇总
+   * @param {{vip: object, usage: object}} entry.after - 变更后的用户汇总
+   * @param {object} entry.metadata - 附加信息（卡密、调整原因等）
+   */
+  async record(client, { username, entryType, source, taskId = null, charsDelta = 0, rawChars = charsDelta, quotaDelta = 0, before, after, metadata = {} }) {
+    await this.ensureOpeningBalance(client, username, before);
+
+    const totals = extractTotals(after.vip, after.usage);
+    await client.query(
+      `INSERT INTO usage_ledger
+         (username, entry_type, source, task_id, chars_delta, raw_chars, quota_delta, used_after, quota_after, total_after, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        username,
+        entryType,
+        source,
+        taskId,
+        charsDelta,
+        rawChars,
+        quotaDelta,
+        totals.usedChars,
+        totals.quotaChars,
+        totals.totalChars,
+        JSON.stringify(metadata)
+      ]
+    );
+  }
+
+  async ensureOpeningBalance(client, username, before) {
+    const existing = await client.query(
+      'SELECT 1 FROM usage_ledger WHERE username = $1 LIMIT 1',
+      [username]
+    );
+    if (existing.rows.length > 0) {
+      return;
+    }
+
+    const totals = extractTotals(before.vip, before.usage);
+    await client.query(
+      `INSERT INTO usage_ledger
+         (username, entry_type, source, chars_delta, quota_delta, used_after, quota_after, total_after, metadata)
+       VALUES ($1, $2, $3, 0, 0, $4, $5, $6, $7)`,
+      [
+        username,
+        ENTRY_TYPES.OPENING_BALANCE,
+        SOURCES.SYSTEM,
+        totals.usedChars,
+        totals.quotaChars,
+        totals.totalChars,
+        JSON.stringify({ note: 'Balances carried over from usage_stats before the ledger was introduced' })
+      ]
+    );
+  }
+
+  // 查询用户流水（按时间倒序）
+  async getEntries(username, { limit = 50, offset = 0 } = {}) {
+    const [entries, count] = await Promise.all([
+      dbClient.query(
+        `SELECT id, entry_type, source, task_id, chars_delta, raw_chars, quota_delta,
+                used_after, quota_after, total_after, metadata, created_at
+         FROM usage_ledger WHERE username = $1
+         ORDER BY id DESC LIMIT $2 OFFSET $3`,
+        [username, limit, offset]
+      ),
+      dbClient.query('SELECT COUNT(*) FROM usage_ledger WHERE username = $1', [username])
+    ]);
+
+    return {
+      entries: entries.rows.map(row => ({
+        id: parseInt(row.id),
+        entryType: row.entry_type,
+        source: row.source,
+        taskId: row.task_id,
+        charsDelta: parseInt(row.chars_delta),
+        rawChars: row.raw_chars === null ? null : parseInt(row.raw_chars),
+        quotaDelta: parseInt(row.quota_delta),
+        usedAfter: row.used_after === null ? null : parseInt(row.used_after),
+        quotaAfter: row.quota_after === null ? null : parseInt(row.quota_after),
+        totalAfter: parseInt(row.total_after),
+        metadata: row.metadata,
+        createdAt: row.created_at
+      })),
+      total: parseInt(count.rows[0].count)
+    };
+  }
+
+  /**
+   * 对账：比较每个用户最后一条流水的余额和 users 表中的JSON汇总
+   * 另外校验 total_after 是否等于期初余额加上之后所有 chars_delta 之和，用于发现流水本身被改动或漏记。
+   * @param {object} options - 可选参数
+   * @param {string} options.username - 只检查指定用户
+   * @param {number} options.limit - 最多检查的用户数
+   * @param {number} options.offset - 偏移量
+   * @returns {Promise<{checked: number, drifted: Array}>}
+   */
+  async reconcile({ username = null, limit = 500, offset = 0 } = {}) {
+    const result = await dbClient.query(
+      `WITH latest AS (
+         SELECT DISTINCT ON (username) username, used_after, quota_after, total_after, created_at
+         FROM usage_ledger
+         ${username ? 'WHERE username = $3' : ''}
+         ORDER BY username, id DESC
+       ),
+       sums AS (
+         SELECT l.username,
+                SUM(l.chars_delta) FILTER (WHERE l.entry_type <> 'opening_balance') AS chars_delta_sum,
+                MAX(l.total_after) FILTER (WHERE l.entry_type = 'opening_balance') AS opening_total
+         FROM usage_ledger l
+         ${username ? 'WHERE l.username = $3' : ''}
+         GROUP BY l.username
+       )
+       SELECT latest.username, latest.used_after, latest.quota_after, latest.total_after,
+              latest.created_at AS last_entry_at,
+              sums.chars_delta_sum, sums.opening_total,
+              u.vip_info, u.usage_stats
+       FROM latest
+       JOIN sums ON sums.username = latest.username
+       JOIN users u ON u.username = latest.username
+       ORDER BY latest.username
+       LIMIT $1 OFFSET $2`,
+      username ? [limit, offset, username] : [limit, offset]
+    );
+
+    const drifted = [];
+    for (const row of result.rows) {
+      const stored = extractTotals(row.vip_info || {}, row.usage_stats || {});
+      const ledger = {
+        usedChars: row.used_after === null ? null : parseInt(row.used_after),
+        quotaChars: row.quota_after === null ? null : parseInt(row.quota_after),
+        totalChars: parseInt(row.total_after)
+      };
+
+      const issues = [];
+      for (const field of ['usedChars', 'quotaChars', 'totalChars']) {
+        if (stored[field] !== ledger[field]) {
+          issues.push({ field, stored: stored[field], ledger: ledger[field] });
+        }
+      }
+
+      // 流水内部一致性：期初余额 + 变动合计 = 最新余额
+      const expectedTotal = (parseInt(row.opening_total) || 0) + (parseInt(row.chars_delta_sum) || 0);
+      if (expectedTotal !== ledger.totalChars) {
+        issues.push({ field: 'ledgerChain', stored: ledger.totalChars, ledger: expectedTotal });
+      }
+
+      if (issues.length > 0) {
+        drifted.push({
+          username: row.username,
+          lastEntryAt: row.last_entry_at,
+          stored,
+          ledger,
+          issues
+        });
+      }
+    }
+
+    return {
+      checked: result.rows.length,
+      drifted
+    };
+  }
+}
+
+const usageLedgerService = new UsageLedgerService();
+usageLedgerService.ENTRY_TYPES = ENTRY_TYPES;
+usageLedgerService.SOURCES = SOURCES;
+
+module.exports = usageLedgerService;
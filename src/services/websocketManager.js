@@ -1,12 +1,13 @@
 const { v4: uuidv4 } = require('uuid');
 const redisClient = require('./redisClient');
 const ttsProcessor = require('./ttsProcessor');
-const { verifyToken } = require('./authService');
-const { createSafeWebSocketError, createSafeAuthFailure } = require('../utils/websocketErrorSecurity');
+const { verifyToken, verifyTokenOrApiKey } = require('./authService');
+const usageLedgerService = require('./usageLedgerService');
+const { createSafeWebSocketError, createSafeAuthFailure, WEBSOCKET_ERROR_MESSAGES } = require('../utils/websocketErrorSecurity');
 
 class WebSocketManager {
   constructor() {
-    this.connections = new Map(); // taskId -> { ws: WebSocket, subscriber: RedisSubscriber, createdAt: timestamp }
+    this.connections = new Map(); // taskId -> { ws: WebSocket, subscriber: RedisSubscriber, createdAt: timestamp, subscribedTaskId?: string }
 
     // 【新增】启动定期清理任务
     this.startCleanupTimer();
@@ -45,29 +46,14 @@ class WebSocketManager {
       });
 
       // 订阅进度更新
-      const subscriber = await redisClient.subscribeProgress(taskId, (progress) => {
-        if (ws.readyState === ws.OPEN) {
-          ws.send(JSON.stringify({
-            type: 'progress',
-            ...progress
-          }));
-
-          // 【新增】检查任务完成或失败，主动关闭连接
-          if (progress.type === 'complete' || progress.type === 'error') {
-            console.log(`[WEBSOCKET-MANAGER] Task ${taskId} finished with type: ${progress.type}, scheduling connection close`);
-            // 延迟关闭，确保消息已发送
-            setTimeout(() => {
-              this.closeConnection(taskId, 1000, `Task finished: ${progress.type}`);
-            }, 100);
-          }
-        }
-      });
+      const subscriber = await this.subscribeTaskProgress(taskId, taskId, ws);
 
       // 存储连接和相关信息
       this.connections.set(taskId, {
         ws: ws,
         subscriber: subscriber,
-        createdAt: Date.now()
+        createdAt: Date.now(),
+        ip: req.ip || req.socket?.remoteAddress || null
       });
 
       // 发送初始化消息
@@ -114,19 +100,203 @@ class WebSocketManager {
     }
   }
 
+  // 订阅任务进度并转发给WebSocket（connectionId 为连接标识，targetTaskId 为被订阅的任务）
+  async subscribeTaskProgress(connectionId, targetTaskId, ws) {
+    return await redisClient.subscribeProgress(targetTaskId, (progress) => {
+      this.sendProgress(connectionId, targetTaskId, ws, progress);
+    });
+  }
+
+  sendProgress(connectionId, targetTaskId, ws, progress) {
+    if (ws.readyState !== ws.OPEN) {
+      return;
+    }
+
+    // 【新增】音频片段：先发送片段信息（JSON文本帧，audioFormat 为解码信息，PCM 片段是裸采样数据），
+    // 紧接着发送音频数据（二进制帧），只推送给开启了progressiveAudio的连接
+    if (progress.type === 'audio_chunk') {
+      if (!this.connections.get(connectionId)?.progressiveAudio) {
+        return;
+      }
+      const { audio, ...chunkInfo } = progress;
+      ws.send(JSON.stringify(chunkInfo));
+      ws.send(Buffer.from(audio, 'base64'));
+      return;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'progress',
+      ...progress
+    }));
+
+    // 【新增】检查任务完成、失败或取消，主动关闭连接
+    if (['complete', 'error', 'cancelled'].includes(progress.type)) {
+      console.log(`[WEBSOCKET-MANAGER] Task ${targetTaskId} finished with type: ${progress.type}, scheduling connection close`);
+      // 延迟关闭，确保消息已发送
+      setTimeout(() => {
+        this.closeConnection(connectionId, 1000, `Task finished: ${progress.type}`);
+      }, 100);
+    }
+  }
+
+  // 【新增】根据Redis任务哈希还原最新进度（用于断线重连后的状态回放）
+  buildReplayProgress(taskId, taskData) {
+    const toNumber = (value) => (value !== undefined && value !== '' ? Number(value) : undefined);
+
+    switch (taskData.status) {
+      case 'complete':
+        return {
+          type: 'complete',
+          message: '完成',
+          percentage: 100,
+          status: 'complete',
+          taskId,
+          streamUrl: taskData.streamUrl,
+          downloadUrl: taskData.downloadUrl,
+          audioSize: toNumber(taskData.audioSize),
+          // 与实时的完成消息一致（ttsProcessor 的 finalStatus 写入任务信息后原样重放）
+          outputFormat: taskData.outputFormat,
+          ...(taskData.hasTimestamps === 'true' && { hasTimestamps: true, subtitlesUrl: taskData.subtitlesUrl }),
+          username: taskData.username,
+          completedAt: toNumber(taskData.completedAt),
+          requiresAuth: true
+        };
+      case 'failed':
+      case 'content_violation_failed':
+        return {
+          type: 'error',
+          message: taskData.error || WEBSOCKET_ERROR_MESSAGES.task_failed,
+          errorType: taskData.errorType || 'task_failed',
+          isRetryable: taskData.isRetryable === 'true'
+        };
+      case 'cancelled':
+        return {
+          type: 'cancelled',
+          message: '任务已取消'
+        };
+      default:
+        return {
+          message: taskData.progress || '正在处理...',
+          status: taskData.status,
+          ...(taskData.percentage !== undefined && { percentage: toNumber(taskData.percentage) })
+        };
+    }
+  }
+
+  // 【新增】重新绑定到已存在的任务（页面刷新或网络断开后恢复进度）
+  async handleSubscribe(connectionId, data, ws) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    let username;
+    try {
+      username = await verifyToken(data.token);
+    } catch (authError) {
+      console.error(`Authentication failed for subscribe on connection ${connectionId}:`, authError);
+      ws.send(JSON.stringify(createSafeAuthFailure(authError)));
+      setTimeout(() => {
+        this.closeConnection(connectionId, 1008, 'Authentication failed');
+      }, 100);
+      return;
+    }
+
+    if (connection.started) {
+      ws.send(JSON.stringify(createSafeWebSocketError({
+        message: '当前连接已启动任务，无法订阅其他任务',
+        errorType: 'invalid_input'
+      })));
+      return;
+    }
+
+    const targetTaskId = data.taskId;
+    const taskData = targetTaskId ? await redisClient.getTaskStatus(targetTaskId) : null;
+
+    // 任务不存在与无权访问返回相同信息，避免泄露任务是否存在
+    if (!taskData || Object.keys(taskData).length === 0 || taskData.username !== username) {
+      ws.send(JSON.stringify(createSafeWebSocketError({
+        message: '任务不存在或无权访问',
+        errorType: 'invalid_input'
+      })));
+      return;
+    }
+
+    // 先订阅再读取状态，避免订阅切换期间丢失进度消息
+    const subscriber = await this.subscribeTaskProgress(connectionId, targetTaskId, ws);
+    const previousSubscriber = connection.subscriber;
+    connection.subscriber = subscriber;
+    connection.subscribedTaskId = targetTaskId;
+    // 重连后只能收到之后生成的片段，已推送的片段需要客户端自行保留（或等待完成后播放完整文件）
+    connection.progressiveAudio = data.progressiveAudio === true;
+
+    try {
+      if (previousSubscriber) {
+        await previousSubscriber.disconnect();
+      }
+      // 原先分配的空任务不会再使用
+      await redisClient.del(`tts:task:${connectionId}`);
+    } catch (error) {
+      console.error(`[WEBSOCKET-MANAGER] Error releasing initial task ${connectionId}:`, error);
+    }
+
+    console.log(`[WEBSOCKET-MANAGER] Connection ${connectionId} reattached to task ${targetTaskId} for user ${username}`);
+
+    ws.send(JSON.stringify({
+      type: 'subscribed',
+      taskId: targetTaskId,
+      status: taskData.status
+    }));
+
+    const latestTaskData = await redisClient.getTaskStatus(targetTaskId);
+    this.sendProgress(connectionId, targetTaskId, ws, this.buildReplayProgress(targetTaskId, latestTaskData));
+  }
+
   async handleMessage(taskId, data, ws) {
+    if (data.action === 'subscribe') {
+      await this.handleSubscribe(taskId, data, ws);
+      return;
+    }
+
     if (data.action === 'start') {
+      const connection = this.connections.get(taskId);
+      if (connection && connection.subscribedTaskId) {
+        ws.send(JSON.stringify(createSafeWebSocketError({
+          message: '当前连接已订阅其他任务，请新建连接后再开始任务',
+          errorType: 'invalid_input'
+        })));
+        return;
+      }
+
+      // apiKeyId、source 决定流水的来源和密钥归属，只能由服务端设置，客户端传入的值直接丢弃
+      delete data.apiKeyId;
+      delete data.source;
+
       // 验证token
+      // 【修改】也接受带 tts 权限的个人API密钥，任务归属于密钥所有者，流水中记录密钥ID
       try {
-        const username = await verifyToken(data.token);
+        const { username, apiKeyId } = await verifyTokenOrApiKey(data.token, {
+          scope: 'tts',
+          ip: connection ? connection.ip : null
+        });
+        data.source = usageLedgerService.SOURCES.WEBSOCKET;
+        if (apiKeyId) {
+          data.apiKeyId = apiKeyId;
+        }
+
+        if (connection) {
+          connection.started = true;
+          connection.progressiveAudio = data.progressiveAudio === true;
+        }
 
         // 记录任务类型信息
         const taskType = data.taskType || 'single';
         console.log(`Starting ${taskType} TTS task ${taskId} for user ${username}`);
 
-        // 更新任务状态，包含任务类型信息
+        // 更新任务状态，包含任务类型信息（不保存token，API密钥明文不能落地）
+        const { token: _token, ...taskFields } = data;
         await redisClient.setTaskData(taskId, {
-          ...data,
+          ...taskFields,
           status: 'processing',
           taskId,
           username,
@@ -144,6 +314,11 @@ class WebSocketManager {
         // 注意：错误处理已在 ttsProcessor.start() 内部完成，包括详细的错误推送
         // 这里只需要记录日志，不需要重复推送错误消息到前端
         ttsProcessor.start(taskId, data, username, data.token).catch(async (error) => {
+          // 用户主动取消：状态已由处理器写入，连接会在收到cancelled进度后关闭
+          if (error.isCancelled) {
+            return;
+          }
+
           console.error(`${taskType} TTS processing failed for task ${taskId}:`, error);
 
           // 只更新任务状态到Redis，不重复推送错误消息
@@ -176,7 +351,50 @@ class WebSocketManager {
           this.closeConnection(taskId, 1008, 'Authentication failed');
         }, 100);
       }
+    } else if (data.action === 'cancel') {
+      await this.handleCancel(taskId, data, ws);
+    }
+  }
+
+  // 【新增】取消任务：只允许任务所属用户取消
+  async handleCancel(connectionTaskId, data, ws) {
+    const targetTaskId = data.taskId
+      || this.connections.get(connectionTaskId)?.subscribedTaskId
+      || connectionTaskId;
+
+    let username;
+    try {
+      username = await verifyToken(data.token);
+    } catch (authError) {
+      ws.send(JSON.stringify(createSafeAuthFailure(authError)));
+      return;
     }
+
+    const taskData = await redisClient.getTaskStatus(targetTaskId);
+    if (!taskData || Object.keys(taskData).length === 0 || taskData.username !== username) {
+      ws.send(JSON.stringify(createSafeWebSocketError({
+        message: '任务不存在或无权操作',
+        errorType: 'invalid_input'
+      })));
+      return;
+    }
+
+    if (ttsProcessor.isTerminalStatus(taskData.status)) {
+      ws.send(JSON.stringify({
+        type: 'cancel_rejected',
+        taskId: targetTaskId,
+        status: taskData.status,
+        message: '任务已结束，无法取消'
+      }));
+      return;
+    }
+
+    await ttsProcessor.requestCancel(targetTaskId);
+    ws.send(JSON.stringify({
+      type: 'cancelling',
+      taskId: targetTaskId,
+      message: '正在取消任务...'
+    }));
   }
 
   // 广播消息到特定任务
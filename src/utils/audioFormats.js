@@ -0,0 +1,76 @@
+/**
+ * 输出音频格式定义
+ * outputFormat 与 ElevenLabs 的 output_format 参数取值保持一致，
+ * 不同格式对应不同的合并方式、文件扩展名和Content-Type。
+ */
+
+// 未指定时的格式（与ElevenLabs默认输出一致，上游请求不携带output_format）
+const DEFAULT_OUTPUT_FORMAT = 'mp3_44100_128';
+
+// container: 合并方式；accept: 请求上游时的Accept头
+const CONTAINERS = {
+  mp3: { extension: 'mp3', contentType: 'audio/mpeg', accept: 'audio/mpeg' },
+  wav: { extension: 'wav', contentType: 'audio/wav', accept: '*/*' },
+  ogg: { extension: 'ogg', contentType: 'audio/ogg', accept: '*/*' }
+};
+
+const OUTPUT_FORMATS = {
+  // MP3（采样率_比特率）
+  mp3_22050_32: { container: 'mp3', sampleRate: 22050, bitrate: 32 },
+  mp3_44100_32: { container: 'mp3', sampleRate: 44100, bitrate: 32 },
+  mp3_44100_64: { container: 'mp3', sampleRate: 44100, bitrate: 64 },
+  mp3_44100_96: { container: 'mp3', sampleRate: 44100, bitrate: 96 },
+  mp3_44100_128: { container: 'mp3', sampleRate: 44100, bitrate: 128 },
+  mp3_44100_192: { container: 'mp3', sampleRate: 44100, bitrate: 192 },
+
+  // PCM（16位单声道小端），服务端封装为WAV
+  pcm_16000: { container: 'wav', sampleRate: 16000 },
+  pcm_22050: { container: 'wav', sampleRate: 22050 },
+  pcm_24000: { container: 'wav', sampleRate: 24000 },
+  pcm_44100: { container: 'wav', sampleRate: 44100 },
+
+  // Opus（Ogg封装）
+  opus_48000_32: { container: 'ogg', sampleRate: 48000, bitrate: 32 },
+  opus_48000_64: { container: 'ogg', sampleRate: 48000, bitrate: 64 },
+  opus_48000_96: { container: 'ogg', sampleRate: 48000, bitrate: 96 },
+  opus_48000_128: { container: 'ogg', sampleRate: 48000, bitrate: 128 },
+  opus_48000_192: { container: 'ogg', sampleRate: 48000, bitrate: 192 }
+};
+
+function isSupportedOutputFormat(outputFormat) {
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, outputFormat);
+}
+
+/**
+ * 获取格式信息（未知或未指定的格式按默认MP3处理）
+ * @param {string} outputFormat - 输出格式
+ * @returns {{id: string, container: string, sampleRate: number, bitrate?: number, extension: string, contentType: string, accept: string}}
+ */
+function getOutputFormatInfo(outputFormat) {
+  const id = isSupportedOutputFormat(outputFormat) ? outputFormat : DEFAULT_OUTPUT_FORMAT;
+  const format = OUTPUT_FORMATS[id];
+  return {
+    id,
+    ...format,
+    ...CONTAINERS[format.container]
+  };
+}
+
+// 所有可能的音频文件扩展名（任务信息过期后按扩展名查找文件）
+function getAudioExtensions() {
+  return Object.values(CONTAINERS).map(container => container.extension);
+}
+
+function getContentTypeByExtension(extension) {
+  const container = Object.values(CONTAINERS).find(item => item.extension === extension);
+  return container ? container.contentType : CONTAINERS.mp3.contentType;
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_FORMAT,
+  OUTPUT_FORMATS,
+  isSupportedOutputFormat,
+  getOutputFormatInfo,
+  getAudioExtensions,
+  getContentTypeByExtension
+};
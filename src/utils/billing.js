@@ -0,0 +1,52 @@
+/**
+ * 字符计费
+ * 不同模型的上游成本不同，扣减配额时按 原始字符数 × 倍率（向上取整）计算计费字符数。
+ * 倍率优先级：等级+模型覆盖 > 模型倍率 > 默认倍率（"*"）> 1
+ */
+const { getBillingConfig } = require('./config');
+
+function toMultiplier(value) {
+  const multiplier = Number(value);
+  return Number.isFinite(multiplier) && multiplier > 0 ? multiplier : null;
+}
+
+/**
+ * 获取模型的计费倍率
+ * @param {string} model - 模型ID（未指定时按默认模型计算）
+ * @param {string} tier - 会员等级 STANDARD/PRO（可选）
+ * @returns {number}
+ */
+function getCharMultiplier(model, tier = null) {
+  const { DEFAULT_MODEL, MODEL_MULTIPLIERS, TIER_MULTIPLIERS } = getBillingConfig();
+  const modelId = model || DEFAULT_MODEL;
+  const tierOverrides = (tier && TIER_MULTIPLIERS[tier]) || {};
+
+  return toMultiplier(tierOverrides[modelId])
+    || toMultiplier(tierOverrides['*'])
+    || toMultiplier(MODEL_MULTIPLIERS[modelId])
+    || toMultiplier(MODEL_MULTIPLIERS['*'])
+    || 1;
+}
+
+/**
+ * 计算计费字符数
+ * @param {number} rawChars - 原始字符数
+ * @param {string} model - 模型ID
+ * @param {string} tier - 会员等级（可选）
+ * @returns {{model: string, rawChars: number, billedChars: number, multiplier: number}}
+ */
+function calculateBilledChars(rawChars, model, tier = null) {
+  const multiplier = getCharMultiplier(model, tier);
+  return {
+    model: model || getBillingConfig().DEFAULT_MODEL,
+    rawChars,
+    // 先按6位小数取整，避免 100 × 1.1 = 110.00000000000001 这类浮点误差多计1个字符
+    billedChars: rawChars > 0 ? Math.ceil(Math.round(rawChars * multiplier * 1e6) / 1e6) : 0,
+    multiplier
+  };
+}
+
+module.exports = {
+  getCharMultiplier,
+  calculateBilledChars
+};
@@ -6,6 +6,20 @@ const getAuthConfig = () => ({
   SALT_ROUNDS: parseInt(process.env.SALT_ROUNDS) || 10
 });
 
+// 【新增】密码哈希配置（scrypt参数，修改后旧参数的哈希会在用户下次登录时重新计算）
+const getPasswordHashConfig = () => ({
+  SCRYPT_N: parseInt(process.env.PASSWORD_SCRYPT_N) || 16384,
+  SCRYPT_R: parseInt(process.env.PASSWORD_SCRYPT_R) || 8,
+  SCRYPT_P: parseInt(process.env.PASSWORD_SCRYPT_P) || 1,
+  // 参数上限：超出上限的已保存哈希视为无效（防止被写入超大参数的哈希耗尽内存/CPU），配置的参数也不会超过上限
+  // scrypt 内存约为 128 * N * r 字节，默认上限约128MB
+  MAX_SCRYPT_N: parseInt(process.env.PASSWORD_SCRYPT_MAX_N) || 65536,
+  MAX_SCRYPT_R: parseInt(process.env.PASSWORD_SCRYPT_MAX_R) || 16,
+  MAX_SCRYPT_P: parseInt(process.env.PASSWORD_SCRYPT_MAX_P) || 4,
+  KEY_LENGTH: 32,
+  SALT_BYTES: 16
+});
+
 // 腾讯云SES邮件配置
 const getSESConfig = () => ({
   TENCENT_SECRET_ID: process.env.TENCENT_SECRET,
@@ -16,6 +30,29 @@ const getSESConfig = () => ({
   VERIFICATION_TEMPLATE_ID: process.env.VERIFICATION_TEMPLATE_ID
 });
 
+// 【新增】配额/到期提醒邮件配置
+const parseNumberList = (value, fallback) => {
+  const list = String(value || fallback)
+    .split(',')
+    .map(item => parseFloat(item.trim()))
+    .filter(item => Number.isFinite(item) && item > 0);
+  return list.length > 0 ? list : fallback.split(',').map(Number);
+};
+
+const getNotificationConfig = () => ({
+  ENABLED: process.env.NOTIFY_ENABLED === 'true',
+  // 扫描间隔（秒）
+  CHECK_INTERVAL: parseInt(process.env.NOTIFY_CHECK_INTERVAL || '3600'),
+  // 配额使用百分比阈值
+  QUOTA_THRESHOLDS: parseNumberList(process.env.NOTIFY_QUOTA_THRESHOLDS, '80,95'),
+  // 到期前多少天提醒
+  EXPIRY_DAYS: parseNumberList(process.env.NOTIFY_EXPIRY_DAYS, '3'),
+  QUOTA_TEMPLATE_ID: process.env.QUOTA_WARNING_TEMPLATE_ID,
+  EXPIRY_TEMPLATE_ID: process.env.EXPIRY_WARNING_TEMPLATE_ID,
+  // 每批扫描的用户数
+  BATCH_SIZE: parseInt(process.env.NOTIFY_BATCH_SIZE || '500')
+});
+
 // 进度消息配置
 const getProgressConfig = () => ({
   ENABLE_PROGRESS_MESSAGES: process.env.ENABLE_PROGRESS_MESSAGES === 'true' || process.env.ENABLE_PROGRESS_MESSAGES === true,
@@ -130,40 +167,184 @@ const getSmartTimeoutConfig = () => ({
   ENABLE_TIMEOUT_DEBUG: process.env.TTS_ENABLE_TIMEOUT_DEBUG === 'true' || process.env.DEBUG === 'true'
 });
 
-// 【新增】卡密套餐配置 - 与参考代码完全一致
-const PACKAGES = {
-  // --- 标准套餐 ---
-  'M': { days: 30, price: 25, chars: 80000 },     // 月套餐，8万字符
-  'Q': { days: 90, price: 55, chars: 250000 },    // 季度套餐，25万字符
-  'H': { days: 180, price: 99, chars: 550000 },   // 半年套餐，55万字符
+// 【新增】chunk级音频缓存配置（相同文本+声音+参数直接复用已生成的音频）
+const getAudioCacheConfig = () => ({
+  ENABLE_AUDIO_CACHE: process.env.TTS_AUDIO_CACHE_ENABLED !== 'false', // 默认启用
+  MAX_CACHE_BYTES: parseInt(process.env.TTS_AUDIO_CACHE_MAX_MB || '256') * 1024 * 1024, // 缓存总大小上限，超出按LRU淘汰
+  MAX_ENTRY_BYTES: parseInt(process.env.TTS_AUDIO_CACHE_MAX_ENTRY_KB || '2048') * 1024, // 单条缓存上限
+  CACHE_TTL: parseInt(process.env.TTS_AUDIO_CACHE_TTL || '604800'), // 单条缓存过期时间（秒，命中后重新计时），默认7天
+
+  // 不使用缓存的模型（逗号分隔），例如输出带随机性、用户期望每次都重新生成的模型
+  DISABLED_MODELS: (process.env.TTS_AUDIO_CACHE_DISABLED_MODELS || '')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean)
+});
+
+// 【新增】配额预占配置
+const getQuotaConfig = () => ({
+  // 预占有效期（秒）：进程崩溃等原因未能提交或释放的预占超时后不再占用配额
+  RESERVATION_TTL: parseInt(process.env.QUOTA_RESERVATION_TTL || '3600')
+});
+
+// 【新增】B后端幂等键配置
+const getIdempotencyConfig = () => ({
+  // 已完成请求的结果保留时长（秒），在此窗口内使用相同幂等键的重试直接返回保存的响应
+  TTL: parseInt(process.env.B_BACKEND_IDEMPOTENCY_TTL || '86400'),
+  // 处理中标记的有效期（秒），防止进程崩溃后幂等键一直处于处理中
+  LOCK_TTL: parseInt(process.env.B_BACKEND_IDEMPOTENCY_LOCK_TTL || '60')
+});
+
+// 【新增】卡密生命周期配置
+const getCardConfig = () => ({
+  // 检查并标记过期卡密的间隔（秒）
+  EXPIRY_CHECK_INTERVAL: parseInt(process.env.CARD_EXPIRY_CHECK_INTERVAL || '600'),
+  // 单个批次最多生成的卡密数量
+  MAX_BATCH_SIZE: parseInt(process.env.CARD_MAX_BATCH_SIZE || '100')
+});
+
+// 【新增】按模型计费配置（JSON格式，未配置的模型倍率为1）
+// BILLING_MODEL_MULTIPLIERS 例：{"eleven_v3": 2, "eleven_turbo_v2_5": 1}，"*" 为默认倍率
+// BILLING_TIER_MULTIPLIERS 按会员等级覆盖模型倍率，例：{"PRO": {"eleven_v3": 1.5}}
+const parseJsonEnv = (name) => {
+  try {
+    return JSON.parse(process.env[name] || '{}');
+  } catch (error) {
+    console.error(`[CONFIG] ${name} 不是合法的JSON，已忽略:`, error.message);
+    return {};
+  }
+};
+
+const getBillingConfig = () => ({
+  DEFAULT_MODEL: 'eleven_turbo_v2',
+  MODEL_MULTIPLIERS: parseJsonEnv('BILLING_MODEL_MULTIPLIERS'),
+  TIER_MULTIPLIERS: parseJsonEnv('BILLING_TIER_MULTIPLIERS')
+});
+
+// 【新增】JWT签名密钥环
+// JWT_KEYS 例：{"2026-10": "新密钥", "2026-04": "旧密钥"}，JWT_ACTIVE_KID 指定签名使用的密钥，其余密钥只用于验证。
+// 未配置密钥环时使用 JWT_SECRET（kid 为 "default"）。JWT_SECRET 仍用于验证旧格式token和旧格式密码哈希，轮换JWT密钥时不要修改它。
+const parseTimestampEnv = (name) => {
+  const value = process.env[name];
+  if (!value) {
+    return null;
+  }
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isFinite(timestamp) ? timestamp : null;
+};
+
+const getJwtConfig = () => {
+  const keys = parseJsonEnv('JWT_KEYS');
+  if (process.env.JWT_SECRET && !keys.default) {
+    keys.default = process.env.JWT_SECRET;
+  }
+
+  return {
+    KEYS: keys,
+    ACTIVE_KID: process.env.JWT_ACTIVE_KID || 'default',
+    ISSUER: process.env.JWT_ISSUER || null,
+    LEGACY_SECRET: process.env.JWT_SECRET,
+    // 旧格式token的接受截止时间（毫秒时间戳或ISO时间），未配置时一直接受
+    LEGACY_ACCEPT_UNTIL: parseTimestampEnv('JWT_LEGACY_ACCEPT_UNTIL')
+  };
+};
+
+// 【新增】团队配置
+const getTeamConfig = () => ({
+  // 每个团队最多的成员数（含所有者）
+  MAX_MEMBERS: parseInt(process.env.TEAM_MAX_MEMBERS || '20'),
+  // 邀请有效期（秒）
+  INVITE_TTL: parseInt(process.env.TEAM_INVITE_TTL || '604800')
+});
+
+// 【新增】个人API密钥配置
+const getApiKeyConfig = () => ({
+  // 每个用户最多的有效密钥数
+  MAX_KEYS_PER_USER: parseInt(process.env.API_KEY_MAX_PER_USER || '10'),
+  // 最后使用时间/IP的写入间隔（毫秒），避免每个请求都写数据库
+  TOUCH_INTERVAL: parseInt(process.env.API_KEY_TOUCH_INTERVAL || '60000')
+});
 
-  // --- 新增：PRO套餐 ---
-  'PM': { days: 30, price: 45, chars: 250000 },   // 月度PRO，25万字符
-  'PQ': { days: 90, price: 120, chars: 800000 },  // 季度PRO，80万字符
-  'PH': { days: 180, price: 220, chars: 2000000 }, // 半年PRO，200万字符
+// 【新增】音频分享链接配置
+const getShareLinkConfig = () => ({
+  // 签名密钥，未配置时使用 JWT_SECRET；修改后已分享的链接全部失效
+  SECRET: process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET,
+  // 默认有效期和最长有效期（秒）
+  DEFAULT_TTL: parseInt(process.env.SHARE_LINK_DEFAULT_TTL || '86400'),
+  MAX_TTL: parseInt(process.env.SHARE_LINK_MAX_TTL || '604800')
+});
 
-  // --- 特殊套餐 ---
-  'PT': { days: 0.0208, price: 0, chars: 2000 }   // 30分钟测试套餐，2千字符
+// 【新增】防暴力破解配置
+// 失败次数按操作和维度分别统计：account（登录名/兑换卡密的用户/验证码邮箱）、ip、card-prefix（卡密前8位）
+// BRUTE_FORCE_THRESHOLDS 可按操作覆盖锁定阈值，例：{"login": {"account": 5}}
+const DEFAULT_BRUTE_FORCE_THRESHOLDS = {
+  login: { account: 10, ip: 50 },
+  card: { account: 10, ip: 30, 'card-prefix': 5 },
+  'verify-code': { account: 10, ip: 30 }
 };
 
-// 【新增】获取套餐配置
-const getPackageConfig = (packageType) => {
-  return PACKAGES[packageType] || null;
+const getBruteForceConfig = () => {
+  const overrides = parseJsonEnv('BRUTE_FORCE_THRESHOLDS');
+  const thresholds = {};
+  for (const [action, defaults] of Object.entries(DEFAULT_BRUTE_FORCE_THRESHOLDS)) {
+    thresholds[action] = { ...defaults, ...overrides[action] };
+  }
+
+  return {
+    THRESHOLDS: thresholds,
+    // 失败次数的统计窗口（秒），窗口内没有新的失败则清零
+    WINDOW: parseInt(process.env.BRUTE_FORCE_WINDOW || '900'),
+    // 连续失败达到该次数后开始要求等待，等待时间从 DELAY_BASE 秒起每次翻倍，最长 DELAY_MAX 秒
+    DELAY_AFTER: parseInt(process.env.BRUTE_FORCE_DELAY_AFTER || '3'),
+    DELAY_BASE: parseInt(process.env.BRUTE_FORCE_DELAY_BASE || '1'),
+    DELAY_MAX: parseInt(process.env.BRUTE_FORCE_DELAY_MAX || '60'),
+    // 达到锁定阈值后的锁定时长（秒）
+    LOCK_DURATION: parseInt(process.env.BRUTE_FORCE_LOCK_DURATION || '900'),
+    // 保留的锁定/解锁事件条数
+    EVENT_LIMIT: parseInt(process.env.BRUTE_FORCE_EVENT_LIMIT || '500')
+  };
 };
 
-// 【新增】获取所有套餐配置
-const getAllPackages = () => {
-  return PACKAGES;
+// 【新增】反向代理配置（Express 的 trust proxy）
+// 只有来自受信任代理的请求才按 X-Forwarded-For 取客户端IP（req.ip），防暴力破解的IP维度、限流和会话记录都依赖它。
+// TRUST_PROXY 取值：true/false、受信任的跳数（如 1），或逗号分隔的地址/网段/预设名（loopback、linklocal、uniquelocal）。
+// 默认 loopback：nginx 与应用部署在同一台机器时无需配置；不经过代理直接对外时设置为 false。
+// nginx 需要转发客户端地址：proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') {
+    return 'loopback';
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
 };
 
+const getServerConfig = () => ({
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY)
+});
+
 module.exports = {
   getAuthConfig,
+  getPasswordHashConfig,
   getSESConfig,
+  getNotificationConfig,
   getProgressConfig,
   getTTSProxyConfig,
   getTaskRetryConfig,
   getSmartTimeoutConfig,
-  PACKAGES,
-  getPackageConfig,
-  getAllPackages
+  getAudioCacheConfig,
+  getQuotaConfig,
+  getIdempotencyConfig,
+  getCardConfig,
+  getBillingConfig,
+  getJwtConfig,
+  getTeamConfig,
+  getApiKeyConfig,
+  getShareLinkConfig,
+  getBruteForceConfig,
+  getServerConfig
 };
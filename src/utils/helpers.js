@@ -66,6 +66,8 @@ function createAuthErrorResponse(error) {
     errorCode = 'TOKEN_INVALID';
   } else if (error.message === 'Invalid token type') {
     errorCode = 'TOKEN_TYPE_INVALID';
+  } else if (error.message === 'Token revoked') {
+    errorCode = 'TOKEN_REVOKED';
   }
 
   return {
@@ -83,7 +85,18 @@ function isAuthError(error) {
   return error.message === 'Token expired' ||
          error.message === 'Invalid token' ||
          error.message === 'Invalid signature' ||
-         error.message === 'Invalid token type';
+         error.message === 'Invalid token type' ||
+         error.message === 'Token revoked';
+}
+
+// 【新增】尝试次数过多（防暴力破解）的统一响应，不说明是哪个维度触发，避免泄露账号是否存在
+function sendTooManyAttempts(res, error) {
+  res.setHeader('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    error: '尝试次数过多，请稍后再试',
+    code: 'TOO_MANY_ATTEMPTS',
+    retryAfter: error.retryAfter
+  });
 }
 
 // 检测是否为内容违规错误（不可重试）
@@ -215,6 +228,7 @@ module.exports = {
   handleOptions,
   createAuthErrorResponse,
   isAuthError,
+  sendTooManyAttempts,
   isContentViolationError,
   isDataCenterRetryableError,
   formatErrorResponse
@@ -0,0 +1,108 @@
+/**
+ * JWT签发与验证（RFC 7519，HS256）
+ * 新格式：base64url编码、无填充，header中带 kid，iat/exp 为秒。
+ * 旧格式（迁移前签发）：标准base64编码、header没有 kid，iat/exp 为毫秒，使用 JWT_SECRET 签名。
+ * 旧格式在过渡期内（JWT_LEGACY_ACCEPT_UNTIL 之前，未配置则一直）仍然可以通过验证。
+ * 验证结果中的 iat/exp 统一转换为毫秒，调用方不需要区分格式。
+ */
+const crypto = require('crypto');
+const { getJwtConfig } = require('./config');
+
+function base64UrlEncode(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  // Node的base64解码同时接受标准和url-safe两种字符集
+  return JSON.parse(Buffer.from(segment, 'base64').toString());
+}
+
+function sign(data, secret, encoding) {
+  return crypto.createHmac('sha256', secret).update(data).digest(encoding);
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * 签发新格式token
+ * @param {object} claims - 载荷（sub、type、jti、fam等），iat/exp 由 expiresIn 计算
+ * @param {number} expiresIn - 有效期（秒）
+ * @returns {string}
+ */
+function signToken(claims, expiresIn) {
+  const { KEYS, ACTIVE_KID, ISSUER } = getJwtConfig();
+  const secret = KEYS[ACTIVE_KID];
+  if (!secret) {
+    throw new Error(`JWT signing key "${ACTIVE_KID}" is not configured`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: ACTIVE_KID }));
+  const payload = base64UrlEncode(JSON.stringify({
+    ...(ISSUER && { iss: ISSUER }),
+    ...claims,
+    iat: now,
+    exp: now + expiresIn
+  }));
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret, 'base64url')}`;
+}
+
+// 旧格式的签名：标准base64，使用 JWT_SECRET（密钥环中的密钥也尝试，兼容先轮换密钥再配置密钥环的情况）
+function verifyLegacySignature(signingInput, signature) {
+  const { KEYS, LEGACY_SECRET } = getJwtConfig();
+  const secrets = [LEGACY_SECRET, ...Object.values(KEYS)].filter(Boolean);
+  return secrets.some(secret => safeEqual(sign(signingInput, secret, 'base64'), signature));
+}
+
+/**
+ * 验证token格式和签名，返回统一为毫秒时间的载荷
+ * 有效期、token类型和会话作废由调用方检查（authService.verifyTokenClaims），保持原有的检查顺序和错误信息。
+ * @returns {object} 载荷（iat/exp 为毫秒，legacy 标记是否为旧格式）
+ */
+function verifySignedToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Invalid token');
+  }
+
+  const [headerSegment, payloadSegment, signature] = parts;
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+  const signingInput = `${headerSegment}.${payloadSegment}`;
+
+  if (header.alg !== 'HS256') {
+    throw new Error('Invalid token');
+  }
+
+  if (header.kid === undefined) {
+    const { LEGACY_ACCEPT_UNTIL } = getJwtConfig();
+    if (LEGACY_ACCEPT_UNTIL && Date.now() > LEGACY_ACCEPT_UNTIL) {
+      throw new Error('Invalid token');
+    }
+    if (!verifyLegacySignature(signingInput, signature)) {
+      throw new Error('Invalid signature');
+    }
+    return { ...payload, legacy: true };
+  }
+
+  const { KEYS, ISSUER } = getJwtConfig();
+  const secret = KEYS[header.kid];
+  if (!secret || !safeEqual(sign(signingInput, secret, 'base64url'), signature)) {
+    throw new Error('Invalid signature');
+  }
+  if (ISSUER && payload.iss !== undefined && payload.iss !== ISSUER) {
+    throw new Error('Invalid token');
+  }
+
+  return { ...payload, iat: payload.iat * 1000, exp: payload.exp * 1000, legacy: false };
+}
+
+module.exports = {
+  signToken,
+  verifySignedToken
+};
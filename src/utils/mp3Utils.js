@@ -0,0 +1,363 @@
+/**
+ * MP3帧级处理工具
+ * ElevenLabs每个片段返回的都是完整的MP3文件（可能带ID3标签和Xing/LAME头），
+ * 直接字节拼接会把这些元数据留在文件中间，导致播放器时长计算错误、拖动进度漂移。
+ * 这里按帧解析后只保留音频帧，并为合并后的文件重新生成一个Xing/Info头。
+ */
+
+// 比特率表（kbps），按 [MPEG1, MPEG2/2.5] 区分，仅Layer III
+const BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 0],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160, 0]
+};
+
+// 采样率表（Hz），按版本位索引：0=MPEG2.5, 2=MPEG2, 3=MPEG1
+const SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+const ID3V2_HEADER_SIZE = 10;
+const ID3V1_TAG_SIZE = 128;
+const XING_TOC_SIZE = 100;
+
+function toUint8Array(data) {
+  if (!data) {
+    return new Uint8Array(0);
+  }
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+/**
+ * 解析4字节帧头
+ * @param {Uint8Array} bytes - 数据
+ * @param {number} offset - 帧头偏移
+ * @returns {object|null} 帧头信息，非法帧头返回null
+ */
+function parseFrameHeader(bytes, offset) {
+  if (offset + 4 > bytes.length) {
+    return null;
+  }
+
+  const b1 = bytes[offset + 1];
+  const b2 = bytes[offset + 2];
+  const b3 = bytes[offset + 3];
+
+  // 11位同步字
+  if (bytes[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const versionBits = (b1 >> 3) & 0x03;
+  const layerBits = (b1 >> 1) & 0x03;
+  const protectionAbsent = b1 & 0x01;
+  const bitrateIndex = (b2 >> 4) & 0x0F;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+  const padding = (b2 >> 1) & 0x01;
+  const channelMode = (b3 >> 6) & 0x03;
+
+  // 只处理Layer III；保留版本、free/bad比特率、保留采样率均视为非法
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = versionBits === 3;
+  const bitrate = (isMpeg1 ? BITRATES.mpeg1 : BITRATES.mpeg2)[bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+  const samplesPerFrame = isMpeg1 ? 1152 : 576;
+  const frameLength = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+  const isMono = channelMode === 3;
+
+  return {
+    versionBits,
+    isMpeg1,
+    protectionAbsent,
+    bitrateIndex,
+    bitrate,
+    sampleRateIndex,
+    sampleRate,
+    samplesPerFrame,
+    channelMode,
+    frameLength,
+    // 边信息长度（Xing头紧跟在边信息之后）
+    sideInfoLength: isMpeg1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17)
+  };
+}
+
+// 开头的ID3v2标签长度（可能有多个连续标签）
+function getId3v2Length(bytes, offset = 0) {
+  let length = 0;
+  while (
+    offset + length + ID3V2_HEADER_SIZE <= bytes.length &&
+    bytes[offset + length] === 0x49 && bytes[offset + length + 1] === 0x44 && bytes[offset + length + 2] === 0x33 // 'ID3'
+  ) {
+    const base = offset + length;
+    const size = ((bytes[base + 6] & 0x7F) << 21) |
+      ((bytes[base + 7] & 0x7F) << 14) |
+      ((bytes[base + 8] & 0x7F) << 7) |
+      (bytes[base + 9] & 0x7F);
+    const hasFooter = (bytes[base + 5] & 0x10) !== 0;
+    length += ID3V2_HEADER_SIZE + size + (hasFooter ? ID3V2_HEADER_SIZE : 0);
+  }
+  return length;
+}
+
+// 结尾是否有ID3v1标签
+function hasId3v1Tag(bytes, end) {
+  return end >= ID3V1_TAG_SIZE &&
+    bytes[end - ID3V1_TAG_SIZE] === 0x54 && // 'T'
+    bytes[end - ID3V1_TAG_SIZE + 1] === 0x41 && // 'A'
+    bytes[end - ID3V1_TAG_SIZE + 2] === 0x47; // 'G'
+}
+
+function matchesTag(bytes, offset, tag) {
+  if (offset + tag.length > bytes.length) {
+    return false;
+  }
+  for (let i = 0; i < tag.length; i++) {
+    if (bytes[offset + i] !== tag.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// 判断帧是否为Xing/Info/VBRI元数据帧（不含音频数据）
+function isMetadataFrame(bytes, offset, header) {
+  const xingOffset = offset + 4 + (header.protectionAbsent ? 0 : 2) + header.sideInfoLength;
+  if (matchesTag(bytes, xingOffset, 'Xing') || matchesTag(bytes, xingOffset, 'Info')) {
+    return true;
+  }
+  // VBRI头固定在帧头后32字节处
+  return matchesTag(bytes, offset + 4 + 32, 'VBRI');
+}
+
+/**
+ * 解析MP3数据中的音频帧（跳过ID3标签、Xing/Info/VBRI帧和无法识别的字节）
+ * @param {ArrayBuffer|Uint8Array} data - MP3数据
+ * @returns {{bytes: Uint8Array, frames: Array<{offset: number, length: number, header: object}>}}
+ */
+function parseMp3Frames(data) {
+  const bytes = toUint8Array(data);
+  const frames = [];
+
+  let end = bytes.length;
+  if (hasId3v1Tag(bytes, end)) {
+    end -= ID3V1_TAG_SIZE;
+  }
+
+  let offset = getId3v2Length(bytes);
+
+  while (offset + 4 <= end) {
+    const header = parseFrameHeader(bytes, offset);
+
+    // 帧头非法或帧超出数据范围：逐字节向后查找下一个同步字
+    if (!header || offset + header.frameLength > end) {
+      // 片段中间也可能出现ID3v2标签
+      const id3Length = getId3v2Length(bytes, offset);
+      offset += id3Length > 0 ? id3Length : 1;
+      continue;
+    }
+
+    // 未与上一帧连续时要求下一帧也是合法帧头，避免把音频数据中的 0xFFE 误判为同步字
+    const nextOffset = offset + header.frameLength;
+    const lastFrame = frames[frames.length - 1];
+    const inSync = lastFrame && lastFrame.offset + lastFrame.length === offset;
+    if (!inSync && nextOffset + 4 <= end && !parseFrameHeader(bytes, nextOffset) && getId3v2Length(bytes, nextOffset) === 0) {
+      offset += 1;
+      continue;
+    }
+
+    if (frames.length === 0 && isMetadataFrame(bytes, offset, header)) {
+      offset = nextOffset;
+      continue;
+    }
+
+    frames.push({ offset, length: header.frameLength, header });
+    offset = nextOffset;
+  }
+
+  return { bytes, frames };
+}
+
+/**
+ * 生成Xing/Info头帧
+ * @param {object} referenceHeader - 参考帧头（使用相同版本、采样率和声道模式）
+ * @param {number[]} frameLengths - 所有音频帧的长度
+ * @param {boolean} isVbr - 是否为变比特率（VBR写"Xing"，CBR写"Info"）
+ * @returns {Uint8Array} 完整的元数据帧
+ */
+function buildXingFrame(referenceHeader, frameLengths, isVbr) {
+  const sideInfoLength = referenceHeader.sideInfoLength;
+  // 帧头 + 边信息 + 标识 + flags + 帧数 + 字节数 + TOC
+  const requiredLength = 4 + sideInfoLength + 4 + 4 + 4 + 4 + XING_TOC_SIZE;
+
+  // 优先使用与音频相同的比特率，长度不够时选择更高的比特率
+  const bitrateTable = referenceHeader.isMpeg1 ? BITRATES.mpeg1 : BITRATES.mpeg2;
+  const frameLengthFor = (index) => Math.floor(
+    (referenceHeader.samplesPerFrame / 8) * bitrateTable[index] * 1000 / referenceHeader.sampleRate
+  );
+
+  let bitrateIndex = referenceHeader.bitrateIndex;
+  while (bitrateIndex < 14 && frameLengthFor(bitrateIndex) < requiredLength) {
+    bitrateIndex++;
+  }
+
+  const frameLength = frameLengthFor(bitrateIndex);
+  const frame = new Uint8Array(frameLength);
+
+  // 帧头：无CRC、无padding，其余字段沿用参考帧
+  frame[0] = 0xFF;
+  frame[1] = 0xE0 | (referenceHeader.versionBits << 3) | (1 << 1) | 0x01;
+  frame[2] = (bitrateIndex << 4) | (referenceHeader.sampleRateIndex << 2);
+  frame[3] = referenceHeader.channelMode << 6;
+
+  const view = new DataView(frame.buffer);
+  let offset = 4 + sideInfoLength;
+
+  const tag = isVbr ? 'Xing' : 'Info';
+  for (let i = 0; i < 4; i++) {
+    frame[offset + i] = tag.charCodeAt(i);
+  }
+  offset += 4;
+
+  const audioBytes = frameLengths.reduce((sum, length) => sum + length, 0);
+  const totalBytes = audioBytes + frameLength;
+
+  view.setUint32(offset, 0x0007); // flags: 帧数 | 字节数 | TOC
+  view.setUint32(offset + 4, frameLengths.length); // 音频帧数（不含本帧）
+  view.setUint32(offset + 8, totalBytes); // 文件中MPEG数据总字节数（含本帧）
+  offset += 12;
+
+  // TOC：第i项为播放到 i% 时的字节位置 / 总字节数 * 256
+  const frameCount = frameLengths.length;
+  let frameIndex = 0;
+  let bytePosition = frameLength;
+  for (let i = 0; i < XING_TOC_SIZE; i++) {
+    const targetFrame = Math.floor((i / XING_TOC_SIZE) * frameCount);
+    while (frameIndex < targetFrame) {
+      bytePosition += frameLengths[frameIndex];
+      frameIndex++;
+    }
+    frame[offset + i] = Math.min(255, Math.floor((bytePosition / totalBytes) * 256));
+  }
+
+  return frame;
+}
+
+/**
+ * 【新增】计算MP3片段的播放时长和帧时长（不含Xing/Info帧）
+ * @param {ArrayBuffer|Uint8Array} data - MP3数据
+ * @returns {{durationSeconds: number, frameDurationSeconds: number}}
+ */
+function getMp3Timing(data) {
+  const { frames } = parseMp3Frames(data);
+  if (frames.length === 0) {
+    return { durationSeconds: 0, frameDurationSeconds: 0 };
+  }
+
+  const durationSeconds = frames.reduce(
+    (sum, frame) => sum + frame.header.samplesPerFrame / frame.header.sampleRate, 0
+  );
+  const lastHeader = frames[frames.length - 1].header;
+  return {
+    durationSeconds,
+    frameDurationSeconds: lastHeader.samplesPerFrame / lastHeader.sampleRate
+  };
+}
+
+/**
+ * 【新增】生成指定时长的静音帧
+ * 帧头与参考帧一致（版本、比特率、采样率、声道模式），边信息和主数据全部为0，解码后即为静音。
+ * @param {object} referenceHeader - 参考帧头
+ * @param {number} durationMs - 静音时长（毫秒），按帧时长向上取整
+ * @returns {{frame: Uint8Array, count: number}} 单个静音帧及需要重复的次数
+ */
+function createSilentFrames(referenceHeader, durationMs) {
+  const frameDurationMs = (referenceHeader.samplesPerFrame / referenceHeader.sampleRate) * 1000;
+  const count = Math.ceil(durationMs / frameDurationMs);
+  const bitrateTable = referenceHeader.isMpeg1 ? BITRATES.mpeg1 : BITRATES.mpeg2;
+  const frameLength = Math.floor(
+    (referenceHeader.samplesPerFrame / 8) * bitrateTable[referenceHeader.bitrateIndex] * 1000 / referenceHeader.sampleRate
+  );
+
+  const frame = new Uint8Array(frameLength);
+  frame[0] = 0xFF;
+  frame[1] = 0xE0 | (referenceHeader.versionBits << 3) | (1 << 1) | 0x01;
+  frame[2] = (referenceHeader.bitrateIndex << 4) | (referenceHeader.sampleRateIndex << 2);
+  frame[3] = referenceHeader.channelMode << 6;
+
+  return { frame, count };
+}
+
+/**
+ * 按帧合并多个MP3片段
+ * 去除每个片段的ID3v2/ID3v1标签和Xing/LAME头，只保留音频帧，并在开头写入统一的Xing/Info头。
+ * 无法解析出任何MP3帧时返回null，由调用方决定如何降级。
+ * @param {Array<ArrayBuffer|Uint8Array>} audioDataList - MP3片段列表
+ * @param {object} options - 可选参数
+ * @param {number[]} options.pausesMs - 每个片段之后插入的静音时长（毫秒），最后一个片段之后不插入
+ * @returns {ArrayBuffer|null} 合并后的MP3数据
+ */
+function concatMp3(audioDataList, options = {}) {
+  const { pausesMs = [] } = options;
+  const allFrames = [];
+
+  audioDataList.forEach((data, index) => {
+    if (!data || data.byteLength === 0) {
+      return;
+    }
+
+    const segment = parseMp3Frames(data);
+    for (const frame of segment.frames) {
+      allFrames.push({ ...frame, bytes: segment.bytes });
+    }
+
+    // 静音帧与该片段最后一帧的格式保持一致
+    const pauseMs = pausesMs[index] || 0;
+    const lastFrame = segment.frames[segment.frames.length - 1];
+    if (pauseMs > 0 && lastFrame && index < audioDataList.length - 1) {
+      const { frame, count } = createSilentFrames(lastFrame.header, pauseMs);
+      for (let i = 0; i < count; i++) {
+        allFrames.push({ offset: 0, length: frame.byteLength, header: lastFrame.header, bytes: frame });
+      }
+    }
+  });
+
+  if (allFrames.length === 0) {
+    return null;
+  }
+
+  const referenceHeader = allFrames[0].header;
+  const frameLengths = allFrames.map(frame => frame.length);
+  const isVbr = allFrames.some(frame => frame.header.bitrate !== referenceHeader.bitrate);
+  const xingFrame = buildXingFrame(referenceHeader, frameLengths, isVbr);
+
+  const totalLength = xingFrame.byteLength + frameLengths.reduce((sum, length) => sum + length, 0);
+  const combined = new Uint8Array(totalLength);
+
+  combined.set(xingFrame, 0);
+  let offset = xingFrame.byteLength;
+  for (const frame of allFrames) {
+    combined.set(frame.bytes.subarray(frame.offset, frame.offset + frame.length), offset);
+    offset += frame.length;
+  }
+
+  return combined.buffer;
+}
+
+module.exports = {
+  parseFrameHeader,
+  parseMp3Frames,
+  buildXingFrame,
+  createSilentFrames,
+  getMp3Timing,
+  concatMp3
+};
@@ -0,0 +1,254 @@
+/**
+ * Ogg Opus处理工具
+ * ElevenLabs的opus_*格式每个片段都是独立的Ogg Opus流（各自带OpusHead/OpusTags头和独立的序列号）。
+ * 合并时只保留第一个片段的头，后续片段的音频页改写为同一个逻辑流：
+ * 统一序列号、连续的页序号、累加的granule position，并重新计算CRC。
+ */
+
+const OGG_PAGE_HEADER_SIZE = 27;
+const FLAG_BOS = 0x02;
+const FLAG_EOS = 0x04;
+const NO_GRANULE = 0xFFFFFFFFFFFFFFFFn;
+
+// Opus静音包：CELT全频带20ms帧（48kHz下960个采样）
+const OPUS_SILENCE_PACKET = new Uint8Array([0xF8, 0xFF, 0xFE]);
+const OPUS_SILENCE_SAMPLES = 960;
+const SILENCE_PACKETS_PER_PAGE = 50;
+
+// Ogg使用的CRC32（多项式0x04C11DB7，不反转）
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let j = 0; j < 8; j++) {
+      crc = (crc & 0x80000000) ? ((crc << 1) ^ 0x04C11DB7) : (crc << 1);
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * 解析Ogg页
+ * @param {ArrayBuffer|Uint8Array} data - Ogg数据
+ * @returns {Array<{headerType: number, granule: bigint, serial: number, segments: Uint8Array, body: Uint8Array}>}
+ */
+function parseOggPages(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const pages = [];
+  let offset = 0;
+
+  while (offset + OGG_PAGE_HEADER_SIZE <= bytes.length) {
+    if (bytes[offset] !== 0x4F || bytes[offset + 1] !== 0x67 || bytes[offset + 2] !== 0x67 || bytes[offset + 3] !== 0x53) { // 'OggS'
+      offset++;
+      continue;
+    }
+
+    const segmentCount = bytes[offset + 26];
+    const segments = bytes.subarray(offset + OGG_PAGE_HEADER_SIZE, offset + OGG_PAGE_HEADER_SIZE + segmentCount);
+    const bodyLength = segments.reduce((sum, value) => sum + value, 0);
+    const bodyStart = offset + OGG_PAGE_HEADER_SIZE + segmentCount;
+
+    if (bodyStart + bodyLength > bytes.length) {
+      break;
+    }
+
+    pages.push({
+      headerType: bytes[offset + 5],
+      granule: view.getBigUint64(offset + 6, true),
+      serial: view.getUint32(offset + 14, true),
+      segments,
+      body: bytes.subarray(bodyStart, bodyStart + bodyLength)
+    });
+
+    offset = bodyStart + bodyLength;
+  }
+
+  return pages;
+}
+
+/**
+ * 序列化Ogg页（自动计算CRC）
+ */
+function buildOggPage({ headerType, granule, serial, sequence, segments, body }) {
+  const page = new Uint8Array(OGG_PAGE_HEADER_SIZE + segments.length + body.length);
+  const view = new DataView(page.buffer);
+
+  page.set([0x4F, 0x67, 0x67, 0x53], 0); // 'OggS'
+  page[4] = 0; // 版本
+  page[5] = headerType;
+  view.setBigUint64(6, granule, true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  view.setUint32(22, 0, true); // CRC占位
+  page[26] = segments.length;
+  page.set(segments, OGG_PAGE_HEADER_SIZE);
+  page.set(body, OGG_PAGE_HEADER_SIZE + segments.length);
+
+  view.setUint32(22, oggCrc(page), true);
+  return page;
+}
+
+// 统计页中结束的包数量（lacing值小于255表示一个包结束）
+function countCompletedPackets(page) {
+  return page.segments.reduce((count, value) => count + (value < 255 ? 1 : 0), 0);
+}
+
+// 分离头页（OpusHead + OpusTags）和音频页
+function splitHeaderPages(pages) {
+  let packets = 0;
+  let index = 0;
+  while (index < pages.length && packets < 2) {
+    packets += countCompletedPackets(pages[index]);
+    index++;
+  }
+  return { headerPages: pages.slice(0, index), audioPages: pages.slice(index) };
+}
+
+// 生成静音页（每页最多 SILENCE_PACKETS_PER_PAGE 个20ms静音包）
+function buildSilencePages(durationMs) {
+  const packetCount = Math.ceil(durationMs / 20);
+  const pages = [];
+
+  for (let start = 0; start < packetCount; start += SILENCE_PACKETS_PER_PAGE) {
+    const count = Math.min(SILENCE_PACKETS_PER_PAGE, packetCount - start);
+    const body = new Uint8Array(count * OPUS_SILENCE_PACKET.length);
+    for (let i = 0; i < count; i++) {
+      body.set(OPUS_SILENCE_PACKET, i * OPUS_SILENCE_PACKET.length);
+    }
+    pages.push({
+      segments: new Uint8Array(count).fill(OPUS_SILENCE_PACKET.length),
+      body,
+      samples: BigInt(count * OPUS_SILENCE_SAMPLES)
+    });
+  }
+
+  return pages;
+}
+
+/**
+ * 合并多个Ogg Opus片段为一个逻辑流
+ * 无法解析出任何Ogg页时返回null，由调用方决定如何降级。
+ * @param {Array<ArrayBuffer|Uint8Array>} audioDataList - Ogg Opus片段列表
+ * @param {object} options - 可选参数
+ * @param {number[]} options.pausesMs - 每个片段之后插入的静音时长（毫秒），最后一个片段之后不插入
+ * @returns {ArrayBuffer|null} 合并后的Ogg Opus数据
+ */
+function concatOggOpus(audioDataList, options = {}) {
+  const { pausesMs = [] } = options;
+  const outputPages = [];
+  let serial = null;
+  let granuleOffset = 0n;
+
+  audioDataList.forEach((data, index) => {
+    if (!data || data.byteLength === 0) {
+      return;
+    }
+
+    const pages = parseOggPages(data);
+    if (pages.length === 0) {
+      return;
+    }
+
+    const { headerPages, audioPages } = splitHeaderPages(pages);
+
+    // 只保留第一个片段的头
+    if (serial === null) {
+      serial = headerPages[0].serial;
+      headerPages.forEach((page, pageIndex) => {
+        outputPages.push({
+          ...page,
+          headerType: pageIndex === 0 ? page.headerType | FLAG_BOS : page.headerType & ~FLAG_BOS & ~FLAG_EOS
+        });
+      });
+    }
+
+    let lastGranule = 0n;
+    for (const page of audioPages) {
+      const hasGranule = page.granule !== NO_GRANULE;
+      if (hasGranule) {
+        lastGranule = page.granule;
+      }
+      outputPages.push({
+        ...page,
+        headerType: page.headerType & ~FLAG_BOS & ~FLAG_EOS,
+        granule: hasGranule ? granuleOffset + page.granule : NO_GRANULE
+      });
+    }
+    granuleOffset += lastGranule;
+
+    const pauseMs = pausesMs[index] || 0;
+    if (pauseMs > 0 && index < audioDataList.length - 1) {
+      for (const silencePage of buildSilencePages(pauseMs)) {
+        granuleOffset += silencePage.samples;
+        outputPages.push({
+          headerType: 0,
+          granule: granuleOffset,
+          segments: silencePage.segments,
+          body: silencePage.body
+        });
+      }
+    }
+  });
+
+  if (outputPages.length === 0) {
+    return null;
+  }
+
+  outputPages[outputPages.length - 1].headerType |= FLAG_EOS;
+
+  const serializedPages = outputPages.map((page, sequence) => buildOggPage({ ...page, serial, sequence }));
+  const totalLength = serializedPages.reduce((sum, page) => sum + page.length, 0);
+  const combined = new Uint8Array(totalLength);
+
+  let offset = 0;
+  for (const page of serializedPages) {
+    combined.set(page, offset);
+    offset += page.length;
+  }
+
+  return combined.buffer;
+}
+
+// 【新增】Ogg Opus片段的播放时长（秒）：最后的granule position减去OpusHead中的pre-skip
+function getOggOpusDurationSeconds(data) {
+  const pages = parseOggPages(data);
+  if (pages.length === 0) {
+    return 0;
+  }
+
+  const { headerPages } = splitHeaderPages(pages);
+  const opusHead = headerPages[0].body;
+  const preSkip = opusHead.length >= 12 ? opusHead[10] | (opusHead[11] << 8) : 0;
+
+  let lastGranule = 0n;
+  for (const page of pages) {
+    if (page.granule !== NO_GRANULE) {
+      lastGranule = page.granule;
+    }
+  }
+
+  return Math.max(0, Number(lastGranule) - preSkip) / 48000;
+}
+
+// 【新增】插入的静音实际时长（秒），静音包为20ms一个
+function getOpusSilenceDurationSeconds(pauseMs) {
+  return Math.ceil(pauseMs / 20) * 0.02;
+}
+
+module.exports = {
+  parseOggPages,
+  buildOggPage,
+  concatOggOpus,
+  getOggOpusDurationSeconds,
+  getOpusSilenceDurationSeconds
+};
@@ -0,0 +1,160 @@
+/**
+ * 密码哈希
+ * 新格式：$scrypt$v1$N=16384,r=8,p=1$<salt(base64)>$<hash(base64)>，每个用户使用独立的随机盐。
+ * 旧格式：base64(sha256(password + JWT_SECRET))，没有盐和工作因子，只用于校验迁移前的用户，
+ * 登录成功后由调用方用新格式重新计算并保存。
+ */
+const crypto = require('crypto');
+const { getPasswordHashConfig } = require('./config');
+
+const SCHEME = 'scrypt';
+const VERSION = 'v1';
+// 旧格式为32字节SHA-256摘要的base64编码（44个字符）
+const LEGACY_HASH_PATTERN = /^[A-Za-z0-9+/]{43}=$/;
+// 已保存哈希的盐和摘要最大字节数
+const MAX_STORED_BYTES = 64;
+
+// 当前使用的scrypt参数（配置值不超过上限）
+function getScryptParams() {
+  const { SCRYPT_N, SCRYPT_R, SCRYPT_P, MAX_SCRYPT_N, MAX_SCRYPT_R, MAX_SCRYPT_P } = getPasswordHashConfig();
+  return {
+    N: Math.min(SCRYPT_N, MAX_SCRYPT_N),
+    r: Math.min(SCRYPT_R, MAX_SCRYPT_R),
+    p: Math.min(SCRYPT_P, MAX_SCRYPT_P)
+  };
+}
+
+// N 必须是大于1的2的幂；N、r、p 都不能超过配置的上限
+function isAllowedScryptParams({ N, r, p }) {
+  const { MAX_SCRYPT_N, MAX_SCRYPT_R, MAX_SCRYPT_P } = getPasswordHashConfig();
+  return N > 1 && (N & (N - 1)) === 0 && N <= MAX_SCRYPT_N && r <= MAX_SCRYPT_R && p <= MAX_SCRYPT_P;
+}
+
+function scrypt(password, salt, keyLength, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    // maxmem 需要大于 128 * N * r，否则调高N时scrypt会直接报错（N、r 已限制在上限内）
+    crypto.scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r }, (error, derivedKey) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(derivedKey);
+      }
+    });
+  });
+}
+
+function parseScryptHash(storedHash) {
+  const parts = storedHash.split('$');
+  // ['', 'scrypt', 'v1', 'N=..,r=..,p=..', salt, hash]
+  if (parts.length !== 6 || parts[0] !== '' || parts[1] !== SCHEME || parts[2] !== VERSION) {
+    return null;
+  }
+
+  const params = {};
+  for (const pair of parts[3].split(',')) {
+    const [key, value] = pair.split('=');
+    params[key] = parseInt(value);
+  }
+  if (![params.N, params.r, params.p].every(value => Number.isInteger(value) && value > 0)) {
+    return null;
+  }
+  // 【新增】参数超出上限的哈希视为无效，不会用它计算scrypt
+  if (!isAllowedScryptParams(params)) {
+    return null;
+  }
+
+  const salt = Buffer.from(parts[4], 'base64');
+  const hash = Buffer.from(parts[5], 'base64');
+  if (salt.length === 0 || hash.length === 0 || salt.length > MAX_STORED_BYTES || hash.length > MAX_STORED_BYTES) {
+    return null;
+  }
+
+  return { params: { N: params.N, r: params.r, p: params.p }, salt, hash };
+}
+
+function isLegacyHash(storedHash) {
+  return typeof storedHash === 'string' && LEGACY_HASH_PATTERN.test(storedHash);
+}
+
+// 旧的密码哈希算法（迁移前的用户数据使用）
+function legacyHash(password) {
+  const hash = crypto.createHash('sha256').update(password + process.env.JWT_SECRET).digest();
+  return hash.toString('base64');
+}
+
+/**
+ * 计算新格式的密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const { KEY_LENGTH, SALT_BYTES } = getPasswordHashConfig();
+  const params = getScryptParams();
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH, params);
+
+  return `$${SCHEME}$${VERSION}$N=${params.N},r=${params.r},p=${params.p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * 校验密码（同时支持新旧两种格式）
+ * @param {string} password - 明文密码
+ * @param {string} storedHash - 数据库中保存的哈希
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>} needsRehash 表示应当用新格式/当前参数重新计算
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isLegacyHash(storedHash)) {
+    const computed = Buffer.from(legacyHash(password), 'base64');
+    const valid = crypto.timingSafeEqual(computed, Buffer.from(storedHash, 'base64'));
+    return { valid, needsRehash: valid };
+  }
+
+  const parsed = parseScryptHash(storedHash);
+  if (!parsed) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const computed = await scrypt(password, parsed.salt, parsed.hash.length, parsed.params);
+  const valid = crypto.timingSafeEqual(computed, parsed.hash);
+
+  const current = getScryptParams();
+  const outdated = parsed.params.N !== current.N || parsed.params.r !== current.r || parsed.params.p !== current.p;
+  return { valid, needsRehash: valid && outdated };
+}
+
+// 【新增】账号不存在时用于校验的占位哈希（按当前参数计算一次并缓存，参数变化后重新计算）
+let dummyHash = null;
+
+/**
+ * 占位密码哈希：登录时账号不存在也用它执行一次 verifyPassword，
+ * 使响应时间与账号存在时相同，不会通过耗时泄露账号是否存在
+ * @returns {Promise<string>}
+ */
+async function getDummyPasswordHash() {
+  const { N, r, p } = getScryptParams();
+  const paramsKey = `N=${N},r=${r},p=${p}`;
+
+  if (!dummyHash || dummyHash.paramsKey !== paramsKey) {
+    dummyHash = { paramsKey, value: hashPassword(crypto.randomBytes(16).toString('hex')) };
+  }
+  return dummyHash.value;
+}
+
+// 是否为可识别的密码哈希（B后端同步的哈希可能是新格式，也可能是迁移期间的旧格式）
+function isSupportedPasswordHash(storedHash) {
+  return isLegacyHash(storedHash) || (typeof storedHash === 'string' && parseScryptHash(storedHash) !== null);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  getDummyPasswordHash,
+  legacyHash,
+  isLegacyHash,
+  isSupportedPasswordHash,
+  parseScryptHash
+};
@@ -0,0 +1,50 @@
+/**
+ * 音频分享链接签名
+ * 链接格式：/api/tts/shared/:taskId?exp=<过期时间（秒）>&sig=<HMAC-SHA256(taskId.exp)，base64url>
+ * 签名只覆盖单个任务和过期时间，持有链接的人只能在有效期内获取这一个音频文件。
+ */
+const crypto = require('crypto');
+const { getShareLinkConfig } = require('./config');
+
+function computeSignature(taskId, exp) {
+  const { SECRET } = getShareLinkConfig();
+  if (!SECRET) {
+    throw new Error('Share link secret is not configured');
+  }
+  return crypto.createHmac('sha256', SECRET).update(`${taskId}.${exp}`).digest('base64url');
+}
+
+/**
+ * 生成分享链接的签名参数
+ * @param {string} taskId - 任务ID
+ * @param {number} expiresIn - 有效期（秒）
+ * @returns {{exp: number, sig: string}}
+ */
+function signShareLink(taskId, expiresIn) {
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  return { exp, sig: computeSignature(taskId, exp) };
+}
+
+/**
+ * 验证分享链接
+ * @returns {'valid'|'expired'|'invalid'}
+ */
+function verifyShareLink(taskId, exp, sig) {
+  const expNumber = Number(exp);
+  if (!/^\d+$/.test(String(exp)) || typeof sig !== 'string' || !sig) {
+    return 'invalid';
+  }
+
+  const expected = Buffer.from(computeSignature(taskId, expNumber));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'invalid';
+  }
+
+  return Date.now() / 1000 > expNumber ? 'expired' : 'valid';
+}
+
+module.exports = {
+  signShareLink,
+  verifyShareLink
+};
@@ -0,0 +1,158 @@
+/**
+ * 字幕生成工具
+ * 根据字符级时间戳（ElevenLabs with-timestamps 返回的 alignment）生成单词时间轴和字幕条目，
+ * 并输出为 SRT / WebVTT 格式。
+ * 中日韩文字没有空格分词，每个字单独作为一个词；标点附加到前一个词上。
+ */
+
+const DEFAULT_MAX_LINE_LENGTH = 42;
+
+// 中日韩文字（含全角符号）
+const CJK_PATTERN = /[　-〿぀-ヿ㐀-䶿一-鿿가-힯＀-￯]/;
+// 句末标点：遇到后结束当前字幕条目
+const SENTENCE_END_PATTERN = /[.!?。！？…；;]$/;
+// 标点（不单独成词）
+const PUNCTUATION_PATTERN = /^[\s.,!?;:'"()\[\]{}\-…，。！？；：、“”‘’（）《》【】]$/u;
+
+/**
+ * 将字符级时间戳合并为单词时间轴
+ * @param {{characters: string[], character_start_times_seconds: number[], character_end_times_seconds: number[]}} alignment
+ * @returns {Array<{text: string, start: number, end: number, spaceBefore: boolean, lineBreak: boolean}>}
+ */
+function buildWordTimings(alignment) {
+  const words = [];
+  if (!alignment || !Array.isArray(alignment.characters)) {
+    return words;
+  }
+
+  const { characters, character_start_times_seconds: starts, character_end_times_seconds: ends } = alignment;
+  let current = null;
+  let pendingSpace = false;
+  let pendingLineBreak = false;
+
+  const flush = () => {
+    if (current) {
+      words.push(current);
+      current = null;
+    }
+  };
+
+  characters.forEach((char, index) => {
+    const start = starts[index];
+    const end = ends[index];
+
+    if (char === '\n') {
+      flush();
+      pendingLineBreak = true;
+      return;
+    }
+
+    if (/\s/.test(char)) {
+      flush();
+      pendingSpace = true;
+      return;
+    }
+
+    // 标点附加到前一个词
+    if (PUNCTUATION_PATTERN.test(char) && (current || words.length > 0) && !pendingSpace && !pendingLineBreak) {
+      const target = current || words[words.length - 1];
+      target.text += char;
+      target.end = Math.max(target.end, end);
+      return;
+    }
+
+    if (CJK_PATTERN.test(char)) {
+      flush();
+      current = { text: char, start, end, spaceBefore: pendingSpace, lineBreak: pendingLineBreak };
+      flush();
+    } else if (current) {
+      current.text += char;
+      current.end = Math.max(current.end, end);
+    } else {
+      current = { text: char, start, end, spaceBefore: pendingSpace, lineBreak: pendingLineBreak };
+    }
+
+    pendingSpace = false;
+    pendingLineBreak = false;
+  });
+
+  flush();
+  return words;
+}
+
+/**
+ * 将单词分组为字幕条目
+ * 超过最大行长度、遇到句末标点或换行（对话的不同句子）时开始新条目
+ * @param {Array} words - buildWordTimings 的结果
+ * @param {object} options - 可选参数
+ * @param {number} options.maxLineLength - 每条字幕的最大字符数
+ * @returns {Array<{index: number, start: number, end: number, text: string}>}
+ */
+function buildCues(words, options = {}) {
+  const maxLineLength = options.maxLineLength || DEFAULT_MAX_LINE_LENGTH;
+  const cues = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.trim()) {
+      cues.push({ index: cues.length + 1, start: current.start, end: current.end, text: current.text.trim() });
+    }
+    current = null;
+  };
+
+  for (const word of words) {
+    if (word.lineBreak) {
+      flush();
+    }
+
+    const separator = current && word.spaceBefore ? ' ' : '';
+    if (current && current.text.length + separator.length + word.text.length > maxLineLength) {
+      flush();
+    }
+
+    if (!current) {
+      current = { start: word.start, end: word.end, text: word.text };
+    } else {
+      current.text += separator + word.text;
+      current.end = Math.max(current.end, word.end);
+    }
+
+    if (SENTENCE_END_PATTERN.test(word.text)) {
+      flush();
+    }
+  }
+
+  flush();
+  return cues;
+}
+
+function formatTimestamp(seconds, millisecondSeparator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${millisecondSeparator}${pad(ms, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues.map(cue => (
+    `${cue.index}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+  )).join('\n');
+}
+
+function toVtt(cues) {
+  const body = cues.map(cue => (
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`
+  )).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+module.exports = {
+  DEFAULT_MAX_LINE_LENGTH,
+  buildWordTimings,
+  buildCues,
+  toSrt,
+  toVtt
+};
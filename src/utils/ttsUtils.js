@@ -1,12 +1,114 @@
 const crypto = require('crypto');
 const dbClient = require('../services/dbClient');
 const { getTTSProxyConfig } = require('./config');
+const { concatMp3, getMp3Timing } = require('./mp3Utils');
+const { concatPcmToWav, getPcmDurationSeconds } = require('./wavUtils');
+const { concatOggOpus, getOggOpusDurationSeconds, getOpusSilenceDurationSeconds } = require('./oggUtils');
+const { getOutputFormatInfo, isSupportedOutputFormat } = require('./audioFormats');
 
 // 从worker.js迁移的核心函数
 function generateUUID() {
   return crypto.randomUUID();
 }
 
+// 【新增】创建任务取消错误（用于区分用户主动取消和真实失败）
+function createCancellationError(message = '任务已取消') {
+  const error = new Error(message);
+  error.name = 'TaskCancelledError';
+  error.isCancelled = true;
+  return error;
+}
+
+// 【新增】如果任务已被取消则立即抛出取消错误
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancellationError();
+  }
+}
+
+// 【新增】合并多个AbortSignal，任意一个中止即中止（兼容不支持AbortSignal.any的Node版本）
+function combineAbortSignals(...signals) {
+  const validSignals = signals.filter(Boolean);
+  if (validSignals.length <= 1) {
+    return validSignals[0];
+  }
+
+  if (typeof AbortSignal.any === 'function') {
+    return AbortSignal.any(validSignals);
+  }
+
+  const controller = new AbortController();
+  for (const signal of validSignals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+// 【新增】为上游请求URL附加 output_format 参数（未指定格式时保持ElevenLabs默认输出）
+function appendOutputFormat(url, outputFormat) {
+  if (!outputFormat || !isSupportedOutputFormat(outputFormat)) {
+    return url;
+  }
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}output_format=${encodeURIComponent(outputFormat)}`;
+}
+
+// 【新增】上游TTS接口路径，需要字符级时间戳时使用 with-timestamps 接口
+function getTtsPath(voiceId, options = {}) {
+  return options.withTimestamps
+    ? `text-to-speech/${voiceId}/with-timestamps`
+    : `text-to-speech/${voiceId}`;
+}
+
+// 【新增】with-timestamps 接口返回JSON，其余情况按输出格式请求音频
+function getAcceptHeader(options = {}) {
+  return options.withTimestamps ? 'application/json' : getOutputFormatInfo(options.outputFormat).accept;
+}
+
+/**
+ * 【新增】读取上游TTS响应
+ * with-timestamps 接口返回 { audio_base64, alignment }，解码出音频后把 alignment 挂在ArrayBuffer上（不可枚举），
+ * 这样经过代理重试、网关降级等多层调用后仍然可以拿到时间戳，而不需要修改每一层的返回值。
+ * @returns {Promise<ArrayBuffer>} 音频数据
+ */
+async function readTtsResponse(response, options = {}) {
+  const data = await response.arrayBuffer();
+  if (!options.withTimestamps) {
+    return data;
+  }
+
+  let result;
+  try {
+    result = JSON.parse(Buffer.from(data).toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid timestamps response: ${error.message}`);
+  }
+
+  const audio = Buffer.from(result.audio_base64 || '', 'base64');
+  const audioBuffer = audio.buffer.slice(audio.byteOffset, audio.byteOffset + audio.byteLength);
+  Object.defineProperty(audioBuffer, 'alignment', {
+    value: result.alignment || null,
+    enumerable: false
+  });
+  return audioBuffer;
+}
+
+// 【新增】通知调用方某个片段已生成（用于边生成边推送音频），回调异常不影响生成流程
+function notifyChunkReady(onChunkReady, index, audioBuffer) {
+  if (typeof onChunkReady !== 'function') {
+    return;
+  }
+  try {
+    onChunkReady(index, audioBuffer);
+  } catch (error) {
+    console.error(`[PROGRESSIVE-AUDIO] onChunkReady failed for chunk ${index + 1}:`, error.message);
+  }
+}
+
 /**
  * 【SSML增强版】智能分割文本，支持SSML指令识别
  * 这个函数会将文本分割成不超过maxLength的块，同时确保 [...] 形式的SSML指令不会被破坏。
@@ -375,6 +477,9 @@ const smartConcurrencyController = new SmartConcurrencyController();
 async function processChunks(chunks, voiceId, modelId, stability, similarity_boost, style, speed, context = {}) {
   const pLimit = require('p-limit');
   const startTime = Date.now();
+  const { signal, outputFormat, withTimestamps, onChunkReady } = context; // 任务取消信号、输出格式、是否需要时间戳、片段完成回调（可选）
+
+  throwIfCancelled(signal);
 
   // 【智能并发控制】动态计算最优并发数
   let optimalConcurrency;
@@ -423,11 +528,15 @@ async function processChunks(chunks, voiceId, modelId, stability, similarity_boo
         throw new Error(`Chunk ${index + 1} cancelled due to violation in another chunk`);
       }
 
+      // 任务已取消：丢弃尚未开始的chunk
+      throwIfCancelled(signal);
+
       try {
         console.log(`Processing chunk ${index + 1}/${chunks.length}, length: ${chunk.length}`);
 
-        // 调用ElevenLabs API生成音频（使用智能网络管理器）
-        const audioBuffer = await generateSpeechSmart(chunk, voiceId, modelId, stability, similarity_boost, style, speed);
+        // 调用ElevenLabs API生成音频（使用智能网络管理器，相同内容优先命中chunk缓存）
+        const audioBuffer = await generateSpeechCached(chunk, voiceId, modelId, stability, similarity_boost, style, speed, { signal, outputFormat, withTimestamps });
+        notifyChunkReady(onChunkReady, index, audioBuffer);
 
         return {
           index,
@@ -436,6 +545,11 @@ async function processChunks(chunks, voiceId, modelId, stability, similarity_boo
           chunk
         };
       } catch (error) {
+        // 任务取消导致的请求中止，直接结束整个处理流程
+        if (signal?.aborted) {
+          throw createCancellationError();
+        }
+
         // 【新增】检测违规并立即中止所有其他chunk
         if (error.isContentViolation && !firstViolationError) {
           firstViolationError = error;
@@ -522,19 +636,31 @@ async function processChunks(chunks, voiceId, modelId, stability, similarity_boo
         throw new Error(`Retry chunk ${failedResult.index + 1} cancelled due to violation in another retry`);
       }
 
+      throwIfCancelled(signal);
+
       try {
         await new Promise(resolve => setTimeout(resolve, 2000)); // 2秒延迟
+        throwIfCancelled(signal);
         const audioBuffer = await generateSpeech(
-          failedResult.chunk, voiceId, modelId, stability, similarity_boost, style, speed
+          failedResult.chunk, voiceId, modelId, stability, similarity_boost, style, speed, { signal, outputFormat, withTimestamps }
         );
 
+        if (!withTimestamps) {
+          await cacheChunkAudio(failedResult.chunk, voiceId, modelId, stability, similarity_boost, style, speed, audioBuffer, outputFormat);
+        }
+
         results[failedResult.index] = {
           ...failedResult,
           success: true,
           audioData: audioBuffer
         };
+        notifyChunkReady(onChunkReady, failedResult.index, audioBuffer);
         console.log(`Retry successful for chunk ${failedResult.index + 1}`);
       } catch (retryError) {
+        if (retryError.isCancelled || signal?.aborted) {
+          throw createCancellationError();
+        }
+
         // 【新增】检测重试阶段的违规错误
         if (retryError.isContentViolation && !retryViolationError) {
           retryViolationError = retryError;
@@ -791,9 +917,11 @@ function selectRandomProxyUrl(proxyUrls) {
  * @param {number} style - 风格参数
  * @param {number} speed - 语速参数
  * @param {object} proxyConfig - 代理配置
+ * @param {object} options - 可选参数
+ * @param {AbortSignal} options.signal - 任务取消信号
  * @returns {Promise<ArrayBuffer>} 音频数据
  */
-async function callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig) {
+async function callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig, options = {}) {
   const startTime = Date.now();
   const { ttsLogger } = require('./ttsLogger');
 
@@ -821,6 +949,8 @@ async function callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, sim
   });
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    throwIfCancelled(options.signal);
+
     const proxyUrl = proxySelector.getNextProxy();
 
     if (!proxyUrl) {
@@ -882,7 +1012,7 @@ async function callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, sim
       // 【新增】传递健康检查状态，如果启用了健康检查则认为代理是健康的
       const isHealthy = proxyConfig.TTS_HEALTH_CHECK_ENABLED;
       const audioBuffer = await callSingleTtsProxy(
-        text, voiceId, modelId, stability, similarity_boost, style, speed, proxyUrl, proxyConfig, isHealthy
+        text, voiceId, modelId, stability, similarity_boost, style, speed, proxyUrl, proxyConfig, isHealthy, options
       );
 
       const requestDuration = Date.now() - requestStartTime;
@@ -901,6 +1031,11 @@ async function callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, sim
       lastError = error;
       const requestDuration = Date.now() - startTime;
 
+      // 任务已取消，不再尝试其他代理，也不把代理标记为失败
+      if (options.signal?.aborted) {
+        throw createCancellationError();
+      }
+
       // 【新增】如果检测到内容违规，立即终止所有代理尝试
       if (error.isContentViolation) {
         contextLogger.logError(error, 'proxy-smart-retry', {
@@ -956,11 +1091,13 @@ async function callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, sim
  * @param {string} proxyUrl - 指定的代理URL
  * @param {object} proxyConfig - 代理配置
  * @param {boolean} isHealthy - 是否已通过健康检查（可选，默认false）
+ * @param {object} options - 可选参数
+ * @param {AbortSignal} options.signal - 任务取消信号
  * @returns {Promise<ArrayBuffer>} 音频数据
  */
-async function callSingleTtsProxy(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyUrl, proxyConfig, isHealthy = false) {
+async function callSingleTtsProxy(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyUrl, proxyConfig, isHealthy = false, options = {}) {
   // 构建完整的代理请求URL
-  const fullProxyUrl = `${proxyUrl}/api/v1/text-to-speech/${voiceId}`;
+  const fullProxyUrl = appendOutputFormat(`${proxyUrl}/api/v1/${getTtsPath(voiceId, options)}`, options.outputFormat);
 
   // 构建请求payload
   let voice_settings = {};
@@ -1007,11 +1144,11 @@ async function callSingleTtsProxy(text, voiceId, modelId, stability, similarity_
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Accept': 'audio/mpeg',
+      'Accept': getAcceptHeader(options),
       'x-proxy-secret': proxyConfig.TTS_PROXY_SECRET
     },
     body: JSON.stringify(payload),
-    signal: AbortSignal.timeout(timeoutMs)
+    signal: combineAbortSignals(AbortSignal.timeout(timeoutMs), options.signal)
   });
 
   if (!response.ok) {
@@ -1053,7 +1190,7 @@ async function callSingleTtsProxy(text, voiceId, modelId, stability, similarity_
     throw error;
   }
 
-  return await response.arrayBuffer();
+  return await readTtsResponse(response, options);
 }
 
 /**
@@ -1142,9 +1279,11 @@ async function callTtsProxy(text, voiceId, modelId, stability, similarity_boost,
  * @param {number} similarity_boost - 相似度增强参数
  * @param {number} style - 风格参数
  * @param {number} speed - 语速参数
+ * @param {object} options - 可选参数
+ * @param {AbortSignal} options.signal - 任务取消信号
  * @returns {Promise<ArrayBuffer>} 音频数据
  */
-async function callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed) {
+async function callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed, options = {}) {
   const startTime = Date.now();
   const { ttsLogger } = require('./ttsLogger');
 
@@ -1157,7 +1296,7 @@ async function callDirectElevenLabs(text, voiceId, modelId, stability, similarit
   const contextLogger = ttsLogger.createContextLogger({ logContext });
 
   // 【参考代码逻辑】使用 allow_unauthenticated=1 参数，无需API Key
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?allow_unauthenticated=1`;
+  const url = appendOutputFormat(`https://api.elevenlabs.io/v1/${getTtsPath(voiceId, options)}?allow_unauthenticated=1`, options.outputFormat);
 
   contextLogger.logDirect('Starting direct ElevenLabs request', {
     voiceId,
@@ -1202,14 +1341,15 @@ async function callDirectElevenLabs(text, voiceId, modelId, stability, similarit
   // 【参考代码逻辑】不使用 xi-api-key，添加 Accept 头部以明确音频格式
   const headers = {
     'Content-Type': 'application/json',
-    'Accept': 'audio/mpeg'
+    'Accept': getAcceptHeader(options)
   };
 
   try {
     const response = await fetch(url, {
       method: 'POST',
       headers: headers,
-      body: JSON.stringify(payload)
+      body: JSON.stringify(payload),
+      signal: options.signal
     });
 
     const requestDuration = Date.now() - startTime;
@@ -1265,7 +1405,7 @@ async function callDirectElevenLabs(text, voiceId, modelId, stability, similarit
       throw error;
     }
 
-    const audioBuffer = await response.arrayBuffer();
+    const audioBuffer = await readTtsResponse(response, options);
     const totalDuration = Date.now() - startTime;
 
     contextLogger.logDirect('Direct request successful', {
@@ -1277,6 +1417,11 @@ async function callDirectElevenLabs(text, voiceId, modelId, stability, similarit
     return audioBuffer;
 
   } catch (error) {
+    // 任务取消导致的中止
+    if (options.signal?.aborted) {
+      throw createCancellationError();
+    }
+
     // 如果是我们已经处理过的错误，直接抛出
     if (error.isContentViolation || error.status) {
       throw error;
@@ -1295,7 +1440,7 @@ async function callDirectElevenLabs(text, voiceId, modelId, stability, similarit
 
 // 单个音频生成函数（调用ElevenLabs API）
 // 【重构】支持智能代理选择和故障转移
-async function generateSpeech(text, voiceId, modelId, stability, similarity_boost, style, speed) {
+async function generateSpeech(text, voiceId, modelId, stability, similarity_boost, style, speed, options = {}) {
   const startTime = Date.now();
   const { ttsLogger } = require('./ttsLogger');
 
@@ -1319,7 +1464,7 @@ async function generateSpeech(text, voiceId, modelId, stability, similarity_boos
         selectionStrategy: proxyConfig.TTS_PROXY_SELECTION_STRATEGY
       });
 
-      const audioBuffer = await callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig);
+      const audioBuffer = await callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig, options);
 
       // 记录成功日志
       const duration = Date.now() - startTime;
@@ -1338,7 +1483,7 @@ async function generateSpeech(text, voiceId, modelId, stability, similarity_boos
 
       try {
         contextLogger.logDirect('Attempting direct connection first');
-        const audioBuffer = await callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed);
+        const audioBuffer = await callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
 
         // 记录直连成功日志
         const duration = Date.now() - startTime;
@@ -1349,6 +1494,11 @@ async function generateSpeech(text, voiceId, modelId, stability, similarity_boos
 
         return audioBuffer;
       } catch (error) {
+        // 任务已取消，不再切换到代理
+        if (error.isCancelled) {
+          throw error;
+        }
+
         // 【修复】检查是否为内容违规错误
         if (error.isContentViolation) {
           contextLogger.logError(error, 'direct-fallback', {
@@ -1362,7 +1512,7 @@ async function generateSpeech(text, voiceId, modelId, stability, similarity_boos
         contextLogger.logFallback('direct', 'proxy', error.message);
 
         // 非违规错误：切换到智能代理重试
-        const audioBuffer = await callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig);
+        const audioBuffer = await callTtsProxyWithSmartRetry(text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig, options);
 
         // 记录代理成功日志
         const duration = Date.now() - startTime;
@@ -1379,7 +1529,7 @@ async function generateSpeech(text, voiceId, modelId, stability, similarity_boos
       // 默认直连模式（代理未启用或模式为direct）
       contextLogger.logDirect('Using direct connection mode');
 
-      const audioBuffer = await callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed);
+      const audioBuffer = await callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
 
       // 记录直连成功日志
       const duration = Date.now() - startTime;
@@ -1418,14 +1568,33 @@ async function storeAudioFile(taskId, audioBuffer) {
 }
 
 // 合并多个音频ArrayBuffer（从参考代码迁移）
-function combineAudio(audioDataList) {
+// options.outputFormat 为输出格式，options.pausesMs[i] 为第i个片段之后插入的静音时长
+function combineAudio(audioDataList, options = {}) {
   if (!audioDataList || audioDataList.length === 0) {
     return new ArrayBuffer(0);
   }
+
+  const format = getOutputFormatInfo(options.outputFormat);
+
+  // 【新增】PCM：拼接采样数据后封装为WAV（单个片段也需要加WAV头）
+  if (format.container === 'wav') {
+    return concatPcmToWav(audioDataList, format.sampleRate, options);
+  }
+
   if (audioDataList.length === 1) {
     return audioDataList[0];
   }
 
+  // 【新增】Opus：合并为同一个Ogg逻辑流
+  // 【新增】MP3：按帧合并，去除每个片段的ID3标签和Xing/LAME头，并写入统一的Xing/Info头
+  const merged = format.container === 'ogg'
+    ? concatOggOpus(audioDataList, options)
+    : concatMp3(audioDataList, options);
+  if (merged) {
+    return merged;
+  }
+
+  // 无法识别格式时退回到字节拼接
   const totalLength = audioDataList.reduce((acc, buffer) => acc + (buffer.byteLength || 0), 0);
   const combined = new Uint8Array(totalLength);
 
@@ -1440,6 +1609,87 @@ function combineAudio(audioDataList) {
   return combined.buffer;
 }
 
+// 【新增】音频片段的播放时长（秒），用于计算合并后每个片段的时间偏移
+function getAudioDurationSeconds(audioData, outputFormat) {
+  const format = getOutputFormatInfo(outputFormat);
+  if (format.container === 'wav') {
+    return getPcmDurationSeconds(audioData, format.sampleRate);
+  }
+  if (format.container === 'ogg') {
+    return getOggOpusDurationSeconds(audioData);
+  }
+  return getMp3Timing(audioData).durationSeconds;
+}
+
+// 【新增】合并时插入的静音实际时长（秒），与 combineAudio 中各格式生成静音的取整方式保持一致
+function getPauseDurationSeconds(pauseMs, referenceAudio, outputFormat) {
+  if (!pauseMs || pauseMs <= 0) {
+    return 0;
+  }
+
+  const format = getOutputFormatInfo(outputFormat);
+  if (format.container === 'wav') {
+    return Math.round(format.sampleRate * pauseMs / 1000) / format.sampleRate;
+  }
+  if (format.container === 'ogg') {
+    return getOpusSilenceDurationSeconds(pauseMs);
+  }
+
+  const { frameDurationSeconds } = getMp3Timing(referenceAudio);
+  return frameDurationSeconds > 0
+    ? Math.ceil(pauseMs / 1000 / frameDurationSeconds) * frameDurationSeconds
+    : pauseMs / 1000;
+}
+
+/**
+ * 【新增】合并多个片段的字符级时间戳
+ * 与 combineAudio 使用相同的片段顺序和停顿，每个片段的时间按之前所有片段（含静音）的总时长平移，
+ * 片段之间插入分隔字符（时间与前一个字符的结束时间相同）。
+ * @param {Array<{audio: ArrayBuffer, alignment: object}>} segments - 音频片段及其时间戳
+ * @param {object} options - 可选参数
+ * @param {number[]} options.pausesMs - 每个片段之后插入的静音时长（毫秒）
+ * @param {string} options.outputFormat - 输出格式
+ * @param {string} options.separator - 片段之间的分隔字符，默认为空格
+ * @returns {object|null} 合并后的时间戳，任何一个片段缺少时间戳时返回null
+ */
+function combineAlignments(segments, options = {}) {
+  const { pausesMs = [], outputFormat, separator = ' ' } = options;
+
+  if (!segments || segments.length === 0 || segments.some(segment => !segment.alignment?.characters)) {
+    return null;
+  }
+
+  const combined = {
+    characters: [],
+    character_start_times_seconds: [],
+    character_end_times_seconds: []
+  };
+  let offsetSeconds = 0;
+
+  segments.forEach((segment, index) => {
+    const { characters, character_start_times_seconds: starts, character_end_times_seconds: ends } = segment.alignment;
+
+    if (index > 0 && separator) {
+      combined.characters.push(separator);
+      combined.character_start_times_seconds.push(offsetSeconds);
+      combined.character_end_times_seconds.push(offsetSeconds);
+    }
+
+    characters.forEach((char, charIndex) => {
+      combined.characters.push(char);
+      combined.character_start_times_seconds.push(offsetSeconds + starts[charIndex]);
+      combined.character_end_times_seconds.push(offsetSeconds + ends[charIndex]);
+    });
+
+    offsetSeconds += getAudioDurationSeconds(segment.audio, outputFormat);
+    if (index < segments.length - 1) {
+      offsetSeconds += getPauseDurationSeconds(pausesMs[index], segment.audio, outputFormat);
+    }
+  });
+
+  return combined;
+}
+
 // 【新增】语音ID缓存类
 class VoiceIdCache {
   constructor() {
@@ -1519,9 +1769,10 @@ class VoiceIdCache {
 const voiceIdCache = new VoiceIdCache();
 
 // 定期清理过期缓存（每5分钟）
+// 【修改】unref：只做缓存清理，不阻止进程退出（加载本模块的脚本和测试可以正常结束）
 setInterval(() => {
   voiceIdCache.cleanup();
-}, 300000);
+}, 300000).unref();
 
 // 根据声音名称获取其对应的Voice ID（带缓存优化）
 async function getVoiceId(voiceName) {
@@ -1538,9 +1789,11 @@ async function getVoiceId(voiceName) {
  * @param {number} similarity_boost - 相似度增强参数
  * @param {number} style - 风格参数
  * @param {number} speed - 语速参数
+ * @param {object} options - 可选参数
+ * @param {AbortSignal} options.signal - 任务取消信号
  * @returns {Promise<ArrayBuffer>} 音频数据
  */
-async function generateSpeechWithGateway(text, voiceId, modelId, stability, similarity_boost, style, speed) {
+async function generateSpeechWithGateway(text, voiceId, modelId, stability, similarity_boost, style, speed, options = {}) {
   const startTime = Date.now();
   const { ttsLogger } = require('./ttsLogger');
 
@@ -1564,7 +1817,7 @@ async function generateSpeechWithGateway(text, voiceId, modelId, stability, simi
     });
 
     // 构建ElevenLabs API请求
-    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?allow_unauthenticated=1`;
+    const url = appendOutputFormat(`https://api.elevenlabs.io/v1/${getTtsPath(voiceId, options)}?allow_unauthenticated=1`, options.outputFormat);
 
     // 构建voice_settings
     let voice_settings = {};
@@ -1605,10 +1858,12 @@ async function generateSpeechWithGateway(text, voiceId, modelId, stability, simi
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Accept': 'audio/mpeg'
+        'Accept': getAcceptHeader(options)
       },
       body: JSON.stringify(payload),
-      timeout: 45000
+      timeout: 45000,
+      // 传入signal时网络适配器不再单独设置超时，这里合并超时和取消信号
+      ...(options.signal && { signal: combineAbortSignals(AbortSignal.timeout(45000), options.signal) })
     });
 
     // 记录网络请求完成
@@ -1650,7 +1905,7 @@ async function generateSpeechWithGateway(text, voiceId, modelId, stability, simi
     }
 
     // 获取音频数据
-    const audioBuffer = await response.arrayBuffer();
+    const audioBuffer = await readTtsResponse(response, options);
 
     // 记录成功日志
     const totalDuration = Date.now() - startTime;
@@ -1665,10 +1920,14 @@ async function generateSpeechWithGateway(text, voiceId, modelId, stability, simi
   } catch (error) {
     const totalDuration = Date.now() - startTime;
 
+    if (options.signal?.aborted) {
+      throw createCancellationError();
+    }
+
     // 如果网络管理器不可用，降级到现有逻辑
     if (error.message.includes('networkManager') || error.message.includes('Cannot resolve module')) {
       contextLogger.logFallback('gateway-networkManager', 'traditional', 'Network manager not available');
-      return await generateSpeech(text, voiceId, modelId, stability, similarity_boost, style, speed);
+      return await generateSpeech(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
     }
 
     // 记录网关错误
@@ -1690,9 +1949,11 @@ async function generateSpeechWithGateway(text, voiceId, modelId, stability, simi
  * @param {number} similarity_boost - 相似度增强参数
  * @param {number} style - 风格参数
  * @param {number} speed - 语速参数
+ * @param {object} options - 可选参数
+ * @param {AbortSignal} options.signal - 任务取消信号，中止后会取消进行中的上游请求
  * @returns {Promise<ArrayBuffer>} 音频数据
  */
-async function generateSpeechSmart(text, voiceId, modelId, stability, similarity_boost, style, speed) {
+async function generateSpeechSmart(text, voiceId, modelId, stability, similarity_boost, style, speed, options = {}) {
   const startTime = Date.now();
   const { ttsLogger } = require('./ttsLogger');
 
@@ -1713,7 +1974,7 @@ async function generateSpeechSmart(text, voiceId, modelId, stability, similarity
     if (config.NETWORK_MODE === 'gateway' && config.ENABLE_SINGBOX_GATEWAY) {
       contextLogger.logRoute('gateway', config);
 
-      const audioBuffer = await generateSpeechWithGateway(text, voiceId, modelId, stability, similarity_boost, style, speed);
+      const audioBuffer = await generateSpeechWithGateway(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
 
       // 记录成功日志
       const duration = Date.now() - startTime;
@@ -1726,7 +1987,7 @@ async function generateSpeechSmart(text, voiceId, modelId, stability, similarity
     } else {
       contextLogger.logRoute('traditional', config);
 
-      const audioBuffer = await generateSpeech(text, voiceId, modelId, stability, similarity_boost, style, speed);
+      const audioBuffer = await generateSpeech(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
 
       // 记录成功日志
       const duration = Date.now() - startTime;
@@ -1741,6 +2002,11 @@ async function generateSpeechSmart(text, voiceId, modelId, stability, similarity
   } catch (error) {
     const duration = Date.now() - startTime;
 
+    // 任务已取消，不做任何降级
+    if (error.isCancelled || options.signal?.aborted) {
+      throw createCancellationError();
+    }
+
     // 如果网关模式失败，直接降级到代理模式
     if (error.message.includes('gateway') || error.message.includes('configAdapter')) {
       contextLogger.logFallback('gateway', 'proxy-direct', error.message);
@@ -1749,7 +2015,7 @@ async function generateSpeechSmart(text, voiceId, modelId, stability, similarity
         // 直接调用代理重试机制，跳过直连
         const proxyConfig = getTTSProxyConfig();
         const audioBuffer = await callTtsProxyWithSmartRetry(
-          text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig
+          text, voiceId, modelId, stability, similarity_boost, style, speed, proxyConfig, options
         );
 
         // 记录代理降级成功日志
@@ -1772,7 +2038,7 @@ async function generateSpeechSmart(text, voiceId, modelId, stability, similarity
           contextLogger.logFallback('proxy', 'direct-last-resort', proxyError.message);
 
           try {
-            const audioBuffer = await callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed);
+            const audioBuffer = await callDirectElevenLabs(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
 
             // 记录直连兜底成功日志
             const finalDuration = Date.now() - startTime;
@@ -1817,6 +2083,44 @@ async function generateSpeechSmart(text, voiceId, modelId, stability, similarity
   }
 }
 
+/**
+ * 【新增】带chunk缓存的音频生成
+ * 相同文本、声音、模型和声音参数的片段直接复用已生成的音频，未命中时调用 generateSpeechSmart 并写入缓存
+ * @param {object} options - 可选参数，透传给 generateSpeechSmart
+ * @returns {Promise<ArrayBuffer>} 音频数据
+ */
+async function generateSpeechCached(text, voiceId, modelId, stability, similarity_boost, style, speed, options = {}) {
+  const audioCacheService = require('../services/audioCacheService');
+
+  // 缓存中只有音频没有时间戳，需要时间戳的请求不走缓存
+  if (options.withTimestamps || !audioCacheService.isEnabledForModel(modelId)) {
+    return await generateSpeechSmart(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
+  }
+
+  const cacheKey = audioCacheService.buildKey(text, voiceId, modelId, { stability, similarity_boost, style, speed, outputFormat: options.outputFormat });
+  const cachedAudio = await audioCacheService.get(cacheKey);
+  if (cachedAudio) {
+    console.log(`[AUDIO-CACHE] Cache hit for chunk, length: ${text.length}, size: ${cachedAudio.byteLength} bytes`);
+    return cachedAudio;
+  }
+
+  const audioBuffer = await generateSpeechSmart(text, voiceId, modelId, stability, similarity_boost, style, speed, options);
+  await audioCacheService.set(cacheKey, audioBuffer);
+  return audioBuffer;
+}
+
+// 【新增】将生成成功的chunk音频写入缓存（用于不经过 generateSpeechCached 的重试路径）
+async function cacheChunkAudio(text, voiceId, modelId, stability, similarity_boost, style, speed, audioBuffer, outputFormat) {
+  const audioCacheService = require('../services/audioCacheService');
+
+  if (!audioCacheService.isEnabledForModel(modelId)) {
+    return;
+  }
+
+  const cacheKey = audioCacheService.buildKey(text, voiceId, modelId, { stability, similarity_boost, style, speed, outputFormat });
+  await audioCacheService.set(cacheKey, audioBuffer);
+}
+
 module.exports = {
   generateUUID,
   splitText,
@@ -1832,6 +2136,9 @@ module.exports = {
   storeAudioFile,
   combineAudio,
   getVoiceId,
+  // 【新增】字符级时间戳
+  combineAlignments,
+  getAudioDurationSeconds,
   // 【新增】多代理相关函数
   selectRandomProxyUrl,
   callTtsProxy,
@@ -1844,5 +2151,12 @@ module.exports = {
   checkProxyHealth,
   // 【新增】网关集成函数
   generateSpeechWithGateway,
-  generateSpeechSmart
+  generateSpeechSmart,
+  // 【新增】chunk音频缓存
+  generateSpeechCached,
+  cacheChunkAudio,
+  // 【新增】任务取消相关函数
+  createCancellationError,
+  throwIfCancelled,
+  combineAbortSignals
 };
@@ -1,3 +1,5 @@
+const { isSupportedOutputFormat, OUTPUT_FORMATS } = require('./audioFormats');
+
 // 邮箱验证
 function isValidEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -31,6 +33,13 @@ function isValidVerificationCode(code) {
   return codeRegex.test(code);
 }
 
+// 【新增】停顿时长上限（毫秒）
+const MAX_PAUSE_MS = 10000;
+
+function isValidPauseMs(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_PAUSE_MS;
+}
+
 // TTS参数验证
 function validateTTSParams(params) {
   const errors = [];
@@ -81,6 +90,26 @@ function validateTTSParams(params) {
     errors.push('model must be a string');
   }
 
+  // 输出格式（与ElevenLabs的output_format取值一致）
+  if (params.outputFormat !== undefined && !isSupportedOutputFormat(params.outputFormat)) {
+    errors.push(`outputFormat must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  // 段落之间的停顿（毫秒），仅普通TTS使用
+  if (params.paragraphPauseMs !== undefined && !isValidPauseMs(params.paragraphPauseMs)) {
+    errors.push(`paragraphPauseMs must be an integer between 0 and ${MAX_PAUSE_MS}`);
+  }
+
+  // 是否生成字符级时间戳（用于导出字幕）
+  if (params.withTimestamps !== undefined && typeof params.withTimestamps !== 'boolean') {
+    errors.push('withTimestamps must be a boolean');
+  }
+
+  // 是否在生成过程中推送已完成的音频片段（WebSocket二进制帧）
+  if (params.progressiveAudio !== undefined && typeof params.progressiveAudio !== 'boolean') {
+    errors.push('progressiveAudio must be a boolean');
+  }
+
   return {
     isValid: errors.length === 0,
     errors
@@ -104,9 +133,17 @@ function validateDialogueTTSParams(params) {
       if (item.speaker && typeof item.speaker !== 'string') {
         errors.push(`dialogue[${index}].speaker must be a string`);
       }
+      if (item.pauseAfterMs !== undefined && !isValidPauseMs(item.pauseAfterMs)) {
+        errors.push(`dialogue[${index}].pauseAfterMs must be an integer between 0 and ${MAX_PAUSE_MS}`);
+      }
     });
   }
 
+  // 句子之间的默认停顿（毫秒），可被每句的 pauseAfterMs 覆盖
+  if (params.lineGapMs !== undefined && !isValidPauseMs(params.lineGapMs)) {
+    errors.push(`lineGapMs must be an integer between 0 and ${MAX_PAUSE_MS}`);
+  }
+
   // 验证其他TTS参数
   const ttsValidation = validateTTSParams({
     input: 'dummy', // 对话模式下不验证input
@@ -169,6 +206,56 @@ function validatePaginationParams(params) {
   };
 }
 
+// 【新增】套餐参数验证（partial为true时用于更新，只校验传入的字段）
+function validatePackageParams(params, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || params.code !== undefined) {
+    if (typeof params.code !== 'string' || !/^[A-Z0-9]{1,10}$/.test(params.code)) {
+      errors.push('code must be 1-10 uppercase letters or digits');
+    }
+  }
+
+  if (!partial || params.name !== undefined) {
+    if (typeof params.name !== 'string' || params.name.trim().length === 0 || params.name.length > 100) {
+      errors.push('name is required and must be at most 100 characters');
+    }
+  }
+
+  if (params.tier !== undefined && !['STANDARD', 'PRO'].includes(params.tier)) {
+    errors.push('tier must be STANDARD or PRO');
+  }
+
+  if (!partial || params.days !== undefined) {
+    if (typeof params.days !== 'number' || !(params.days > 0) || params.days > 3650) {
+      errors.push('days must be a number between 0 and 3650');
+    }
+  }
+
+  if (!partial || params.chars !== undefined) {
+    if (!Number.isInteger(params.chars) || params.chars < 0) {
+      errors.push('chars must be a non-negative integer');
+    }
+  }
+
+  if (params.price !== undefined && (typeof params.price !== 'number' || params.price < 0)) {
+    errors.push('price must be a non-negative number');
+  }
+
+  if (params.isActive !== undefined && typeof params.isActive !== 'boolean') {
+    errors.push('isActive must be a boolean');
+  }
+
+  if (params.sortOrder !== undefined && !Number.isInteger(params.sortOrder)) {
+    errors.push('sortOrder must be an integer');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 // 请求体大小验证
 function validateRequestSize(body, maxSizeBytes = 10 * 1024 * 1024) { // 默认10MB
   const bodySize = JSON.stringify(body).length;
@@ -190,5 +277,6 @@ module.exports = {
   validateTTSParams,
   validateDialogueTTSParams,
   validatePaginationParams,
+  validatePackageParams,
   validateRequestSize
 };
@@ -0,0 +1,125 @@
+/**
+ * PCM/WAV处理工具
+ * ElevenLabs的pcm_*格式返回裸PCM数据（16位、单声道、小端），
+ * 合并时直接拼接采样数据，最后封装成标准WAV文件。
+ */
+
+const WAV_HEADER_SIZE = 44;
+const BITS_PER_SAMPLE = 16;
+const CHANNELS = 1;
+
+/**
+ * 生成WAV文件头
+ * @param {number} dataLength - PCM数据字节数
+ * @param {number} sampleRate - 采样率
+ * @returns {Uint8Array} 44字节的WAV头
+ */
+function buildWavHeader(dataLength, sampleRate) {
+  const header = new Uint8Array(WAV_HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  const blockAlign = CHANNELS * BITS_PER_SAMPLE / 8;
+
+  const writeString = (offset, value) => {
+    for (let i = 0; i < value.length; i++) {
+      header[offset + i] = value.charCodeAt(i);
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt块长度
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, CHANNELS, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // 每秒字节数
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, BITS_PER_SAMPLE, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  return header;
+}
+
+// 如果片段已经是WAV文件，只取data块中的PCM数据
+function extractPcmData(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const isWav = bytes.length >= WAV_HEADER_SIZE &&
+    String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' &&
+    String.fromCharCode(...bytes.subarray(8, 12)) === 'WAVE';
+
+  if (!isWav) {
+    return bytes;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const chunkId = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const chunkSize = view.getUint32(offset + 4, true);
+    if (chunkId === 'data') {
+      return bytes.subarray(offset + 8, Math.min(offset + 8 + chunkSize, bytes.length));
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return bytes.subarray(WAV_HEADER_SIZE);
+}
+
+/**
+ * 合并PCM片段并封装为WAV
+ * @param {Array<ArrayBuffer|Uint8Array>} audioDataList - PCM（或WAV）片段列表
+ * @param {number} sampleRate - 采样率
+ * @param {object} options - 可选参数
+ * @param {number[]} options.pausesMs - 每个片段之后插入的静音时长（毫秒），最后一个片段之后不插入
+ * @returns {ArrayBuffer} WAV文件数据
+ */
+function concatPcmToWav(audioDataList, sampleRate, options = {}) {
+  const { pausesMs = [] } = options;
+  const blockAlign = CHANNELS * BITS_PER_SAMPLE / 8;
+  const parts = [];
+
+  audioDataList.forEach((data, index) => {
+    if (!data || data.byteLength === 0) {
+      return;
+    }
+
+    const pcm = extractPcmData(data);
+    // 保证每个片段按完整采样对齐，避免后续数据错位
+    parts.push(pcm.subarray(0, pcm.length - (pcm.length % blockAlign)));
+
+    const pauseMs = pausesMs[index] || 0;
+    if (pauseMs > 0 && index < audioDataList.length - 1) {
+      // 16位PCM的静音就是全0采样
+      parts.push(new Uint8Array(Math.round(sampleRate * pauseMs / 1000) * blockAlign));
+    }
+  });
+
+  const dataLength = parts.reduce((sum, part) => sum + part.length, 0);
+  const wav = new Uint8Array(WAV_HEADER_SIZE + dataLength);
+  wav.set(buildWavHeader(dataLength, sampleRate), 0);
+
+  let offset = WAV_HEADER_SIZE;
+  for (const part of parts) {
+    wav.set(part, offset);
+    offset += part.length;
+  }
+
+  return wav.buffer;
+}
+
+// 【新增】PCM（或WAV）片段的播放时长（秒）
+function getPcmDurationSeconds(data, sampleRate) {
+  const pcm = extractPcmData(data);
+  return pcm.length / (CHANNELS * BITS_PER_SAMPLE / 8) / sampleRate;
+}
+
+module.exports = {
+  BITS_PER_SAMPLE,
+  CHANNELS,
+  buildWavHeader,
+  extractPcmData,
+  concatPcmToWav,
+  getPcmDurationSeconds
+};
@@ -0,0 +1,85 @@
+jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock());
+
+const redisClient = require('../src/services/redisClient');
+const audioCacheService = require('../src/services/audioCacheService');
+
+const TTL = 100;
+const START = Date.UTC(2026, 0, 10);
+
+function audio(size) {
+  return new Uint8Array(size).fill(7).buffer;
+}
+
+async function accounting() {
+  return {
+    bytes: parseInt(await redisClient.client.get('tts:audio-cache:bytes')) || 0,
+    sizes: await redisClient.client.hgetall('tts:audio-cache:sizes'),
+    lru: await redisClient.client.zrange('tts:audio-cache:lru', 0, -1)
+  };
+}
+
+beforeEach(async () => {
+  jest.useFakeTimers({ now: START });
+  process.env.TTS_AUDIO_CACHE_TTL = String(TTL);
+  process.env.TTS_AUDIO_CACHE_MAX_MB = '1';
+  await redisClient.client.del('tts:audio-cache:bytes', 'tts:audio-cache:sizes', 'tts:audio-cache:lru');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete process.env.TTS_AUDIO_CACHE_TTL;
+  delete process.env.TTS_AUDIO_CACHE_MAX_MB;
+});
+
+describe('audioCacheService.get', () => {
+  test('a hit refreshes the entry TTL together with the LRU score', async () => {
+    await audioCacheService.set('a', audio(100));
+
+    jest.setSystemTime(START + 80 * 1000);
+    expect(await audioCacheService.get('a')).not.toBeNull();
+    expect(await redisClient.client.ttl('tts:audio-cache:entry:a')).toBe(TTL);
+    expect(await redisClient.client.zscore('tts:audio-cache:lru', 'a')).toBe(String(START + 80 * 1000));
+
+    // 超过首次写入时间 + TTL 后仍然命中
+    jest.setSystemTime(START + 160 * 1000);
+    const data = await audioCacheService.get('a');
+    expect(new Uint8Array(data)).toEqual(new Uint8Array(audio(100)));
+  });
+
+  test('an expired entry is removed from the index and the byte total on miss', async () => {
+    await audioCacheService.set('a', audio(100));
+    jest.setSystemTime(START + 50 * 1000);
+    await audioCacheService.set('b', audio(50));
+
+    jest.setSystemTime(START + (TTL + 1) * 1000);
+    expect(await audioCacheService.get('a')).toBeNull();
+
+    expect(await accounting()).toEqual({ bytes: 50, sizes: { b: '50' }, lru: ['b'] });
+  });
+
+  test('an entry deleted outside the service is reconciled on miss', async () => {
+    await audioCacheService.set('a', audio(100));
+    await audioCacheService.set('b', audio(30));
+    // 例如被Redis的内存淘汰策略删除
+    await redisClient.client.del('tts:audio-cache:entry:a');
+
+    expect(await audioCacheService.get('a')).toBeNull();
+    expect(await accounting()).toEqual({ bytes: 30, sizes: { b: '30' }, lru: ['b'] });
+
+    // 不在索引中的键不会重复扣减
+    expect(await audioCacheService.get('a')).toBeNull();
+    expect((await accounting()).bytes).toBe(30);
+  });
+
+  test('entries kept alive by hits are not swept as expired by later writes', async () => {
+    await audioCacheService.set('a', audio(100));
+
+    jest.setSystemTime(START + 80 * 1000);
+    await audioCacheService.get('a');
+    jest.setSystemTime(START + 150 * 1000);
+    await audioCacheService.set('b', audio(20));
+
+    expect(await accounting()).toEqual({ bytes: 120, sizes: { a: '100', b: '20' }, lru: ['a', 'b'] });
+    expect(await audioCacheService.get('a')).not.toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../src/services/dbClient', () => ({ query: jest.fn() }));
+
+const dbClient = require('../src/services/dbClient');
+const cardLifecycleService = require('../src/services/cardLifecycleService');
+
+function card(overrides = {}) {
+  return {
+    code: 'ABCD1234EFGH',
+    package_type: 'M',
+    status: 'used',
+    redeem_by: null,
+    created_at: new Date(Date.UTC(2026, 0, 1)),
+    used_at: new Date(Date.UTC(2026, 0, 2)),
+    used_by: 'alice',
+    expired_at: null,
+    revoked_at: null,
+    revoke_reason: null,
+    ...overrides
+  };
+}
+
+async function exportRows(rows) {
+  dbClient.query.mockResolvedValueOnce({ rows });
+  const csv = await cardLifecycleService.exportBatchCsv('batch-1');
+  return csv.split('\r\n').slice(1, -1);
+}
+
+describe('cardLifecycleService.exportBatchCsv', () => {
+  test('writes one row per card with ISO timestamps', async () => {
+    const [line] = await exportRows([card()]);
+
+    expect(line).toBe('ABCD1234EFGH,M,used,,2026-01-01T00:00:00.000Z,2026-01-02T00:00:00.000Z,alice,,,');
+  });
+
+  test.each([
+    ['=HYPERLINK("http://x","y")', '"\'=HYPERLINK(""http://x"",""y"")"'],
+    ['+1+1', "'+1+1"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tcmd', "'\tcmd"]
+  ])('prefixes formula-like value %j with a quote', async (value, expected) => {
+    const [line] = await exportRows([card({ used_by: value, status: 'revoked', revoke_reason: value })]);
+    const columns = line.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+
+    expect(columns[6]).toBe(expected);
+    expect(columns[9]).toBe(expected);
+  });
+
+  test('quotes values with commas, quotes and line breaks', async () => {
+    const [line] = await exportRows([card({ revoke_reason: 'lost, "reported"\nby user' })]);
+
+    expect(line.endsWith(',"lost, ""reported""\nby user"')).toBe(true);
+  });
+});
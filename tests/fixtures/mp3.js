@@ -0,0 +1,63 @@
+/**
+ * 测试用的MP3片段：MPEG1 Layer III、44.1kHz、立体声，结构与ElevenLabs返回的文件一致
+ * （ID3v2标签 + Xing/Info头帧 + 音频帧 + ID3v1标签）
+ * 128kbps 帧长 417 字节（padding 帧 418 字节），每帧 1152 个采样
+ */
+const BITRATE_INDEX = { 128: 9, 160: 10 };
+
+// 音频帧：帧头后填充非0xFF的数据，避免出现伪同步字
+function audioFrame({ bitrate = 128, padding = false, fill = 0x55 } = {}) {
+  const bitrateIndex = BITRATE_INDEX[bitrate];
+  const length = Math.floor(144 * bitrate * 1000 / 44100) + (padding ? 1 : 0);
+  const frame = new Uint8Array(length).fill(fill);
+  frame[0] = 0xFF;
+  frame[1] = 0xFB; // MPEG1、Layer III、无CRC
+  frame[2] = (bitrateIndex << 4) | (padding ? 0x02 : 0);
+  frame[3] = 0x00; // 立体声
+  return frame;
+}
+
+// 编码器写入的Info头帧（标识位于帧头 + 32字节边信息之后）
+function infoFrame() {
+  const frame = audioFrame({ fill: 0 });
+  Buffer.from('Info').copy(frame, 4 + 32);
+  return frame;
+}
+
+function id3v2Tag(size = 20) {
+  const tag = new Uint8Array(10 + size);
+  Buffer.from('ID3').copy(tag, 0);
+  tag[3] = 4;
+  tag[9] = size; // syncsafe 长度（小于128）
+  return tag;
+}
+
+function id3v1Tag() {
+  const tag = new Uint8Array(128);
+  Buffer.from('TAGfixture').copy(tag, 0);
+  return tag;
+}
+
+function concatBytes(parts) {
+  return new Uint8Array(Buffer.concat(parts.map(part => Buffer.from(part))));
+}
+
+/**
+ * 生成一个完整的MP3片段
+ * @param {object[]} frames - 每个音频帧的参数（见 audioFrame）
+ * @param {object} options - { tags: 是否带ID3标签和Info帧 }
+ */
+function mp3Segment(frames, { tags = true } = {}) {
+  const audio = frames.map(options => audioFrame(options));
+  const parts = tags ? [id3v2Tag(), infoFrame(), ...audio, id3v1Tag()] : audio;
+  return { data: concatBytes(parts), audioFrames: audio };
+}
+
+module.exports = {
+  audioFrame,
+  infoFrame,
+  id3v2Tag,
+  id3v1Tag,
+  concatBytes,
+  mp3Segment
+};
@@ -0,0 +1,218 @@
+/**
+ * 测试用的内存Redis，只实现服务代码用到的命令（返回值与ioredis一致）
+ * 用法：jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock())
+ */
+function createFakeRedis() {
+  const store = new Map();
+
+  function entry(key) {
+    const item = store.get(key);
+    if (item && item.expiresAt !== null && Date.now() >= item.expiresAt) {
+      store.delete(key);
+      return undefined;
+    }
+    return item;
+  }
+
+  function value(key, type, init) {
+    let item = entry(key);
+    if (!item) {
+      item = { type, value: init(), expiresAt: null };
+      store.set(key, item);
+    }
+    return item.value;
+  }
+
+  const commands = {
+    get: key => (entry(key) ? String(entry(key).value) : null),
+    getBuffer: key => (entry(key) ? Buffer.from(entry(key).value) : null),
+    mget: (...keys) => keys.flat().map(key => commands.get(key)),
+    set: (key, val, ...options) => {
+      if (options.includes('NX') && entry(key)) {
+        return null;
+      }
+      const stored = Buffer.isBuffer(val) ? Buffer.from(val) : String(val);
+      const ttl = options.includes('EX') ? options[options.indexOf('EX') + 1] : null;
+      store.set(key, { type: 'string', value: stored, expiresAt: ttl !== null ? Date.now() + ttl * 1000 : null });
+      return 'OK';
+    },
+    setex: (key, ttl, val) => commands.set(key, val, 'EX', ttl),
+    incrby: (key, amount) => {
+      const next = (parseInt(commands.get(key)) || 0) + amount;
+      const item = entry(key);
+      store.set(key, { type: 'string', value: String(next), expiresAt: item ? item.expiresAt : null });
+      return next;
+    },
+    decrby: (key, amount) => commands.incrby(key, -amount),
+    del: (...keys) => keys.flat().filter(key => entry(key) && store.delete(key)).length,
+    exists: (...keys) => keys.flat().filter(key => entry(key)).length,
+    expire: (key, ttl) => {
+      const item = entry(key);
+      if (!item) {
+        return 0;
+      }
+      item.expiresAt = Date.now() + ttl * 1000;
+      return 1;
+    },
+    ttl: key => {
+      const item = entry(key);
+      if (!item) {
+        return -2;
+      }
+      return item.expiresAt === null ? -1 : Math.ceil((item.expiresAt - Date.now()) / 1000);
+    },
+    pttl: key => {
+      const item = entry(key);
+      if (!item) {
+        return -2;
+      }
+      return item.expiresAt === null ? -1 : item.expiresAt - Date.now();
+    },
+    hset: (key, ...args) => {
+      const hash = value(key, 'hash', () => ({}));
+      const pairs = typeof args[0] === 'object' ? Object.entries(args[0]) : [[args[0], args[1]]];
+      pairs.forEach(([field, val]) => { hash[field] = String(val); });
+      return pairs.length;
+    },
+    hget: (key, field) => {
+      const item = entry(key);
+      return item && item.value[field] !== undefined ? item.value[field] : null;
+    },
+    hmget: (key, ...fields) => fields.flat().map(field => commands.hget(key, field)),
+    hdel: (key, ...fields) => {
+      const item = entry(key);
+      return item ? fields.flat().filter(field => field in item.value && delete item.value[field]).length : 0;
+    },
+    hgetall: key => (entry(key) ? { ...entry(key).value } : {}),
+    hincrby: (key, field, amount) => {
+      const hash = value(key, 'hash', () => ({}));
+      hash[field] = String((parseInt(hash[field]) || 0) + amount);
+      return parseInt(hash[field]);
+    },
+    sadd: (key, ...members) => {
+      const set = value(key, 'set', () => new Set());
+      const before = set.size;
+      members.flat().forEach(member => set.add(String(member)));
+      return set.size - before;
+    },
+    srem: (key, ...members) => {
+      const item = entry(key);
+      return item ? members.flat().filter(member => item.value.delete(String(member))).length : 0;
+    },
+    smembers: key => (entry(key) ? [...entry(key).value] : []),
+    zadd: (key, score, member) => {
+      value(key, 'zset', () => new Map()).set(String(member), Number(score));
+      return 1;
+    },
+    zrem: (key, ...members) => {
+      const item = entry(key);
+      return item ? members.flat().filter(member => item.value.delete(String(member))).length : 0;
+    },
+    zscore: (key, member) => {
+      const item = entry(key);
+      return item && item.value.has(String(member)) ? String(item.value.get(String(member))) : null;
+    },
+    zcard: key => (entry(key) ? entry(key).value.size : 0),
+    zrangebyscore: (key, min, max) => {
+      const item = entry(key);
+      if (!item) {
+        return [];
+      }
+      const low = min === '-inf' ? -Infinity : Number(min);
+      const high = max === '+inf' ? Infinity : Number(max);
+      return [...item.value.entries()]
+        .filter(([, score]) => score >= low && score <= high)
+        .sort((a, b) => a[1] - b[1])
+        .map(([member]) => member);
+    },
+    zrange: (key, start, stop) => {
+      const item = entry(key);
+      if (!item) {
+        return [];
+      }
+      const members = [...item.value.entries()].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+      return members.slice(start, stop === -1 ? undefined : stop + 1);
+    },
+    zremrangebyscore: (key, min, max) => {
+      const item = entry(key);
+      if (!item) {
+        return 0;
+      }
+      const low = min === '-inf' ? -Infinity : Number(min);
+      const high = max === '+inf' ? Infinity : Number(max);
+      let removed = 0;
+      for (const [member, score] of item.value) {
+        if (score >= low && score <= high) {
+          item.value.delete(member);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    lpush: (key, ...values) => {
+      const list = value(key, 'list', () => []);
+      values.flat().forEach(val => list.unshift(String(val)));
+      return list.length;
+    },
+    ltrim: (key, start, stop) => {
+      const item = entry(key);
+      if (item) {
+        item.value = item.value.slice(start, stop === -1 ? undefined : stop + 1);
+      }
+      return 'OK';
+    },
+    lrange: (key, start, stop) => {
+      const item = entry(key);
+      return item ? item.value.slice(start, stop === -1 ? undefined : stop + 1) : [];
+    }
+  };
+
+  function batch() {
+    const queue = [];
+    const proxy = new Proxy({}, {
+      get(_target, name) {
+        if (name === 'exec') {
+          return async () => queue.map(run => [null, run()]);
+        }
+        return (...args) => {
+          queue.push(() => commands[name](...args));
+          return proxy;
+        };
+      }
+    });
+    return proxy;
+  }
+
+  const client = { multi: batch, pipeline: batch, store };
+  Object.keys(commands).forEach((name) => {
+    client[name] = async (...args) => commands[name](...args);
+  });
+  return client;
+}
+
+// redisClient 单例的替身：raw client 加上服务代码用到的包装方法
+function createRedisClientMock() {
+  const client = createFakeRedis();
+  return {
+    client,
+    get: key => client.get(key),
+    set: (key, val) => client.set(key, val),
+    setex: (key, ttl, val) => client.setex(key, ttl, val),
+    del: key => client.del(key),
+    async getTaskStatus(taskId) {
+      return client.hgetall(`tts:task:${taskId}`);
+    },
+    async setTaskData(taskId, data) {
+      const serialized = {};
+      for (const [field, val] of Object.entries(data)) {
+        serialized[field] = typeof val === 'object' ? JSON.stringify(val) : val;
+      }
+      await client.hset(`tts:task:${taskId}`, serialized);
+    }
+  };
+}
+
+module.exports = {
+  createFakeRedis,
+  createRedisClientMock
+};
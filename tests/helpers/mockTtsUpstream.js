@@ -0,0 +1,81 @@
+/**
+ * 本地的TTS上游替身（与TTS代理的接口一致：POST /api/v1/text-to-speech/:voiceId[/with-timestamps]）
+ * 每个字符固定朗读 CHAR_SECONDS 秒，音频时长按字符数生成：
+ * MP3 输出 128kbps 的测试帧（带ID3标签和Info帧），PCM 输出对应采样数的静音。
+ */
+const http = require('http');
+const { mp3Segment } = require('../fixtures/mp3');
+
+const CHAR_SECONDS = 0.1;
+const MP3_FRAME_SECONDS = 1152 / 44100;
+
+function buildAlignment(text) {
+  const characters = Array.from(text);
+  return {
+    characters,
+    character_start_times_seconds: characters.map((_char, index) => index * CHAR_SECONDS),
+    character_end_times_seconds: characters.map((_char, index) => (index + 1) * CHAR_SECONDS)
+  };
+}
+
+function buildAudio(text, outputFormat) {
+  const seconds = Array.from(text).length * CHAR_SECONDS;
+  const pcmMatch = /^pcm_(\d+)$/.exec(outputFormat || '');
+  if (pcmMatch) {
+    return Buffer.alloc(Math.round(seconds * parseInt(pcmMatch[1])) * 2);
+  }
+  const frameCount = Math.ceil(seconds / MP3_FRAME_SECONDS);
+  return Buffer.from(mp3Segment(Array(frameCount).fill({})).data);
+}
+
+/**
+ * 启动替身服务
+ * @returns {Promise<{url: string, requests: object[], close: Function}>}
+ */
+async function startMockTtsUpstream() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const match = /^\/api\/v1\/text-to-speech\/([^/]+)(\/with-timestamps)?$/.exec(url.pathname);
+      if (req.method !== 'POST' || !match) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ detail: { message: 'Not found' } }));
+        return;
+      }
+
+      const { text } = JSON.parse(body);
+      const outputFormat = url.searchParams.get('output_format');
+      requests.push({ voiceId: match[1], withTimestamps: Boolean(match[2]), outputFormat, text });
+
+      const audio = buildAudio(text, outputFormat);
+      if (!match[2]) {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(audio);
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ audio_base64: audio.toString('base64'), alignment: buildAlignment(text) }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  CHAR_SECONDS,
+  MP3_FRAME_SECONDS,
+  buildAlignment,
+  startMockTtsUpstream
+};
@@ -0,0 +1,177 @@
+const {
+  parseFrameHeader,
+  parseMp3Frames,
+  buildXingFrame,
+  getMp3Timing,
+  concatMp3
+} = require('../src/utils/mp3Utils');
+const { audioFrame, id3v2Tag, concatBytes, mp3Segment } = require('./fixtures/mp3');
+
+const FRAME_SECONDS = 1152 / 44100;
+
+// Xing/Info头字段：标识紧跟在帧头和32字节边信息之后
+function readXing(bytes, offset = 0) {
+  const base = offset + 4 + 32;
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  return {
+    tag: Buffer.from(bytes.subarray(base, base + 4)).toString('latin1'),
+    flags: view.getUint32(base + 4),
+    frames: view.getUint32(base + 8),
+    bytes: view.getUint32(base + 12),
+    toc: Array.from(bytes.subarray(base + 16, base + 116))
+  };
+}
+
+describe('parseFrameHeader', () => {
+  test('reads MPEG1 Layer III header fields and frame length', () => {
+    const header = parseFrameHeader(audioFrame(), 0);
+    expect(header).toMatchObject({
+      isMpeg1: true,
+      bitrate: 128000,
+      sampleRate: 44100,
+      samplesPerFrame: 1152,
+      frameLength: 417,
+      sideInfoLength: 32
+    });
+    expect(parseFrameHeader(audioFrame({ padding: true }), 0).frameLength).toBe(418);
+  });
+
+  test('rejects bytes without a valid sync word', () => {
+    expect(parseFrameHeader(new Uint8Array([0xFF, 0x00, 0x90, 0x00]), 0)).toBeNull();
+    expect(parseFrameHeader(new Uint8Array([0x49, 0x44, 0x33, 0x04]), 0)).toBeNull();
+  });
+});
+
+describe('parseMp3Frames', () => {
+  test('skips ID3 tags and the Info frame and keeps every audio frame', () => {
+    const { data, audioFrames } = mp3Segment([{}, { padding: true }, {}, { padding: true }]);
+    const { frames } = parseMp3Frames(data);
+
+    expect(frames.map(frame => frame.length)).toEqual([417, 418, 417, 418]);
+    // 第一帧紧跟在 ID3v2（30字节）和 Info 帧（417字节）之后，其余帧首尾相接
+    expect(frames[0].offset).toBe(30 + 417);
+    frames.slice(1).forEach((frame, index) => {
+      expect(frame.offset).toBe(frames[index].offset + frames[index].length);
+    });
+    expect(frames.reduce((sum, frame) => sum + frame.length, 0))
+      .toBe(audioFrames.reduce((sum, frame) => sum + frame.byteLength, 0));
+  });
+
+  test('resynchronises after garbage bytes and ID3 tags in the middle of a segment', () => {
+    const data = concatBytes([
+      audioFrame(),
+      audioFrame(),
+      new Uint8Array([0x00, 0xFF, 0xE0, 0x12, 0x34]),
+      id3v2Tag(5),
+      audioFrame(),
+      audioFrame()
+    ]);
+
+    expect(parseMp3Frames(data).frames).toHaveLength(4);
+  });
+
+  test('returns no frames for data that is not MP3', () => {
+    expect(parseMp3Frames(Buffer.from('not an mp3 file at all')).frames).toEqual([]);
+    expect(parseMp3Frames(null).frames).toEqual([]);
+  });
+});
+
+describe('buildXingFrame', () => {
+  const referenceHeader = parseFrameHeader(audioFrame(), 0);
+
+  test('writes the audio frame count and total byte count including itself', () => {
+    const frameLengths = [417, 418, 417, 418, 417];
+    const frame = buildXingFrame(referenceHeader, frameLengths, false);
+    const xing = readXing(frame);
+
+    expect(parseFrameHeader(frame, 0).frameLength).toBe(frame.byteLength);
+    expect(xing.tag).toBe('Info');
+    expect(xing.flags).toBe(0x0007);
+    expect(xing.frames).toBe(5);
+    expect(xing.bytes).toBe(frame.byteLength + 417 * 3 + 418 * 2);
+  });
+
+  test('marks VBR output as Xing and writes an increasing seek table', () => {
+    const frame = buildXingFrame(referenceHeader, Array(200).fill(417), true);
+    const { tag, toc } = readXing(frame);
+
+    expect(tag).toBe('Xing');
+    expect(toc).toHaveLength(100);
+    // TOC 从 Xing 帧之后的位置开始，单调不减
+    expect(toc[0]).toBe(Math.floor(frame.byteLength / (frame.byteLength + 200 * 417) * 256));
+    toc.slice(1).forEach((value, index) => expect(value).toBeGreaterThanOrEqual(toc[index]));
+    expect(toc[99]).toBeLessThan(256);
+  });
+});
+
+describe('getMp3Timing', () => {
+  test('counts only audio frames', () => {
+    const { data } = mp3Segment([{}, {}, {}]);
+    const timing = getMp3Timing(data);
+
+    expect(timing.durationSeconds).toBeCloseTo(3 * FRAME_SECONDS, 6);
+    expect(timing.frameDurationSeconds).toBeCloseTo(FRAME_SECONDS, 6);
+  });
+});
+
+describe('concatMp3', () => {
+  test('writes a single Info header whose totals match the merged audio frames', () => {
+    const first = mp3Segment([{}, { padding: true }, {}]);
+    const second = mp3Segment([{ padding: true }, {}]);
+    const merged = new Uint8Array(concatMp3([first.data, second.data]));
+
+    const xing = readXing(merged);
+    const { frames } = parseMp3Frames(merged);
+
+    expect(xing.tag).toBe('Info');
+    expect(xing.frames).toBe(5);
+    expect(frames).toHaveLength(5);
+    expect(xing.bytes).toBe(merged.byteLength);
+    // 片段的 ID3 标签和 Info 帧都不会出现在合并结果中
+    expect(Buffer.from(merged).indexOf('ID3')).toBe(-1);
+    expect(Buffer.from(merged).indexOf('TAG')).toBe(-1);
+    expect(Buffer.from(merged).lastIndexOf('Info')).toBe(4 + 32);
+  });
+
+  test('inserts silent frames for pauses between chunks but not after the last chunk', () => {
+    const first = mp3Segment([{}, { padding: true }]);
+    const second = mp3Segment([{}, {}]);
+    const third = mp3Segment([{}]);
+    const merged = new Uint8Array(concatMp3([first.data, second.data, third.data], { pausesMs: [500, 0, 1000] }));
+
+    const { frames, bytes } = parseMp3Frames(merged);
+    // 500ms / 26.12ms 向上取整为 20 帧
+    const silentCount = Math.ceil(500 / (FRAME_SECONDS * 1000));
+    expect(silentCount).toBe(20);
+    expect(frames).toHaveLength(2 + silentCount + 2 + 1);
+    expect(readXing(merged).frames).toBe(frames.length);
+    expect(readXing(merged).bytes).toBe(merged.byteLength);
+
+    const silent = frames.slice(2, 2 + silentCount);
+    silent.forEach((frame) => {
+      // 静音帧沿用上一帧的格式但不带 padding，帧头之后全部为0
+      expect(frame.length).toBe(417);
+      expect(frame.header.bitrate).toBe(128000);
+      expect(bytes.subarray(frame.offset + 4, frame.offset + frame.length).every(byte => byte === 0)).toBe(true);
+    });
+    // 静音帧之后紧跟第二个片段的音频
+    expect(bytes[frames[2 + silentCount].offset + 4]).toBe(0x55);
+
+    const timing = getMp3Timing(merged);
+    expect(timing.durationSeconds).toBeCloseTo((5 + silentCount) * FRAME_SECONDS, 6);
+  });
+
+  test('marks mixed bitrates as VBR', () => {
+    const merged = new Uint8Array(concatMp3([
+      mp3Segment([{ bitrate: 128 }]).data,
+      mp3Segment([{ bitrate: 160 }]).data
+    ]));
+
+    expect(readXing(merged).tag).toBe('Xing');
+    expect(parseMp3Frames(merged).frames.map(frame => frame.length)).toEqual([417, 522]);
+  });
+
+  test('returns null when no chunk contains MP3 frames', () => {
+    expect(concatMp3([Buffer.from('garbage'), new Uint8Array(0)])).toBeNull();
+  });
+});
@@ -0,0 +1,189 @@
+jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock());
+jest.mock('../src/services/dbClient', () => ({ query: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dbClient = require('../src/services/dbClient');
+const notificationService = require('../src/services/notificationService');
+
+const DAY = 86400000;
+const NOW = Date.UTC(2026, 0, 10);
+const CONFIG = { QUOTA_THRESHOLDS: [80, 95], EXPIRY_DAYS: [3, 7] };
+
+/**
+ * users 和 notification_log 的内存替身，只实现 notificationService 用到的查询
+ * （users 查询按 SQL 中的条件过滤：有邮箱、未关闭提醒、会员未过期）
+ */
+function createFakeDb() {
+  const db = { users: [], log: [], nextLogId: 1 };
+
+  db.query = async (sql, params) => {
+    if (/FROM users/.test(sql)) {
+      const [lastId, now, limit] = params;
+      const rows = db.users
+        .filter(user => user.id > lastId && user.email && user.email_notifications !== false && user.vip_info.expireAt > now)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit);
+      return { rows };
+    }
+    if (/INSERT INTO notification_log/.test(sql)) {
+      const [username, noticeType, noticeKey, email] = params;
+      if (db.log.some(entry => entry.username === username && entry.notice_key === noticeKey)) {
+        return { rows: [] };
+      }
+      const entry = { id: db.nextLogId++, username, notice_type: noticeType, notice_key: noticeKey, email };
+      db.log.push(entry);
+      return { rows: [{ id: entry.id }] };
+    }
+    if (/DELETE FROM notification_log/.test(sql)) {
+      db.log = db.log.filter(entry => entry.id !== params[0]);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return db;
+}
+
+function vip(overrides = {}) {
+  return { type: 'M', expireAt: NOW + 20 * DAY, quotaChars: 1000, usedChars: 0, ...overrides };
+}
+
+describe('notificationService.getDueNotices', () => {
+  test('picks the highest crossed quota threshold and supersedes the lower ones', () => {
+    const [notice] = notificationService.getDueNotices(vip({ usedChars: 960 }), CONFIG, NOW);
+
+    expect(notice.type).toBe('quota');
+    expect(notice.key).toBe(`quota:95:${NOW + 20 * DAY}`);
+    expect(notice.supersededKeys).toEqual([`quota:80:${NOW + 20 * DAY}`]);
+    expect(notice.templateData).toMatchObject({ percentage: 96, usedChars: 960, quotaChars: 1000, remainingChars: 40 });
+  });
+
+  test('sends the lowest threshold alone when only it is crossed', () => {
+    const notices = notificationService.getDueNotices(vip({ usedChars: 800 }), CONFIG, NOW);
+
+    expect(notices.map(notice => [notice.key, notice.supersededKeys])).toEqual([[`quota:80:${NOW + 20 * DAY}`, []]]);
+    expect(notificationService.getDueNotices(vip({ usedChars: 799 }), CONFIG, NOW)).toEqual([]);
+  });
+
+  test('picks the nearest expiry reminder', () => {
+    const soon = vip({ expireAt: NOW + 2.5 * DAY });
+    const [notice] = notificationService.getDueNotices(soon, CONFIG, NOW);
+
+    expect(notice.key).toBe(`expiry:3:${soon.expireAt}`);
+    expect(notice.supersededKeys).toEqual([`expiry:7:${soon.expireAt}`]);
+    expect(notice.templateData.daysLeft).toBe(3);
+
+    const week = vip({ expireAt: NOW + 5 * DAY });
+    expect(notificationService.getDueNotices(week, CONFIG, NOW).map(item => item.key)).toEqual([`expiry:7:${week.expireAt}`]);
+  });
+
+  test('keys notices by plan period so a renewed plan is reminded again', () => {
+    const before = notificationService.getDueNotices(vip({ usedChars: 900 }), CONFIG, NOW);
+    const renewed = notificationService.getDueNotices(vip({ usedChars: 900, expireAt: NOW + 50 * DAY }), CONFIG, NOW);
+
+    expect(before[0].key).not.toBe(renewed[0].key);
+  });
+
+  test('skips trial plans, missing plans and unlimited quota', () => {
+    expect(notificationService.getDueNotices(vip({ type: 'PT', usedChars: 999 }), CONFIG, NOW)).toEqual([]);
+    expect(notificationService.getDueNotices(null, CONFIG, NOW)).toEqual([]);
+    expect(notificationService.getDueNotices(vip({ quotaChars: 0, usedChars: 5000 }), CONFIG, NOW)).toEqual([]);
+  });
+});
+
+describe('notificationService.runOnce with the local mail stub', () => {
+  let db;
+  let stubDir;
+
+  function sentEmails() {
+    const file = path.join(stubDir, 'emails.jsonl');
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  beforeEach(() => {
+    db = createFakeDb();
+    dbClient.query.mockClear();
+    dbClient.query.mockImplementation(db.query);
+    stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-stub-'));
+    process.env.EMAIL_STUB_DIR = stubDir;
+    process.env.NOTIFY_QUOTA_THRESHOLDS = '80,95';
+    process.env.NOTIFY_EXPIRY_DAYS = '3';
+  });
+
+  afterEach(() => {
+    fs.rmSync(stubDir, { recursive: true, force: true });
+    delete process.env.EMAIL_STUB_DIR;
+  });
+
+  test('sends each due notice once and records superseded thresholds', async () => {
+    db.users.push({ id: 1, username: 'alice', email: 'alice@example.com', vip_info: vip({ usedChars: 960 }) });
+
+    expect(await notificationService.runOnce(NOW)).toEqual({ scanned: 1, sent: 1, failed: 0 });
+
+    const emails = sentEmails();
+    expect(emails).toHaveLength(1);
+    expect(emails[0]).toMatchObject({
+      to: 'alice@example.com',
+      subject: '字符配额即将用完',
+      templateData: { username: 'alice', percentage: 96, remainingChars: 40 }
+    });
+    expect(db.log.map(entry => entry.notice_key).sort()).toEqual([
+      `quota:80:${NOW + 20 * DAY}`,
+      `quota:95:${NOW + 20 * DAY}`
+    ]);
+  });
+
+  test('does not resend a notice already in notification_log', async () => {
+    db.users.push({ id: 1, username: 'alice', email: 'alice@example.com', vip_info: vip({ usedChars: 850 }) });
+
+    await notificationService.runOnce(NOW);
+    expect(await notificationService.runOnce(NOW + 60000)).toEqual({ scanned: 1, sent: 0, failed: 0 });
+    expect(sentEmails()).toHaveLength(1);
+
+    // 越过更高的阈值时发送新的提醒
+    db.users[0].vip_info.usedChars = 960;
+    expect(await notificationService.runOnce(NOW + 120000)).toEqual({ scanned: 1, sent: 1, failed: 0 });
+    expect(sentEmails().map(email => email.templateData.percentage)).toEqual([85, 96]);
+  });
+
+  test('releases the claim when sending fails so the next scan retries', async () => {
+    db.users.push({ id: 1, username: 'alice', email: 'alice@example.com', vip_info: vip({ expireAt: NOW + 2 * DAY }) });
+    // 邮件桩目录指向一个普通文件，写入失败
+    const blocked = path.join(stubDir, 'blocked');
+    fs.writeFileSync(blocked, '');
+    process.env.EMAIL_STUB_DIR = blocked;
+
+    expect(await notificationService.runOnce(NOW)).toEqual({ scanned: 1, sent: 0, failed: 1 });
+    expect(db.log).toEqual([]);
+
+    process.env.EMAIL_STUB_DIR = stubDir;
+    expect(await notificationService.runOnce(NOW + 60000)).toEqual({ scanned: 1, sent: 1, failed: 0 });
+    expect(sentEmails()[0]).toMatchObject({ to: 'alice@example.com', subject: '会员即将到期', templateData: { daysLeft: 2 } });
+    expect(db.log.map(entry => entry.notice_key)).toEqual([`expiry:3:${NOW + 2 * DAY}`]);
+  });
+
+  test('skips users who turned off email notifications', async () => {
+    db.users.push(
+      { id: 1, username: 'alice', email: 'alice@example.com', email_notifications: false, vip_info: vip({ usedChars: 990 }) },
+      { id: 2, username: 'bob', email: 'bob@example.com', email_notifications: true, vip_info: vip({ usedChars: 990 }) }
+    );
+
+    expect(await notificationService.runOnce(NOW)).toEqual({ scanned: 1, sent: 1, failed: 0 });
+    expect(sentEmails().map(email => email.to)).toEqual(['bob@example.com']);
+    expect(db.log.every(entry => entry.username === 'bob')).toBe(true);
+  });
+
+  test('the users query excludes opted-out users and expired plans', async () => {
+    await notificationService.runOnce(NOW);
+
+    const [sql, params] = dbClient.query.mock.calls.find(([query]) => /FROM users/.test(query));
+    expect(sql).toContain('email_notifications IS NOT FALSE');
+    expect(sql).toContain("(vip_info->>'expireAt')::numeric > $2");
+    expect(params[1]).toBe(NOW);
+  });
+});
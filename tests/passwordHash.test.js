@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const {
+  hashPassword, verifyPassword, getDummyPasswordHash, parseScryptHash, isSupportedPasswordHash
+} = require('../src/utils/passwordHash');
+
+const ENV_KEYS = [
+  'PASSWORD_SCRYPT_N', 'PASSWORD_SCRYPT_R', 'PASSWORD_SCRYPT_P',
+  'PASSWORD_SCRYPT_MAX_N', 'PASSWORD_SCRYPT_MAX_R', 'PASSWORD_SCRYPT_MAX_P'
+];
+
+// 构造指定参数的哈希（不经过 hashPassword 的参数限制）
+function scryptHash(password, { N, r, p }) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32, { N, r, p, maxmem: 256 * N * r });
+  return `$scrypt$v1$N=${N},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+beforeEach(() => {
+  // 测试中使用较小的N
+  process.env.PASSWORD_SCRYPT_N = '1024';
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+describe('parseScryptHash limits', () => {
+  test('accepts parameters within the configured maxima', () => {
+    const parsed = parseScryptHash(scryptHash('secret', { N: 1024, r: 8, p: 1 }));
+
+    expect(parsed.params).toEqual({ N: 1024, r: 8, p: 1 });
+  });
+
+  test('rejects N, r or p above the configured maxima without running scrypt', async () => {
+    process.env.PASSWORD_SCRYPT_MAX_N = '2048';
+    process.env.PASSWORD_SCRYPT_MAX_R = '8';
+    process.env.PASSWORD_SCRYPT_MAX_P = '2';
+    const salt = Buffer.alloc(16).toString('base64');
+    const hash = Buffer.alloc(32).toString('base64');
+
+    for (const params of ['N=4096,r=8,p=1', 'N=1024,r=9,p=1', 'N=1024,r=8,p=3', 'N=1048576,r=1024,p=1']) {
+      const stored = `$scrypt$v1$${params}$${salt}$${hash}`;
+      expect(parseScryptHash(stored)).toBeNull();
+      expect(isSupportedPasswordHash(stored)).toBe(false);
+      expect(await verifyPassword('secret', stored)).toEqual({ valid: false, needsRehash: false });
+    }
+  });
+
+  test('rejects N that is not a power of two and oversized salt or hash', () => {
+    const salt = Buffer.alloc(16).toString('base64');
+    const hash = Buffer.alloc(32).toString('base64');
+
+    expect(parseScryptHash(`$scrypt$v1$N=1000,r=8,p=1$${salt}$${hash}`)).toBeNull();
+    expect(parseScryptHash(`$scrypt$v1$N=1,r=8,p=1$${salt}$${hash}`)).toBeNull();
+    expect(parseScryptHash(`$scrypt$v1$N=1024,r=8,p=1$${Buffer.alloc(65).toString('base64')}$${hash}`)).toBeNull();
+    expect(parseScryptHash(`$scrypt$v1$N=1024,r=8,p=1$${salt}$${Buffer.alloc(4096).toString('base64')}`)).toBeNull();
+  });
+});
+
+describe('hashPassword / verifyPassword', () => {
+  test('round-trips with the configured parameters', async () => {
+    const stored = await hashPassword('secret');
+
+    expect(stored).toMatch(/^\$scrypt\$v1\$N=1024,r=8,p=1\$/);
+    expect(await verifyPassword('secret', stored)).toEqual({ valid: true, needsRehash: false });
+    expect(await verifyPassword('wrong', stored)).toEqual({ valid: false, needsRehash: false });
+  });
+
+  test('clamps configured parameters to the maxima', async () => {
+    process.env.PASSWORD_SCRYPT_N = '4096';
+    process.env.PASSWORD_SCRYPT_MAX_N = '2048';
+    process.env.PASSWORD_SCRYPT_R = '64';
+    process.env.PASSWORD_SCRYPT_MAX_R = '4';
+
+    const stored = await hashPassword('secret');
+
+    expect(parseScryptHash(stored).params).toEqual({ N: 2048, r: 4, p: 1 });
+    // 与限制后的当前参数一致，不需要重新计算
+    expect(await verifyPassword('secret', stored)).toEqual({ valid: true, needsRehash: false });
+  });
+
+  test('flags hashes with older parameters for rehash', async () => {
+    const stored = scryptHash('secret', { N: 512, r: 8, p: 1 });
+
+    expect(await verifyPassword('secret', stored)).toEqual({ valid: true, needsRehash: true });
+  });
+});
+
+describe('getDummyPasswordHash', () => {
+  test('uses the configured parameters, never matches and follows parameter changes', async () => {
+    const dummy = await getDummyPasswordHash();
+
+    expect(parseScryptHash(dummy).params).toEqual({ N: 1024, r: 8, p: 1 });
+    expect(await verifyPassword('secret', dummy)).toEqual({ valid: false, needsRehash: false });
+    expect(await getDummyPasswordHash()).toBe(dummy);
+
+    process.env.PASSWORD_SCRYPT_N = '2048';
+    expect(parseScryptHash(await getDummyPasswordHash()).params).toEqual({ N: 2048, r: 8, p: 1 });
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../src/services/redisClient', () => ({
+  ...require('./helpers/fakeRedis').createRedisClientMock(),
+  publishProgress: jest.fn(async () => {})
+}));
+jest.mock('../src/services/dbClient', () => ({ query: jest.fn(async () => ({ rows: [] })) }));
+
+const redisClient = require('../src/services/redisClient');
+const ttsProcessor = require('../src/services/ttsProcessor');
+const { buildWavHeader } = require('../src/utils/wavUtils');
+
+function createPublisher(outputFormat, total = 2) {
+  return ttsProcessor.createAudioPublisher('task-1', { progressiveAudio: true }, { total, pausesMs: [300], outputFormat });
+}
+
+function publishedChunks() {
+  return redisClient.publishProgress.mock.calls.map(([, progress]) => progress);
+}
+
+beforeEach(() => {
+  redisClient.publishProgress.mockClear();
+});
+
+describe('progressive audio chunks', () => {
+  test('are not published unless the task asked for them', () => {
+    expect(ttsProcessor.createAudioPublisher('task-1', {}, { total: 1, outputFormat: 'mp3_44100_128' })).toBeNull();
+  });
+
+  test('are published in order with the pause that follows each chunk', async () => {
+    const publisher = createPublisher('mp3_44100_128');
+    publisher.push(1, new Uint8Array([3, 4]).buffer);
+    publisher.push(0, new Uint8Array([1, 2]).buffer);
+    await publisher.flush();
+
+    expect(publishedChunks().map(({ index, pauseAfterMs, audio }) => [index, pauseAfterMs, audio])).toEqual([
+      [0, 300, Buffer.from([1, 2]).toString('base64')],
+      [1, 0, Buffer.from([3, 4]).toString('base64')]
+    ]);
+  });
+
+  test('describe MP3 and Opus chunks as self-contained files', async () => {
+    for (const [outputFormat, expected] of [
+      ['mp3_44100_128', { container: 'mp3', contentType: 'audio/mpeg', sampleRate: 44100 }],
+      ['opus_48000_64', { container: 'ogg', contentType: 'audio/ogg', sampleRate: 48000 }]
+    ]) {
+      const publisher = createPublisher(outputFormat, 1);
+      publisher.push(0, new Uint8Array([1]).buffer);
+      await publisher.flush();
+
+      expect(publishedChunks().pop()).toMatchObject({ outputFormat, audioFormat: expected });
+    }
+  });
+
+  test('describe PCM chunks as raw 16-bit mono samples and strip WAV headers', async () => {
+    const samples = new Uint8Array([1, 0, 2, 0, 3, 0, 4, 0]);
+    const wav = new Uint8Array(44 + samples.length);
+    wav.set(buildWavHeader(samples.length, 24000));
+    wav.set(samples, 44);
+
+    const publisher = createPublisher('pcm_24000');
+    publisher.push(0, samples.buffer);
+    publisher.push(1, wav.buffer);
+    await publisher.flush();
+
+    const chunks = publishedChunks();
+    expect(chunks[0].audioFormat).toEqual({ container: 'pcm', sampleRate: 24000, channels: 1, bitsPerSample: 16 });
+    expect(chunks.map(chunk => Buffer.from(chunk.audio, 'base64'))).toEqual([Buffer.from(samples), Buffer.from(samples)]);
+  });
+});
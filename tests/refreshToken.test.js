@@ -0,0 +1,44 @@
+jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock());
+jest.mock('../src/services/dbClient', () => ({ query: jest.fn(async () => ({ rows: [] })) }));
+
+const crypto = require('crypto');
+const { rotateRefreshToken } = require('../src/services/authService');
+const { signToken } = require('../src/utils/jwt');
+
+const JWT_SECRET = 'test-secret';
+
+// 迁移前格式的refresh token：标准base64、header没有kid、iat/exp为毫秒、没有jti和会话ID
+function legacyRefreshToken(username) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({ sub: username, type: 'refresh', iat: Date.now(), exp: Date.now() + 3600 * 1000 });
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64');
+  return `${header}.${payload}.${signature}`;
+}
+
+beforeEach(() => {
+  process.env.JWT_SECRET = JWT_SECRET;
+});
+
+afterEach(() => {
+  delete process.env.JWT_SECRET;
+});
+
+describe('rotateRefreshToken with refresh tokens issued before sessions', () => {
+  test('a legacy-format token is exchanged for a session once and rejected on replay', async () => {
+    const token = legacyRefreshToken('alice');
+
+    const first = await rotateRefreshToken(token);
+    expect(first.username).toBe('alice');
+    expect(first.sessionId).toEqual(expect.any(String));
+
+    await expect(rotateRefreshToken(token)).rejects.toThrow('Token revoked');
+  });
+
+  test('a token without a session id is tracked by its jti', async () => {
+    const token = signToken({ sub: 'alice', type: 'refresh', jti: crypto.randomUUID() }, 3600);
+
+    await rotateRefreshToken(token);
+    await expect(rotateRefreshToken(token)).rejects.toThrow('Token revoked');
+  });
+});
@@ -0,0 +1,51 @@
+jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock());
+
+const redisClient = require('../src/services/redisClient');
+const sessionService = require('../src/services/sessionService');
+
+// 与新格式token相同：iat精确到秒，verifySignedToken 转成毫秒
+function claimsAt(ms, extra = {}) {
+  return { sub: 'alice', iat: Math.floor(ms / 1000) * 1000, ...extra };
+}
+
+describe('sessionService.isRevoked', () => {
+  test('session-bound token is valid while its session exists', async () => {
+    const fam = await sessionService.createSession('alice', 'jti-1');
+    expect(await sessionService.isRevoked(claimsAt(Date.now(), { fam }))).toBe(false);
+
+    await sessionService.revokeSession('alice', fam);
+    expect(await sessionService.isRevoked(claimsAt(Date.now(), { fam }))).toBe(true);
+  });
+
+  test('revoke-all cutoff applies to session-bound tokens missing from the session index', async () => {
+    const issuedAt = Date.now() - 60 * 1000;
+    const fam = await sessionService.createSession('alice', 'jti-2');
+    // 会话索引过期后，revokeAllSessions 找不到这个会话
+    await redisClient.client.del('auth:sessions:alice');
+
+    await sessionService.revokeAllSessions('alice');
+
+    expect(await redisClient.client.exists(`auth:session:${fam}`)).toBe(1);
+    expect(await sessionService.isRevoked(claimsAt(issuedAt, { fam }))).toBe(true);
+    expect(await sessionService.isRevoked(claimsAt(issuedAt))).toBe(true);
+  });
+
+  test('tokens issued in the same second as the cutoff stay valid', async () => {
+    await sessionService.revokeAllSessions('alice');
+    const fam = await sessionService.createSession('alice', 'jti-3');
+
+    expect(await sessionService.isRevoked(claimsAt(Date.now(), { fam }))).toBe(false);
+  });
+
+  test('keeping the current session does not write a cutoff', async () => {
+    await redisClient.client.del('auth:revoked-before:bob');
+    const keep = await sessionService.createSession('bob', 'jti-4');
+    const other = await sessionService.createSession('bob', 'jti-5');
+
+    await sessionService.revokeAllSessions('bob', { exceptFamilyId: keep });
+
+    const claims = { sub: 'bob', iat: Date.now() - 60 * 1000 };
+    expect(await sessionService.isRevoked({ ...claims, fam: keep })).toBe(false);
+    expect(await sessionService.isRevoked({ ...claims, fam: other })).toBe(true);
+  });
+});
@@ -0,0 +1,90 @@
+const { buildWordTimings, buildCues, toSrt, toVtt } = require('../src/utils/subtitleUtils');
+const { buildAlignment } = require('./helpers/mockTtsUpstream');
+
+// 只比较文本和时间（时间精确到毫秒）
+function simplify(items) {
+  return items.map(({ text, start, end }) => ({ text, start: Math.round(start * 1000), end: Math.round(end * 1000) }));
+}
+
+describe('buildWordTimings', () => {
+  test('groups characters into words and attaches punctuation to the previous word', () => {
+    const words = buildWordTimings(buildAlignment('Hello, world! How are you?'));
+
+    expect(simplify(words)).toEqual([
+      { text: 'Hello,', start: 0, end: 600 },
+      { text: 'world!', start: 700, end: 1300 },
+      { text: 'How', start: 1400, end: 1700 },
+      { text: 'are', start: 1800, end: 2100 },
+      { text: 'you?', start: 2200, end: 2600 }
+    ]);
+    expect(words.map(word => word.spaceBefore)).toEqual([false, true, true, true, true]);
+  });
+
+  test('splits CJK text into single characters', () => {
+    const words = buildWordTimings(buildAlignment('你好，世界。'));
+
+    expect(words.map(word => word.text)).toEqual(['你', '好，', '世', '界。']);
+    expect(words.every(word => !word.spaceBefore)).toBe(true);
+  });
+
+  test('marks words that follow a line break', () => {
+    const words = buildWordTimings(buildAlignment('Hi there\nBye'));
+
+    expect(words.map(word => [word.text, word.lineBreak])).toEqual([['Hi', false], ['there', false], ['Bye', true]]);
+  });
+
+  test('returns no words without an alignment', () => {
+    expect(buildWordTimings(null)).toEqual([]);
+    expect(buildWordTimings({})).toEqual([]);
+  });
+});
+
+describe('buildCues', () => {
+  test('ends a cue at sentence punctuation', () => {
+    const cues = buildCues(buildWordTimings(buildAlignment('Hello, world! How are you?')));
+
+    expect(simplify(cues)).toEqual([
+      { text: 'Hello, world!', start: 0, end: 1300 },
+      { text: 'How are you?', start: 1400, end: 2600 }
+    ]);
+    expect(cues.map(cue => cue.index)).toEqual([1, 2]);
+  });
+
+  test('starts a new cue when the line would exceed maxLineLength', () => {
+    const cues = buildCues(buildWordTimings(buildAlignment('aaaa bbbb cccc')), { maxLineLength: 10 });
+
+    expect(cues.map(cue => cue.text)).toEqual(['aaaa bbbb', 'cccc']);
+  });
+
+  test('starts a new cue at line breaks and joins CJK characters without spaces', () => {
+    const cues = buildCues(buildWordTimings(buildAlignment('你好，世界\n再见')));
+
+    expect(simplify(cues)).toEqual([
+      { text: '你好，世界', start: 0, end: 500 },
+      { text: '再见', start: 600, end: 800 }
+    ]);
+  });
+});
+
+describe('toSrt / toVtt', () => {
+  const cues = buildCues(buildWordTimings(buildAlignment('Hello, world! How are you?')));
+
+  test('formats SRT with comma milliseconds', () => {
+    expect(toSrt(cues)).toBe(
+      '1\n00:00:00,000 --> 00:00:01,300\nHello, world!\n\n' +
+      '2\n00:00:01,400 --> 00:00:02,600\nHow are you?\n'
+    );
+  });
+
+  test('formats WebVTT with a header and dot milliseconds', () => {
+    expect(toVtt(cues)).toBe(
+      'WEBVTT\n\n' +
+      '00:00:00.000 --> 00:00:01.300\nHello, world!\n\n' +
+      '00:00:01.400 --> 00:00:02.600\nHow are you?\n'
+    );
+  });
+
+  test('formats hours and rounds to milliseconds', () => {
+    expect(toSrt([{ index: 1, start: 3723.4567, end: 3724, text: 'Late' }])).toBe('1\n01:02:03,457 --> 01:02:04,000\nLate\n');
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock());
+jest.mock('../src/services/dbClient', () => ({ query: jest.fn(async () => ({ rows: [] })) }));
+jest.mock('../src/services/ttsProcessor', () => ({}));
+jest.mock('../src/services/authService', () => ({
+  estimateBilledChars: jest.fn(),
+  verifyTokenOrApiKey: jest.fn(async (token) => {
+    if (!token.startsWith('token-')) {
+      throw new Error('Invalid token');
+    }
+    return { username: token.slice('token-'.length), apiKeyId: null };
+  })
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const redisClient = require('../src/services/redisClient');
+const ttsRoutes = require('../src/api/tts');
+const { callSingleTtsProxy, combineAudio, combineAlignments } = require('../src/utils/ttsUtils');
+const { parseMp3Frames } = require('../src/utils/mp3Utils');
+const { CHAR_SECONDS, MP3_FRAME_SECONDS, startMockTtsUpstream } = require('./helpers/mockTtsUpstream');
+
+const PROXY_CONFIG = { TTS_PROXY_SECRET: 'test-secret', TTS_PROXY_TIMEOUT: 5000 };
+
+let upstream;
+let storageDir;
+
+// 通过本地上游替身按片段生成带时间戳的音频（与 processChunks 的 with-timestamps 模式相同）
+async function synthesize(texts, outputFormat) {
+  return Promise.all(texts.map(text => callSingleTtsProxy(
+    text, 'voice-1', 'eleven_turbo_v2', 0.5, 0.75, 0, 1, upstream.url, PROXY_CONFIG, false,
+    { withTimestamps: true, outputFormat }
+  )));
+}
+
+function toSegments(audioDataList) {
+  return audioDataList.map(audio => ({ audio, alignment: audio.alignment }));
+}
+
+beforeAll(async () => {
+  upstream = await startMockTtsUpstream();
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-subtitles-'));
+  process.env.AUDIO_STORAGE_PATH = storageDir;
+});
+
+afterAll(async () => {
+  await upstream.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('combineAlignments with the with-timestamps endpoint', () => {
+  test('requests the timestamps endpoint and keeps the alignment on the decoded audio', async () => {
+    const [audio] = await synthesize(['Hi.'], 'mp3_44100_128');
+
+    expect(upstream.requests[upstream.requests.length - 1]).toMatchObject({
+      withTimestamps: true,
+      outputFormat: 'mp3_44100_128',
+      text: 'Hi.'
+    });
+    expect(audio.alignment.characters).toEqual(['H', 'i', '.']);
+    expect(parseMp3Frames(audio).frames.length).toBe(Math.ceil(3 * CHAR_SECONDS / MP3_FRAME_SECONDS));
+  });
+
+  test('offsets MP3 segments by the audio duration plus the whole silent frames of each pause', async () => {
+    const audioDataList = await synthesize(['Hello world.', 'Second part.', 'End.'], 'mp3_44100_128');
+    const pausesMs = [500, 0, 300];
+    const alignment = combineAlignments(toSegments(audioDataList), { pausesMs, outputFormat: 'mp3_44100_128' });
+
+    // 片段1：12个字符 1.2秒 -> 46帧；停顿500ms -> 20个静音帧；片段2：46帧，无停顿；最后一个片段之后的停顿不计入
+    const secondOffset = (46 + 20) * MP3_FRAME_SECONDS;
+    const thirdOffset = secondOffset + 46 * MP3_FRAME_SECONDS;
+    const starts = alignment.character_start_times_seconds;
+
+    expect(alignment.characters.join('')).toBe('Hello world. Second part. End.');
+    expect(alignment.characters).toHaveLength(12 + 1 + 12 + 1 + 4);
+    expect(starts[0]).toBe(0);
+    // 分隔字符的时间为下一个片段的起点
+    expect(starts[12]).toBeCloseTo(secondOffset, 6);
+    expect(starts[13]).toBeCloseTo(secondOffset, 6);
+    expect(starts[14]).toBeCloseTo(secondOffset + CHAR_SECONDS, 6);
+    expect(starts[26]).toBeCloseTo(thirdOffset, 6);
+    expect(alignment.character_end_times_seconds[29]).toBeCloseTo(thirdOffset + 4 * CHAR_SECONDS, 6);
+
+    // 合并后的音频中，第二个片段的第一帧正好位于第 46 + 20 帧
+    const { frames, bytes } = parseMp3Frames(combineAudio(audioDataList, { pausesMs, outputFormat: 'mp3_44100_128' }));
+    const isSilent = frame => bytes.subarray(frame.offset + 4, frame.offset + frame.length).every(byte => byte === 0);
+    expect(isSilent(frames[45])).toBe(false);
+    expect(frames.slice(46, 66).every(isSilent)).toBe(true);
+    expect(isSilent(frames[66])).toBe(false);
+    expect(frames).toHaveLength(46 + 20 + 46 + 16);
+  });
+
+  test('offsets PCM segments by exact sample counts', async () => {
+    const audioDataList = await synthesize(['ab', 'cd'], 'pcm_24000');
+    const alignment = combineAlignments(toSegments(audioDataList), { pausesMs: [250], outputFormat: 'pcm_24000' });
+
+    expect(alignment.characters).toEqual(['a', 'b', ' ', 'c', 'd']);
+    expect(alignment.character_start_times_seconds[3]).toBeCloseTo(0.2 + 0.25, 9);
+    expect(alignment.character_end_times_seconds[4]).toBeCloseTo(0.45 + 0.2, 9);
+  });
+
+  test('returns null when any segment has no timestamps', async () => {
+    const [audio] = await synthesize(['Hi.'], 'mp3_44100_128');
+
+    expect(combineAlignments([{ audio, alignment: audio.alignment }, { audio, alignment: null }])).toBeNull();
+  });
+});
+
+describe('GET /api/tts/subtitles/:taskId', () => {
+  const app = express();
+  app.use('/api/tts', ttsRoutes);
+
+  beforeAll(async () => {
+    const audioDataList = await synthesize(['Hello world.', 'Second part.'], 'mp3_44100_128');
+    const alignment = combineAlignments(toSegments(audioDataList), { pausesMs: [500], outputFormat: 'mp3_44100_128' });
+    fs.writeFileSync(path.join(storageDir, 'task-1.alignment.json'), JSON.stringify(alignment));
+
+    await redisClient.setTaskData('task-1', { username: 'alice', status: 'complete' });
+    await redisClient.setTaskData('task-2', { username: 'alice', status: 'complete' });
+  });
+
+  test('returns SRT cues shifted past the pause', async () => {
+    const response = await request(app)
+      .get('/api/tts/subtitles/task-1')
+      .set('Authorization', 'Bearer token-alice');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/application\/x-subrip/);
+    // 第二句从 (46 + 20) 帧 = 1.724 秒开始
+    expect(response.text).toBe(
+      '1\n00:00:00,000 --> 00:00:01,200\nHello world.\n\n' +
+      '2\n00:00:01,724 --> 00:00:02,924\nSecond part.\n'
+    );
+  });
+
+  test('returns WebVTT and JSON with the same timings', async () => {
+    const vtt = await request(app).get('/api/tts/subtitles/task-1?format=vtt&token=token-alice');
+    expect(vtt.status).toBe(200);
+    expect(vtt.text).toContain('00:00:01.724 --> 00:00:02.924\nSecond part.');
+
+    const json = await request(app).get('/api/tts/subtitles/task-1?format=json&token=token-alice');
+    expect(json.status).toBe(200);
+    expect(json.body.cues).toHaveLength(2);
+    expect(json.body.words.map(word => word.text)).toEqual(['Hello', 'world.', 'Second', 'part.']);
+    expect(json.body.words[2].start).toBeCloseTo(66 * MP3_FRAME_SECONDS, 6);
+  });
+
+  test('splits cues by maxLineLength', async () => {
+    const response = await request(app).get('/api/tts/subtitles/task-1?format=json&maxLineLength=10&token=token-alice');
+
+    expect(response.body.cues.map(cue => cue.text)).toEqual(['Hello', 'world.', 'Second', 'part.']);
+  });
+
+  test('rejects invalid parameters', async () => {
+    const format = await request(app).get('/api/tts/subtitles/task-1?format=ass&token=token-alice');
+    expect(format.status).toBe(400);
+
+    const lineLength = await request(app).get('/api/tts/subtitles/task-1?maxLineLength=5&token=token-alice');
+    expect(lineLength.status).toBe(400);
+  });
+
+  test('returns 404 when the task was created without timestamps', async () => {
+    const response = await request(app).get('/api/tts/subtitles/task-2?token=token-alice');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('checks authentication and task ownership', async () => {
+    expect((await request(app).get('/api/tts/subtitles/task-1')).status).toBe(401);
+    expect((await request(app).get('/api/tts/subtitles/task-1?token=bad')).status).toBe(401);
+    expect((await request(app).get('/api/tts/subtitles/task-1?token=token-bob')).status).toBe(403);
+    expect((await request(app).get('/api/tts/subtitles/unknown?token=token-alice')).status).toBe(404);
+  });
+});
@@ -0,0 +1,59 @@
+const express = require('express');
+const request = require('supertest');
+const { getServerConfig } = require('../src/utils/config');
+
+// 与 app.js 相同的设置方式，返回 req.ip
+function createApp() {
+  const app = express();
+  app.set('trust proxy', getServerConfig().TRUST_PROXY);
+  app.get('/ip', (req, res) => res.json({ ip: req.ip }));
+  return app;
+}
+
+afterEach(() => {
+  delete process.env.TRUST_PROXY;
+});
+
+describe('getServerConfig().TRUST_PROXY', () => {
+  test.each([
+    [undefined, 'loopback'],
+    ['true', true],
+    ['false', false],
+    ['1', 1],
+    ['loopback, 10.0.0.0/8', ['loopback', '10.0.0.0/8']]
+  ])('parses TRUST_PROXY=%s', (value, expected) => {
+    if (value !== undefined) {
+      process.env.TRUST_PROXY = value;
+    }
+    expect(getServerConfig().TRUST_PROXY).toEqual(expected);
+  });
+});
+
+describe('client IP behind a reverse proxy', () => {
+  test('uses X-Forwarded-For from a local proxy by default', async () => {
+    const response = await request(createApp()).get('/ip').set('X-Forwarded-For', '203.0.113.7');
+
+    expect(response.body.ip).toBe('203.0.113.7');
+  });
+
+  test('ignores addresses the client prepended to X-Forwarded-For', async () => {
+    // nginx 追加的是连接到它的地址，客户端伪造的部分在左侧
+    const response = await request(createApp()).get('/ip').set('X-Forwarded-For', '198.51.100.1, 203.0.113.7');
+
+    expect(response.body.ip).toBe('203.0.113.7');
+  });
+
+  test('ignores X-Forwarded-For from untrusted peers', async () => {
+    process.env.TRUST_PROXY = '10.0.0.0/8';
+    const response = await request(createApp()).get('/ip').set('X-Forwarded-For', '203.0.113.7');
+
+    expect(response.body.ip).toMatch(/127\.0\.0\.1$/);
+  });
+
+  test('ignores X-Forwarded-For when trust proxy is disabled', async () => {
+    process.env.TRUST_PROXY = 'false';
+    const response = await request(createApp()).get('/ip').set('X-Forwarded-For', '203.0.113.7');
+
+    expect(response.body.ip).toMatch(/127\.0\.0\.1$/);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock());
+jest.mock('../src/services/dbClient', () => ({ query: jest.fn(async () => ({ rows: [] })) }));
+jest.mock('../src/services/ttsProcessor', () => ({ start: jest.fn(async () => {}) }));
+jest.mock('../src/services/authService', () => ({
+  estimateBilledChars: jest.fn(),
+  // token-<用户名> 为登录token，key-<用户名> 为API密钥
+  verifyTokenOrApiKey: jest.fn(async (token) => {
+    const [kind, username] = token.split('-');
+    if (kind === 'token') {
+      return { username, apiKeyId: null };
+    }
+    if (kind === 'key') {
+      return { username, apiKeyId: 'key-id-1' };
+    }
+    throw new Error('Invalid token');
+  })
+}));
+
+const express = require('express');
+const request = require('supertest');
+const redisClient = require('../src/services/redisClient');
+const ttsProcessor = require('../src/services/ttsProcessor');
+const ttsRoutes = require('../src/api/tts');
+
+const app = express();
+app.use(express.json());
+app.use('/api/tts', ttsRoutes);
+
+// 客户端伪造的归属字段
+const SPOOFED = { apiKeyId: 'someone-elses-key', source: 'b-backend', username: 'mallory' };
+
+async function submitJob(token) {
+  const response = await request(app)
+    .post('/api/tts/jobs')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ input: 'Hello', voice: 'voice-1', ...SPOOFED });
+
+  expect(response.status).toBe(202);
+  const [taskId, taskData, username] = ttsProcessor.start.mock.calls[ttsProcessor.start.mock.calls.length - 1];
+  return { taskId, taskData, username, stored: await redisClient.getTaskStatus(taskId) };
+}
+
+describe('POST /api/tts/jobs', () => {
+  test('a JWT caller cannot attach an API key id, source or username from the body', async () => {
+    const { taskData, username, stored } = await submitJob('token-alice');
+
+    expect(taskData).not.toHaveProperty('apiKeyId');
+    expect(taskData).not.toHaveProperty('username');
+    expect(taskData.source).toBe('http');
+    expect(username).toBe('alice');
+    expect(stored).not.toHaveProperty('apiKeyId');
+    expect(stored).toMatchObject({ source: 'http', username: 'alice' });
+  });
+
+  test('an API key caller is recorded with the authenticated key id', async () => {
+    const { taskData, stored } = await submitJob('key-alice');
+
+    expect(taskData).toMatchObject({ apiKeyId: 'key-id-1', source: 'http' });
+    expect(stored).toMatchObject({ apiKeyId: 'key-id-1', username: 'alice' });
+  });
+});
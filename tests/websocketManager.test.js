@@ -0,0 +1,46 @@
+jest.mock('../src/services/redisClient', () => require('./helpers/fakeRedis').createRedisClientMock());
+jest.mock('../src/services/dbClient', () => ({ query: jest.fn(async () => ({ rows: [] })) }));
+jest.mock('../src/services/ttsProcessor', () => ({}));
+jest.mock('../src/services/authService', () => ({}));
+
+const redisClient = require('../src/services/redisClient');
+const websocketManager = require('../src/services/websocketManager');
+
+afterAll(() => {
+  websocketManager.stopCleanupTimer();
+});
+
+// 与 ttsProcessor 完成任务时写入任务信息、并作为实时完成消息推送的 finalStatus 结构相同
+function finalStatus(taskId, { alignment }) {
+  const baseUrl = 'http://localhost:3001';
+  return {
+    status: 'complete',
+    streamUrl: `${baseUrl}/api/tts/stream/${taskId}`,
+    downloadUrl: `${baseUrl}/api/tts/download/${taskId}`,
+    audioSize: 123456,
+    outputFormat: 'opus_48000_64',
+    ...(alignment && { hasTimestamps: true, subtitlesUrl: `${baseUrl}/api/tts/subtitles/${taskId}` }),
+    username: 'alice',
+    completedAt: 1760000000000,
+    taskId,
+    requiresAuth: true
+  };
+}
+
+describe('websocketManager.buildReplayProgress', () => {
+  test.each([
+    ['with timestamps', true],
+    ['without timestamps', false]
+  ])('replays the same complete payload as the live event (%s)', async (_name, alignment) => {
+    const taskId = `task-${alignment}`;
+    const status = finalStatus(taskId, { alignment });
+    // 开始任务时写入的字段（保留在任务信息中，不应出现在完成消息里）
+    await redisClient.setTaskData(taskId, { status: 'processing', input: 'hello', startedAt: 1759999990000 });
+    await redisClient.setTaskData(taskId, status);
+
+    const live = { type: 'complete', message: '完成', percentage: 100, ...status };
+    const replay = websocketManager.buildReplayProgress(taskId, await redisClient.getTaskStatus(taskId));
+
+    expect(replay).toEqual(live);
+  });
+});